@@ -0,0 +1,54 @@
+import nodemailer from 'nodemailer';
+import logger from './logger.js';
+
+// SMTP settings: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, MAIL_FROM.
+// For local testing point SMTP_HOST/SMTP_PORT at a sink such as MailHog (localhost:1025).
+let transporter = null;
+
+export const isMailerConfigured = () => {
+  return !!process.env.SMTP_HOST;
+};
+
+export const getMailFrom = () => {
+  return process.env.MAIL_FROM || `DSC Booking <no-reply@${process.env.SMTP_HOST || 'localhost'}>`;
+};
+
+export const getTransporter = () => {
+  if (transporter) return transporter;
+
+  if (!isMailerConfigured()) {
+    return null;
+  }
+
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    ...(process.env.SMTP_USER && {
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      }
+    }),
+    connectionTimeout: 10000,
+    greetingTimeout: 10000,
+    socketTimeout: 20000
+  });
+
+  logger.info(`Mailer configured (${process.env.SMTP_HOST}:${port})`);
+
+  return transporter;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  const mailer = getTransporter();
+  if (!mailer) {
+    throw new Error('SMTP belum dikonfigurasi');
+  }
+
+  return await mailer.sendMail({ from: getMailFrom(), to, subject, text, html });
+};
+
+export default sendMail;
@@ -70,7 +70,7 @@ export const getCashiers = async (req, res) => {
 // Create bank account
 export const createBankAccount = async (req, res) => {
   try {
-    const { bank_name, account_number, account_name, account_type, description, is_primary } = req.body;
+    const { bank_name, account_number, account_name, account_type, description, is_primary, mutation_format } = req.body;
 
     // Validate required fields
     if (!bank_name || !account_number || !account_name) {
@@ -99,6 +99,7 @@ export const createBankAccount = async (req, res) => {
       account_name,
       account_type,
       description,
+      mutation_format,
       is_primary: shouldBePrimary,
       created_by: req.user._id
     });
@@ -149,7 +150,7 @@ export const getAllBankAccounts = async (req, res) => {
 export const updateBankAccount = async (req, res) => {
   try {
     const { id } = req.params;
-    const { bank_name, account_number, account_name, account_type, description, is_primary, is_active } = req.body;
+    const { bank_name, account_number, account_name, account_type, description, is_primary, is_active, mutation_format } = req.body;
 
     const bankAccount = await BankAccount.findById(id);
     if (!bankAccount) {
@@ -181,6 +182,7 @@ export const updateBankAccount = async (req, res) => {
     if (description !== undefined) bankAccount.description = description;
     if (is_primary !== undefined) bankAccount.is_primary = is_primary;
     if (is_active !== undefined) bankAccount.is_active = is_active;
+    if (mutation_format !== undefined) bankAccount.mutation_format = mutation_format;
 
     await bankAccount.save();
 
@@ -1,5 +1,6 @@
 import AnalyticsService from '../services/analyticsService.js';
 import logger from '../config/logger.js';
+import moment from 'moment-timezone';
 
 // Revenue Analytics
 export const getRevenueReport = async (req, res) => {
@@ -94,4 +95,37 @@ export const getDashboardAnalytics = async (req, res) => {
       message: 'Gagal membuat dashboard analytics'
     });
   }
-};
\ No newline at end of file
+};
+// Voucher / Promo Code Analytics
+export const getVoucherReport = async (req, res) => {
+  try {
+    const { tanggal_mulai, tanggal_selesai } = req.query;
+
+    for (const date of [tanggal_mulai, tanggal_selesai]) {
+      if (date && !moment(date, 'YYYY-MM-DD', true).isValid()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Tanggal tidak valid. Gunakan format YYYY-MM-DD'
+        });
+      }
+    }
+
+    const report = await AnalyticsService.getVoucherReport({
+      tanggalMulai: tanggal_mulai,
+      tanggalSelesai: tanggal_selesai
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Laporan voucher berhasil dibuat',
+      data: report
+    });
+
+  } catch (error) {
+    logger.error(`Voucher report error: ${error.message}`);
+    res.status(500).json({
+      status: 'error',
+      message: 'Gagal membuat laporan voucher'
+    });
+  }
+};
@@ -2,6 +2,8 @@ import User from '../models/User.js';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import logger from '../config/logger.js';
+import { NotificationService } from '../services/notificationService.js';
+import { EmailVerificationService } from '../services/emailVerificationService.js';
 import { 
   blacklistToken, 
   generateToken, 
@@ -205,6 +207,8 @@ export const register = async (req, res) => {
       action: 'REGISTER_SUCCESS' 
     });
 
+    const verificationSent = await EmailVerificationService.trySendVerification(user);
+
     // ✅ USE: tokenManager generateToken
     const token = generateToken(user);
     const refreshToken = generateToken(user, '7d');
@@ -224,7 +228,8 @@ export const register = async (req, res) => {
           authProvider: user.authProvider,
           isEmailVerified: user.isEmailVerified,
           lastLogin: user.lastLogin
-        }
+        },
+        verificationEmailSent: verificationSent
       }
     });
   } catch (error) {
@@ -361,8 +366,8 @@ export const forgotPassword = async (req, res) => {
       action: 'FORGOT_PASSWORD_REQUEST'
     });
 
-    // In production, send email here
-    // For now, just return the token (remove this in production)
+    await NotificationService.sendPasswordReset(user, resetToken);
+
     res.status(200).json({
       status: 'success',
       message: 'Password reset link has been sent to your email',
@@ -448,6 +453,105 @@ export const resetPassword = async (req, res) => {
   }
 };
 
+// ============= EMAIL VERIFICATION =============
+const getVerificationErrorStatus = (error) => {
+  if (error.message.includes('tidak ditemukan')) return 404;
+  if (error.errorCode === 'VERIFICATION_RESEND_TOO_SOON') return 429;
+  if (error.errorCode === 'EMAIL_ALREADY_VERIFIED') return 409;
+  return 400;
+};
+
+export const verifyEmail = async (req, res) => {
+  try {
+    const { user, alreadyVerified } = await EmailVerificationService.verifyEmail(req.body.token);
+
+    res.status(200).json({
+      status: 'success',
+      message: alreadyVerified ? 'Email already verified' : 'Email verified successfully',
+      data: {
+        user: {
+          id: user._id,
+          email: user.email,
+          isEmailVerified: user.isEmailVerified,
+          emailVerifiedAt: user.emailVerifiedAt
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Verify email error: ${error.message}`, {
+      action: 'VERIFY_EMAIL_ERROR'
+    });
+
+    res.status(getVerificationErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+// Logged-in user asking for a new link
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    const { expiresInHours } = await EmailVerificationService.sendVerification(req.user);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Verification email sent to ${req.user.email}`,
+      data: {
+        expiresInHours
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Resend verification email error: ${error.message}`, {
+      user: req.user?._id,
+      action: 'RESEND_VERIFICATION_ERROR'
+    });
+
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+
+    res.status(getVerificationErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+// Resend by address for users who are not logged in; same answer whether or not the email exists
+export const requestVerificationEmail = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email is required'
+      });
+    }
+
+    await EmailVerificationService.resendForEmail(email);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'If the email is registered and not yet verified, a verification link has been sent'
+    });
+
+  } catch (error) {
+    logger.error(`Request verification email error: ${error.message}`, {
+      action: 'REQUEST_VERIFICATION_ERROR'
+    });
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
 export const setPassword = async (req, res) => {
   try {
     const { password, confirmPassword } = req.body;
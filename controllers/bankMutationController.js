@@ -0,0 +1,171 @@
+import { BankMutationService } from '../services/bankMutationService.js';
+import { MUTATION_STATUSES } from '../validators/paymentValidators.js';
+import logger from '../config/logger.js';
+
+const getMutationErrorStatus = (error) => {
+  if (error.message.includes('tidak ditemukan')) return 404;
+  if (error.message.includes('sudah diproses') || error.message.includes('sudah dicocokkan')) return 409;
+  return 400;
+};
+
+export const importMutationStatement = async (req, res) => {
+  try {
+    const { bank_account_id, csv } = req.body;
+
+    if (!bank_account_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'bank_account_id harus diisi'
+      });
+    }
+
+    const csvText = req.file ? req.file.buffer.toString('utf8') : csv;
+    if (!csvText) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'File mutasi (field "statement") atau teks CSV (field "csv") harus diisi'
+      });
+    }
+
+    const { summary, mutations } = await BankMutationService.importStatement({
+      bankAccountId: bank_account_id,
+      csvText,
+      kasirId: req.user._id,
+      fileName: req.file?.originalname || null
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: `${summary.imported} mutasi diimpor: ${summary.matched} cocok, ${summary.ambiguous} perlu dicek, ${summary.unmatched} tidak ditemukan`,
+      data: { summary, mutations }
+    });
+
+  } catch (error) {
+    logger.error(`Import mutation statement error: ${error.message}`, {
+      user: req.user?._id,
+      bankAccount: req.body?.bank_account_id
+    });
+
+    res.status(getMutationErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+export const getMutations = async (req, res) => {
+  try {
+    const { status, batch_id, bank_account_id } = req.query;
+
+    if (status && !MUTATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Status tidak valid. Gunakan: ${MUTATION_STATUSES.join(', ')}`
+      });
+    }
+
+    const mutations = await BankMutationService.getMutations({
+      status,
+      batchId: batch_id,
+      bankAccountId: bank_account_id
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: mutations.length,
+      data: { mutations }
+    });
+
+  } catch (error) {
+    logger.error(`Get mutations error: ${error.message}`, { query: req.query });
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Gagal mengambil data mutasi'
+    });
+  }
+};
+
+export const approveMutation = async (req, res) => {
+  try {
+    const mutation = await BankMutationService.approveMutation(
+      req.params.mutationId,
+      req.user._id,
+      req.body.payment_id || null
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Mutasi disetujui dan pembayaran terverifikasi',
+      data: { mutation }
+    });
+
+  } catch (error) {
+    logger.error(`Approve mutation error: ${error.message}`, {
+      mutationId: req.params.mutationId,
+      user: req.user?._id
+    });
+
+    res.status(getMutationErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+export const approveConfidentMatches = async (req, res) => {
+  try {
+    const { approved, failed } = await BankMutationService.approveConfidentMatches(
+      req.user._id,
+      req.body.batch_id || null
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: `${approved.length} mutasi disetujui${failed.length ? `, ${failed.length} gagal` : ''}`,
+      data: { approved, failed }
+    });
+
+  } catch (error) {
+    logger.error(`Approve confident matches error: ${error.message}`, {
+      user: req.user?._id,
+      batchId: req.body?.batch_id
+    });
+
+    res.status(getMutationErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+export const ignoreMutation = async (req, res) => {
+  try {
+    const mutation = await BankMutationService.ignoreMutation(
+      req.params.mutationId,
+      req.user._id,
+      req.body.notes
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Mutasi diabaikan',
+      data: { mutation }
+    });
+
+  } catch (error) {
+    logger.error(`Ignore mutation error: ${error.message}`, {
+      mutationId: req.params.mutationId,
+      user: req.user?._id
+    });
+
+    res.status(getMutationErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
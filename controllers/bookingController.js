@@ -1,13 +1,24 @@
 import BookingService from '../services/bookingService.js';
 import BookingAnalyticsService from '../services/bookingAnalyticsService.js';
 import BookingStatusService from '../services/bookingStatusService.js';
+import AvailabilityService from '../services/availabilityService.js';
+import SlotLockService from '../services/slotLockService.js';
+import WaitlistService from '../services/waitlistService.js';
 import CacheService from '../services/cacheService.js';
+import PricingService from '../services/pricingService.js';
+import VoucherService from '../services/voucherService.js';
+import RefundService from '../services/refundService.js';
+import { PaymentService } from '../services/paymentService.js';
+import { NotificationService } from '../services/notificationService.js';
 import logger from '../config/logger.js';
 import mongoose from 'mongoose';
 import Booking from '../models/Booking.js';
 import User from '../models/User.js';
 import Field from '../models/Field.js';
+import FieldBlackout from '../models/FieldBlackout.js';
 import moment from 'moment-timezone';
+import { FIELD_TYPES_FOR_BOOKING } from '../validators/bookingValidators.js';
+import { getExpectedTransferAmount } from '../validators/paymentValidators.js';
 
 // ✅ COMPLETELY CLEANED: createBooking without any SMS references
 export const createBooking = async (req, res) => {
@@ -15,7 +26,7 @@ export const createBooking = async (req, res) => {
   let user = null;
   
   try {
-    const { lapangan_id, tanggal_booking, jam_booking, durasi } = req.body;
+    const { lapangan_id, tanggal_booking, jam_booking, durasi, kode_voucher, payment_channel, payment_type } = req.body;
     
     if (!lapangan_id || !tanggal_booking || !jam_booking || !durasi) {
       return res.status(400).json({
@@ -89,6 +100,7 @@ export const createBooking = async (req, res) => {
           status: 'error',
           message: 'Slot waktu tidak tersedia atau bertabrakan dengan booking lain',
           error_code: 'SLOT_CONFLICT',
+          can_join_waitlist: true,
           debug_info: {
             new_booking: {
               time_range: `${jam_booking} - ${endTime.format('HH:mm')}`,
@@ -105,8 +117,28 @@ export const createBooking = async (req, res) => {
       }
     }
 
-    // Calculate total amount
-    const totalAmount = (field.harga || field.pricePerHour || 0) * durasi;
+    // Slot freed for a waitlisted customer stays theirs during the claim window
+    await WaitlistService.assertNoCompetingOffer({
+      lapanganId: lapangan_id,
+      tanggal: tanggal_booking,
+      jamBooking: jam_booking,
+      durasi,
+      userId: req.user._id
+    });
+
+    // Calculate total amount with peak / weekend / holiday / promo rules
+    const pricing = await BookingService.calculateBookingPricing(field, tanggal_booking, jam_booking, durasi);
+
+    // Promo code is checked against the rule-priced total
+    const voucherResult = kode_voucher
+      ? await VoucherService.redeemVoucher({
+        kode: kode_voucher,
+        userId: req.user._id,
+        jenisLapangan: field.jenis_lapangan,
+        harga: pricing.total
+      })
+      : null;
+    const totalAmount = voucherResult ? voucherResult.harga_setelah_diskon : pricing.total;
 
     // Generate bookingId
     const timestamp = Date.now().toString(36);
@@ -114,7 +146,9 @@ export const createBooking = async (req, res) => {
     const bookingId = `DSC-${timestamp}-${random}`.toUpperCase();
 
     // ✅ CLEAN: Create booking without SMS tracking fields
+    const bookingObjectId = new mongoose.Types.ObjectId();
     const bookingData = {
+      _id: bookingObjectId,
       pelanggan: req.user._id,
       lapangan: lapangan_id,
       jenis_lapangan: field.jenis_lapangan || field.type || 'futsal',
@@ -122,12 +156,28 @@ export const createBooking = async (req, res) => {
       jam_booking: jam_booking,
       durasi: parseInt(durasi),
       harga: totalAmount,
+      rincian_harga: PricingService.toBookingBreakdown(pricing),
+      ...(voucherResult && { voucher: VoucherService.toBookingVoucher(voucherResult) }),
       status_pemesanan: 'pending',
       payment_status: 'no_payment',
+      kode_unik: await PaymentService.generateUniqueCode() || undefined,
       bookingId: bookingId
     };
 
-    newBooking = await Booking.create(bookingData);
+    // ✅ Slot lock guarantees exclusivity against concurrent requests
+    try {
+      newBooking = await SlotLockService.withSlotLock({
+        lapanganId: lapangan_id,
+        tanggal: bookingData.tanggal_booking,
+        jamBooking: jam_booking,
+        durasi,
+        bookingId: bookingObjectId
+      }, () => Booking.create(bookingData));
+    } catch (lockError) {
+      if (voucherResult) await VoucherService.releaseUnusedRedemption(voucherResult, req.user._id, bookingObjectId);
+      throw lockError;
+    }
+    await PaymentService.ensureUniqueCode(newBooking);
 
     // Populate references
     await newBooking.populate([
@@ -141,9 +191,32 @@ export const createBooking = async (req, res) => {
       fieldId: lapangan_id,
       date: bookingDate,
       timeSlot: `${jam_booking} - ${endTime.format('HH:mm')}`,
-      amount: totalAmount
+      amount: totalAmount,
+      voucher: voucherResult?.voucher.kode
     });
 
+    // Optional online payment: a failed charge leaves the booking on its normal payment hold
+    let paymentCharge = null;
+    let paymentChargeError = null;
+    if (payment_channel) {
+      try {
+        const { payment } = await PaymentService.createGatewayCharge({
+          bookingId: newBooking._id,
+          userId: req.user._id,
+          paymentType: payment_type,
+          channel: payment_channel
+        });
+        paymentCharge = PaymentService.getGatewayInstructions(payment);
+        newBooking.payment_status = 'pending_verification';
+      } catch (chargeError) {
+        paymentChargeError = chargeError.message;
+        logger.warn(`Gateway charge at booking time failed: ${chargeError.message}`, {
+          bookingId: newBooking.bookingId,
+          channel: payment_channel
+        });
+      }
+    }
+
     // Clear cache
     try {
       await CacheService.clearUserBookingsCache(req.user._id);
@@ -152,10 +225,12 @@ export const createBooking = async (req, res) => {
       logger.warn('Cache clear failed:', cacheError.message);
     }
 
+    await NotificationService.notifyBookingCreated(newBooking);
+
     // ✅ CLEAN: Response without any SMS references
     res.status(201).json({
       status: 'success',
-      message: 'Booking berhasil dibuat. Silakan lakukan pembayaran dalam 24 jam.',
+      message: `Booking berhasil dibuat. Silakan lakukan pembayaran sebelum ${moment(newBooking.payment_deadline).tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm')} WIB.`,
       data: {
         booking: {
           id: newBooking._id,
@@ -175,11 +250,25 @@ export const createBooking = async (req, res) => {
           jam_booking: newBooking.jam_booking,
           durasi: newBooking.durasi,
           harga: newBooking.harga,
+          kode_unik: newBooking.kode_unik || null,
+          total_transfer: getExpectedTransferAmount(newBooking.harga, newBooking.kode_unik),
+          price_breakdown: pricing,
+          voucher: voucherResult ? {
+            kode: voucherResult.voucher.kode,
+            nama: voucherResult.voucher.nama,
+            diskon: voucherResult.diskon,
+            harga_sebelum_diskon: voucherResult.harga_sebelum_diskon
+          } : null,
           status_pemesanan: newBooking.status_pemesanan,
           payment_status: newBooking.payment_status,
           createdAt: newBooking.createdAt,
-          payment_deadline: moment(newBooking.createdAt).add(24, 'hours').format('DD/MM/YYYY HH:mm')
-        }
+          payment_deadline: moment(newBooking.payment_deadline).tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm'),
+          payment_hold: BookingService.getPaymentHoldInfo(newBooking)
+        },
+        ...(payment_channel && {
+          payment_charge: paymentCharge,
+          ...(paymentChargeError && { payment_charge_error: paymentChargeError })
+        })
       }
     });
 
@@ -192,6 +281,32 @@ export const createBooking = async (req, res) => {
       timestamp: new Date().toISOString()
     });
 
+    if (error.errorCode === 'SLOT_CONFLICT' || error.errorCode === 'SLOT_OFFERED') {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message,
+        error_code: error.errorCode,
+        can_join_waitlist: true,
+        debug_info: error.conflictDetails
+      });
+    }
+
+    if (error.errorCode === 'FIELD_BLACKOUT') {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message,
+        error_code: 'FIELD_BLACKOUT'
+      });
+    }
+
+    if (error.errorCode === 'OUTSIDE_OPERATING_HOURS' || error.errorCode === 'VOUCHER_INVALID') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message,
+        error_code: error.errorCode
+      });
+    }
+
     // Cleanup on error
     if (newBooking && newBooking._id) {
       try {
@@ -229,18 +344,43 @@ export const getAvailability = async (req, res) => {
     }
 
     const field = await BookingService.validateFieldForBooking(lapangan);
-    const isAvailable = await BookingService.checkSlotAvailability(
+    const isSlotFree = await BookingService.checkSlotAvailability(
       lapangan, 
       tanggal, 
       jam,
       durasi || 1
     );
+    const blackout = await FieldBlackout.findOverlapping(lapangan, tanggal, jam, durasi || 1);
+    const hours = await Field.getOperatingHours(field, tanggal);
+
+    let hoursError = null;
+    try {
+      BookingService.validateOperatingHours(field, jam, parseInt(durasi || 1), hours);
+    } catch (error) {
+      hoursError = error.message;
+    }
+
+    const isAvailable = isSlotFree && !blackout && !hoursError;
+
+    let message = isAvailable ? 'Slot tersedia' : 'Slot sudah dibooking atau bertabrakan';
+    if (hoursError) {
+      message = hoursError;
+    } else if (blackout) {
+      message = `Lapangan ditutup (${blackout.waktu_text}): ${blackout.alasan}`;
+    }
 
     res.status(200).json({
       status: 'success',
-      message: isAvailable ? 'Slot tersedia' : 'Slot sudah dibooking atau bertabrakan',
+      message,
       data: {
         is_available: isAvailable,
+        ...(blackout && {
+          blackout: {
+            jenis: blackout.jenis,
+            alasan: blackout.alasan,
+            waktu: blackout.waktu_text
+          }
+        }),
         field: {
           id: field._id,
           name: field.nama,
@@ -248,6 +388,12 @@ export const getAvailability = async (req, res) => {
           price: field.harga,
           status: field.status
         },
+        operating_hours: {
+          closed: hours.closed,
+          jam_buka: hours.jam_buka,
+          jam_tutup: hours.jam_tutup,
+          ...(hours.holiday && { holiday: hours.holiday })
+        },
         slot: {
           date: tanggal,
           time: jam,
@@ -271,6 +417,82 @@ export const getAvailability = async (req, res) => {
 
 export const checkAvailability = getAvailability;
 
+// ✅ NEW: Full-day hourly slot grid (single field or all fields of one type)
+export const getAvailabilityGrid = async (req, res) => {
+  try {
+    const { lapangan, jenis_lapangan, tanggal } = req.query;
+
+    if ((!lapangan && !jenis_lapangan) || !tanggal) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parameter tanggal dan salah satu dari lapangan atau jenis_lapangan harus diisi'
+      });
+    }
+
+    if (!lapangan && !FIELD_TYPES_FOR_BOOKING.includes(jenis_lapangan)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Jenis lapangan tidak valid',
+        valid_types: FIELD_TYPES_FOR_BOOKING
+      });
+    }
+
+    const grid = lapangan
+      ? await AvailabilityService.getFieldDayGrid(lapangan, tanggal)
+      : await AvailabilityService.getFieldTypeDayGrid(jenis_lapangan, tanggal);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Jadwal slot berhasil diambil',
+      data: grid
+    });
+
+  } catch (error) {
+    logger.error(`Availability grid error: ${error.message}`, {
+      params: req.query,
+      stack: error.stack
+    });
+
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// ✅ NEW: Hourly slot grid for one field across a date range
+export const getAvailabilityGridRange = async (req, res) => {
+  try {
+    const { lapangan, tanggal_mulai, tanggal_selesai } = req.query;
+
+    if (!lapangan || !tanggal_mulai || !tanggal_selesai) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Parameter lapangan, tanggal_mulai, dan tanggal_selesai harus diisi'
+      });
+    }
+
+    const grid = await AvailabilityService.getFieldRangeGrid(lapangan, tanggal_mulai, tanggal_selesai);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Jadwal slot berhasil diambil',
+      data: grid
+    });
+
+  } catch (error) {
+    logger.error(`Availability grid range error: ${error.message}`, {
+      params: req.query,
+      stack: error.stack
+    });
+
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
 export const getMyBookings = async (req, res) => {
   try {
     const userId = req.user._id;
@@ -417,7 +639,7 @@ export const getBookingById = async (req, res) => {
           created: booking.createdAt,
           updated: booking.updatedAt,
           confirmed: booking.konfirmasi_at,
-          expired: booking.expiredAt
+          expired: booking.expired_at
         }
       };
 
@@ -450,7 +672,7 @@ export const getBookingById = async (req, res) => {
           created: booking.createdAt,
           updated: booking.updatedAt,
           confirmed: booking.konfirmasi_at,
-          expired: booking.expiredAt
+          expired: booking.expired_at
         }
       };
     }
@@ -533,12 +755,57 @@ export const updateBooking = async (req, res) => {
 
     // ❌ REMOVED: SMS notification logic for status changes
 
-    const updatedBooking = await Booking.findByIdAndUpdate(
+    const applyUpdate = () => Booking.findByIdAndUpdate(
       id,
       { ...updateData, updatedAt: new Date() },
       { new: true, runValidators: true }
     ).populate('pelanggan', 'name email phoneNumber');
 
+    // ✅ Staff reschedule goes through the same slot lock as creation
+    const isRescheduling = isCashierOrAdmin &&
+      (updateData.tanggal_booking || updateData.jam_booking || updateData.durasi || updateData.lapangan);
+
+    if (isRescheduling) {
+      const blackout = await FieldBlackout.findOverlapping(
+        updateData.lapangan || booking.lapangan._id,
+        updateData.tanggal_booking || booking.tanggal_booking,
+        updateData.jam_booking || booking.jam_booking,
+        updateData.durasi || booking.durasi
+      );
+
+      if (blackout) {
+        return res.status(409).json({
+          status: 'error',
+          message: `Lapangan ditutup (${blackout.waktu_text}): ${blackout.alasan}`,
+          error_code: 'FIELD_BLACKOUT'
+        });
+      }
+
+      updateData.rescheduled_at = new Date();
+      updateData.rescheduled_by = userId;
+    }
+
+    let updatedBooking;
+    try {
+      updatedBooking = isRescheduling
+        ? await SlotLockService.withSlotLock({
+          lapanganId: updateData.lapangan || booking.lapangan._id,
+          tanggal: updateData.tanggal_booking || booking.tanggal_booking,
+          jamBooking: updateData.jam_booking || booking.jam_booking,
+          durasi: updateData.durasi || booking.durasi,
+          bookingId: booking._id
+        }, applyUpdate)
+        : await applyUpdate();
+    } catch (lockError) {
+      if (lockError.errorCode !== 'SLOT_CONFLICT') throw lockError;
+      return res.status(409).json({
+        status: 'error',
+        message: 'Slot waktu yang dipilih sudah tidak tersedia',
+        error_code: 'SLOT_CONFLICT',
+        debug_info: lockError.conflictDetails
+      });
+    }
+
     res.status(200).json({
       status: 'success',
       message: 'Booking berhasil diperbarui',
@@ -566,7 +833,7 @@ export const updateBookingStatus = async (req, res) => {
     const { status, notes } = req.body;
 
     // ✅ FIXED: Include 'rejected' status
-    const validStatuses = ['pending', 'confirmed', 'completed', 'cancelled', 'expired', 'rejected'];
+    const validStatuses = ['pending', 'confirmed', 'completed', 'cancelled', 'expired', 'rejected', 'no_show'];
     if (!validStatuses.includes(status)) {
       return res.status(400).json({
         status: 'error',
@@ -733,21 +1000,42 @@ export const updateBookingByCustomer = async (req, res) => {
           message: 'Gagal memvalidasi jadwal baru: ' + availabilityError.message
         });
       }
+
+      const blackout = await FieldBlackout.findOverlapping(booking.lapangan, newDate, newTime, newDuration);
+      if (blackout) {
+        return res.status(409).json({
+          status: 'error',
+          message: `Lapangan ditutup (${blackout.waktu_text}): ${blackout.alasan}`,
+          error_code: 'FIELD_BLACKOUT'
+        });
+      }
       
-      if (updateData.durasi && updateData.durasi !== booking.durasi) {
-        try {
-          const Field = mongoose.model('Field');
-          const field = await Field.findById(booking.lapangan);
-          
-          if (field) {
-            filteredData.harga = field.harga * updateData.durasi;
+      // Unpaid booking, so the new slot is repriced with the current pricing rules
+      try {
+        const field = await Field.findById(booking.lapangan);
+
+        if (field) {
+          const pricing = await BookingService.calculateBookingPricing(field, newDate, newTime, newDuration);
+          filteredData.harga = pricing.total;
+          filteredData.rincian_harga = PricingService.toBookingBreakdown(pricing);
+
+          if (booking.voucher?.voucher) {
+            filteredData.voucher = await VoucherService.recalculateBookingVoucher(booking.voucher, pricing.total);
+            filteredData.harga = pricing.total - filteredData.voucher.diskon;
           }
-        } catch (priceError) {
-          logger.warn('Price recalculation failed:', {
-            error: priceError.message,
-            bookingId: id
+        }
+      } catch (priceError) {
+        if (priceError.errorCode === 'VOUCHER_INVALID') {
+          return res.status(400).json({
+            status: 'error',
+            message: priceError.message,
+            error_code: priceError.errorCode
           });
         }
+        logger.warn('Price recalculation failed:', {
+          error: priceError.message,
+          bookingId: id
+        });
       }
     }
     
@@ -770,12 +1058,32 @@ export const updateBookingByCustomer = async (req, res) => {
       filteredData.rescheduled_by = userId;
     }
 
-    const updatedBooking = await Booking.findByIdAndUpdate(
+    const applyUpdate = () => Booking.findByIdAndUpdate(
       id,
       filteredData,
       { new: true, runValidators: true }
     );
 
+    let updatedBooking;
+    try {
+      updatedBooking = isRescheduling
+        ? await SlotLockService.withSlotLock({
+          lapanganId: booking.lapangan,
+          tanggal: filteredData.tanggal_booking || booking.tanggal_booking,
+          jamBooking: filteredData.jam_booking || booking.jam_booking,
+          durasi: filteredData.durasi || booking.durasi,
+          bookingId: booking._id
+        }, applyUpdate)
+        : await applyUpdate();
+    } catch (lockError) {
+      if (lockError.errorCode !== 'SLOT_CONFLICT') throw lockError;
+      return res.status(409).json({
+        status: 'error',
+        message: 'Slot waktu yang dipilih sudah tidak tersedia',
+        error_code: 'SLOT_CONFLICT'
+      });
+    }
+
     if (isRescheduling) {
       try {
         await CacheService.invalidateBookingCache(userId, booking.lapangan, booking.tanggal_booking);
@@ -798,6 +1106,7 @@ export const updateBookingByCustomer = async (req, res) => {
           jam_booking: updatedBooking.jam_booking,
           durasi: updatedBooking.durasi,
           harga: updatedBooking.harga,
+          rincian_harga: updatedBooking.rincian_harga,
           catatan: updatedBooking.catatan,
           special_request: updatedBooking.special_request,
           updatedAt: updatedBooking.updatedAt,
@@ -865,6 +1174,59 @@ export const cancelBooking = async (req, res) => {
       });
     }
 
+    // ✅ Paid bookings are cancelled per the cancellation policy and refunded, not deleted
+    if (RefundService.isPaid(booking)) {
+      if (booking.approved_by_admin && userRole === 'customer') {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Booking yang telah disetujui admin hanya dapat dibatalkan oleh kasir/admin'
+        });
+      }
+
+      const { refund, quote } = await RefundService.cancelPaidBooking(booking, req.user, {
+        reason: cancel_reason,
+        bankDetails: req.body.bank_details,
+        fullRefund: req.body.refund_penuh === true || req.body.refund_penuh === 'true'
+      });
+
+      await WaitlistService.promoteForBookings([booking]);
+      await NotificationService.notifyBookingCancelled(booking, { refund });
+
+      try {
+        await CacheService.invalidateBookingCache(bookingUserId, booking.lapangan, booking.tanggal_booking);
+      } catch (cacheError) {
+        logger.warn('Cache invalidation failed during booking cancellation', {
+          error: cacheError.message,
+          bookingId: id
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        message: refund
+          ? `Booking berhasil dibatalkan. Refund Rp ${refund.amount.toLocaleString('id-ID')} akan diproses kasir`
+          : 'Booking berhasil dibatalkan tanpa refund',
+        data: {
+          booking: {
+            id: booking._id,
+            bookingId: booking.bookingId,
+            status_pemesanan: booking.status_pemesanan,
+            cancel_reason: booking.cancel_reason,
+            cancelled_at: booking.cancelled_at,
+            cancelled_by: userRole
+          },
+          refund_policy: quote,
+          refund: refund ? {
+            id: refund._id,
+            amount: refund.amount,
+            status: refund.status,
+            status_text: refund.status_text,
+            bank_details_required: !refund.bank_details?.account_number
+          } : null
+        }
+      });
+    }
+
     // ✅ FIXED: Allow cancellation of REJECTED bookings
     const canCancelStatuses = ['pending', 'waiting_payment', 'dp_required', 'rejected'];
     
@@ -877,27 +1239,17 @@ export const cancelBooking = async (req, res) => {
       });
     }
 
-    // ✅ SIMPLIFIED: Only prevent cancellation if payment is already confirmed
-    const hasConfirmedPayment = ['dp_confirmed', 'fully_paid', 'verified'].includes(booking.payment_status);
+    await Booking.findByIdAndDelete(id);
 
-    // ✅ Special handling for admin-approved bookings
-    if (hasConfirmedPayment && booking.approved_by_admin && userRole === 'customer') {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Booking yang telah disetujui admin hanya dapat dibatalkan oleh kasir/admin'
-      });
+    if (['pending', 'confirmed'].includes(booking.status_pemesanan)) {
+      await WaitlistService.promoteForBookings([booking]);
     }
 
-    // ✅ Allow regular payment confirmed bookings to be cancelled by admin/kasir
-    if (hasConfirmedPayment && !booking.approved_by_admin && userRole === 'customer') {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Booking tidak dapat dibatalkan karena pembayaran sudah dikonfirmasi'
-      });
+    // Rejected bookings already got their rejection email
+    if (booking.status_pemesanan !== 'rejected') {
+      await NotificationService.notifyBookingCancelled(booking, { reason: cancel_reason });
     }
 
-    await Booking.findByIdAndDelete(id);
-
     try {
       await CacheService.invalidateBookingCache(bookingUserId, booking.lapangan, booking.tanggal_booking);
     } catch (cacheError) {
@@ -939,6 +1291,14 @@ export const cancelBooking = async (req, res) => {
       stack: error.stack
     });
 
+    if (error.errorCode === 'REFUND_INVALID') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message,
+        error_code: error.errorCode
+      });
+    }
+
     res.status(500).json({
       status: 'error',
       message: 'Terjadi kesalahan saat membatalkan booking'
@@ -1020,6 +1380,8 @@ export const approveBookingByAdmin = async (req, res) => {
       logger.warn('Cache clear failed:', cacheError.message);
     }
 
+    await NotificationService.notifyBookingApproved(booking);
+
     logger.info('Booking approved by admin/kasir without payment:', {
       bookingId: booking.bookingId,
       approvedBy: req.user._id,
@@ -1123,6 +1485,8 @@ export const rejectBookingByAdmin = async (req, res) => {
     booking.rejection_reason = rejection_reason;
 
     await booking.save();
+    await WaitlistService.promoteForBookings([booking]);
+    await NotificationService.notifyBookingRejected(booking, rejection_reason);
 
     logger.info('Booking rejected by admin/kasir:', {
       bookingId: booking.bookingId,
@@ -1434,6 +1798,14 @@ export const getAllBookingsForCashier = async (req, res) => {
 
     const total = await Booking.countDocuments(query);
 
+    // Waitlist per booked slot
+    const waitlistByBooking = await WaitlistService.getWaitlistForBookings(
+      bookings.filter(booking => ['pending', 'confirmed'].includes(booking.status_pemesanan))
+    );
+    for (const booking of bookings) {
+      booking.waitlist = waitlistByBooking[booking._id.toString()] || [];
+    }
+
     // Status summary for cashier dashboard
     const statusSummary = await Booking.aggregate([
       { $match: query },
@@ -1470,7 +1842,8 @@ export const getAllBookingsForCashier = async (req, res) => {
         summary: {
           by_status: statusSummary,
           by_payment: paymentSummary,
-          total_bookings: total
+          total_bookings: total,
+          waitlisted_slots: bookings.filter(booking => booking.waitlist.length > 0).length
         }
       }
     });
@@ -1501,7 +1874,7 @@ export const getBookingStatus = async (req, res) => {
     }
 
     const booking = await Booking.findById(id)
-      .select('bookingId status_pemesanan payment_status createdAt updatedAt konfirmasi_at rejected_at approved_by_admin')
+      .select('bookingId pelanggan status_pemesanan payment_status payment_deadline expired_at createdAt updatedAt konfirmasi_at rejected_at approved_by_admin')
       .lean();
 
     if (!booking) {
@@ -1535,11 +1908,13 @@ export const getBookingStatus = async (req, res) => {
           status: booking.status_pemesanan,
           payment_status: booking.payment_status,
           approved_by_admin: booking.approved_by_admin || false,
+          payment_hold: BookingService.getPaymentHoldInfo(booking),
           timestamps: {
             created: booking.createdAt,
             updated: booking.updatedAt,
             confirmed: booking.konfirmasi_at,
-            rejected: booking.rejected_at
+            rejected: booking.rejected_at,
+            expired: booking.expired_at
           }
         }
       }
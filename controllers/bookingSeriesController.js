@@ -0,0 +1,253 @@
+import BookingSeriesService from '../services/bookingSeriesService.js';
+import CacheService from '../services/cacheService.js';
+import WaitlistService from '../services/waitlistService.js';
+import logger from '../config/logger.js';
+import moment from 'moment-timezone';
+
+const getSeriesErrorStatus = (error) => {
+  if (error.errorCode === 'SLOT_CONFLICT') return 409;
+  if (error.message.includes('tidak ditemukan')) return 404;
+  if (error.message.includes('akses') || error.message.includes('hanya dapat')) return 403;
+  return 400;
+};
+
+const extractSeriesInput = (req) => {
+  const {
+    lapangan_id,
+    tanggal_mulai,
+    jam_booking,
+    durasi,
+    frequency,
+    tanggal_selesai,
+    jumlah_pertemuan,
+    catatan,
+    skip_conflicts
+  } = req.body;
+
+  return {
+    userId: req.user._id,
+    lapanganId: lapangan_id,
+    tanggalMulai: tanggal_mulai,
+    jamBooking: jam_booking,
+    durasi,
+    frequency,
+    tanggalSelesai: tanggal_selesai,
+    jumlahPertemuan: jumlah_pertemuan,
+    catatan,
+    skipConflicts: skip_conflicts === true || skip_conflicts === 'true'
+  };
+};
+
+const formatOccurrence = (booking) => ({
+  id: booking._id,
+  bookingId: booking.bookingId,
+  series_index: booking.series_index,
+  tanggal_booking: moment(booking.tanggal_booking).format('YYYY-MM-DD'),
+  jam_booking: booking.jam_booking,
+  durasi: booking.durasi,
+  harga: booking.harga,
+  status_pemesanan: booking.status_pemesanan,
+  payment_status: booking.payment_status,
+  cancel_reason: booking.cancel_reason
+});
+
+// ✅ Preview recurrence: which dates are free and which conflict
+export const previewBookingSeries = async (req, res) => {
+  try {
+    const preview = await BookingSeriesService.previewSeries(extractSeriesInput(req));
+
+    res.status(200).json({
+      status: 'success',
+      message: preview.conflicts.length > 0
+        ? `${preview.conflicts.length} jadwal bertabrakan dengan booking lain`
+        : 'Semua jadwal tersedia',
+      data: {
+        field: {
+          id: preview.field._id,
+          name: preview.field.nama,
+          type: preview.field.jenis_lapangan
+        },
+        occurrences: preview.dates.map(date => ({
+          date,
+          available: preview.available.includes(date),
+          ...(preview.pricing[date] && {
+            harga: preview.pricing[date].total,
+            price_breakdown: preview.pricing[date]
+          })
+        })),
+        conflicts: preview.conflicts,
+        pricing: {
+          jumlah_sesi: preview.available.length,
+          total_harga: preview.total_harga
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Booking series preview error: ${error.message}`, {
+      user: req.user?._id,
+      body: req.body
+    });
+
+    res.status(getSeriesErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const createBookingSeries = async (req, res) => {
+  try {
+    const { series, bookings, conflicts } = await BookingSeriesService.createSeries(extractSeriesInput(req));
+
+    try {
+      await CacheService.invalidateBookingCache(req.user._id);
+    } catch (cacheError) {
+      logger.warn('Cache invalidation failed after series creation', {
+        error: cacheError.message
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: conflicts.length > 0
+        ? `Booking berulang dibuat untuk ${bookings.length} jadwal, ${conflicts.length} jadwal dilewati karena bertabrakan`
+        : `Booking berulang berhasil dibuat untuk ${bookings.length} jadwal`,
+      data: {
+        series: {
+          id: series._id,
+          frequency: series.frequency,
+          frequency_text: series.frequency_text,
+          jam_booking: series.jam_booking,
+          durasi: series.durasi,
+          total_harga: series.total_harga,
+          status: series.status,
+          payment_status: series.payment_status
+        },
+        occurrences: bookings.map(formatOccurrence),
+        conflicts
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Booking series creation error: ${error.message}`, {
+      user: req.user?._id,
+      body: req.body
+    });
+
+    res.status(getSeriesErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode }),
+      ...(error.conflictDetails && { conflicts: error.conflictDetails })
+    });
+  }
+};
+
+export const getMyBookingSeries = async (req, res) => {
+  try {
+    const series = await BookingSeriesService.getUserSeries(req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      results: series.length,
+      data: { series }
+    });
+
+  } catch (error) {
+    logger.error(`Get booking series error: ${error.message}`, {
+      user: req.user?._id
+    });
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Gagal mengambil data booking berulang'
+    });
+  }
+};
+
+export const getBookingSeriesById = async (req, res) => {
+  try {
+    const series = await BookingSeriesService.getSeriesForUser(req.params.seriesId, req.user);
+    const occurrences = await BookingSeriesService.getSeriesOccurrences(series._id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        series,
+        occurrences: occurrences.map(formatOccurrence)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Get booking series detail error: ${error.message}`, {
+      seriesId: req.params.seriesId,
+      user: req.user?._id
+    });
+
+    res.status(getSeriesErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// ✅ Cancel one occurrence, this and all future occurrences, or the whole series
+export const cancelBookingSeries = async (req, res) => {
+  try {
+    const { scope, booking_id, cancel_reason } = req.body;
+
+    const { series, cancelled, refunds, remaining } = await BookingSeriesService.cancelSeries(
+      req.params.seriesId,
+      req.user,
+      { scope, bookingId: booking_id, reason: cancel_reason }
+    );
+
+    await WaitlistService.promoteForBookings(cancelled);
+
+    try {
+      await CacheService.invalidateBookingCache(series.pelanggan._id);
+    } catch (cacheError) {
+      logger.warn('Cache invalidation failed after series cancellation', {
+        error: cacheError.message
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `${cancelled.length} jadwal berhasil dibatalkan`,
+      data: {
+        series: {
+          id: series._id,
+          status: series.status,
+          total_harga: series.total_harga,
+          remaining_occurrences: remaining
+        },
+        cancelled: cancelled.map(booking => ({
+          id: booking._id,
+          tanggal_booking: moment(booking.tanggal_booking).format('YYYY-MM-DD'),
+          jam_booking: booking.jam_booking
+        })),
+        refunds: refunds.map(refund => ({
+          id: refund._id,
+          booking: refund.booking,
+          amount: refund.amount,
+          policy_rule: refund.policy_rule,
+          status: refund.status
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Cancel booking series error: ${error.message}`, {
+      seriesId: req.params.seriesId,
+      user: req.user?._id,
+      body: req.body
+    });
+
+    res.status(getSeriesErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,99 @@
+import CashDrawerService from '../services/cashDrawerService.js';
+import logger from '../config/logger.js';
+import moment from 'moment-timezone';
+
+const getCashDrawerErrorStatus = (error) => {
+  if (error.message.includes('sudah ditutup')) return 409;
+  return 400;
+};
+
+// Cashiers see their own drawer; admin can see every cashier or filter by kasir_id
+export const getCashDrawerReport = async (req, res) => {
+  try {
+    const kasirId = req.user.role === 'admin'
+      ? req.query.kasir_id || null
+      : req.user._id.toString();
+
+    const report = await CashDrawerService.getDrawerReport({
+      tanggal: req.query.tanggal,
+      kasirId
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ...report,
+        ...(report.transactions && {
+          transactions: report.transactions.map(payment => ({
+            id: payment._id,
+            receipt_number: payment.receipt_number,
+            booking: payment.booking?.bookingId || payment.booking,
+            payment_type: payment.payment_type,
+            payment_method: payment.payment_method,
+            method_reference: payment.method_reference || null,
+            amount: payment.amount,
+            received_at: moment(payment.received_at).tz('Asia/Jakarta').format('HH:mm:ss')
+          }))
+        })
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Get cash drawer report error: ${error.message}`, {
+      user: req.user?._id,
+      query: req.query
+    });
+
+    res.status(getCashDrawerErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const closeCashDrawer = async (req, res) => {
+  try {
+    const drawer = await CashDrawerService.closeDrawer(req.user._id, {
+      tanggal: req.body.tanggal,
+      openingFloat: req.body.modal_awal,
+      countedCash: req.body.uang_dihitung,
+      notes: req.body.catatan
+    });
+
+    const message = drawer.difference === 0
+      ? 'Laci kas ditutup. Uang tunai sesuai catatan sistem'
+      : `Laci kas ditutup dengan selisih ${drawer.difference < 0 ? 'kurang' : 'lebih'} Rp ${Math.abs(drawer.difference).toLocaleString('id-ID')}`;
+
+    res.status(201).json({
+      status: 'success',
+      message,
+      data: {
+        drawer: {
+          id: drawer._id,
+          tanggal: drawer.date_string,
+          opening_float: drawer.opening_float,
+          totals: drawer.totals,
+          transaction_count: drawer.transaction_count,
+          expected_cash: drawer.expected_cash,
+          counted_cash: drawer.counted_cash,
+          difference: drawer.difference,
+          status: drawer.status,
+          status_text: drawer.status_text,
+          notes: drawer.notes || null,
+          closed_at: moment(drawer.closed_at).tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm:ss')
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Close cash drawer error: ${error.message}`, {
+      kasir: req.user?._id,
+      body: req.body
+    });
+
+    res.status(getCashDrawerErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
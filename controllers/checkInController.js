@@ -0,0 +1,113 @@
+import { CheckInService } from '../services/checkInService.js';
+import logger from '../config/logger.js';
+
+const getCheckInErrorStatus = (error) => {
+  if (error.message.includes('tidak ditemukan')) return 404;
+  if (error.errorCode === 'CHECK_IN_FORBIDDEN') return 403;
+  if (error.errorCode === 'ALREADY_CHECKED_IN') return 409;
+  return 400;
+};
+
+const formatCheckIn = ({ booking, outstanding_warning }) => ({
+  booking_id: booking._id,
+  bookingId: booking.bookingId,
+  customer: booking.pelanggan?.name,
+  phone: booking.pelanggan?.phoneNumber,
+  lapangan: booking.lapangan?.nama,
+  jam_booking: booking.jam_booking,
+  durasi: booking.durasi,
+  payment_status: booking.payment_status,
+  check_in_method: booking.check_in_method,
+  checked_in_at: CheckInService.formatWIB(booking.checked_in_at),
+  ...(outstanding_warning && { warning: outstanding_warning })
+});
+
+export const getCheckInPass = async (req, res) => {
+  try {
+    const pass = await CheckInService.getCheckInPass(req.params.id, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Tunjukkan QR ini ke kasir mulai ${pass.valid_from} WIB`,
+      data: { pass }
+    });
+
+  } catch (error) {
+    logger.error(`Get check-in pass error: ${error.message}`, {
+      bookingId: req.params.id,
+      user: req.user?._id
+    });
+
+    res.status(getCheckInErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+export const scanCheckIn = async (req, res) => {
+  try {
+    const { token, field_id } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Token QR harus diisi'
+      });
+    }
+
+    const result = await CheckInService.checkIn({
+      token,
+      fieldId: field_id,
+      kasirId: req.user._id
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Check-in berhasil: ${result.booking.pelanggan?.name || result.booking.bookingId}`,
+      data: { check_in: formatCheckIn(result) }
+    });
+
+  } catch (error) {
+    logger.error(`Scan check-in error: ${error.message}`, {
+      user: req.user?._id,
+      fieldId: req.body?.field_id
+    });
+
+    res.status(getCheckInErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+// Fallback when the customer can't show the QR; the cashier checks the booking by hand
+export const manualCheckIn = async (req, res) => {
+  try {
+    const result = await CheckInService.checkIn({
+      bookingId: req.params.id,
+      fieldId: req.body.field_id,
+      kasirId: req.user._id
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Check-in manual berhasil: ${result.booking.pelanggan?.name || result.booking.bookingId}`,
+      data: { check_in: formatCheckIn(result) }
+    });
+
+  } catch (error) {
+    logger.error(`Manual check-in error: ${error.message}`, {
+      bookingId: req.params.id,
+      user: req.user?._id
+    });
+
+    res.status(getCheckInErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
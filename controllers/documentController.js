@@ -0,0 +1,56 @@
+import { DocumentService } from '../services/documentService.js';
+import logger from '../config/logger.js';
+
+const getDocumentErrorStatus = (error) => {
+  if (error.message.includes('tidak ditemukan')) return 404;
+  if (error.errorCode === 'DOCUMENT_FORBIDDEN') return 403;
+  return 400;
+};
+
+const sendPdf = (res, { fileName, buffer }) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${fileName}"`,
+    'Content-Length': buffer.length,
+    'Cache-Control': 'private, no-store'
+  });
+  res.status(200).send(buffer);
+};
+
+export const getBookingInvoice = async (req, res) => {
+  try {
+    const document = await DocumentService.generateBookingInvoice(req.params.id, req.user);
+    sendPdf(res, document);
+
+  } catch (error) {
+    logger.error(`Booking invoice error: ${error.message}`, {
+      bookingId: req.params.id,
+      user: req.user?._id
+    });
+
+    res.status(getDocumentErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+export const getPaymentReceipt = async (req, res) => {
+  try {
+    const document = await DocumentService.generatePaymentReceipt(req.params.paymentId, req.user);
+    sendPdf(res, document);
+
+  } catch (error) {
+    logger.error(`Payment receipt error: ${error.message}`, {
+      paymentId: req.params.paymentId,
+      user: req.user?._id
+    });
+
+    res.status(getDocumentErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
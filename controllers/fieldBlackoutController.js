@@ -0,0 +1,169 @@
+import FieldBlackoutService from '../services/fieldBlackoutService.js';
+import logger from '../config/logger.js';
+import moment from 'moment-timezone';
+
+const getBlackoutErrorStatus = (error) => {
+  if (error.message.includes('tidak ditemukan')) return 404;
+  return 400;
+};
+
+const formatBlackout = (blackout) => ({
+  id: blackout._id,
+  lapangan: blackout.lapangan,
+  jenis: blackout.jenis,
+  alasan: blackout.alasan,
+  tanggal_mulai: moment.utc(blackout.tanggal_mulai).format('YYYY-MM-DD'),
+  tanggal_selesai: moment.utc(blackout.tanggal_selesai).format('YYYY-MM-DD'),
+  jam_mulai: blackout.jam_mulai || null,
+  jam_selesai: blackout.jam_selesai || null,
+  waktu_text: blackout.waktu_text,
+  created_by: blackout.createdBy?.name || blackout.createdBy,
+  createdAt: blackout.createdAt
+});
+
+const buildAffectedMessage = (baseMessage, affectedBookings) => {
+  if (affectedBookings.length === 0) return baseMessage;
+  return `${baseMessage}. ${affectedBookings.length} booking terdampak, harap hubungi pelanggan terkait`;
+};
+
+export const createFieldBlackout = async (req, res) => {
+  try {
+    const { field, blackout, affectedBookings } = await FieldBlackoutService.createBlackout(
+      req.params.id,
+      req.body,
+      req.user._id
+    );
+
+    res.status(201).json({
+      status: 'success',
+      message: buildAffectedMessage(`Jadwal penutupan ${field.nama} berhasil dibuat`, affectedBookings),
+      data: {
+        blackout: formatBlackout(blackout),
+        affected_bookings: affectedBookings
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Create field blackout error: ${error.message}`, {
+      fieldId: req.params.id,
+      admin: req.user?._id,
+      body: req.body
+    });
+
+    res.status(getBlackoutErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const getFieldBlackouts = async (req, res) => {
+  try {
+    const { field, blackouts } = await FieldBlackoutService.getFieldBlackouts(req.params.id, {
+      includePast: req.query.include_past === 'true'
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: blackouts.length,
+      data: {
+        field: {
+          id: field._id,
+          name: field.nama
+        },
+        blackouts: blackouts.map(formatBlackout)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Get field blackouts error: ${error.message}`, {
+      fieldId: req.params.id
+    });
+
+    res.status(getBlackoutErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const getFieldBlackoutAffectedBookings = async (req, res) => {
+  try {
+    const blackout = await FieldBlackoutService.getBlackout(req.params.id, req.params.blackoutId);
+    const affectedBookings = await FieldBlackoutService.getAffectedBookings(blackout);
+
+    res.status(200).json({
+      status: 'success',
+      results: affectedBookings.length,
+      data: {
+        blackout: formatBlackout(blackout),
+        affected_bookings: affectedBookings
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Get blackout affected bookings error: ${error.message}`, {
+      fieldId: req.params.id,
+      blackoutId: req.params.blackoutId
+    });
+
+    res.status(getBlackoutErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const updateFieldBlackout = async (req, res) => {
+  try {
+    const { blackout, affectedBookings } = await FieldBlackoutService.updateBlackout(
+      req.params.id,
+      req.params.blackoutId,
+      req.body,
+      req.user._id
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: buildAffectedMessage('Jadwal penutupan berhasil diperbarui', affectedBookings),
+      data: {
+        blackout: formatBlackout(blackout),
+        affected_bookings: affectedBookings
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Update field blackout error: ${error.message}`, {
+      fieldId: req.params.id,
+      blackoutId: req.params.blackoutId,
+      body: req.body
+    });
+
+    res.status(getBlackoutErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const deleteFieldBlackout = async (req, res) => {
+  try {
+    await FieldBlackoutService.deleteBlackout(req.params.id, req.params.blackoutId, req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Jadwal penutupan berhasil dihapus'
+    });
+
+  } catch (error) {
+    logger.error(`Delete field blackout error: ${error.message}`, {
+      fieldId: req.params.id,
+      blackoutId: req.params.blackoutId
+    });
+
+    res.status(getBlackoutErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
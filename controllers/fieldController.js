@@ -554,4 +554,117 @@ export const updateFieldJSON = async (req, res) => {
       }
     });
   }
-};
\ No newline at end of file
+};
+
+const getFieldErrorStatus = (error) => {
+  if (error.message.includes('tidak ditemukan')) return 404;
+  return 400;
+};
+
+export const updateFieldSchedule = async (req, res) => {
+  try {
+    const field = await FieldService.updateWeeklySchedule(req.params.id, req.body.jadwal_mingguan);
+
+    logger.info(`Field schedule updated: ${field._id}`, {
+      role: req.user.role,
+      action: 'UPDATE_FIELD_SCHEDULE'
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Jadwal operasional lapangan berhasil diperbarui',
+      data: {
+        field: {
+          id: field._id,
+          name: field.nama,
+          jam_buka: field.jam_buka,
+          jam_tutup: field.jam_tutup,
+          jadwal_mingguan: field.jadwal_mingguan
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Field schedule update error: ${error.message}`, {
+      action: 'UPDATE_FIELD_SCHEDULE_ERROR',
+      fieldId: req.params.id,
+      body: req.body
+    });
+
+    res.status(getFieldErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const getFieldSchedule = async (req, res) => {
+  try {
+    const { field, days } = await FieldService.getScheduleForRange(
+      req.params.id,
+      req.query.tanggal_mulai,
+      req.query.tanggal_selesai
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        field: {
+          id: field._id,
+          name: field.nama,
+          jam_buka: field.jam_buka,
+          jam_tutup: field.jam_tutup,
+          jadwal_mingguan: field.jadwal_mingguan
+        },
+        schedule: days
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Get field schedule error: ${error.message}`, {
+      fieldId: req.params.id,
+      query: req.query
+    });
+
+    res.status(getFieldErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const getFieldPricing = async (req, res) => {
+  try {
+    const { field, operating_hours, breakdown } = await FieldService.getFieldPricing({
+      fieldId: req.params.id,
+      tanggal: req.query.tanggal,
+      jamBooking: req.query.jam_booking,
+      durasi: req.query.durasi
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        field: {
+          id: field._id,
+          name: field.nama,
+          type: field.jenis_lapangan,
+          harga_dasar: field.harga
+        },
+        operating_hours,
+        pricing: breakdown
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Get field pricing error: ${error.message}`, {
+      fieldId: req.params.id,
+      query: req.query
+    });
+
+    res.status(getFieldErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,118 @@
+import HolidayService from '../services/holidayService.js';
+import logger from '../config/logger.js';
+import moment from 'moment-timezone';
+
+const getHolidayErrorStatus = (error) => {
+  if (error.message.includes('tidak ditemukan')) return 404;
+  if (error.message.includes('sudah ada')) return 409;
+  return 400;
+};
+
+const formatHoliday = (holiday) => ({
+  id: holiday._id,
+  tanggal: moment.utc(holiday.tanggal).format('YYYY-MM-DD'),
+  nama: holiday.nama,
+  lapangan: holiday.lapangan ? {
+    id: holiday.lapangan._id || holiday.lapangan,
+    name: holiday.lapangan.nama
+  } : null,
+  berlaku_untuk: holiday.lapangan ? 'lapangan' : 'semua',
+  tutup: holiday.tutup,
+  jam_buka: holiday.jam_buka || null,
+  jam_tutup: holiday.jam_tutup || null,
+  jam_text: holiday.jam_text,
+  createdAt: holiday.createdAt
+});
+
+export const createHoliday = async (req, res) => {
+  try {
+    const holiday = await HolidayService.createHoliday(req.body, req.user._id);
+
+    res.status(201).json({
+      status: 'success',
+      message: `Hari libur ${holiday.nama} berhasil ditambahkan`,
+      data: { holiday: formatHoliday(holiday) }
+    });
+
+  } catch (error) {
+    logger.error(`Create holiday error: ${error.message}`, {
+      admin: req.user?._id,
+      body: req.body
+    });
+
+    res.status(getHolidayErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const getHolidays = async (req, res) => {
+  try {
+    const holidays = await HolidayService.getHolidays({
+      tanggalMulai: req.query.tanggal_mulai,
+      tanggalSelesai: req.query.tanggal_selesai,
+      lapanganId: req.query.lapangan_id
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: holidays.length,
+      data: { holidays: holidays.map(formatHoliday) }
+    });
+
+  } catch (error) {
+    logger.error(`Get holidays error: ${error.message}`, {
+      query: req.query
+    });
+
+    res.status(getHolidayErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const updateHoliday = async (req, res) => {
+  try {
+    const holiday = await HolidayService.updateHoliday(req.params.id, req.body, req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Hari libur berhasil diperbarui',
+      data: { holiday: formatHoliday(holiday) }
+    });
+
+  } catch (error) {
+    logger.error(`Update holiday error: ${error.message}`, {
+      holidayId: req.params.id,
+      body: req.body
+    });
+
+    res.status(getHolidayErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const deleteHoliday = async (req, res) => {
+  try {
+    await HolidayService.deleteHoliday(req.params.id, req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Hari libur berhasil dihapus'
+    });
+
+  } catch (error) {
+    logger.error(`Delete holiday error: ${error.message}`, {
+      holidayId: req.params.id
+    });
+
+    res.status(getHolidayErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
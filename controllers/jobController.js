@@ -0,0 +1,49 @@
+import { runBookingExpirySweep } from '../jobs/bookingExpiryJob.js';
+import { runNotificationSweep } from '../jobs/notificationJob.js';
+import logger from '../config/logger.js';
+
+// HTTP triggers for the scheduled sweeps. On serverless deployments there is no long-lived
+// process for node-cron, so the platform scheduler calls these instead.
+export const runBookingExpiryJob = async (req, res) => {
+  try {
+    const expiredBookings = await runBookingExpirySweep();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Sweep booking kedaluwarsa selesai',
+      data: {
+        expired: expiredBookings.length
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Booking expiry job error: ${error.message}`, {
+      failed_steps: error.errors?.map(stepError => stepError.message)
+    });
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Sweep booking kedaluwarsa gagal'
+    });
+  }
+};
+
+export const runNotificationJob = async (req, res) => {
+  try {
+    const result = await runNotificationSweep();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Sweep notifikasi selesai',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error(`Notification job error: ${error.message}`);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Sweep notifikasi gagal'
+    });
+  }
+};
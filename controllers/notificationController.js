@@ -0,0 +1,254 @@
+import { MessagingService } from '../services/messagingService.js';
+import { InboxService } from '../services/inboxService.js';
+import logger from '../config/logger.js';
+
+const getMessagingErrorStatus = (error) => {
+  if (error.message.includes('tidak ditemukan')) return 404;
+  if (error.errorCode === 'INVALID_SIGNATURE') return 401;
+  if (error.errorCode === 'MESSAGING_UNAVAILABLE') return 503;
+  return 400;
+};
+
+// Subscription handshake (WhatsApp Cloud API): echo hub.challenge when the verify token matches
+export const verifyMessagingWebhook = async (req, res) => {
+  try {
+    const challenge = MessagingService.verifySubscription(req.params.provider, req.query);
+
+    if (!challenge) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Verifikasi webhook gagal'
+      });
+    }
+
+    res.status(200).send(challenge);
+
+  } catch (error) {
+    logger.error(`Messaging webhook verification error: ${error.message}`, {
+      provider: req.params.provider
+    });
+
+    res.status(getMessagingErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+// Delivery status callbacks, no auth token: trust comes from the signature only
+export const handleMessagingWebhook = async (req, res) => {
+  try {
+    const result = await MessagingService.handleStatusWebhook(req.params.provider, {
+      headers: req.headers,
+      body: req.body,
+      rawBody: req.rawBody
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error(`Messaging webhook error: ${error.message}`, {
+      provider: req.params.provider
+    });
+
+    res.status(getMessagingErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+export const getOutboxMessages = async (req, res) => {
+  try {
+    const { messages, pagination } = await MessagingService.getOutboxMessages(req.query);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Data notifikasi berhasil diambil',
+      data: {
+        messages,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Get outbox messages error: ${error.message}`, {
+      user: req.user?._id,
+      query: req.query
+    });
+
+    res.status(getMessagingErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+export const simulateMockMessageStatus = async (req, res) => {
+  try {
+    const message = await MessagingService.simulateMockStatus(
+      req.params.messageId,
+      req.body.status || 'delivered'
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: `Status simulasi diproses (${message.delivery_status})`,
+      data: {
+        message_id: message._id,
+        delivery_status: message.delivery_status,
+        delivered_at: message.delivered_at,
+        read_at: message.read_at
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Simulate message status error: ${error.message}`, {
+      messageId: req.params.messageId
+    });
+
+    res.status(getMessagingErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+// ============= IN-APP INBOX =============
+const getInboxErrorStatus = (error) => {
+  if (error.message.includes('tidak ditemukan')) return 404;
+  return 400;
+};
+
+export const getMyNotifications = async (req, res) => {
+  try {
+    const { notifications, unread_count, pagination } = await InboxService.getNotifications(req.user._id, req.query);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notifikasi berhasil diambil',
+      data: {
+        notifications,
+        unread_count,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Get notifications error: ${error.message}`, {
+      user: req.user?._id,
+      query: req.query
+    });
+
+    res.status(getInboxErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+export const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await InboxService.getUnreadCount(req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        unread_count: unreadCount
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Get unread count error: ${error.message}`, {
+      user: req.user?._id
+    });
+
+    res.status(getInboxErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+export const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await InboxService.markRead(req.user._id, req.params.notificationId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notifikasi ditandai sudah dibaca',
+      data: {
+        notification
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Mark notification read error: ${error.message}`, {
+      user: req.user?._id,
+      notificationId: req.params.notificationId
+    });
+
+    res.status(getInboxErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const { updated } = await InboxService.markAllRead(req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: `${updated} notifikasi ditandai sudah dibaca`,
+      data: {
+        updated
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Mark all notifications read error: ${error.message}`, {
+      user: req.user?._id
+    });
+
+    res.status(getInboxErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+export const deleteNotification = async (req, res) => {
+  try {
+    await InboxService.deleteNotification(req.user._id, req.params.notificationId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notifikasi berhasil dihapus'
+    });
+
+  } catch (error) {
+    logger.error(`Delete notification error: ${error.message}`, {
+      user: req.user?._id,
+      notificationId: req.params.notificationId
+    });
+
+    res.status(getInboxErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
@@ -1,10 +1,18 @@
 import { PaymentService } from '../services/paymentService.js';
+import { NotificationService } from '../services/notificationService.js';
 import Payment from '../models/Payment.js'; 
 import Booking from '../models/Booking.js'; 
 import { client } from '../config/redis.js';
 import logger from '../config/logger.js';
 import mongoose from 'mongoose';
 import moment from 'moment-timezone';
+import { getPaidStatusForPaymentType, getExpectedTransferAmount, GATEWAY_PAYMENT_METHOD } from '../validators/paymentValidators.js';
+
+// Fraud flags are for cashiers; customers never see why a proof was flagged
+const hideRiskDetails = (payment) => {
+  const { risk_flags, risk_level, risk_reason, proof_fingerprint, ...rest } = payment.toJSON();
+  return rest;
+};
 
 export const createPayment = async (req, res) => {
   try {
@@ -128,7 +136,7 @@ export const createPayment = async (req, res) => {
     }
 
     // Validate payment type
-    const VALID_PAYMENT_TYPES = ['dp_payment', 'full_payment'];
+    const VALID_PAYMENT_TYPES = ['dp_payment', 'full_payment', 'pelunasan'];
     if (!VALID_PAYMENT_TYPES.includes(payment_type)) {
       return res.status(400).json({
         status: 'error',
@@ -147,6 +155,64 @@ export const createPayment = async (req, res) => {
       });
     }
 
+    // ✅ Pelunasan pays the rest of a DP booking that already has a verified payment
+    if (payment_type === 'pelunasan') {
+      if (!req.file) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Bukti transfer harus diupload',
+          supported_formats: ['JPG', 'PNG', 'PDF'],
+          max_size: '10MB'
+        });
+      }
+
+      const { payment, balance } = await PaymentService.createSettlementPayment({
+        bookingId: booking_id,
+        userId: req.user._id,
+        transferAmount: parseInt(transfer_amount),
+        transferProof: req.file.path,
+        proofFingerprint: req.file.fingerprint,
+        transferDetails: {
+          sender_name: sender_name.trim(),
+          transfer_amount: parseInt(transfer_amount),
+          transfer_date: transferDateValid,
+          transfer_date_string: transfer_date,
+          transfer_reference: transfer_reference || ''
+        }
+      });
+
+      try {
+        if (client && client.isOpen) {
+          await client.del('payments:pending');
+          await client.del(`payments:user:${req.user._id}`);
+        }
+      } catch (redisError) {
+        logger.warn('Redis cache clear error:', redisError);
+      }
+
+      return res.status(201).json({
+        status: 'success',
+        message: `Pelunasan Rp ${payment.amount.toLocaleString('id-ID')} berhasil dibuat. Menunggu verifikasi.`,
+        data: {
+          payment: {
+            _id: payment._id,
+            booking: payment.booking,
+            payment_type: payment.payment_type,
+            amount: payment.amount,
+            status: payment.status,
+            settles_payment: payment.settles_payment,
+            transfer_proof: payment.transfer_proof,
+            submittedAtWIB: moment(payment.createdAt).tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm:ss')
+          },
+          balance: {
+            total: balance.total,
+            paid: balance.paid,
+            outstanding: balance.outstanding
+          }
+        }
+      });
+    }
+
     // Find and validate booking
     const booking = await Booking.findOne({
       _id: booking_id,
@@ -169,26 +235,51 @@ export const createPayment = async (req, res) => {
       harga: booking.harga
     });
 
-    // Validate payment amount
+    // Expired or cancelled bookings no longer hold their slot
+    if (!PaymentService.isBookingPayable(booking)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Booking dengan status ${booking.status_pemesanan} tidak dapat dibayar`,
+        error_code: 'BOOKING_NOT_PAYABLE'
+      });
+    }
+
+    // Validate payment amount; the transfer also carries the booking's unique code
+    const uniqueCode = booking.kode_unik || 0;
     let paymentAmount;
     if (payment_type === 'dp_payment') {
       paymentAmount = 50000; // Fixed DP amount
-      if (parseInt(transfer_amount) !== paymentAmount) {
+      if (booking.harga < paymentAmount) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Total booking minimal Rp ${paymentAmount.toLocaleString('id-ID')} untuk DP, silakan bayar penuh`,
+          booking_total: booking.harga,
+          ...(booking.voucher?.kode && { voucher: booking.voucher.kode })
+        });
+      }
+      const expectedTransfer = getExpectedTransferAmount(paymentAmount, uniqueCode);
+      if (parseInt(transfer_amount) !== expectedTransfer) {
         return res.status(400).json({
           status: 'error',
-          message: `DP harus tepat Rp ${paymentAmount.toLocaleString('id-ID')}`,
-          expected: paymentAmount,
+          message: uniqueCode
+            ? `Transfer DP harus tepat Rp ${expectedTransfer.toLocaleString('id-ID')} (DP + kode unik ${uniqueCode})`
+            : `DP harus tepat Rp ${paymentAmount.toLocaleString('id-ID')}`,
+          expected: expectedTransfer,
           received: parseInt(transfer_amount)
         });
       }
     } else if (payment_type === 'full_payment') {
-      paymentAmount = parseInt(transfer_amount);
-      if (paymentAmount !== booking.harga) {
+      paymentAmount = booking.harga;
+      const expectedTransfer = getExpectedTransferAmount(paymentAmount, uniqueCode);
+      if (parseInt(transfer_amount) !== expectedTransfer) {
         return res.status(400).json({
           status: 'error',
-          message: 'Jumlah pembayaran penuh harus sesuai total booking',
+          message: uniqueCode
+            ? `Transfer harus tepat Rp ${expectedTransfer.toLocaleString('id-ID')} (total booking + kode unik ${uniqueCode})`
+            : 'Jumlah pembayaran penuh harus sesuai total booking',
           booking_total: booking.harga,
-          received: paymentAmount
+          ...(uniqueCode && { unique_code: uniqueCode, expected: expectedTransfer }),
+          received: parseInt(transfer_amount)
         });
       }
     }
@@ -230,6 +321,26 @@ export const createPayment = async (req, res) => {
       });
     }
 
+    // Occurrences of a recurring booking may already be covered by a series payment
+    if (booking.series) {
+      const seriesPayment = await Payment.findOne({
+        series: booking.series,
+        status: { $in: ['pending', 'verified'] }
+      });
+
+      if (seriesPayment) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Jadwal ini sudah tercakup dalam pembayaran booking berulang',
+          existing_payment: {
+            id: seriesPayment._id,
+            status: seriesPayment.status,
+            amount: seriesPayment.amount
+          }
+        });
+      }
+    }
+
     // Handle rejected payments
     const rejectedPayments = await Payment.find({
       booking: booking_id,
@@ -248,6 +359,23 @@ export const createPayment = async (req, res) => {
       console.log(`Replaced ${rejectedPayments.length} rejected payments`);
     }
 
+    const transferDetails = {
+      sender_name: sender_name.trim(),
+      transfer_amount: parseInt(transfer_amount),
+      transfer_date: transferDateValid,
+      transfer_date_string: transfer_date,
+      transfer_reference: transfer_reference || ''
+    };
+
+    // Flagged payments still go to the cashier queue, with the reasons attached
+    const riskFlags = await PaymentService.detectPaymentRisks({
+      booking,
+      amount: paymentAmount,
+      uniqueCode,
+      transferDetails,
+      proofFingerprint: req.file.fingerprint
+    });
+
     // FIXED: Direct payment creation instead of service
     const paymentData = {
       user: req.user._id,
@@ -255,14 +383,11 @@ export const createPayment = async (req, res) => {
       payment_type: payment_type,
       amount: paymentAmount,
       total_booking_amount: booking.harga,
+      unique_code: uniqueCode,
       transfer_proof: req.file.path,
-      transfer_details: {
-        sender_name: sender_name.trim(),
-        transfer_amount: parseInt(transfer_amount),
-        transfer_date: transferDateValid,
-        transfer_date_string: transfer_date,
-        transfer_reference: transfer_reference || ''
-      },
+      transfer_details: transferDetails,
+      proof_fingerprint: req.file.fingerprint || undefined,
+      risk_flags: riskFlags,
       status: 'pending'
     };
 
@@ -281,6 +406,8 @@ export const createPayment = async (req, res) => {
 
     console.log('Booking payment_status updated to pending');
 
+    await NotificationService.notifyPaymentSubmitted(payment);
+
     // Clear cache
     try {
       if (client && client.isOpen) {
@@ -382,6 +509,14 @@ export const createPayment = async (req, res) => {
       user: req.user?._id,
       body: req.body
     });
+
+    if (error.errorCode === 'SETTLEMENT_INVALID' || error.message.includes('tidak ditemukan')) {
+      return res.status(error.errorCode ? 400 : 404).json({
+        status: 'error',
+        message: error.message,
+        ...(error.errorCode && { error_code: error.errorCode })
+      });
+    }
     
     res.status(500).json({
       status: 'error',
@@ -401,6 +536,105 @@ export const createPayment = async (req, res) => {
   }
 };
 
+// ✅ NEW: One transfer covering all occurrences of a recurring booking
+export const createSeriesPayment = async (req, res) => {
+  try {
+    if (req.user.role !== 'customer') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Hanya customer yang dapat membuat pembayaran',
+        current_role: req.user.role
+      });
+    }
+
+    const {
+      series_id,
+      sender_name,
+      transfer_amount,
+      transfer_date,
+      transfer_reference
+    } = req.body;
+
+    if (!series_id || !sender_name || !transfer_amount || !transfer_date) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Semua field wajib diisi',
+        required_fields: ['series_id', 'sender_name', 'transfer_amount', 'transfer_date']
+      });
+    }
+
+    if (!moment(transfer_date, 'YYYY-MM-DD', true).isValid()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Format tanggal tidak valid (gunakan YYYY-MM-DD)',
+        received: transfer_date
+      });
+    }
+
+    const transferDateValid = moment(transfer_date, 'YYYY-MM-DD').toDate();
+    const amount = parseInt(transfer_amount);
+
+    const { payment, occurrences } = await PaymentService.createSeriesPayment({
+      seriesId: series_id,
+      userId: req.user._id,
+      amount,
+      transferProof: req.file.path,
+      proofFingerprint: req.file.fingerprint,
+      transferDetails: {
+        sender_name: sender_name.trim(),
+        transfer_amount: amount,
+        transfer_date: transferDateValid,
+        transfer_date_string: transfer_date,
+        transfer_reference: transfer_reference || ''
+      }
+    });
+
+    try {
+      if (client && client.isOpen) {
+        await client.del('payments:pending');
+        await client.del(`payments:user:${req.user._id}`);
+        await client.del(`bookings:${req.user._id}`);
+      }
+    } catch (redisError) {
+      logger.warn('Redis cache clear error:', redisError);
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: `Pembayaran untuk ${occurrences.length} jadwal berhasil dibuat. Menunggu verifikasi.`,
+      data: {
+        payment: {
+          _id: payment._id,
+          series: payment.series,
+          payment_type: payment.payment_type,
+          amount: payment.amount,
+          status: payment.status,
+          transfer_proof: payment.transfer_proof,
+          submittedAtWIB: moment(payment.createdAt).tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm:ss')
+        },
+        occurrences: occurrences.map(booking => ({
+          id: booking._id,
+          tanggal_booking: moment(booking.tanggal_booking).format('YYYY-MM-DD'),
+          jam_booking: booking.jam_booking,
+          harga: booking.harga
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create series payment error:', {
+      error: error.message,
+      user: req.user?._id,
+      body: req.body
+    });
+
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
 export const approvePayment = async (req, res) => {
   try {
     const { paymentId } = req.params;
@@ -430,6 +664,15 @@ export const approvePayment = async (req, res) => {
       });
     }
 
+    // Confirming an expired/cancelled booking would double-book a slot it no longer holds
+    if (!PaymentService.isBookingPayable(booking)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Booking dengan status ${booking.status_pemesanan} tidak dapat dikonfirmasi`,
+        error_code: 'BOOKING_NOT_PAYABLE'
+      });
+    }
+
     // Update payment
     payment.status = 'verified';
     payment.verified_by = req.user._id;
@@ -443,14 +686,20 @@ export const approvePayment = async (req, res) => {
 
     // Update booking
     booking.status_pemesanan = 'confirmed';
-    booking.payment_status = payment.payment_type === 'full_payment' 
-      ? 'fully_paid' 
-      : 'dp_confirmed';
-    booking.kasir = req.user._id;
-    booking.konfirmasi_at = new Date();
+    booking.payment_status = getPaidStatusForPaymentType(payment.payment_type);
+    if (payment.payment_type === 'pelunasan') {
+      // Settling the balance also clears any reschedule surcharge
+      if (booking.penyesuaian_harga?.tagihan) booking.penyesuaian_harga.tagihan = 0;
+    } else {
+      booking.kasir = req.user._id;
+      booking.konfirmasi_at = new Date();
+    }
 
     await payment.save();
     await booking.save();
+    if (payment.payment_type === 'pelunasan') await PaymentService.syncBookingTotals(booking);
+    await PaymentService.syncSeriesPayment(payment, 'verified', req.user._id);
+    await NotificationService.notifyPaymentApproved(payment);
 
     // Clear cache
     try {
@@ -517,21 +766,46 @@ export const rejectPayment = async (req, res) => {
       });
     }
 
+    if (payment.payment_type === 'pelunasan' && payment.status !== 'pending') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Payment sudah diproses sebelumnya (status: ${payment.status})`
+      });
+    }
+
     // Update payment
     payment.status = 'rejected';
     payment.verified_by = req.user._id;
     payment.verified_at = new Date();
     payment.rejection_reason = finalReason.trim();
 
-    // Reset booking
+    // A rejected pelunasan keeps the booking on its verified DP
+    if (payment.payment_type === 'pelunasan') {
+      await payment.save();
+      await NotificationService.notifyPaymentRejected(payment, payment.rejection_reason);
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Pelunasan ditolak. Booking tetap berstatus DP terverifikasi',
+        data: {
+          payment: {
+            id: payment._id,
+            status: 'Ditolak',
+            rejection_reason: payment.rejection_reason,
+            rejected_by: req.user.name
+          }
+        }
+      });
+    }
+
+    // Reset booking (cancelled/expired bookings stay as they are)
     const booking = payment.booking;
-    booking.status_pemesanan = 'pending';
-    booking.payment_status = 'no_payment';
-    booking.kasir = undefined;
-    booking.konfirmasi_at = undefined;
+    const bookingReset = PaymentService.resetBookingAfterRejection(booking);
 
     await payment.save();
     await booking.save();
+    await PaymentService.syncSeriesPayment(payment, 'rejected', req.user._id);
+    await NotificationService.notifyPaymentRejected(payment, payment.rejection_reason);
 
     // Clear cache
     try {
@@ -545,7 +819,7 @@ export const rejectPayment = async (req, res) => {
 
     res.status(200).json({
       status: 'success',
-      message: 'Pembayaran ditolak dan booking direset',
+      message: bookingReset ? 'Pembayaran ditolak dan booking direset' : 'Pembayaran ditolak',
       data: {
         payment: {
           id: payment._id,
@@ -565,10 +839,267 @@ export const rejectPayment = async (req, res) => {
   }
 };
 
+// ============= PELUNASAN =============
+export const getBookingBalance = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Format ID booking tidak valid'
+      });
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Booking tidak ditemukan'
+      });
+    }
+
+    const isOwner = booking.pelanggan.toString() === req.user._id.toString();
+    if (!isOwner && !['kasir', 'cashier', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Anda tidak memiliki akses ke booking ini'
+      });
+    }
+
+    const balance = await PaymentService.getOutstandingBalance(booking);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        booking_id: booking._id,
+        payment_status: booking.payment_status,
+        total: balance.total,
+        paid: balance.paid,
+        refunded: balance.refunded,
+        outstanding: balance.outstanding,
+        penyesuaian_harga: {
+          tagihan: balance.tagihan,
+          kredit: balance.kredit
+        },
+        dp_payment: balance.dpPayment ? {
+          id: balance.dpPayment._id,
+          amount: balance.dpPayment.amount,
+          remaining_amount: balance.dpPayment.remaining_amount
+        } : null,
+        can_settle: balance.outstanding > 0 && ['dp_confirmed', 'fully_paid'].includes(booking.payment_status)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Get booking balance error: ${error.message}`, {
+      bookingId: req.params.bookingId
+    });
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Terjadi kesalahan saat mengambil sisa pembayaran'
+    });
+  }
+};
+
+// Exact transfer amounts (with the booking's unique code) for the payment page
+export const getTransferInfo = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Format ID booking tidak valid'
+      });
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Booking tidak ditemukan'
+      });
+    }
+
+    const isOwner = booking.pelanggan.toString() === req.user._id.toString();
+    if (!isOwner && !['kasir', 'cashier', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Anda tidak memiliki akses ke booking ini'
+      });
+    }
+
+    const instructions = await PaymentService.getTransferInstructions(booking);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        booking_id: booking._id,
+        bookingId: booking.bookingId,
+        payment_status: booking.payment_status,
+        ...instructions
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Get transfer info error: ${error.message}`, {
+      bookingId: req.params.bookingId
+    });
+
+    res.status(error.message.includes('rekening bank') ? 404 : 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const recordCashSettlement = async (req, res) => {
+  try {
+    const { booking_id, amount, notes } = req.body;
+
+    if (!booking_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'booking_id harus diisi'
+      });
+    }
+
+    const { payment, booking, balance } = await PaymentService.recordCashSettlement({
+      bookingId: booking_id,
+      kasirId: req.user._id,
+      amount,
+      notes
+    });
+
+    try {
+      if (client && client.isOpen) {
+        await client.del(`payments:user:${booking.pelanggan}`);
+        await client.del(`bookings:${booking.pelanggan}`);
+      }
+    } catch (redisError) {
+      logger.warn('Redis cache clear error:', redisError);
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: `Pelunasan tunai Rp ${payment.amount.toLocaleString('id-ID')} berhasil dicatat. Booking lunas.`,
+      data: {
+        payment: {
+          id: payment._id,
+          payment_type: payment.payment_type,
+          payment_method: payment.payment_method,
+          receipt_number: payment.receipt_number,
+          amount: payment.amount,
+          status: payment.status,
+          received_by: req.user.name,
+          received_at: moment(payment.received_at).tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm:ss'),
+          notes: payment.notes
+        },
+        booking: {
+          id: booking._id,
+          bookingId: booking.bookingId,
+          payment_status: booking.payment_status,
+          total: balance.total,
+          paid: balance.paid + payment.amount
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Record cash settlement error: ${error.message}`, {
+      kasir: req.user?._id,
+      body: req.body
+    });
+
+    res.status(error.message.includes('tidak ditemukan') ? 404 : 400).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+// ============= ON-SITE PAYMENT =============
+export const recordOnsitePayment = async (req, res) => {
+  try {
+    const { booking_id, payment_type, payment_method, amount, method_reference, notes } = req.body;
+
+    if (!booking_id || !payment_method) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'booking_id dan payment_method harus diisi'
+      });
+    }
+
+    const { payment, booking } = await PaymentService.recordOnsitePayment({
+      bookingId: booking_id,
+      kasirId: req.user._id,
+      paymentType: payment_type || 'full_payment',
+      paymentMethod: payment_method,
+      amount,
+      methodReference: method_reference,
+      notes
+    });
+
+    try {
+      if (client && client.isOpen) {
+        await client.del(`payments:user:${booking.pelanggan}`);
+        await client.del(`bookings:${booking.pelanggan}`);
+      }
+    } catch (redisError) {
+      logger.warn('Redis cache clear error:', redisError);
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: `Pembayaran ${payment.payment_method_text} Rp ${payment.amount.toLocaleString('id-ID')} berhasil dicatat`,
+      data: {
+        payment: {
+          id: payment._id,
+          receipt_number: payment.receipt_number,
+          payment_type: payment.payment_type,
+          payment_type_text: payment.payment_type_text,
+          payment_method: payment.payment_method,
+          payment_method_text: payment.payment_method_text,
+          method_reference: payment.method_reference || null,
+          amount: payment.amount,
+          remaining_amount: payment.remaining_amount,
+          received_by: req.user.name,
+          received_at: moment(payment.received_at).tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm:ss'),
+          notes: payment.notes || null
+        },
+        booking: {
+          id: booking._id,
+          bookingId: booking.bookingId,
+          status_pemesanan: booking.status_pemesanan,
+          payment_status: booking.payment_status,
+          harga: booking.harga
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Record on-site payment error: ${error.message}`, {
+      kasir: req.user?._id,
+      body: req.body
+    });
+
+    res.status(error.message.includes('tidak ditemukan') ? 404 : 400).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
 export const getPendingPayments = async (req, res) => {
   try {
+    // Open gateway charges wait for the customer, not for a cashier
     const payments = await Payment.find({ 
-      status: 'pending'
+      status: 'pending',
+      payment_method: { $ne: GATEWAY_PAYMENT_METHOD }
     })
     .populate('user', 'name email')
     .populate({
@@ -578,11 +1109,14 @@ export const getPendingPayments = async (req, res) => {
         select: 'nama jenis_lapangan'
       }
     })
+    .populate('risk_flags.related_payment', 'booking user amount status createdAt')
     .sort({ createdAt: -1 });
 
+    // risk_level / risk_reason come from the model virtuals
     res.status(200).json({
       status: 'success',
       results: payments.length,
+      flagged: payments.filter(payment => payment.risk_flags?.length > 0).length,
       data: { payments }
     });
 
@@ -613,7 +1147,7 @@ export const getUserPayments = async (req, res) => {
     res.status(200).json({
       status: 'success',
       results: payments.length,
-      data: { payments }
+      data: { payments: payments.map(hideRiskDetails) }
     });
 
   } catch (error) {
@@ -656,7 +1190,7 @@ export const getPaymentById = async (req, res) => {
 
     res.status(200).json({
       status: 'success',
-      data: { payment }
+      data: { payment: req.user.role === 'customer' ? hideRiskDetails(payment) : payment }
     });
 
   } catch (error) {
@@ -799,9 +1333,7 @@ export const verifyPayment = async (req, res) => {
     // Update booking status
     const booking = payment.booking;
     booking.status_pemesanan = 'confirmed';
-    booking.payment_status = payment.payment_type === 'full_payment' 
-      ? 'fully_paid' 
-      : 'dp_confirmed';
+    booking.payment_status = getPaidStatusForPaymentType(payment.payment_type);
     booking.kasir = req.user._id;
     booking.konfirmasi_at = new Date();
 
@@ -0,0 +1,134 @@
+import { PaymentService } from '../services/paymentService.js';
+import logger from '../config/logger.js';
+import moment from 'moment-timezone';
+
+const getGatewayErrorStatus = (error) => {
+  if (error.message.includes('tidak ditemukan')) return 404;
+  if (error.errorCode === 'INVALID_SIGNATURE') return 401;
+  if (error.errorCode === 'GATEWAY_ERROR') return 502;
+  if (error.errorCode === 'GATEWAY_UNAVAILABLE') return 503;
+  return 400;
+};
+
+export const getGatewayChannels = async (req, res) => {
+  try {
+    const gateway = PaymentService.getGateway();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        provider: gateway.NAME,
+        channels: gateway.CHANNELS
+      }
+    });
+
+  } catch (error) {
+    res.status(getGatewayErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+export const createGatewayCharge = async (req, res) => {
+  try {
+    const { booking_id, payment_type, channel } = req.body;
+
+    if (!booking_id || !channel) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'booking_id dan channel harus diisi'
+      });
+    }
+
+    const { payment, reused } = await PaymentService.createGatewayCharge({
+      bookingId: booking_id,
+      userId: req.user._id,
+      paymentType: payment_type,
+      channel
+    });
+
+    res.status(reused ? 200 : 201).json({
+      status: 'success',
+      message: reused
+        ? 'Tagihan pembayaran sebelumnya masih berlaku'
+        : `Tagihan pembayaran dibuat. Selesaikan sebelum ${moment(payment.gateway.expires_at).tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm')} WIB`,
+      data: { charge: PaymentService.getGatewayInstructions(payment) }
+    });
+
+  } catch (error) {
+    logger.error(`Create gateway charge error: ${error.message}`, {
+      user: req.user?._id,
+      body: req.body
+    });
+
+    res.status(getGatewayErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+// Called by the provider, no auth token: trust comes from the signature only
+export const handleGatewayWebhook = async (req, res) => {
+  try {
+    const { payment, result } = await PaymentService.handleGatewayWebhook(req.params.provider, {
+      headers: req.headers,
+      body: req.body,
+      rawBody: req.rawBody
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        payment_id: payment._id,
+        result
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Gateway webhook error: ${error.message}`, {
+      provider: req.params.provider,
+      orderId: req.body?.order_id
+    });
+
+    res.status(getGatewayErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+export const simulateMockPayment = async (req, res) => {
+  try {
+    const { payment, result } = await PaymentService.simulateMockNotification(
+      req.params.orderId,
+      req.body.status || 'paid',
+      req.user
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: `Notifikasi simulasi diproses (${result})`,
+      data: {
+        payment_id: payment._id,
+        payment_status: payment.status,
+        result
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Simulate mock payment error: ${error.message}`, {
+      orderId: req.params.orderId
+    });
+
+    res.status(getGatewayErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
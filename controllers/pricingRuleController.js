@@ -0,0 +1,146 @@
+import PricingService from '../services/pricingService.js';
+import logger from '../config/logger.js';
+import moment from 'moment-timezone';
+
+const getPricingRuleErrorStatus = (error) => {
+  if (error.message.includes('tidak ditemukan')) return 404;
+  return 400;
+};
+
+const formatPricingRule = (rule) => ({
+  id: rule._id,
+  nama: rule.nama,
+  berlaku_untuk: rule.berlaku_untuk,
+  lapangan: rule.lapangan ? {
+    id: rule.lapangan._id || rule.lapangan,
+    name: rule.lapangan.nama
+  } : null,
+  jenis_lapangan: rule.jenis_lapangan,
+  tipe: rule.tipe,
+  penyesuaian: rule.penyesuaian,
+  nilai: rule.nilai,
+  hari: rule.hari || [],
+  jam_mulai: rule.jam_mulai || null,
+  jam_selesai: rule.jam_selesai || null,
+  waktu_text: rule.waktu_text,
+  tanggal_mulai: rule.tanggal_mulai ? moment.utc(rule.tanggal_mulai).format('YYYY-MM-DD') : null,
+  tanggal_selesai: rule.tanggal_selesai ? moment.utc(rule.tanggal_selesai).format('YYYY-MM-DD') : null,
+  prioritas: rule.prioritas,
+  aktif: rule.aktif,
+  createdAt: rule.createdAt
+});
+
+export const createPricingRule = async (req, res) => {
+  try {
+    const rule = await PricingService.createRule(req.body, req.user._id);
+
+    res.status(201).json({
+      status: 'success',
+      message: `Aturan harga ${rule.nama} berhasil dibuat`,
+      data: { rule: formatPricingRule(rule) }
+    });
+
+  } catch (error) {
+    logger.error(`Create pricing rule error: ${error.message}`, {
+      admin: req.user?._id,
+      body: req.body
+    });
+
+    res.status(getPricingRuleErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const getPricingRules = async (req, res) => {
+  try {
+    const rules = await PricingService.getRules({
+      lapanganId: req.query.lapangan_id,
+      jenisLapangan: req.query.jenis_lapangan,
+      tipe: req.query.tipe,
+      aktif: req.query.aktif
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: rules.length,
+      data: { rules: rules.map(formatPricingRule) }
+    });
+
+  } catch (error) {
+    logger.error(`Get pricing rules error: ${error.message}`, {
+      query: req.query
+    });
+
+    res.status(getPricingRuleErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const getPricingRule = async (req, res) => {
+  try {
+    const rule = await PricingService.getRuleById(req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: { rule: formatPricingRule(rule) }
+    });
+
+  } catch (error) {
+    logger.error(`Get pricing rule error: ${error.message}`, {
+      ruleId: req.params.id
+    });
+
+    res.status(getPricingRuleErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const updatePricingRule = async (req, res) => {
+  try {
+    const rule = await PricingService.updateRule(req.params.id, req.body, req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Aturan harga berhasil diperbarui',
+      data: { rule: formatPricingRule(rule) }
+    });
+
+  } catch (error) {
+    logger.error(`Update pricing rule error: ${error.message}`, {
+      ruleId: req.params.id,
+      body: req.body
+    });
+
+    res.status(getPricingRuleErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const deletePricingRule = async (req, res) => {
+  try {
+    await PricingService.deleteRule(req.params.id, req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Aturan harga berhasil dihapus'
+    });
+
+  } catch (error) {
+    logger.error(`Delete pricing rule error: ${error.message}`, {
+      ruleId: req.params.id
+    });
+
+    res.status(getPricingRuleErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
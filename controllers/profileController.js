@@ -1,6 +1,8 @@
 import User from '../models/User.js';
 import logger from '../config/logger.js';
 import { ProfileService } from '../services/profileService.js';
+import { MessagingService } from '../services/messagingService.js';
+import { EmailVerificationService } from '../services/emailVerificationService.js';
 
 
 export const getProfile = async (req, res) => {
@@ -18,6 +20,7 @@ export const getProfile = async (req, res) => {
           role: user.role,
           authProvider: user.authProvider,
           isEmailVerified: user.isEmailVerified,
+          messaging: MessagingService.formatPreferences(user),
           lastLogin: user.lastLogin,
           createdAt: user.createdAt
         }
@@ -56,12 +59,25 @@ export const updateProfile = async (req, res) => {
       filteredData.phone = filteredData.phoneNumber;
     }
 
+    // A new address has to be verified again
+    const emailChanged = filteredData.email !== undefined &&
+      String(filteredData.email).toLowerCase().trim() !== req.user.email;
+    if (emailChanged) {
+      filteredData.isEmailVerified = false;
+      filteredData.emailVerifiedAt = null;
+      filteredData.emailVerificationSentAt = null;
+    }
+
     const updatedUser = await User.findByIdAndUpdate(
       userId,
       filteredData,
       { new: true, runValidators: true }
     ).select('-password');
 
+    if (emailChanged) {
+      await EmailVerificationService.trySendVerification(updatedUser);
+    }
+
     // ✅ ENHANCED RESPONSE WITH PHONE
     res.json({
       status: 'success',
@@ -89,4 +105,34 @@ export const updateProfile = async (req, res) => {
       message: 'Gagal memperbarui profil'
     });
   }
-};
\ No newline at end of file
+};
+
+// WhatsApp/SMS opt-in; a valid phone number is required before opting in
+export const updateMessagingPreferences = async (req, res) => {
+  try {
+    const { opt_in, channel, phone_number } = req.body;
+
+    const user = await MessagingService.updatePreferences(req.user._id, { opt_in, channel, phone_number });
+
+    res.status(200).json({
+      status: 'success',
+      message: user.messaging.opt_in
+        ? `Notifikasi ${user.messaging.channel === 'sms' ? 'SMS' : 'WhatsApp'} diaktifkan`
+        : 'Notifikasi WhatsApp/SMS dinonaktifkan',
+      data: {
+        messaging: MessagingService.formatPreferences(user)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Update messaging preferences error: ${error.message}`, {
+      user: req.user?._id
+    });
+
+    res.status(error.message.includes('tidak ditemukan') ? 404 : 400).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
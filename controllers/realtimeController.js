@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import { RealtimeService } from '../services/realtimeService.js';
+import logger from '../config/logger.js';
+
+// Long-lived SSE stream; ?fields=<id>,<id>&date=YYYY-MM-DD narrows availability events
+export const streamEvents = async (req, res) => {
+  try {
+    const fieldIds = (req.query.fields || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+
+    if (fieldIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Format ID lapangan tidak valid'
+      });
+    }
+
+    const { date } = req.query;
+    if (date && !moment(date, 'YYYY-MM-DD', true).isValid()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Format tanggal harus YYYY-MM-DD'
+      });
+    }
+
+    RealtimeService.subscribe(req, res, { fieldIds, date: date || null });
+
+  } catch (error) {
+    logger.error(`Realtime stream error: ${error.message}`, {
+      user: req.user?._id
+    });
+
+    if (!res.headersSent) {
+      res.status(500).json({
+        status: 'error',
+        message: 'Gagal membuka koneksi realtime'
+      });
+    }
+  }
+};
+
+export const getRealtimeStats = async (req, res) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      message: 'Statistik koneksi realtime berhasil diambil',
+      data: RealtimeService.getStats()
+    });
+
+  } catch (error) {
+    logger.error(`Get realtime stats error: ${error.message}`, {
+      user: req.user?._id
+    });
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Gagal mengambil statistik realtime'
+    });
+  }
+};
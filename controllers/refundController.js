@@ -0,0 +1,313 @@
+import RefundService from '../services/refundService.js';
+import logger from '../config/logger.js';
+import moment from 'moment-timezone';
+import { REFUND_STATUSES } from '../validators/paymentValidators.js';
+
+const getRefundErrorStatus = (error) => {
+  if (error.message.includes('tidak ditemukan')) return 404;
+  if (error.message.includes('hanya dapat')) return 403;
+  return 400;
+};
+
+const formatRefund = (refund) => ({
+  id: refund._id,
+  booking: refund.booking?.bookingId ? {
+    id: refund.booking._id,
+    bookingId: refund.booking.bookingId,
+    tanggal_booking: moment.utc(refund.booking.tanggal_booking).format('YYYY-MM-DD'),
+    jam_booking: refund.booking.jam_booking,
+    jenis_lapangan: refund.booking.jenis_lapangan
+  } : refund.booking,
+  payment: refund.payment,
+  source: refund.source,
+  customer: refund.user?.name ? {
+    id: refund.user._id,
+    name: refund.user.name,
+    email: refund.user.email,
+    phone: refund.user.phoneNumber
+  } : refund.user,
+  amount: refund.amount,
+  paid_amount: refund.paid_amount,
+  refund_percentage: refund.refund_percentage,
+  policy_rule: refund.policy_rule,
+  reason: refund.reason || null,
+  bank_details: refund.bank_details?.account_number ? refund.bank_details : null,
+  status: refund.status,
+  status_text: refund.status_text,
+  reviewed_at: refund.reviewed_at || null,
+  rejection_reason: refund.rejection_reason || null,
+  transfer_proof: refund.transfer_proof || null,
+  transfer_reference: refund.transfer_reference || null,
+  transferred_at: refund.transferredAtWIB,
+  createdAt: refund.createdAt
+});
+
+// ============= CUSTOMER =============
+// Preview what a cancellation would refund right now
+export const getCancellationQuote = async (req, res) => {
+  try {
+    const booking = await RefundService.getBookingForUser(req.params.id, req.user);
+    const { quote } = await RefundService.getCancellationQuote(booking);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        policy: RefundService.getPolicy(),
+        can_cancel: RefundService.isPaid(booking)
+          ? RefundService.CANCELLABLE_STATUSES.includes(booking.status_pemesanan)
+          : true,
+        refund: quote
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Get cancellation quote error: ${error.message}`, {
+      bookingId: req.params.id,
+      user: req.user?._id
+    });
+
+    res.status(getRefundErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const getMyRefunds = async (req, res) => {
+  try {
+    const refunds = await RefundService.getUserRefunds(req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      results: refunds.length,
+      data: { refunds: refunds.map(formatRefund) }
+    });
+
+  } catch (error) {
+    logger.error(`Get user refunds error: ${error.message}`);
+    res.status(500).json({
+      status: 'error',
+      message: 'Terjadi kesalahan saat mengambil data refund'
+    });
+  }
+};
+
+export const updateRefundBankDetails = async (req, res) => {
+  try {
+    const refund = await RefundService.updateBankDetails(
+      req.params.refundId,
+      req.user,
+      req.body.bank_details || req.body
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Rekening refund berhasil disimpan',
+      data: { refund: formatRefund(refund) }
+    });
+
+  } catch (error) {
+    logger.error(`Update refund bank details error: ${error.message}`, {
+      refundId: req.params.refundId,
+      user: req.user?._id
+    });
+
+    res.status(getRefundErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+export const requestRefund = async (req, res) => {
+  try {
+    const refund = await RefundService.requestRefund(req.params.paymentId, req.user, {
+      amount: req.body.amount,
+      reason: req.body.reason,
+      bookingId: req.body.booking_id,
+      bankDetails: req.body.bank_details
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: `Pengajuan refund Rp ${refund.amount.toLocaleString('id-ID')} berhasil dibuat dan menunggu persetujuan admin`,
+      data: { refund: formatRefund(refund) }
+    });
+
+  } catch (error) {
+    logger.error(`Request refund error: ${error.message}`, {
+      paymentId: req.params.paymentId,
+      user: req.user?._id,
+      body: req.body
+    });
+
+    res.status(getRefundErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+export const getPaymentRefunds = async (req, res) => {
+  try {
+    const { refunds, summary } = await RefundService.getPaymentRefunds(req.params.paymentId, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      results: refunds.length,
+      data: {
+        summary,
+        refunds: refunds.map(formatRefund)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Get payment refunds error: ${error.message}`, {
+      paymentId: req.params.paymentId,
+      user: req.user?._id
+    });
+
+    res.status(getRefundErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// ============= ADMIN =============
+export const approveRefund = async (req, res) => {
+  try {
+    const refund = await RefundService.approveRefund(req.params.refundId, req.user._id, {
+      amount: req.body.amount,
+      notes: req.body.notes
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Refund Rp ${refund.amount.toLocaleString('id-ID')} disetujui dan masuk antrean transfer kasir`,
+      data: { refund: formatRefund(refund) }
+    });
+
+  } catch (error) {
+    logger.error(`Approve refund error: ${error.message}`, {
+      refundId: req.params.refundId,
+      admin: req.user?._id
+    });
+
+    res.status(getRefundErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+export const rejectRefund = async (req, res) => {
+  try {
+    const refund = await RefundService.rejectRefund(req.params.refundId, req.user._id, req.body.reason);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Pengajuan refund ditolak',
+      data: { refund: formatRefund(refund) }
+    });
+
+  } catch (error) {
+    logger.error(`Reject refund error: ${error.message}`, {
+      refundId: req.params.refundId,
+      admin: req.user?._id
+    });
+
+    res.status(getRefundErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+// ============= CASHIER =============
+export const getRefunds = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !REFUND_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Status refund harus salah satu dari: ${REFUND_STATUSES.join(', ')}`
+      });
+    }
+
+    const refunds = await RefundService.getRefunds({ status });
+
+    res.status(200).json({
+      status: 'success',
+      results: refunds.length,
+      data: {
+        total_amount: refunds.reduce((sum, refund) => sum + refund.amount, 0),
+        refunds: refunds.map(formatRefund)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Get refunds error: ${error.message}`, {
+      query: req.query
+    });
+    res.status(500).json({
+      status: 'error',
+      message: 'Terjadi kesalahan saat mengambil data refund'
+    });
+  }
+};
+
+export const getPendingRefunds = async (req, res) => {
+  try {
+    const refunds = await RefundService.getPendingRefunds();
+
+    res.status(200).json({
+      status: 'success',
+      results: refunds.length,
+      data: {
+        total_amount: refunds.reduce((sum, refund) => sum + refund.amount, 0),
+        refunds: refunds.map(formatRefund)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Get pending refunds error: ${error.message}`);
+    res.status(500).json({
+      status: 'error',
+      message: 'Terjadi kesalahan saat mengambil data refund pending'
+    });
+  }
+};
+
+export const markRefundTransferred = async (req, res) => {
+  try {
+    const refund = await RefundService.markTransferred(req.params.refundId, req.user._id, {
+      transferProof: req.file.path,
+      transferReference: req.body.transfer_reference,
+      notes: req.body.notes
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Refund Rp ${refund.amount.toLocaleString('id-ID')} berhasil ditandai sudah ditransfer`,
+      data: { refund: formatRefund(refund) }
+    });
+
+  } catch (error) {
+    logger.error(`Mark refund transferred error: ${error.message}`, {
+      refundId: req.params.refundId,
+      kasir: req.user?._id
+    });
+
+    res.status(getRefundErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
@@ -0,0 +1,177 @@
+import RescheduleService from '../services/rescheduleService.js';
+import CacheService from '../services/cacheService.js';
+import logger from '../config/logger.js';
+import moment from 'moment-timezone';
+
+const getRescheduleErrorStatus = (error) => {
+  if (['SLOT_CONFLICT', 'SLOT_OFFERED', 'FIELD_BLACKOUT'].includes(error.errorCode)) return 409;
+  if (error.message.includes('tidak ditemukan')) return 404;
+  if (error.message.includes('booking sendiri')) return 403;
+  return 400;
+};
+
+const sendRescheduleError = (res, error) => {
+  res.status(getRescheduleErrorStatus(error)).json({
+    status: 'error',
+    message: error.message,
+    ...(error.errorCode && { error_code: error.errorCode }),
+    ...(error.conflictDetails && { details: error.conflictDetails })
+  });
+};
+
+const formatPriceChange = (priceChange, adjustment) => ({
+  harga_lama: priceChange.harga_lama,
+  harga_baru: priceChange.harga_baru,
+  selisih_harga: priceChange.selisih_harga,
+  tagihan_tambahan: adjustment.tagihan,
+  kredit: adjustment.kredit,
+  price_breakdown: priceChange.pricing,
+  ...(priceChange.voucher && { voucher: priceChange.voucher })
+});
+
+const formatHistory = (booking) => (booking.reschedule_history || []).map(entry => ({
+  dari: {
+    tanggal_booking: moment.utc(entry.tanggal_booking).format('YYYY-MM-DD'),
+    jam_booking: entry.jam_booking,
+    durasi: entry.durasi,
+    harga: entry.harga
+  },
+  ke: {
+    tanggal_booking: entry.tanggal_baru ? moment.utc(entry.tanggal_baru).format('YYYY-MM-DD') : null,
+    jam_booking: entry.jam_baru,
+    durasi: entry.durasi_baru,
+    harga: entry.harga_baru
+  },
+  selisih_harga: entry.selisih_harga,
+  alasan: entry.alasan || null,
+  rescheduled_at: entry.rescheduled_at,
+  rescheduled_by: entry.rescheduled_by
+}));
+
+export const getReschedulePolicy = async (req, res) => {
+  try {
+    const booking = await RescheduleService.getBookingForUser(req.params.id, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ...RescheduleService.getPolicySummary(booking, req.user),
+        penyesuaian_harga: booking.penyesuaian_harga,
+        history: formatHistory(booking)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Get reschedule policy error: ${error.message}`, {
+      bookingId: req.params.id,
+      user: req.user?._id
+    });
+    sendRescheduleError(res, error);
+  }
+};
+
+export const previewReschedule = async (req, res) => {
+  try {
+    const { schedule, priceChange, adjustment } = await RescheduleService.previewReschedule(
+      req.params.id,
+      req.user,
+      req.body
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Jadwal baru tersedia',
+      data: {
+        jadwal_baru: {
+          tanggal_booking: schedule.tanggal,
+          jam_booking: schedule.jam,
+          durasi: schedule.durasi
+        },
+        pricing: formatPriceChange(priceChange, adjustment)
+      }
+    });
+
+  } catch (error) {
+    logger.warn(`Reschedule preview failed: ${error.message}`, {
+      bookingId: req.params.id,
+      user: req.user?._id,
+      body: req.body
+    });
+    sendRescheduleError(res, error);
+  }
+};
+
+export const rescheduleBooking = async (req, res) => {
+  try {
+    const { booking, previous, priceChange, balance, refund } = await RescheduleService.rescheduleBooking(
+      req.params.id,
+      req.user,
+      req.body
+    );
+
+    try {
+      await CacheService.invalidateBookingCache(booking.pelanggan, previous.lapangan, previous.tanggal_booking);
+      await CacheService.invalidateBookingCache(booking.pelanggan, booking.lapangan, booking.tanggal_booking);
+    } catch (cacheError) {
+      logger.warn('Cache invalidation failed during reschedule', {
+        error: cacheError.message,
+        bookingId: booking._id
+      });
+    }
+
+    const adjustment = booking.penyesuaian_harga;
+    let message = 'Booking berhasil dijadwal ulang';
+    if (priceChange.selisih_harga > 0) {
+      message += `. Selisih harga Rp ${priceChange.selisih_harga.toLocaleString('id-ID')}`;
+    } else if (priceChange.selisih_harga < 0) {
+      message += `. Harga turun Rp ${Math.abs(priceChange.selisih_harga).toLocaleString('id-ID')}`;
+    }
+    if (refund) {
+      message += `. Refund Rp ${refund.amount.toLocaleString('id-ID')} akan diproses kasir`;
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message,
+      data: {
+        booking: {
+          id: booking._id,
+          bookingId: booking.bookingId,
+          tanggal_booking: moment.utc(booking.tanggal_booking).format('YYYY-MM-DD'),
+          jam_booking: booking.jam_booking,
+          durasi: booking.durasi,
+          harga: booking.harga,
+          status_pemesanan: booking.status_pemesanan,
+          payment_status: booking.payment_status,
+          rescheduled_at: booking.rescheduled_at,
+          reschedule_count: booking.reschedule_count
+        },
+        pricing: formatPriceChange(priceChange, adjustment),
+        ...(balance && {
+          payment: {
+            total: balance.total,
+            paid: balance.paid,
+            outstanding: balance.outstanding,
+            refunded: balance.refunded
+          }
+        }),
+        ...(refund && {
+          refund: {
+            id: refund._id,
+            amount: refund.amount,
+            status: refund.status
+          }
+        }),
+        history: formatHistory(booking)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Reschedule booking error: ${error.message}`, {
+      bookingId: req.params.id,
+      user: req.user?._id,
+      body: req.body
+    });
+    sendRescheduleError(res, error);
+  }
+};
@@ -0,0 +1,184 @@
+import VoucherService from '../services/voucherService.js';
+import BookingService from '../services/bookingService.js';
+import logger from '../config/logger.js';
+import moment from 'moment-timezone';
+
+const getVoucherErrorStatus = (error) => {
+  if (error.message.includes('tidak ditemukan')) return 404;
+  if (error.message.includes('sudah digunakan')) return 409;
+  return 400;
+};
+
+const formatVoucher = (voucher, jumlahDigunakan = undefined) => ({
+  id: voucher._id,
+  kode: voucher.kode,
+  nama: voucher.nama,
+  deskripsi: voucher.deskripsi || null,
+  tipe_diskon: voucher.tipe_diskon,
+  nilai: voucher.nilai,
+  maks_diskon: voucher.maks_diskon || null,
+  diskon_text: voucher.diskon_text,
+  min_transaksi: voucher.min_transaksi,
+  tanggal_mulai: voucher.tanggal_mulai ? moment.utc(voucher.tanggal_mulai).format('YYYY-MM-DD') : null,
+  tanggal_selesai: voucher.tanggal_selesai ? moment.utc(voucher.tanggal_selesai).format('YYYY-MM-DD') : null,
+  jenis_lapangan: voucher.jenis_lapangan,
+  kuota: voucher.kuota || null,
+  limit_per_user: voucher.limit_per_user,
+  hanya_booking_pertama: voucher.hanya_booking_pertama,
+  aktif: voucher.aktif,
+  ...(jumlahDigunakan !== undefined && {
+    jumlah_digunakan: jumlahDigunakan,
+    sisa_kuota: voucher.kuota ? Math.max(0, voucher.kuota - jumlahDigunakan) : null
+  }),
+  createdAt: voucher.createdAt
+});
+
+// ============= ADMIN =============
+export const createVoucher = async (req, res) => {
+  try {
+    const voucher = await VoucherService.createVoucher(req.body, req.user._id);
+
+    res.status(201).json({
+      status: 'success',
+      message: `Voucher ${voucher.kode} berhasil dibuat`,
+      data: { voucher: formatVoucher(voucher, 0) }
+    });
+
+  } catch (error) {
+    logger.error(`Create voucher error: ${error.message}`, {
+      admin: req.user?._id,
+      body: req.body
+    });
+
+    res.status(getVoucherErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const getVouchers = async (req, res) => {
+  try {
+    const vouchers = await VoucherService.getVouchers({
+      aktif: req.query.aktif,
+      search: req.query.search
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: vouchers.length,
+      data: {
+        vouchers: vouchers.map(({ voucher, jumlah_digunakan }) => formatVoucher(voucher, jumlah_digunakan))
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Get vouchers error: ${error.message}`, {
+      query: req.query
+    });
+
+    res.status(getVoucherErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const updateVoucher = async (req, res) => {
+  try {
+    const voucher = await VoucherService.updateVoucher(req.params.id, req.body, req.user._id);
+    const jumlahDigunakan = await VoucherService.countRedemptions(voucher._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Voucher ${voucher.kode} berhasil diperbarui`,
+      data: { voucher: formatVoucher(voucher, jumlahDigunakan) }
+    });
+
+  } catch (error) {
+    logger.error(`Update voucher error: ${error.message}`, {
+      voucherId: req.params.id,
+      body: req.body
+    });
+
+    res.status(getVoucherErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const deleteVoucher = async (req, res) => {
+  try {
+    const { voucher, deactivated } = await VoucherService.deleteVoucher(req.params.id, req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: deactivated
+        ? `Voucher ${voucher.kode} sudah pernah digunakan sehingga dinonaktifkan`
+        : `Voucher ${voucher.kode} berhasil dihapus`
+    });
+
+  } catch (error) {
+    logger.error(`Delete voucher error: ${error.message}`, {
+      voucherId: req.params.id
+    });
+
+    res.status(getVoucherErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// ============= CUSTOMER =============
+// Preview the discount before booking; the same checks run again at POST /bookings
+export const checkVoucher = async (req, res) => {
+  try {
+    const { kode_voucher, lapangan_id, tanggal_booking, jam_booking, durasi } = req.body;
+
+    if (!kode_voucher || !lapangan_id || !tanggal_booking || !jam_booking || !durasi) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Field kode_voucher, lapangan_id, tanggal_booking, jam_booking, dan durasi harus diisi'
+      });
+    }
+
+    const field = await BookingService.validateFieldForBooking(lapangan_id);
+    const pricing = await BookingService.calculateBookingPricing(field, tanggal_booking, jam_booking, durasi);
+    const result = await VoucherService.applyVoucher({
+      kode: kode_voucher,
+      userId: req.user._id,
+      jenisLapangan: field.jenis_lapangan,
+      harga: pricing.total
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Voucher ${result.voucher.kode} dapat digunakan`,
+      data: {
+        voucher: {
+          kode: result.voucher.kode,
+          nama: result.voucher.nama,
+          diskon_text: result.voucher.diskon_text
+        },
+        harga_sebelum_diskon: result.harga_sebelum_diskon,
+        diskon: result.diskon,
+        harga_setelah_diskon: result.harga_setelah_diskon,
+        price_breakdown: pricing
+      }
+    });
+
+  } catch (error) {
+    logger.warn(`Check voucher failed: ${error.message}`, {
+      user: req.user?._id,
+      kode: req.body?.kode_voucher
+    });
+
+    res.status(getVoucherErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
@@ -0,0 +1,160 @@
+import WaitlistService from '../services/waitlistService.js';
+import CacheService from '../services/cacheService.js';
+import logger from '../config/logger.js';
+import moment from 'moment-timezone';
+
+const getWaitlistErrorStatus = (error) => {
+  if (['SLOT_CONFLICT', 'SLOT_OFFERED', 'SLOT_AVAILABLE'].includes(error.errorCode)) return 409;
+  if (error.message.includes('tidak ditemukan')) return 404;
+  if (error.message.includes('akses') || error.message.includes('hanya dapat')) return 403;
+  return 400;
+};
+
+const formatEntry = (entry, position = null) => ({
+  id: entry._id,
+  field: entry.lapangan?.nama ? {
+    id: entry.lapangan._id,
+    name: entry.lapangan.nama,
+    type: entry.lapangan.jenis_lapangan
+  } : entry.lapangan,
+  tanggal_booking: moment.utc(entry.tanggal_booking).format('YYYY-MM-DD'),
+  jam_booking: entry.jam_booking,
+  end_time: moment(entry.jam_booking, 'HH:mm').add(entry.durasi, 'hours').format('HH:mm'),
+  durasi: entry.durasi,
+  status: entry.status,
+  position,
+  offer_expires_at: entry.offer_expires_at || null,
+  booking: entry.booking || null,
+  joined_at: entry.createdAt
+});
+
+export const joinWaitlist = async (req, res) => {
+  try {
+    const { lapangan_id, tanggal_booking, jam_booking, durasi, catatan } = req.body;
+
+    const { entry, field, position } = await WaitlistService.joinWaitlist({
+      userId: req.user._id,
+      lapanganId: lapangan_id,
+      tanggalBooking: tanggal_booking,
+      jamBooking: jam_booking,
+      durasi,
+      catatan
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: `Anda masuk waitlist di urutan ke-${position}. Kami akan menawarkan slot ini jika tersedia.`,
+      data: {
+        waitlist: formatEntry({ ...entry.toObject(), lapangan: field }, position)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Join waitlist error: ${error.message}`, {
+      user: req.user?._id,
+      body: req.body
+    });
+
+    res.status(getWaitlistErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+export const getMyWaitlist = async (req, res) => {
+  try {
+    const entries = await WaitlistService.getUserWaitlist(req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      results: entries.length,
+      data: {
+        waitlist: entries.map(entry => formatEntry(entry, entry.position))
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Get waitlist error: ${error.message}`, {
+      user: req.user?._id
+    });
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Gagal mengambil data waitlist'
+    });
+  }
+};
+
+// ✅ Turn a live offer into a pending booking
+export const claimWaitlistOffer = async (req, res) => {
+  try {
+    const { entry, booking, field } = await WaitlistService.claimOffer(req.params.waitlistId, req.user);
+
+    try {
+      await CacheService.invalidateBookingCache(req.user._id);
+    } catch (cacheError) {
+      logger.warn('Cache invalidation failed after waitlist claim', {
+        error: cacheError.message
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: `Slot berhasil diklaim. Silakan lakukan pembayaran sebelum ${moment(booking.payment_deadline).tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm')} WIB.`,
+      data: {
+        waitlist: formatEntry({ ...entry.toObject(), lapangan: field }),
+        booking: {
+          id: booking._id,
+          bookingId: booking.bookingId,
+          tanggal_booking: moment.utc(booking.tanggal_booking).format('YYYY-MM-DD'),
+          jam_booking: booking.jam_booking,
+          durasi: booking.durasi,
+          harga: booking.harga,
+          status_pemesanan: booking.status_pemesanan,
+          payment_status: booking.payment_status,
+          payment_deadline: booking.payment_deadline
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Claim waitlist offer error: ${error.message}`, {
+      waitlistId: req.params.waitlistId,
+      user: req.user?._id
+    });
+
+    res.status(getWaitlistErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode })
+    });
+  }
+};
+
+// Leave the queue or decline an offer
+export const leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await WaitlistService.leaveWaitlist(req.params.waitlistId, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Berhasil keluar dari waitlist',
+      data: {
+        waitlist: formatEntry(entry)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Leave waitlist error: ${error.message}`, {
+      waitlistId: req.params.waitlistId,
+      user: req.user?._id
+    });
+
+    res.status(getWaitlistErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,134 @@
+import WalkInService from '../services/walkInService.js';
+import { UserService } from '../services/userService.js';
+import CacheService from '../services/cacheService.js';
+import logger from '../config/logger.js';
+import moment from 'moment-timezone';
+
+const getWalkInErrorStatus = (error) => {
+  if (error.message.includes('tidak ditemukan')) return 404;
+  if (['SLOT_CONFLICT', 'SLOT_OFFERED', 'FIELD_BLACKOUT'].includes(error.errorCode)) return 409;
+  if (error.message.includes('sudah dibooking')) return 409;
+  return 400;
+};
+
+const formatCustomer = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.authProvider === 'guest' ? null : user.email,
+  phone: user.phoneNumber || null,
+  is_guest: user.authProvider === 'guest'
+});
+
+// Lookup before booking so the cashier can pick the right account
+export const findWalkInCustomers = async (req, res) => {
+  try {
+    const customers = await UserService.findCustomers({
+      phone: req.query.phone,
+      email: req.query.email
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: customers.length,
+      data: { customers: customers.map(formatCustomer) }
+    });
+
+  } catch (error) {
+    logger.error(`Find walk-in customer error: ${error.message}`, {
+      kasir: req.user?._id,
+      query: req.query
+    });
+
+    res.status(getWalkInErrorStatus(error)).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+export const createWalkInBooking = async (req, res) => {
+  try {
+    const {
+      pelanggan_id,
+      email,
+      nama,
+      phone,
+      lapangan_id,
+      tanggal_booking,
+      jam_booking,
+      durasi,
+      kode_voucher,
+      catatan,
+      payment
+    } = req.body;
+
+    const result = await WalkInService.createWalkInBooking({
+      kasirId: req.user._id,
+      customer: { customerId: pelanggan_id, email, name: nama, phone },
+      lapanganId: lapangan_id,
+      tanggalBooking: tanggal_booking,
+      jamBooking: jam_booking,
+      durasi,
+      kodeVoucher: kode_voucher,
+      catatan,
+      payment
+    });
+    const { booking, customer, payment: paidPayment } = result;
+
+    await CacheService.invalidateBookingCache(customer._id, lapangan_id, tanggal_booking);
+
+    res.status(201).json({
+      status: 'success',
+      message: paidPayment
+        ? `Booking walk-in untuk ${customer.name} berhasil dibuat dan dibayar (${paidPayment.payment_method_text})`
+        : `Booking walk-in untuk ${customer.name} berhasil dibuat. Pembayaran ditunggu sebelum ${moment(booking.payment_deadline).tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm')} WIB`,
+      data: {
+        booking: {
+          id: booking._id,
+          bookingId: booking.bookingId,
+          channel: booking.channel,
+          created_by: req.user.name,
+          lapangan: booking.lapangan,
+          tanggal_booking: moment.utc(booking.tanggal_booking).format('YYYY-MM-DD'),
+          jam_booking: booking.jam_booking,
+          durasi: booking.durasi,
+          harga: booking.harga,
+          price_breakdown: result.pricing,
+          voucher: booking.voucher?.kode ? {
+            kode: booking.voucher.kode,
+            diskon: booking.voucher.diskon
+          } : null,
+          catatan: booking.catatan || null,
+          status_pemesanan: booking.status_pemesanan,
+          payment_status: booking.payment_status
+        },
+        customer: {
+          ...formatCustomer(customer),
+          guest_created: result.guestCreated
+        },
+        payment: paidPayment ? {
+          id: paidPayment._id,
+          receipt_number: paidPayment.receipt_number,
+          payment_type: paidPayment.payment_type,
+          payment_method: paidPayment.payment_method,
+          payment_method_text: paidPayment.payment_method_text,
+          amount: paidPayment.amount,
+          remaining_amount: paidPayment.remaining_amount
+        } : null
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Walk-in booking error: ${error.message}`, {
+      kasir: req.user?._id,
+      body: req.body
+    });
+
+    res.status(getWalkInErrorStatus(error)).json({
+      status: 'error',
+      message: error.message,
+      ...(error.errorCode && { error_code: error.errorCode }),
+      ...(error.conflictDetails && { debug_info: error.conflictDetails })
+    });
+  }
+};
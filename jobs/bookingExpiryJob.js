@@ -0,0 +1,108 @@
+import cron from 'node-cron';
+import BookingService from '../services/bookingService.js';
+import BookingSeriesService from '../services/bookingSeriesService.js';
+import WaitlistService from '../services/waitlistService.js';
+import { PaymentService } from '../services/paymentService.js';
+import { CheckInService } from '../services/checkInService.js';
+import BookingSeries from '../models/BookingSeries.js';
+import logger from '../config/logger.js';
+
+const DEFAULT_SCHEDULE = '* * * * *'; // every minute
+
+let task = null;
+
+// Series lose their total (or become cancelled) once their occurrences expire
+const refreshExpiredSeries = async (expiredBookings) => {
+  const seriesIds = [...new Set(
+    expiredBookings
+      .filter(booking => booking.series)
+      .map(booking => booking.series.toString())
+  )];
+
+  for (const seriesId of seriesIds) {
+    const series = await BookingSeries.findById(seriesId);
+    if (!series || series.status !== 'active') continue;
+
+    await BookingSeriesService.refreshSeriesTotals(series);
+    await series.save();
+  }
+};
+
+// Each step runs even when an earlier one failed; failures are logged and re-thrown together
+const runStep = async (name, step, errors) => {
+  try {
+    return await step();
+  } catch (error) {
+    logger.error(`Booking expiry sweep step failed (${name}):`, {
+      error: error.message,
+      stack: error.stack
+    });
+    errors.push(error);
+    return null;
+  }
+};
+
+export const runBookingExpirySweep = async () => {
+  const errors = [];
+
+  // Lapsed gateway charges put their bookings back on the (expired) hold first
+  await runStep('gateway charges', () => PaymentService.expireStaleGatewayCharges(), errors);
+
+  const expiredBookings = await runStep('expiry', () => BookingService.cleanupExpiredBookings(), errors) || [];
+
+  if (expiredBookings.length > 0) {
+    await runStep('series totals', () => refreshExpiredSeries(expiredBookings), errors);
+    await runStep('waitlist promotion', () => WaitlistService.promoteForBookings(expiredBookings), errors);
+  }
+
+  // Lapsed claim windows pass the slot to the next customer in line
+  await runStep('waitlist offers', () => WaitlistService.expireOffers(), errors);
+
+  // Ended slots are closed out as completed (checked in) or no-show
+  await runStep('no-show settlement', () => CheckInService.settleEndedBookings(), errors);
+
+  if (errors.length > 0) {
+    throw new AggregateError(errors, `Booking expiry sweep failed in ${errors.length} step(s)`);
+  }
+
+  return expiredBookings;
+};
+
+// node-cron has no caller to report to, so scheduled runs only log (each step already did)
+const runScheduledSweep = async () => {
+  try {
+    await runBookingExpirySweep();
+  } catch (error) {
+    logger.error(error.message);
+  }
+};
+
+export const startBookingExpiryJob = () => {
+  if (task) return task;
+
+  const schedule = process.env.BOOKING_EXPIRY_CRON || DEFAULT_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    logger.error(`Invalid BOOKING_EXPIRY_CRON expression: ${schedule}`);
+    return null;
+  }
+
+  task = cron.schedule(schedule, runScheduledSweep, {
+    name: 'booking-expiry',
+    timezone: 'Asia/Jakarta',
+    noOverlap: true
+  });
+
+  logger.info(`Booking expiry job scheduled (${schedule})`);
+
+  return task;
+};
+
+export const stopBookingExpiryJob = () => {
+  if (task) {
+    task.stop();
+    task = null;
+  }
+};
+
+export default startBookingExpiryJob;
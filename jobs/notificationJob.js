@@ -0,0 +1,55 @@
+import cron from 'node-cron';
+import { NotificationService } from '../services/notificationService.js';
+import logger from '../config/logger.js';
+
+const DEFAULT_SCHEDULE = '* * * * *'; // every minute
+
+let task = null;
+
+export const runNotificationSweep = async () => {
+  await NotificationService.sendUpcomingReminders();
+  await NotificationService.sendUpcomingMessageReminders();
+  return await NotificationService.processOutbox();
+};
+
+// node-cron has no caller to report to, so scheduled runs only log
+const runScheduledSweep = async () => {
+  try {
+    await runNotificationSweep();
+  } catch (error) {
+    logger.error('Notification sweep failed:', {
+      error: error.message,
+      stack: error.stack
+    });
+  }
+};
+
+export const startNotificationJob = () => {
+  if (task) return task;
+
+  const schedule = process.env.NOTIFICATION_CRON || DEFAULT_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    logger.error(`Invalid NOTIFICATION_CRON expression: ${schedule}`);
+    return null;
+  }
+
+  task = cron.schedule(schedule, runScheduledSweep, {
+    name: 'notification-outbox',
+    timezone: 'Asia/Jakarta',
+    noOverlap: true
+  });
+
+  logger.info(`Notification job scheduled (${schedule})`);
+
+  return task;
+};
+
+export const stopNotificationJob = () => {
+  if (task) {
+    task.stop();
+    task = null;
+  }
+};
+
+export default startNotificationJob;
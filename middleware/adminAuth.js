@@ -56,4 +56,15 @@ export const adminRouteLimit = rateLimit({
     status: 'error',
     message: 'Too many requests from this IP'
   }
-});
\ No newline at end of file
+});
+
+// Verification emails: per account when logged in, per IP otherwise
+export const emailVerificationLimiter = rateLimit({
+  windowMs: RESET_TIME * 60 * 1000,
+  max: 5,
+  keyGenerator: (req) => req.user?._id?.toString() || req.ip,
+  message: {
+    status: 'error',
+    message: 'Terlalu banyak permintaan verifikasi email. Coba lagi dalam 15 menit.'
+  }
+});
@@ -1,9 +1,11 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import User from '../models/User.js';
 import { 
   isTokenBlacklisted, 
   checkLogoutTimestamp 
 } from '../utils/tokenManager.js';
+import { EmailVerificationService } from '../services/emailVerificationService.js';
 
 export const authenticateToken = async (req, res, next) => {
   try {
@@ -121,6 +123,43 @@ export const requireAdmin = (req, res, next) => {
   next();
 };
 
+// Scheduler calls (Vercel Cron or any external cron) send Authorization: Bearer <CRON_SECRET>
+export const requireCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(503).json({
+      status: 'error',
+      message: 'CRON_SECRET belum dikonfigurasi'
+    });
+  }
+
+  const received = Buffer.from(req.headers.authorization || '');
+  const expected = Buffer.from(`Bearer ${secret}`);
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Akses job ditolak'
+    });
+  }
+
+  next();
+};
+
+// EMAIL_VERIFICATION_REQUIRED_FOR decides which actions ('booking', 'payment') need a verified email
+export const requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    if (EmailVerificationService.isBlocked(req.user, action)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Verifikasi email Anda terlebih dahulu. Cek kotak masuk atau minta tautan verifikasi baru.',
+        code: 'EMAIL_NOT_VERIFIED',
+        action
+      });
+    }
+    next();
+  };
+};
+
 export const optionalAuth = async (req, res, next) => {
   try {
     let token;
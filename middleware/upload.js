@@ -3,7 +3,9 @@ import { v2 as cloudinary } from 'cloudinary';
 import { CloudinaryStorage } from 'multer-storage-cloudinary';
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 import logger from '../config/logger.js';
+import { computeDHash } from '../utils/imageHash.js';
 
 // ✅ Configure Cloudinary
 cloudinary.config({
@@ -107,11 +109,61 @@ const upload = multer({
   }
 });
 
+// ✅ Fingerprint of an uploaded proof for duplicate detection.
+// content_hash (MD5) catches identical files; dhash is computed here from the image itself
+// for every storage type and catches re-saved/cropped screenshots. Cloudinary's own phash is
+// added when its API answers, but detection does not depend on it.
+const getCloudinaryPhash = async (file) => {
+  try {
+    const resource = await cloudinary.api.resource(file.filename, { phash: true });
+    return resource.phash || null;
+  } catch (error) {
+    logger.warn('Cloudinary phash unavailable:', error.message);
+    return null;
+  }
+};
+
+const readUploadedFile = async (file) => {
+  if (file.buffer) return file.buffer;
+  if (/^https?:\/\//.test(file.path)) {
+    const response = await fetch(file.path);
+    if (!response.ok) throw new Error(`Download failed with status ${response.status}`);
+    return Buffer.from(await response.arrayBuffer());
+  }
+  return await fs.promises.readFile(file.path);
+};
+
+export const getProofFingerprint = async (file) => {
+  try {
+    const content = await readUploadedFile(file);
+    const fingerprint = {
+      content_hash: crypto.createHash('md5').update(content).digest('hex')
+    };
+
+    try {
+      const dhash = computeDHash(content, file.mimetype);
+      if (dhash) fingerprint.dhash = dhash;
+    } catch (error) {
+      logger.warn('Transfer proof image hash failed:', error.message);
+    }
+
+    if (isCloudinaryConfigured() && file.path && file.path.includes('cloudinary')) {
+      const phash = await getCloudinaryPhash(file);
+      if (phash) fingerprint.phash = phash;
+    }
+
+    return fingerprint;
+  } catch (error) {
+    logger.warn('Transfer proof fingerprint failed:', error.message);
+    return null;
+  }
+};
+
 // ✅ ENHANCED: uploadPaymentProof with Cloudinary support
 export const uploadPaymentProof = (req, res, next) => {
   console.log('🚀 Starting upload with storage type:', isCloudinaryConfigured() ? 'Cloudinary' : 'Fallback');
   
-  upload.single('transfer_proof')(req, res, (error) => {
+  upload.single('transfer_proof')(req, res, async (error) => {
     if (error) {
       logger.error('Payment proof upload error:', error);
       
@@ -168,6 +220,50 @@ export const uploadPaymentProof = (req, res, next) => {
       logger.info('File stored to disk:', req.file.path);
     }
 
+    req.file.fingerprint = await getProofFingerprint(req.file);
+
+    next();
+  });
+};
+
+// Bank mutation statements are parsed in memory and never stored
+const mutationStatementUpload = multer({
+  storage: memoryStorage,
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['text/csv', 'text/plain', 'application/vnd.ms-excel', 'application/octet-stream'];
+    if (allowedTypes.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.csv') {
+      cb(null, true);
+    } else {
+      cb(new Error(`Tipe file tidak diizinkan: ${file.mimetype}. Gunakan file CSV mutasi rekening`), false);
+    }
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB
+    files: 1
+  }
+});
+
+// File is optional: the statement may also be sent as a "csv" text field
+export const uploadMutationStatement = (req, res, next) => {
+  mutationStatementUpload.single('statement')(req, res, (error) => {
+    if (error) {
+      logger.error('Mutation statement upload error:', error);
+
+      if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          status: 'error',
+          message: 'File mutasi terlalu besar (maksimal 2MB)',
+          error_code: 'FILE_TOO_LARGE'
+        });
+      }
+
+      return res.status(400).json({
+        status: 'error',
+        message: 'Error saat upload file mutasi',
+        error: error.message
+      });
+    }
+
     next();
   });
 };
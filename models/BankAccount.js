@@ -35,6 +35,18 @@ const bankAccountSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // How this account's mutation CSV export is read. Empty fields fall back to
+  // header detection (Tanggal/Keterangan/Kredit/Mutasi + D/K ...).
+  mutation_format: {
+    delimiter: String,
+    date_column: String,
+    date_format: String,
+    description_column: String,
+    amount_column: String,
+    credit_column: String,
+    type_column: String,
+    sender_column: String
+  },
   created_by: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
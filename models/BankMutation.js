@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import { MUTATION_STATUSES } from '../validators/paymentValidators.js';
+
+// Pending payment that could explain this credit line, with its match score
+const matchCandidateSchema = new mongoose.Schema({
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  score: Number,
+  reasons: [String]
+}, { _id: false });
+
+// One credit line from an imported bank mutation statement
+const bankMutationSchema = new mongoose.Schema({
+  bank_account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankAccount',
+    required: true
+  },
+  // Lines from the same upload share a batch id
+  import_batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Same line imported twice (overlapping statements) is skipped
+  line_hash: {
+    type: String,
+    required: true
+  },
+  transaction_date: {
+    type: Date,
+    required: [true, 'Tanggal mutasi harus diisi']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  sender_name: {
+    type: String,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Nominal mutasi harus diisi'],
+    min: [1, 'Nominal mutasi harus lebih dari 0']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: MUTATION_STATUSES,
+      message: 'Status mutasi tidak valid'
+    },
+    default: 'unmatched'
+  },
+  // Best candidate; for 'matched' lines this is the payment approved in one click
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  score: {
+    type: Number,
+    default: 0
+  },
+  candidates: {
+    type: [matchCandidateSchema],
+    default: []
+  },
+  imported_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewed_at: {
+    type: Date
+  },
+  notes: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+bankMutationSchema.virtual('status_text').get(function() {
+  const statusMap = {
+    'matched': 'Cocok',
+    'ambiguous': 'Perlu Dicek',
+    'unmatched': 'Tidak Ditemukan',
+    'approved': 'Disetujui',
+    'ignored': 'Diabaikan'
+  };
+  return statusMap[this.status] || this.status;
+});
+
+bankMutationSchema.virtual('transaction_date_string').get(function() {
+  return moment.utc(this.transaction_date).format('YYYY-MM-DD');
+});
+
+// Indexes
+bankMutationSchema.index({ bank_account: 1, line_hash: 1 }, { unique: true });
+bankMutationSchema.index({ import_batch: 1, status: 1 });
+bankMutationSchema.index({ status: 1, transaction_date: -1 });
+bankMutationSchema.index({ payment: 1 });
+
+export default mongoose.model('BankMutation', bankMutationSchema);
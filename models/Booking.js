@@ -1,14 +1,65 @@
 import mongoose from 'mongoose';
 import moment from 'moment-timezone';
+import FieldBlackout from './FieldBlackout.js';
 import {
   validateBookingDateRange,
   validateBookingTimeFormat,
   validateBookingDurationRange,
   validateFieldTypeForBooking,
   validateBookingPrice,
+  validateBookingWithinOperationalHours,
+  validateBookingDuration,
+  calculatePaymentDeadline,
   BOOKING_STATUSES,
+  BOOKING_CHANNELS,
   DURATION_LIMITS
 } from '../validators/bookingValidators.js';
+import { UNIQUE_CODE_RANGE } from '../validators/paymentValidators.js';
+
+// Per-hour price line from the pricing rules engine
+const priceLineSchema = new mongoose.Schema({
+  jam: String,
+  harga_dasar: Number,
+  harga: Number,
+  penyesuaian: [{
+    _id: false,
+    aturan: { type: mongoose.Schema.Types.ObjectId, ref: 'PricingRule' },
+    nama: String,
+    tipe: String,
+    jumlah: Number
+  }]
+}, { _id: false });
+
+const voucherUsageSchema = new mongoose.Schema({
+  voucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voucher'
+  },
+  kode: String,
+  diskon: Number,
+  harga_sebelum_diskon: Number,
+  // Holds one of the voucher's redemptions until the booking is cancelled, expired or rejected
+  reserved: Boolean
+}, { _id: false });
+
+// Previous schedule kept on every reschedule
+const rescheduleEntrySchema = new mongoose.Schema({
+  tanggal_booking: Date,
+  jam_booking: String,
+  durasi: Number,
+  harga: Number,
+  tanggal_baru: Date,
+  jam_baru: String,
+  durasi_baru: Number,
+  harga_baru: Number,
+  selisih_harga: Number,
+  alasan: String,
+  rescheduled_at: Date,
+  rescheduled_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
 
 const bookingSchema = new mongoose.Schema({
   pelanggan: {
@@ -51,6 +102,15 @@ const bookingSchema = new mongoose.Schema({
       message: 'Harga booking tidak valid'
     }
   },
+  rincian_harga: {
+    type: [priceLineSchema],
+    default: undefined
+  },
+  // Promo code applied at booking time; harga is already discounted
+  voucher: {
+    type: voucherUsageSchema,
+    default: undefined
+  },
   status_pemesanan: {
     type: String,
     enum: {
@@ -63,6 +123,19 @@ const bookingSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
   },
+  // Walk-in bookings are entered by a cashier on behalf of the customer
+  channel: {
+    type: String,
+    enum: {
+      values: BOOKING_CHANNELS,
+      message: 'Channel booking tidak valid'
+    },
+    default: 'online'
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   konfirmasi_at: {
     type: Date
   },
@@ -84,11 +157,41 @@ const bookingSchema = new mongoose.Schema({
     ],
     default: 'no_payment'
   },
+  // Unique transfer suffix (e.g. Rp 150.037) for matching bank mutations
+  kode_unik: {
+    type: Number,
+    min: UNIQUE_CODE_RANGE.MIN,
+    max: UNIQUE_CODE_RANGE.MAX
+  },
+  // Set when the cashier scans the booking QR (or checks the customer in by hand)
+  checked_in_at: {
+    type: Date
+  },
+  checked_in_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  check_in_method: {
+    type: String,
+    enum: ['qr', 'manual']
+  },
+  // Slot ended without a check-in
+  no_show_at: {
+    type: Date
+  },
+  // Assigned the first time the invoice PDF is issued, e.g. INV/2025/07/0012
+  invoice_number: {
+    type: String
+  },
+  invoice_issued_at: {
+    type: Date
+  },
+  // Slot is held until this time; unpaid bookings expire afterwards
   payment_deadline: {
-    type: Date,
-    default: function() {
-      return new Date(Date.now() + 24 * 60 * 60 * 1000);
-    }
+    type: Date
+  },
+  expired_at: {
+    type: Date
   },
   catatan: {
     type: String
@@ -99,6 +202,13 @@ const bookingSchema = new mongoose.Schema({
   cancel_reason: {
     type: String
   },
+  cancelled_at: {
+    type: Date
+  },
+  cancelled_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   rescheduled_at: {
     type: Date
   },
@@ -106,6 +216,15 @@ const bookingSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  reschedule_history: {
+    type: [rescheduleEntrySchema],
+    default: undefined
+  },
+  // Net price difference from reschedules: extra payment due or credit owed to the customer
+  penyesuaian_harga: {
+    tagihan: { type: Number, default: 0 },
+    kredit: { type: Number, default: 0 }
+  },
 
   // ✅ NEW: Admin/Kasir approval fields
   approved_by_admin: {
@@ -128,6 +247,15 @@ const bookingSchema = new mongoose.Schema({
   },
   approved_at: {
     type: Date
+  },
+
+  // Recurring booking series
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries'
+  },
+  series_index: {
+    type: Number
   }
   
 }, {
@@ -162,6 +290,14 @@ bookingSchema.virtual('payment_status_text').get(function() {
   return statusMap[this.payment_status] || this.payment_status;
 });
 
+bookingSchema.virtual('channel_text').get(function() {
+  return this.channel === 'walk_in' ? 'Walk-in (Kasir)' : 'Online';
+});
+
+bookingSchema.virtual('reschedule_count').get(function() {
+  return this.reschedule_history?.length || 0;
+});
+
 // Virtual for controller compatibility
 bookingSchema.virtual('fieldName').get(function() {
   return this.lapangan?.name || this.fieldId?.name;
@@ -171,16 +307,30 @@ bookingSchema.virtual('customerName').get(function() {
   return this.pelanggan?.name || this.userId?.name;
 });
 
+// Start the payment hold for new unpaid bookings
+bookingSchema.pre('validate', function(next) {
+  if (this.isNew && !this.payment_deadline && this.payment_status === 'no_payment') {
+    this.payment_deadline = calculatePaymentDeadline(this.jenis_lapangan, this.tanggal_booking, this.jam_booking);
+  }
+  next();
+});
+
 // Pre-save validations
 bookingSchema.pre('save', validateBookingDateRange);
 bookingSchema.pre('save', validateBookingTimeFormat);
 bookingSchema.pre('save', validateBookingDurationRange);
 
+const createOperatingHoursError = (message) => {
+  const error = new Error(message);
+  error.errorCode = 'OUTSIDE_OPERATING_HOURS';
+  return error;
+};
+
 // Middleware untuk mengecek ketersediaan lapangan
 bookingSchema.pre('save', async function(next) {
   try {
     // Skip validation for updates that don't change booking details
-    if (!this.isNew && !this.isModified('tanggal_booking') && !this.isModified('jam_booking') && !this.isModified('lapangan')) {
+    if (!this.isNew && !this.isModified('tanggal_booking') && !this.isModified('jam_booking') && !this.isModified('durasi') && !this.isModified('lapangan')) {
       return next();
     }
 
@@ -199,29 +349,32 @@ bookingSchema.pre('save', async function(next) {
 
     // Parse booking time and operational hours
     const bookingTime = this.jam_booking;
-    const bookingHour = parseInt(bookingTime.split(':')[0]);
     const bookingDuration = this.durasi;
-    
-    // Handle different field hour formats
-    const closeHour = field.jam_tutup ? 
-      parseInt(field.jam_tutup.split(':')[0]) : 
-      parseInt(field.operatingHours?.close?.split(':')[0] || '22');
-      
-    const openHour = field.jam_buka ? 
-      parseInt(field.jam_buka.split(':')[0]) : 
-      parseInt(field.operatingHours?.open?.split(':')[0] || '08');
+
+    // Hours for the booking date: holiday override > weekly schedule > jam_buka/jam_tutup
+    const hours = await mongoose.model('Field').getOperatingHours(field, this.tanggal_booking);
+
+    if (hours.closed) {
+      const dateLabel = moment.utc(this.tanggal_booking).format('DD/MM/YYYY');
+      throw createOperatingHoursError(`Lapangan tutup pada ${hours.hari}, ${dateLabel}${hours.holiday ? ` (${hours.holiday})` : ''}`);
+    }
 
     // Check if booking time is within operational hours
-    if (bookingHour >= closeHour || bookingHour < openHour) {
-      const openTime = field.jam_buka || field.operatingHours?.open || '08:00';
-      const closeTime = field.jam_tutup || field.operatingHours?.close || '22:00';
-      throw new Error(`Jam booking harus antara ${openTime} - ${closeTime}`);
+    if (!validateBookingWithinOperationalHours(bookingTime, hours.jam_buka, hours.jam_tutup)) {
+      throw createOperatingHoursError(`Jam booking harus antara ${hours.jam_buka} - ${hours.jam_tutup}`);
     }
 
     // Check if booking duration exceeds closing time
-    if (bookingHour + bookingDuration > closeHour) {
-      const closeTime = field.jam_tutup || field.operatingHours?.close || '22:00';
-      throw new Error(`Durasi melebihi jam tutup lapangan (${closeTime})`);
+    if (!validateBookingDuration(bookingTime, bookingDuration, hours.jam_tutup)) {
+      throw createOperatingHoursError(`Durasi melebihi jam tutup lapangan (${hours.jam_tutup})`);
+    }
+
+    // Check maintenance / event blackouts
+    const blackout = await FieldBlackout.findOverlapping(fieldId, this.tanggal_booking, bookingTime, bookingDuration);
+    if (blackout) {
+      const error = new Error(`Lapangan ditutup pada ${moment.utc(this.tanggal_booking).format('DD/MM/YYYY')} (${blackout.waktu_text}): ${blackout.alasan}`);
+      error.errorCode = 'FIELD_BLACKOUT';
+      throw error;
     }
 
     // Simplified slot availability check
@@ -278,6 +431,58 @@ bookingSchema.pre('save', async function(next) {
   }
 });
 
+// Release slot locks once a booking stops occupying its slot
+const releaseSlotLocks = async (bookingId) => {
+  try {
+    await mongoose.model('SlotLock').deleteMany({ booking: bookingId });
+  } catch (error) {
+    console.error('Error releasing slot locks:', error);
+  }
+};
+
+// Give the voucher redemption back exactly once: the reserved flag is cleared atomically
+// first, so concurrent cancel/expire paths cannot both release it
+const releaseVoucher = async (doc, { deleted = false } = {}) => {
+  if (!doc.voucher?.reserved) return false;
+
+  try {
+    if (!deleted) {
+      const result = await mongoose.model('Booking').updateOne(
+        { _id: doc._id, 'voucher.reserved': true },
+        { $set: { 'voucher.reserved': false } }
+      );
+      if (result.modifiedCount === 0) return false;
+    }
+
+    await mongoose.model('Voucher').releaseRedemption(doc.voucher.voucher, doc.pelanggan?._id || doc.pelanggan);
+    return true;
+  } catch (error) {
+    console.error('Error releasing voucher redemption:', error);
+    return false;
+  }
+};
+
+// For paths that change the status with updateOne/updateMany and so skip the hooks below
+bookingSchema.statics.releaseVoucher = function(booking) {
+  return releaseVoucher(booking);
+};
+
+bookingSchema.post('save', async function(doc) {
+  if (!['pending', 'confirmed'].includes(doc.status_pemesanan)) {
+    await releaseSlotLocks(doc._id);
+  }
+  if (['cancelled', 'expired', 'rejected'].includes(doc.status_pemesanan)) {
+    await releaseVoucher(doc);
+  }
+});
+
+bookingSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) {
+    await releaseSlotLocks(doc._id);
+    await releaseVoucher(doc, { deleted: true });
+  }
+});
+
 // Indexes untuk performance
 bookingSchema.index({ lapangan: 1, tanggal_booking: 1 });
 bookingSchema.index({ fieldId: 1, date: 1 });
@@ -287,6 +492,13 @@ bookingSchema.index({ status_pemesanan: 1 });
 bookingSchema.index({ status: 1 });
 bookingSchema.index({ bookingId: 1 });
 bookingSchema.index({ payment_status: 1, createdAt: 1 });
+bookingSchema.index({ series: 1, tanggal_booking: 1 });
+bookingSchema.index({ status_pemesanan: 1, payment_status: 1, payment_deadline: 1 });
+bookingSchema.index({ 'voucher.voucher': 1, pelanggan: 1 });
+bookingSchema.index({ channel: 1, createdAt: 1 });
+bookingSchema.index({ kode_unik: 1, payment_status: 1 });
+bookingSchema.index({ invoice_number: 1 }, { unique: true, sparse: true });
+bookingSchema.index({ status_pemesanan: 1, tanggal_booking: 1 });
 
 // Static methods with better conflict detection
 bookingSchema.statics.checkAvailability = async function(fieldId, date, time, duration = 1) {
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import {
+  validateBookingTime,
+  validateSeriesFrequency,
+  validateFieldTypeForBooking,
+  DURATION_LIMITS,
+  SERIES_LIMITS
+} from '../validators/bookingValidators.js';
+
+const bookingSeriesSchema = new mongoose.Schema({
+  pelanggan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Pelanggan harus diisi']
+  },
+  lapangan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Field',
+    required: [true, 'Lapangan harus diisi']
+  },
+  jenis_lapangan: {
+    type: String,
+    required: [true, 'Jenis lapangan harus diisi'],
+    validate: {
+      validator: validateFieldTypeForBooking,
+      message: 'Jenis lapangan tidak valid'
+    }
+  },
+  jam_booking: {
+    type: String,
+    required: [true, 'Jam booking harus diisi'],
+    validate: {
+      validator: validateBookingTime,
+      message: 'Format jam booking tidak valid. Gunakan format HH:MM'
+    }
+  },
+  durasi: {
+    type: Number,
+    required: [true, 'Durasi harus diisi'],
+    min: [DURATION_LIMITS.MIN, `Durasi minimal ${DURATION_LIMITS.MIN} jam`],
+    max: [DURATION_LIMITS.MAX, `Durasi maksimal ${DURATION_LIMITS.MAX} jam`]
+  },
+  frequency: {
+    type: String,
+    required: [true, 'Frekuensi harus diisi'],
+    validate: {
+      validator: validateSeriesFrequency,
+      message: 'Frekuensi harus weekly atau biweekly'
+    }
+  },
+  tanggal_mulai: {
+    type: Date,
+    required: [true, 'Tanggal mulai harus diisi']
+  },
+  tanggal_selesai: {
+    type: Date
+  },
+  jumlah_pertemuan: {
+    type: Number,
+    min: [SERIES_LIMITS.MIN_OCCURRENCES, `Minimal ${SERIES_LIMITS.MIN_OCCURRENCES} pertemuan`],
+    max: [SERIES_LIMITS.MAX_OCCURRENCES, `Maksimal ${SERIES_LIMITS.MAX_OCCURRENCES} pertemuan`]
+  },
+  total_harga: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['active', 'cancelled', 'completed'],
+      message: 'Status series tidak valid'
+    },
+    default: 'active'
+  },
+  payment_status: {
+    type: String,
+    enum: ['no_payment', 'pending_verification', 'fully_paid'],
+    default: 'no_payment'
+  },
+  skipped_dates: [{
+    tanggal: { type: Date },
+    reason: { type: String }
+  }],
+  catatan: {
+    type: String
+  },
+  cancel_reason: {
+    type: String
+  },
+  cancelled_at: {
+    type: Date
+  },
+  cancelled_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual fields untuk format Indonesia
+bookingSeriesSchema.virtual('createdAtWIB').get(function() {
+  return moment(this.createdAt).tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm:ss');
+});
+
+bookingSeriesSchema.virtual('frequency_text').get(function() {
+  return this.frequency === 'biweekly' ? 'Dua minggu sekali' : 'Setiap minggu';
+});
+
+// Either an end date or an occurrence count is required
+bookingSeriesSchema.pre('validate', function(next) {
+  if (!this.tanggal_selesai && !this.jumlah_pertemuan) {
+    return next(new Error('Tanggal selesai atau jumlah pertemuan harus diisi'));
+  }
+  next();
+});
+
+// Indexes
+bookingSeriesSchema.index({ pelanggan: 1, createdAt: -1 });
+bookingSeriesSchema.index({ lapangan: 1, status: 1 });
+
+export default mongoose.model('BookingSeries', bookingSeriesSchema);
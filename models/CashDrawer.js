@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+
+// End-of-day count of one cashier's drawer, compared against recorded on-site payments
+const cashDrawerSchema = new mongoose.Schema({
+  cashier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // WIB business day, stored at UTC midnight like tanggal_booking
+  date: {
+    type: Date,
+    required: [true, 'Tanggal harus diisi']
+  },
+  opening_float: {
+    type: Number,
+    default: 0,
+    min: [0, 'Modal awal tidak boleh negatif']
+  },
+  // Totals recorded by the system for this cashier and day
+  totals: {
+    cash: { type: Number, default: 0 },
+    qris: { type: Number, default: 0 },
+    edc: { type: Number, default: 0 }
+  },
+  transaction_count: {
+    type: Number,
+    default: 0
+  },
+  expected_cash: {
+    type: Number,
+    required: true
+  },
+  counted_cash: {
+    type: Number,
+    required: [true, 'Jumlah uang yang dihitung harus diisi'],
+    min: [0, 'Jumlah uang tidak boleh negatif']
+  },
+  difference: {
+    type: Number,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  closed_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+cashDrawerSchema.virtual('status').get(function() {
+  if (this.difference === 0) return 'balanced';
+  return this.difference < 0 ? 'short' : 'over';
+});
+
+cashDrawerSchema.virtual('status_text').get(function() {
+  const statusMap = {
+    'balanced': 'Sesuai',
+    'short': 'Kurang',
+    'over': 'Lebih'
+  };
+  return statusMap[this.status];
+});
+
+cashDrawerSchema.virtual('date_string').get(function() {
+  return moment.utc(this.date).format('YYYY-MM-DD');
+});
+
+// Indexes
+cashDrawerSchema.index({ cashier: 1, date: 1 }, { unique: true });
+cashDrawerSchema.index({ date: 1 });
+
+export default mongoose.model('CashDrawer', cashDrawerSchema);
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// Running number per document series, e.g. key "INV-202507" for July 2025 invoices
+const documentCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Atomic, so two invoices issued at the same moment never share a number
+documentCounterSchema.statics.next = async function(key) {
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  return counter.seq;
+};
+
+export default mongoose.model('DocumentCounter', documentCounterSchema);
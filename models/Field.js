@@ -1,14 +1,37 @@
 import mongoose from 'mongoose';
 import moment from 'moment-timezone';
+import Holiday from './Holiday.js';
 import {
   validateTimeFormat,
   validateImageUrl,
   validateFieldTimeOrder,
   validateFieldOperatingHours,
+  validateWeeklySchedule,
+  resolveOperatingHours,
   FIELD_TYPES,
   PRICE_LIMITS
 } from '../validators/fieldValidators.js';
 
+// One entry per weekday that differs from jam_buka/jam_tutup
+const daySchedule = new mongoose.Schema({
+  hari: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  tutup: {
+    type: Boolean,
+    default: false
+  },
+  jam_buka: {
+    type: String
+  },
+  jam_tutup: {
+    type: String
+  }
+}, { _id: false });
+
 const fieldSchema = new mongoose.Schema({
   nama: {
     type: String,
@@ -47,6 +70,15 @@ const fieldSchema = new mongoose.Schema({
     min: [PRICE_LIMITS.MIN, `Harga minimal Rp ${PRICE_LIMITS.MIN.toLocaleString('id-ID')}`],
     max: [PRICE_LIMITS.MAX, `Harga maksimal Rp ${PRICE_LIMITS.MAX.toLocaleString('id-ID')}`]
   },
+  // Optional per-weekday overrides; days not listed use jam_buka/jam_tutup
+  jadwal_mingguan: {
+    type: [daySchedule],
+    default: [],
+    validate: {
+      validator: validateWeeklySchedule,
+      message: 'Jadwal mingguan tidak valid. Setiap hari (0-6) hanya sekali, dengan jam operasional minimal 1 jam atau tutup'
+    }
+  },
   status: {
     type: String,
     enum: {
@@ -91,6 +123,12 @@ fieldSchema.virtual('jamOperasional').get(function() {
   return `${this.jam_buka} - ${this.jam_tutup}`;
 });
 
+// ✅ Effective hours on a date (works with lean documents too)
+fieldSchema.statics.getOperatingHours = async function(field, tanggal) {
+  const holiday = await Holiday.findForFieldDate(field._id, tanggal);
+  return resolveOperatingHours(field, tanggal, holiday);
+};
+
 // Index untuk performance
 fieldSchema.index({ jenis_lapangan: 1 });
 fieldSchema.index({ status: 1 });
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import {
+  validateTimeFormat,
+  validateBlackoutType,
+  validateBlackoutRange,
+  timeToMinutes,
+  BLACKOUT_TYPES
+} from '../validators/fieldValidators.js';
+
+const fieldBlackoutSchema = new mongoose.Schema({
+  lapangan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Field',
+    required: [true, 'Lapangan harus diisi']
+  },
+  jenis: {
+    type: String,
+    default: 'maintenance',
+    validate: {
+      validator: validateBlackoutType,
+      message: `Jenis penutupan harus salah satu dari: ${BLACKOUT_TYPES.join(', ')}`
+    }
+  },
+  alasan: {
+    type: String,
+    required: [true, 'Alasan penutupan harus diisi'],
+    trim: true
+  },
+  tanggal_mulai: {
+    type: Date,
+    required: [true, 'Tanggal mulai harus diisi']
+  },
+  tanggal_selesai: {
+    type: Date,
+    required: [true, 'Tanggal selesai harus diisi']
+  },
+  // Optional daily time window; empty means the whole day is closed
+  jam_mulai: {
+    type: String,
+    validate: {
+      validator: (time) => !time || validateTimeFormat(time),
+      message: 'Format jam mulai tidak valid. Gunakan format HH:MM'
+    }
+  },
+  jam_selesai: {
+    type: String,
+    validate: {
+      validator: (time) => !time || validateTimeFormat(time),
+      message: 'Format jam selesai tidak valid. Gunakan format HH:MM'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+fieldBlackoutSchema.pre('validate', validateBlackoutRange);
+
+// Virtual fields untuk format Indonesia
+fieldBlackoutSchema.virtual('createdAtWIB').get(function() {
+  return moment(this.createdAt).tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm:ss');
+});
+
+fieldBlackoutSchema.virtual('waktu_text').get(function() {
+  return this.jam_mulai ? `${this.jam_mulai} - ${this.jam_selesai}` : 'Sepanjang hari';
+});
+
+// Does this blackout's daily window overlap a booking time range?
+fieldBlackoutSchema.methods.overlapsTime = function(jamBooking, durasi) {
+  if (!this.jam_mulai) return true;
+
+  const bookingStart = timeToMinutes(jamBooking);
+  const bookingEnd = bookingStart + parseInt(durasi) * 60;
+
+  return bookingStart < timeToMinutes(this.jam_selesai) && bookingEnd > timeToMinutes(this.jam_mulai);
+};
+
+fieldBlackoutSchema.statics.findForDate = function(fieldId, tanggal) {
+  const date = new Date(moment.utc(tanggal).format('YYYY-MM-DD'));
+
+  return this.find({
+    lapangan: fieldId,
+    tanggal_mulai: { $lte: date },
+    tanggal_selesai: { $gte: date }
+  }).sort({ jam_mulai: 1 });
+};
+
+fieldBlackoutSchema.statics.findOverlapping = async function(fieldId, tanggal, jamBooking, durasi) {
+  const blackouts = await this.findForDate(fieldId, tanggal);
+  return blackouts.find(blackout => blackout.overlapsTime(jamBooking, durasi)) || null;
+};
+
+// Indexes
+fieldBlackoutSchema.index({ lapangan: 1, tanggal_mulai: 1, tanggal_selesai: 1 });
+
+export default mongoose.model('FieldBlackout', fieldBlackoutSchema);
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import {
+  validateTimeFormat,
+  validateOpeningWindow
+} from '../validators/fieldValidators.js';
+
+// Holiday calendar entry. Without `lapangan` it applies to every field;
+// a field-specific entry on the same date takes precedence.
+const holidaySchema = new mongoose.Schema({
+  tanggal: {
+    type: Date,
+    required: [true, 'Tanggal libur harus diisi']
+  },
+  nama: {
+    type: String,
+    required: [true, 'Nama hari libur harus diisi'],
+    trim: true
+  },
+  lapangan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Field',
+    default: null
+  },
+  tutup: {
+    type: Boolean,
+    default: true
+  },
+  jam_buka: {
+    type: String,
+    validate: {
+      validator: (time) => !time || validateTimeFormat(time),
+      message: 'Format jam buka tidak valid. Gunakan format HH:MM'
+    }
+  },
+  jam_tutup: {
+    type: String,
+    validate: {
+      validator: (time) => !time || validateTimeFormat(time),
+      message: 'Format jam tutup tidak valid. Gunakan format HH:MM'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Open holidays need their special hours
+holidaySchema.pre('validate', function(next) {
+  if (!this.tutup && !validateOpeningWindow(this.jam_buka, this.jam_tutup)) {
+    return next(new Error('Jam buka dan jam tutup hari libur harus diisi dengan selisih minimal 1 jam'));
+  }
+  if (this.tutup) {
+    this.jam_buka = undefined;
+    this.jam_tutup = undefined;
+  }
+  next();
+});
+
+holidaySchema.virtual('tanggalWIB').get(function() {
+  return moment.utc(this.tanggal).format('DD/MM/YYYY');
+});
+
+holidaySchema.virtual('jam_text').get(function() {
+  return this.tutup ? 'Tutup' : `${this.jam_buka} - ${this.jam_tutup}`;
+});
+
+holidaySchema.statics.findForFieldDate = async function(fieldId, tanggal) {
+  const date = new Date(moment.utc(tanggal).format('YYYY-MM-DD'));
+
+  const holidays = await this.find({
+    tanggal: date,
+    $or: [{ lapangan: fieldId }, { lapangan: null }]
+  }).lean();
+
+  return holidays.find(holiday => holiday.lapangan) || holidays[0] || null;
+};
+
+// Indexes
+holidaySchema.index({ tanggal: 1, lapangan: 1 }, { unique: true });
+
+export default mongoose.model('Holiday', holidaySchema);
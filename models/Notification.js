@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { INBOX_TYPES, INBOX_RETENTION_DAYS } from '../validators/notificationValidators.js';
+
+// In-app inbox entry, one document per recipient so each user keeps their own read state
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Penerima notifikasi harus diisi']
+  },
+  type: {
+    type: String,
+    enum: INBOX_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Judul notifikasi harus diisi'],
+    trim: true
+  },
+  message: {
+    type: String,
+    required: [true, 'Isi notifikasi harus diisi'],
+    trim: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Client path the notification opens, e.g. /bookings/<id>
+  link: {
+    type: String
+  },
+  read_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtuals
+notificationSchema.virtual('is_read').get(function() {
+  return !!this.read_at;
+});
+
+// Indexes
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, read_at: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: INBOX_RETENTION_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+import {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_CHANNELS,
+  OUTBOX_STATUSES,
+  OUTBOX_MAX_ATTEMPTS,
+  DELIVERY_STATUSES
+} from '../validators/notificationValidators.js';
+
+// Rendered message waiting to be delivered; the request that triggered it never
+// talks to the mail server, the notification job does
+const notificationOutboxSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: NOTIFICATION_EVENTS,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: NOTIFICATION_CHANNELS,
+    default: 'email'
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Email address, or 62... phone number for WhatsApp/SMS
+  to: {
+    type: String,
+    required: [true, 'Alamat tujuan harus diisi'],
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: function() {
+      return this.channel === 'email';
+    }
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String
+  },
+  // Ordered body parameters for pre-approved WhatsApp templates
+  params: [{
+    type: String
+  }],
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Same key is only ever queued once (e.g. one reminder per booking)
+  dedupe_key: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: OUTBOX_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  max_attempts: {
+    type: Number,
+    default: OUTBOX_MAX_ATTEMPTS
+  },
+  next_attempt_at: {
+    type: Date,
+    default: Date.now
+  },
+  locked_at: {
+    type: Date
+  },
+  last_error: {
+    type: String
+  },
+  sent_at: {
+    type: Date
+  },
+  provider: {
+    type: String
+  },
+  provider_message_id: {
+    type: String
+  },
+  delivery_status: {
+    type: String,
+    enum: DELIVERY_STATUSES
+  },
+  delivered_at: {
+    type: Date
+  },
+  read_at: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+notificationOutboxSchema.index({ status: 1, next_attempt_at: 1 });
+notificationOutboxSchema.index({ dedupe_key: 1 }, { unique: true, sparse: true });
+notificationOutboxSchema.index({ recipient: 1, createdAt: -1 });
+notificationOutboxSchema.index({ booking: 1 });
+notificationOutboxSchema.index({ provider: 1, provider_message_id: 1 });
+
+export default mongoose.model('NotificationOutbox', notificationOutboxSchema);
@@ -5,9 +5,51 @@ import {
   validateTransferAmountField,
   validateTransferDateField,
   validateSenderNameField,
-  PAYMENT_TYPES
+  isTransferPayment,
+  validateOnsitePaymentMethod,
+  generateReceiptNumber,
+  PAYMENT_TYPES,
+  PAYMENT_METHODS,
+  PAYMENT_RISK_CODES,
+  PAYMENT_RISK_SEVERITIES
 } from '../validators/paymentValidators.js';
 
+// Transfer proof and sender details only apply to bank transfers
+const requiredForTransfer = function() {
+  return isTransferPayment(this);
+};
+
+// Webhook notifications already applied, keyed per transaction and status
+const gatewayEventSchema = new mongoose.Schema({
+  key: String,
+  status: String,
+  received_at: Date
+}, { _id: false });
+
+const gatewayChargeSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  order_id: {
+    type: String,
+    required: true
+  },
+  transaction_id: String,
+  channel: String,
+  va_number: String,
+  bank: String,
+  qr_string: String,
+  payment_url: String,
+  expires_at: Date,
+  status: String,
+  paid_at: Date,
+  events: {
+    type: [gatewayEventSchema],
+    default: []
+  }
+}, { _id: false });
+
 const paymentSchema = new mongoose.Schema({
   booking: {
     type: mongoose.Schema.Types.ObjectId,
@@ -19,6 +61,11 @@ const paymentSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set when one transfer covers every occurrence of a recurring booking
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries'
+  },
   payment_type: {
     type: String,
     enum: {
@@ -27,10 +74,11 @@ const paymentSchema = new mongoose.Schema({
     },
     required: [true, 'Tipe pembayaran harus diisi']
   },
+  // Minimum per type is checked by validatePaymentAmountForType (a pelunasan can be small)
   amount: {
     type: Number,
     required: [true, 'Jumlah pembayaran harus diisi'],
-    min: [50000, 'Minimal pembayaran Rp 50.000'] // Updated minimum
+    min: [1, 'Jumlah pembayaran harus lebih dari 0']
   },
   total_booking_amount: {
     type: Number,
@@ -43,11 +91,44 @@ const paymentSchema = new mongoose.Schema({
   payment_method: {
     type: String,
     enum: {
-      values: ['bank_transfer_bsi'],
+      values: PAYMENT_METHODS,
       message: 'Metode pembayaran tidak valid'
     },
     default: 'bank_transfer_bsi'
   },
+  // Booking's kode_unik at upload time; the transfer is amount + unique_code
+  unique_code: {
+    type: Number,
+    default: 0
+  },
+  // Pelunasan: the verified DP payment whose remaining amount this settles
+  settles_payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Cashier who took the money at the venue
+  received_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  received_at: {
+    type: Date
+  },
+  // Printed receipt for on-site payments (generated when empty)
+  receipt_number: {
+    type: String,
+    trim: true
+  },
+  // QRIS transaction ID or EDC approval code
+  method_reference: {
+    type: String,
+    trim: true
+  },
+  // Charge at the payment gateway; status follows its webhook notifications
+  gateway: {
+    type: gatewayChargeSchema,
+    default: undefined
+  },
   bank_details: {
     bank_name: {
       type: String,
@@ -64,26 +145,26 @@ const paymentSchema = new mongoose.Schema({
   },
   transfer_proof: {
     type: String, // Cloudinary URL
-    required: [true, 'Bukti transfer harus diupload']
+    required: [requiredForTransfer, 'Bukti transfer harus diupload']
   },
   transfer_details: {
     sender_name: {
       type: String,
-      required: true,
+      required: requiredForTransfer,
       trim: true
     },
     transfer_amount: {
       type: Number,
-      required: true,
+      required: requiredForTransfer,
       min: 0
     },
     transfer_date: {
       type: Date,  // ← Store as Date object
-      required: true
+      required: requiredForTransfer
     },
     transfer_date_string: {
       type: String,  // ← Store original string "2025-07-06"
-      required: true,
+      required: requiredForTransfer,
       match: /^\d{4}-\d{2}-\d{2}$/  // ← Validate YYYY-MM-DD format
     },
     transfer_reference: {
@@ -121,7 +202,30 @@ const paymentSchema = new mongoose.Schema({
   },
   notes: {
     type: String
-  }
+  },
+  // content_hash: MD5 of the uploaded file; dhash: perceptual hash computed on upload;
+  // phash: Cloudinary perceptual hash (when configured)
+  proof_fingerprint: {
+    content_hash: String,
+    dhash: String,
+    phash: String
+  },
+  risk_flags: [{
+    _id: false,
+    code: {
+      type: String,
+      enum: PAYMENT_RISK_CODES
+    },
+    severity: {
+      type: String,
+      enum: PAYMENT_RISK_SEVERITIES
+    },
+    reason: String,
+    related_payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    }
+  }]
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -138,7 +242,23 @@ paymentSchema.virtual('verifiedAtWIB').get(function() {
 });
 
 paymentSchema.virtual('payment_type_text').get(function() {
-  return this.payment_type === 'full_payment' ? 'Pembayaran Penuh' : 'Pembayaran DP';
+  const typeMap = {
+    'full_payment': 'Pembayaran Penuh',
+    'dp_payment': 'Pembayaran DP',
+    'pelunasan': 'Pelunasan'
+  };
+  return typeMap[this.payment_type];
+});
+
+paymentSchema.virtual('payment_method_text').get(function() {
+  const methodMap = {
+    'bank_transfer_bsi': 'Transfer Bank',
+    'cash': 'Tunai',
+    'qris': 'QRIS',
+    'edc': 'Kartu Debit/Kredit (EDC)',
+    'payment_gateway': 'Pembayaran Online'
+  };
+  return methodMap[this.payment_method];
 });
 
 paymentSchema.virtual('status_text').get(function() {
@@ -150,9 +270,18 @@ paymentSchema.virtual('status_text').get(function() {
   return statusMap[this.status];
 });
 
+paymentSchema.virtual('risk_level').get(function() {
+  if (!this.risk_flags?.length) return 'none';
+  return this.risk_flags.some(flag => flag.severity === 'high') ? 'high' : 'medium';
+});
+
+paymentSchema.virtual('risk_reason').get(function() {
+  if (!this.risk_flags?.length) return null;
+  return this.risk_flags.map(flag => flag.reason).join('; ');
+});
 
 paymentSchema.virtual('transfer_details.transfer_date_display').get(function() {
-  if (this.transfer_details.transfer_date_string) {
+  if (this.transfer_details?.transfer_date_string) {
     const date = new Date(this.transfer_details.transfer_date_string + 'T00:00:00.000Z');
     return date.toLocaleDateString('id-ID', {
       weekday: 'long',
@@ -170,6 +299,13 @@ paymentSchema.pre('save', validateTransferAmountField);
 paymentSchema.pre('save', validateTransferDateField);
 paymentSchema.pre('save', validateSenderNameField);
 
+paymentSchema.pre('validate', function(next) {
+  if (validateOnsitePaymentMethod(this.payment_method) && !this.receipt_number) {
+    this.receipt_number = generateReceiptNumber(this.received_at || new Date());
+  }
+  next();
+});
+
 // ============= BUSINESS LOGIC MIDDLEWARE =============
 paymentSchema.pre('save', function(next) {
   // Calculate remaining amount
@@ -187,5 +323,12 @@ paymentSchema.index({ user: 1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ payment_type: 1 });
 paymentSchema.index({ verified_by: 1 });
+paymentSchema.index({ series: 1 });
+paymentSchema.index({ settles_payment: 1 });
+paymentSchema.index({ receipt_number: 1 }, { unique: true, sparse: true });
+paymentSchema.index({ received_by: 1, received_at: 1 });
+paymentSchema.index({ 'gateway.order_id': 1 }, { unique: true, sparse: true });
+paymentSchema.index({ 'proof_fingerprint.content_hash': 1 }, { sparse: true });
+paymentSchema.index({ 'transfer_details.transfer_reference': 1 }, { sparse: true });
 
 export default mongoose.model('Payment', paymentSchema);
\ No newline at end of file
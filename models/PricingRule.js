@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+import {
+  validateTimeFormat,
+  validatePricingRuleType,
+  validatePricingAdjustment,
+  validatePricingRule,
+  timeToMinutes,
+  FIELD_TYPES,
+  PRICING_RULE_TYPES,
+  PRICING_ADJUSTMENTS,
+  WEEKEND_DAYS
+} from '../validators/fieldValidators.js';
+
+const pricingRuleSchema = new mongoose.Schema({
+  nama: {
+    type: String,
+    required: [true, 'Nama aturan harga harus diisi'],
+    trim: true
+  },
+  // Scope: one field, or every field of a jenis_lapangan
+  lapangan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Field',
+    default: null
+  },
+  jenis_lapangan: {
+    type: String,
+    default: null,
+    validate: {
+      validator: (type) => !type || FIELD_TYPES.includes(type),
+      message: `Jenis lapangan harus salah satu dari: ${FIELD_TYPES.join(', ')}`
+    }
+  },
+  tipe: {
+    type: String,
+    required: [true, 'Tipe aturan harga harus diisi'],
+    validate: {
+      validator: validatePricingRuleType,
+      message: `Tipe aturan harga harus salah satu dari: ${PRICING_RULE_TYPES.join(', ')}`
+    }
+  },
+  penyesuaian: {
+    type: String,
+    default: 'percentage',
+    validate: {
+      validator: validatePricingAdjustment,
+      message: `Penyesuaian harus salah satu dari: ${PRICING_ADJUSTMENTS.join(', ')}`
+    }
+  },
+  nilai: {
+    type: Number,
+    required: [true, 'Nilai penyesuaian harus diisi']
+  },
+  // 0 = Minggu ... 6 = Sabtu; empty means every day (weekend rules default to Sabtu & Minggu)
+  hari: {
+    type: [Number],
+    default: undefined
+  },
+  // Optional hourly band, evaluated against the start of each booked hour
+  jam_mulai: {
+    type: String,
+    validate: {
+      validator: (time) => !time || validateTimeFormat(time),
+      message: 'Format jam mulai tidak valid. Gunakan format HH:MM'
+    }
+  },
+  jam_selesai: {
+    type: String,
+    validate: {
+      validator: (time) => !time || validateTimeFormat(time),
+      message: 'Format jam selesai tidak valid. Gunakan format HH:MM'
+    }
+  },
+  // Optional validity period; required for promo rules
+  tanggal_mulai: {
+    type: Date
+  },
+  tanggal_selesai: {
+    type: Date
+  },
+  prioritas: {
+    type: Number,
+    default: 0
+  },
+  aktif: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+pricingRuleSchema.pre('validate', validatePricingRule);
+
+pricingRuleSchema.virtual('waktu_text').get(function() {
+  return this.jam_mulai ? `${this.jam_mulai} - ${this.jam_selesai}` : 'Sepanjang hari';
+});
+
+pricingRuleSchema.virtual('berlaku_untuk').get(function() {
+  return this.lapangan ? 'lapangan' : 'jenis_lapangan';
+});
+
+// ✅ Does this rule apply to the hour starting at `hourMinutes` on the given day?
+pricingRuleSchema.methods.matchesHour = function({ weekday, isHoliday }, hourMinutes) {
+  if (this.tipe === 'holiday' && !isHoliday) return false;
+
+  const days = this.hari?.length ? this.hari : (this.tipe === 'weekend' ? WEEKEND_DAYS : null);
+  if (days && !days.includes(weekday)) return false;
+
+  if (this.jam_mulai) {
+    return hourMinutes >= timeToMinutes(this.jam_mulai) && hourMinutes < timeToMinutes(this.jam_selesai);
+  }
+
+  return true;
+};
+
+// Active rules for a field (field-specific and jenis_lapangan-wide) valid on a date
+pricingRuleSchema.statics.findForFieldDate = function(field, tanggal) {
+  return this.find({
+    aktif: true,
+    $and: [
+      { $or: [{ lapangan: field._id }, { jenis_lapangan: field.jenis_lapangan }] },
+      { $or: [{ tanggal_mulai: null }, { tanggal_mulai: { $lte: tanggal } }] },
+      { $or: [{ tanggal_selesai: null }, { tanggal_selesai: { $gte: tanggal } }] }
+    ]
+  }).sort({ prioritas: 1, createdAt: 1 });
+};
+
+// Indexes
+pricingRuleSchema.index({ lapangan: 1, aktif: 1 });
+pricingRuleSchema.index({ jenis_lapangan: 1, aktif: 1 });
+
+export default mongoose.model('PricingRule', pricingRuleSchema);
@@ -0,0 +1,144 @@
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import {
+  validateRefundRules,
+  REFUND_STATUSES,
+  REFUND_SOURCES
+} from '../validators/paymentValidators.js';
+
+const refundSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  // The verified payment being refunded (a series payment for recurring bookings)
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  source: {
+    type: String,
+    enum: {
+      values: REFUND_SOURCES,
+      message: 'Sumber refund tidak valid'
+    },
+    default: 'cancellation'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Jumlah refund harus diisi'],
+    min: [1, 'Jumlah refund minimal Rp 1']
+  },
+  // Portion of the payment that belongs to this booking
+  paid_amount: {
+    type: Number,
+    required: true
+  },
+  refund_percentage: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  policy_rule: {
+    type: String
+  },
+  hours_before_start: {
+    type: Number
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  // Customer's account the refund is sent to
+  bank_details: {
+    bank_name: {
+      type: String,
+      trim: true
+    },
+    account_number: {
+      type: String,
+      trim: true
+    },
+    account_name: {
+      type: String,
+      trim: true
+    }
+  },
+  status: {
+    type: String,
+    enum: {
+      values: REFUND_STATUSES,
+      message: 'Status refund tidak valid'
+    },
+    default: 'requested'
+  },
+  // Admin who approved or rejected the request (empty when approved by the cancellation policy)
+  reviewed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewed_at: {
+    type: Date
+  },
+  rejection_reason: {
+    type: String,
+    trim: true
+  },
+  transfer_proof: {
+    type: String // Cloudinary URL
+  },
+  transfer_reference: {
+    type: String,
+    trim: true
+  },
+  transferred_at: {
+    type: Date
+  },
+  transferred_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+refundSchema.pre('validate', validateRefundRules);
+
+refundSchema.virtual('status_text').get(function() {
+  const statusMap = {
+    'requested': 'Menunggu Persetujuan',
+    'approved': 'Menunggu Transfer',
+    'rejected': 'Ditolak',
+    'transferred': 'Sudah Ditransfer'
+  };
+  return statusMap[this.status] || this.status;
+});
+
+refundSchema.virtual('transferredAtWIB').get(function() {
+  return this.transferred_at ? moment(this.transferred_at).tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm:ss') : null;
+});
+
+// Indexes
+refundSchema.index({ booking: 1 });
+refundSchema.index({ payment: 1, booking: 1, status: 1 });
+refundSchema.index({ status: 1, transferred_at: 1 });
+refundSchema.index({ user: 1, createdAt: -1 });
+refundSchema.index({ status: 1, createdAt: 1 });
+
+export default mongoose.model('Refund', refundSchema);
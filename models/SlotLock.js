@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// One document per field, date and hour. The unique index is what makes
+// two concurrent bookings for the same hour impossible.
+const slotLockSchema = new mongoose.Schema({
+  lapangan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Field',
+    required: true
+  },
+  tanggal: {
+    type: String, // YYYY-MM-DD
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  jam: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 23
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  // Set while the booking write is in flight; unset once the booking is saved
+  expires_at: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+slotLockSchema.index({ lapangan: 1, tanggal: 1, jam: 1 }, { unique: true });
+slotLockSchema.index({ booking: 1 });
+slotLockSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('SlotLock', slotLockSchema);
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { MESSAGING_CHANNELS } from '../validators/notificationValidators.js';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -45,15 +46,46 @@ const userSchema = new mongoose.Schema({
     type: String,
     sparse: true // Allow multiple null values
   },
+  // 'guest' = walk-in profile created by a cashier (placeholder email, no password)
   authProvider: {
     type: String,
-    enum: ['local', 'google'],
+    enum: ['local', 'google', 'guest'],
     default: 'local'
   },
+  // Admin who created a cashier account, or cashier who created a guest profile
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // WhatsApp/SMS booking messages are only sent after an explicit opt-in
+  messaging: {
+    opt_in: {
+      type: Boolean,
+      default: false
+    },
+    channel: {
+      type: String,
+      enum: MESSAGING_CHANNELS,
+      default: 'whatsapp'
+    },
+    opted_in_at: {
+      type: Date
+    },
+    opted_out_at: {
+      type: Date
+    }
+  },
   isEmailVerified: {
     type: Boolean,
     default: false
   },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Last verification link sent, used to throttle resends
+  emailVerificationSentAt: {
+    type: Date
+  },
   lastLogin: {
     type: Date,
     default: Date.now
@@ -70,6 +102,8 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+userSchema.index({ phoneNumber: 1 });
+
 // ✅ Pre-save middleware
 userSchema.pre('save', async function(next) {
   try {
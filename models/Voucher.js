@@ -0,0 +1,154 @@
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import {
+  validateVoucherCode,
+  validateVoucherRules,
+  VOUCHER_DISCOUNT_TYPES
+} from '../validators/bookingValidators.js';
+
+const voucherSchema = new mongoose.Schema({
+  kode: {
+    type: String,
+    required: [true, 'Kode voucher harus diisi'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    validate: {
+      validator: validateVoucherCode,
+      message: 'Kode voucher harus 4-20 karakter (huruf, angka, - atau _)'
+    }
+  },
+  nama: {
+    type: String,
+    required: [true, 'Nama voucher harus diisi'],
+    trim: true
+  },
+  deskripsi: {
+    type: String,
+    trim: true
+  },
+  tipe_diskon: {
+    type: String,
+    required: [true, 'Tipe diskon harus diisi'],
+    enum: {
+      values: VOUCHER_DISCOUNT_TYPES,
+      message: `Tipe diskon harus salah satu dari: ${VOUCHER_DISCOUNT_TYPES.join(', ')}`
+    }
+  },
+  nilai: {
+    type: Number,
+    required: [true, 'Nilai diskon harus diisi']
+  },
+  // Cap for percentage discounts (rupiah)
+  maks_diskon: {
+    type: Number,
+    min: [0, 'Maksimal diskon tidak boleh negatif']
+  },
+  min_transaksi: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimal transaksi tidak boleh negatif']
+  },
+  tanggal_mulai: {
+    type: Date
+  },
+  tanggal_selesai: {
+    type: Date
+  },
+  // Empty means every field type
+  jenis_lapangan: {
+    type: [String],
+    default: []
+  },
+  // Total redemptions allowed; empty means unlimited
+  kuota: {
+    type: Number,
+    min: [1, 'Kuota minimal 1']
+  },
+  limit_per_user: {
+    type: Number,
+    default: 1,
+    min: [1, 'Limit per user minimal 1']
+  },
+  // Redemptions held by active bookings, reserved atomically by reserveRedemption
+  terpakai: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // User id -> redemptions held, for limit_per_user
+  pemakaian_user: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  hanya_booking_pertama: {
+    type: Boolean,
+    default: false
+  },
+  aktif: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+voucherSchema.pre('validate', validateVoucherRules);
+
+voucherSchema.virtual('diskon_text').get(function() {
+  if (this.tipe_diskon === 'percentage') {
+    const cap = this.maks_diskon ? ` (maks Rp ${this.maks_diskon.toLocaleString('id-ID')})` : '';
+    return `${this.nilai}%${cap}`;
+  }
+  return `Rp ${this.nilai.toLocaleString('id-ID')}`;
+});
+
+// Validity is checked on the WIB calendar date, both ends inclusive
+voucherSchema.methods.isValidOn = function(date = new Date()) {
+  const today = moment(date).tz('Asia/Jakarta').format('YYYY-MM-DD');
+
+  if (this.tanggal_mulai && today < moment.utc(this.tanggal_mulai).format('YYYY-MM-DD')) return false;
+  if (this.tanggal_selesai && today > moment.utc(this.tanggal_selesai).format('YYYY-MM-DD')) return false;
+
+  return true;
+};
+
+// Takes one redemption only while both the kuota and the user's limit allow it, in a
+// single update so concurrent bookings cannot overshoot. Returns null when either is used up.
+voucherSchema.statics.reserveRedemption = function(voucherId, userId) {
+  const userCount = { $ifNull: [`$pemakaian_user.${userId}`, 0] };
+
+  return this.findOneAndUpdate(
+    {
+      _id: voucherId,
+      $expr: {
+        $and: [
+          { $lt: [userCount, '$limit_per_user'] },
+          { $or: [{ $not: ['$kuota'] }, { $lt: [{ $ifNull: ['$terpakai', 0] }, '$kuota'] }] }
+        ]
+      }
+    },
+    { $inc: { terpakai: 1, [`pemakaian_user.${userId}`]: 1 } },
+    { new: true }
+  );
+};
+
+voucherSchema.statics.releaseRedemption = function(voucherId, userId) {
+  return this.updateOne(
+    { _id: voucherId, [`pemakaian_user.${userId}`]: { $gt: 0 } },
+    { $inc: { terpakai: -1, [`pemakaian_user.${userId}`]: -1 } }
+  );
+};
+
+// Indexes
+voucherSchema.index({ aktif: 1, tanggal_selesai: 1 });
+
+export default mongoose.model('Voucher', voucherSchema);
@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import {
+  validateBookingTime,
+  validateFieldTypeForBooking,
+  DURATION_LIMITS
+} from '../validators/bookingValidators.js';
+
+export const WAITLIST_STATUSES = [
+  'waiting',   // antri, slot masih terisi
+  'offered',   // slot kosong, pelanggan diberi waktu untuk klaim
+  'claimed',   // pelanggan sudah membuat booking dari penawaran
+  'expired',   // waktu klaim habis atau tanggal sudah lewat
+  'cancelled'  // pelanggan keluar dari waitlist / menolak penawaran
+];
+
+const waitlistSchema = new mongoose.Schema({
+  pelanggan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Pelanggan harus diisi']
+  },
+  lapangan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Field',
+    required: [true, 'Lapangan harus diisi']
+  },
+  jenis_lapangan: {
+    type: String,
+    required: [true, 'Jenis lapangan harus diisi'],
+    validate: {
+      validator: validateFieldTypeForBooking,
+      message: 'Jenis lapangan tidak valid'
+    }
+  },
+  tanggal_booking: {
+    type: Date,
+    required: [true, 'Tanggal booking harus diisi']
+  },
+  jam_booking: {
+    type: String,
+    required: [true, 'Jam booking harus diisi'],
+    validate: {
+      validator: validateBookingTime,
+      message: 'Format jam booking tidak valid'
+    }
+  },
+  durasi: {
+    type: Number,
+    required: [true, 'Durasi harus diisi'],
+    min: [DURATION_LIMITS.MIN, `Durasi minimal ${DURATION_LIMITS.MIN} jam`],
+    max: [DURATION_LIMITS.MAX, `Durasi maksimal ${DURATION_LIMITS.MAX} jam`]
+  },
+  status: {
+    type: String,
+    enum: {
+      values: WAITLIST_STATUSES,
+      message: 'Status waitlist tidak valid'
+    },
+    default: 'waiting'
+  },
+  catatan: {
+    type: String
+  },
+  offered_at: {
+    type: Date
+  },
+  offer_expires_at: {
+    type: Date
+  },
+  offer_count: {
+    type: Number,
+    default: 0
+  },
+  claimed_at: {
+    type: Date
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  cancelled_at: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual fields untuk format Indonesia
+waitlistSchema.virtual('createdAtWIB').get(function() {
+  return moment(this.createdAt).tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm:ss');
+});
+
+waitlistSchema.virtual('offerExpiresAtWIB').get(function() {
+  return this.offer_expires_at
+    ? moment(this.offer_expires_at).tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm:ss')
+    : null;
+});
+
+waitlistSchema.virtual('end_time').get(function() {
+  if (!this.jam_booking) return null;
+  return moment(this.jam_booking, 'HH:mm').add(this.durasi, 'hours').format('HH:mm');
+});
+
+// Indexes - queue order is createdAt within a field and date
+waitlistSchema.index({ lapangan: 1, tanggal_booking: 1, status: 1, createdAt: 1 });
+waitlistSchema.index({ pelanggan: 1, status: 1 });
+waitlistSchema.index({ status: 1, offer_expires_at: 1 });
+
+export default mongoose.model('Waitlist', waitlistSchema);
@@ -13,8 +13,35 @@ import {
   getAllFields, 
   getField, 
   updateField, 
-  deleteField 
+  deleteField,
+  updateFieldSchedule
 } from '../controllers/fieldController.js';
+import {
+  createFieldBlackout,
+  getFieldBlackouts,
+  getFieldBlackoutAffectedBookings,
+  updateFieldBlackout,
+  deleteFieldBlackout
+} from '../controllers/fieldBlackoutController.js';
+import {
+  createHoliday,
+  getHolidays,
+  updateHoliday,
+  deleteHoliday
+} from '../controllers/holidayController.js';
+import {
+  createPricingRule,
+  getPricingRules,
+  getPricingRule,
+  updatePricingRule,
+  deletePricingRule
+} from '../controllers/pricingRuleController.js';
+import {
+  createVoucher,
+  getVouchers,
+  updateVoucher,
+  deleteVoucher
+} from '../controllers/voucherController.js';
 import { authenticateToken, restrictTo } from '../middleware/auth.js';
 import { adminRouteLimit } from '../middleware/adminAuth.js';
 import upload from '../middleware/upload.js'; 
@@ -35,6 +62,33 @@ router.get('/fields', getAllFields);
 router.get('/fields/:id', getField);
 router.patch('/fields/:id', upload.single('gambar'), updateField); 
 router.delete('/fields/:id', deleteField);
+router.put('/fields/:id/schedule', updateFieldSchedule);
+
+// Field blackout (maintenance / event closure) routes
+router.post('/fields/:id/blackouts', createFieldBlackout);
+router.get('/fields/:id/blackouts', getFieldBlackouts);
+router.get('/fields/:id/blackouts/:blackoutId/affected-bookings', getFieldBlackoutAffectedBookings);
+router.patch('/fields/:id/blackouts/:blackoutId', updateFieldBlackout);
+router.delete('/fields/:id/blackouts/:blackoutId', deleteFieldBlackout);
+
+// Holiday calendar routes
+router.post('/holidays', createHoliday);
+router.get('/holidays', getHolidays);
+router.patch('/holidays/:id', updateHoliday);
+router.delete('/holidays/:id', deleteHoliday);
+
+// Dynamic pricing rule routes
+router.post('/pricing-rules', createPricingRule);
+router.get('/pricing-rules', getPricingRules);
+router.get('/pricing-rules/:id', getPricingRule);
+router.patch('/pricing-rules/:id', updatePricingRule);
+router.delete('/pricing-rules/:id', deletePricingRule);
+
+// Promo code / voucher routes
+router.post('/vouchers', createVoucher);
+router.get('/vouchers', getVouchers);
+router.patch('/vouchers/:id', updateVoucher);
+router.delete('/vouchers/:id', deleteVoucher);
 
 // Bank Account Management routes
 router.post('/bank-accounts', createBankAccount);
@@ -4,7 +4,8 @@ import {
   getRevenueReport,
   getPopularFieldsReport, 
   getPeakHoursReport,
-  getDashboardAnalytics
+  getDashboardAnalytics,
+  getVoucherReport
 } from '../controllers/analyticsController.js';
 
 const router = express.Router();
@@ -15,5 +16,6 @@ router.get('/revenue', getRevenueReport);
 router.get('/popular-fields', getPopularFieldsReport);
 router.get('/peak-hours', getPeakHoursReport);
 router.get('/dashboard', getDashboardAnalytics);
+router.get('/vouchers', getVoucherReport);
 
 export default router;
\ No newline at end of file
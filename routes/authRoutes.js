@@ -9,12 +9,16 @@ import {
   getAuthInfo,
   refreshToken,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  requestVerificationEmail
 } from '../controllers/authController.js';
-import { getProfile, updateProfile } from '../controllers/profileController.js';
+import { getProfile, updateProfile, updateMessagingPreferences } from '../controllers/profileController.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { loginLimiter } from '../middleware/adminAuth.js';
+import { loginLimiter, emailVerificationLimiter } from '../middleware/adminAuth.js';
 import { generateToken } from '../utils/tokenManager.js';
+import { getEmailVerificationPolicy } from '../validators/userValidators.js';
 import logger from '../config/logger.js';
 
 const router = express.Router();
@@ -28,6 +32,8 @@ router.post('/register', register);
 router.post('/refresh-token', refreshToken);
 router.post('/forgot-password', forgotPassword);
 router.post('/reset-password', resetPassword);
+router.post('/verify-email', emailVerificationLimiter, verifyEmail);
+router.post('/resend-verification', emailVerificationLimiter, requestVerificationEmail);
 
 router.get('/google', (req, res, next) => {
   passport.authenticate('google', { 
@@ -181,7 +187,9 @@ router.get('/test-auth', authenticateToken, (req, res) => {
 
 router.get('/profile', authenticateToken, getProfile);
 router.patch('/profile', authenticateToken, updateProfile);
+router.patch('/profile/messaging', authenticateToken, updateMessagingPreferences);
 router.post('/set-password', authenticateToken, setPassword);
+router.post('/verify-email/resend', authenticateToken, emailVerificationLimiter, resendVerificationEmail);
 router.get('/auth-info', authenticateToken, getAuthInfo);
 
 router.get('/status', authenticateToken, (req, res) => {
@@ -194,7 +202,8 @@ router.get('/status', authenticateToken, (req, res) => {
       authProvider: req.user.authProvider,
       isEmailVerified: req.user.isEmailVerified,
       role: req.user.role
-    }
+    },
+    emailVerificationRequiredFor: getEmailVerificationPolicy()
   });
 });
 
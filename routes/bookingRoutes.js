@@ -11,18 +11,45 @@ import {
   getAllBookingsForCashier, 
   checkAvailability,
   getAvailability,
+  getAvailabilityGrid,
+  getAvailabilityGridRange,
   getBookingStatus,
   getBookingStatusSummary,
   approveBookingByAdmin,
   rejectBookingByAdmin
 } from '../controllers/bookingController.js';
-import { authenticateToken, requireCashierOrAdmin } from '../middleware/auth.js';
+import {
+  previewBookingSeries,
+  createBookingSeries,
+  getMyBookingSeries,
+  getBookingSeriesById,
+  cancelBookingSeries
+} from '../controllers/bookingSeriesController.js';
+import {
+  joinWaitlist,
+  getMyWaitlist,
+  claimWaitlistOffer,
+  leaveWaitlist
+} from '../controllers/waitlistController.js';
+import { checkVoucher } from '../controllers/voucherController.js';
+import {
+  getReschedulePolicy,
+  previewReschedule,
+  rescheduleBooking
+} from '../controllers/rescheduleController.js';
+import { getCancellationQuote } from '../controllers/refundController.js';
+import { findWalkInCustomers, createWalkInBooking } from '../controllers/walkInController.js';
+import { getBookingInvoice } from '../controllers/documentController.js';
+import { getCheckInPass, scanCheckIn, manualCheckIn } from '../controllers/checkInController.js';
+import { authenticateToken, requireCashierOrAdmin, requireVerifiedEmail } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // PUBLIC ROUTES (no auth required)
 router.get('/check-availability', checkAvailability);
 router.get('/availability', getAvailability);
+router.get('/availability/grid', getAvailabilityGrid);
+router.get('/availability/grid/range', getAvailabilityGridRange);
 
 // PROTECTED ROUTES - Authentication required
 router.use(authenticateToken);
@@ -35,17 +62,49 @@ router.patch('/:id/reject', requireCashierOrAdmin, rejectBookingByAdmin);
 router.get('/kasir/all', requireCashierOrAdmin, getAllBookingsForCashier);
 router.get('/admin/all', requireCashierOrAdmin, getAllBookings);
 
+// WALK-IN ROUTES (cashier books on behalf of a customer or guest)
+router.get('/walk-in/customers', requireCashierOrAdmin, findWalkInCustomers);
+router.post('/walk-in', requireCashierOrAdmin, createWalkInBooking);
+
+// CHECK-IN ROUTES (cashier scans the customer's QR at the venue)
+router.post('/check-in', requireCashierOrAdmin, scanCheckIn);
+router.patch('/:id/check-in', requireCashierOrAdmin, manualCheckIn);
+
+// RECURRING BOOKING SERIES ROUTES
+router.post('/series/preview', previewBookingSeries);
+router.post('/series', requireVerifiedEmail('booking'), createBookingSeries);
+router.get('/series/my-series', getMyBookingSeries);
+router.get('/series/:seriesId', getBookingSeriesById);
+router.patch('/series/:seriesId/cancel', cancelBookingSeries);
+
+// WAITLIST ROUTES
+router.post('/waitlist', joinWaitlist);
+router.get('/waitlist/my-waitlist', getMyWaitlist);
+router.post('/waitlist/:waitlistId/claim', requireVerifiedEmail('booking'), claimWaitlistOffer);
+router.patch('/waitlist/:waitlistId/cancel', leaveWaitlist);
+
+// VOUCHER ROUTES
+router.post('/vouchers/check', checkVoucher);
+
 // CUSTOMER ROUTES (and accessible by admin/cashier)
-router.post('/', createBooking);
+router.post('/', requireVerifiedEmail('booking'), createBooking);
 router.get('/my-bookings', getMyBookings);
 router.get('/status-summary', getBookingStatusSummary);
 
 // CUSTOMER SPECIFIC ROUTES
+router.get('/:id/cancellation', getCancellationQuote);
 router.patch('/:id/cancel', cancelBooking);
 router.patch('/:id/update', updateBookingByCustomer);
 
+// RESCHEDULE ROUTES (customer policy applies, cashier/admin may override)
+router.get('/:id/reschedule', getReschedulePolicy);
+router.post('/:id/reschedule/preview', previewReschedule);
+router.patch('/:id/reschedule', rescheduleBooking);
+
 // GENERAL ROUTES (accessible by owner or admin/cashier)
 router.get('/:id/status', getBookingStatus);
+router.get('/:id/invoice.pdf', getBookingInvoice);
+router.get('/:id/check-in-qr', getCheckInPass);
 router.get('/:id', getBookingById);
 router.patch('/:id', updateBooking);
 router.delete('/:id', deleteBooking);
@@ -5,7 +5,9 @@ import {
   createField, 
   updateField, 
   updateFieldJSON,
-  deleteField 
+  deleteField,
+  getFieldSchedule,
+  getFieldPricing
 } from '../controllers/fieldController.js';
 import { authenticateToken, restrictTo } from '../middleware/auth.js';
 import upload from '../middleware/upload.js';
@@ -15,6 +17,8 @@ const router = express.Router();
 // Public routes
 router.get('/', getAllFields);
 router.get('/:id', getField);
+router.get('/:id/schedule', getFieldSchedule);
+router.get('/:id/pricing', getFieldPricing);
 
 // Admin routes
 router.use(authenticateToken, restrictTo('admin'));
@@ -0,0 +1,15 @@
+import express from 'express';
+import { runBookingExpiryJob, runNotificationJob } from '../controllers/jobController.js';
+import { requireCronSecret } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Scheduler only (Vercel Cron sends GET)
+router.use(requireCronSecret);
+
+router.get('/booking-expiry', runBookingExpiryJob);
+router.post('/booking-expiry', runBookingExpiryJob);
+router.get('/notifications', runNotificationJob);
+router.post('/notifications', runNotificationJob);
+
+export default router;
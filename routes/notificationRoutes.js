@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  verifyMessagingWebhook,
+  handleMessagingWebhook,
+  getOutboxMessages,
+  simulateMockMessageStatus,
+  getMyNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification
+} from '../controllers/notificationController.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// WhatsApp/SMS delivery callbacks (verified by signature, not by token)
+router.get('/messaging/webhook/:provider', verifyMessagingWebhook);
+router.post('/messaging/webhook/:provider', handleMessagingWebhook);
+
+// Protect all other routes
+router.use(authenticateToken);
+
+// In-app inbox (own notifications only)
+router.get('/', getMyNotifications);
+router.get('/unread-count', getUnreadCount);
+router.patch('/read-all', markAllNotificationsRead);
+router.patch('/:notificationId/read', markNotificationRead);
+router.delete('/:notificationId', deleteNotification);
+
+// Admin routes
+router.get('/outbox', requireAdmin, getOutboxMessages);
+router.post('/messaging/mock/:messageId/simulate', requireAdmin, simulateMockMessageStatus);
+
+export default router;
@@ -1,34 +1,95 @@
 import express from 'express';
 import {
   createPayment,
+  createSeriesPayment,
   approvePayment,
   rejectPayment,
   getPendingPayments,
   getUserPayments,
   getPaymentById,
-  getBankInfo
+  getBankInfo,
+  getBookingBalance,
+  getTransferInfo,
+  recordCashSettlement,
+  recordOnsitePayment
 } from '../controllers/paymentController.js';
-import { authenticateToken, requireCashierOrAdmin } from '../middleware/auth.js';
-import { uploadPaymentProof } from '../middleware/upload.js'; 
+import { getCashDrawerReport, closeCashDrawer } from '../controllers/cashDrawerController.js';
+import {
+  getGatewayChannels,
+  createGatewayCharge,
+  handleGatewayWebhook,
+  simulateMockPayment
+} from '../controllers/paymentGatewayController.js';
+import {
+  getMyRefunds,
+  updateRefundBankDetails,
+  requestRefund,
+  getPaymentRefunds,
+  approveRefund,
+  rejectRefund,
+  getRefunds,
+  getPendingRefunds,
+  markRefundTransferred
+} from '../controllers/refundController.js';
+import {
+  importMutationStatement,
+  getMutations,
+  approveMutation,
+  approveConfidentMatches,
+  ignoreMutation
+} from '../controllers/bankMutationController.js';
+import { getPaymentReceipt } from '../controllers/documentController.js';
+import { authenticateToken, requireCashierOrAdmin, requireAdmin, requireVerifiedEmail } from '../middleware/auth.js';
+import { uploadPaymentProof, uploadMutationStatement } from '../middleware/upload.js';
 
 const router = express.Router();
 
 // Public route
 router.get('/bank-info', getBankInfo);
 
+// Payment gateway notifications (verified by signature, not by token)
+router.post('/gateway/webhook/:provider', handleGatewayWebhook);
+
 // Protect all other routes
 router.use(authenticateToken);
 
 // Customer routes - FIXED: remove restrictTo, use role check in controller
-router.post('/', uploadPaymentProof, createPayment);
+router.post('/', requireVerifiedEmail('payment'), uploadPaymentProof, createPayment);
+router.post('/series', requireVerifiedEmail('payment'), uploadPaymentProof, createSeriesPayment);
 router.get('/my-payments', getUserPayments);
+router.get('/my-refunds', getMyRefunds);
+router.get('/balance/:bookingId', getBookingBalance);
+router.get('/transfer-info/:bookingId', getTransferInfo);
+router.get('/gateway/channels', getGatewayChannels);
+router.post('/gateway/charge', requireVerifiedEmail('payment'), createGatewayCharge);
+router.post('/gateway/mock/:orderId/simulate', simulateMockPayment);
+router.patch('/refunds/:refundId/bank-details', updateRefundBankDetails);
 
 // Kasir routes - FIXED: use requireCashierOrAdmin instead of restrictTo
 router.get('/pending', requireCashierOrAdmin, getPendingPayments);
 router.patch('/:paymentId/approve', requireCashierOrAdmin, approvePayment);
 router.patch('/:paymentId/reject', requireCashierOrAdmin, rejectPayment);
+router.post('/onsite', requireCashierOrAdmin, recordOnsitePayment);
+router.post('/settlements/cash', requireCashierOrAdmin, recordCashSettlement);
+router.get('/cash-drawer', requireCashierOrAdmin, getCashDrawerReport);
+router.post('/cash-drawer/close', requireCashierOrAdmin, closeCashDrawer);
+router.get('/refunds', requireCashierOrAdmin, getRefunds);
+router.get('/refunds/pending', requireCashierOrAdmin, getPendingRefunds);
+router.patch('/refunds/:refundId/transfer', requireCashierOrAdmin, uploadPaymentProof, markRefundTransferred);
+router.post('/mutations/import', requireCashierOrAdmin, uploadMutationStatement, importMutationStatement);
+router.get('/mutations', requireCashierOrAdmin, getMutations);
+router.post('/mutations/approve', requireCashierOrAdmin, approveConfidentMatches);
+router.patch('/mutations/:mutationId/approve', requireCashierOrAdmin, approveMutation);
+router.patch('/mutations/:mutationId/ignore', requireCashierOrAdmin, ignoreMutation);
+
+// Admin routes
+router.patch('/refunds/:refundId/approve', requireAdmin, approveRefund);
+router.patch('/refunds/:refundId/reject', requireAdmin, rejectRefund);
 
 // Shared routes
+router.post('/:paymentId/refunds', requestRefund);
+router.get('/:paymentId/refunds', getPaymentRefunds);
+router.get('/:paymentId/receipt.pdf', getPaymentReceipt);
 router.get('/:paymentId', getPaymentById);
 
 export default router;
\ No newline at end of file
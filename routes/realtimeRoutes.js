@@ -0,0 +1,15 @@
+import express from 'express';
+import { streamEvents, getRealtimeStats } from '../controllers/realtimeController.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// EventSource cannot set headers, so the JWT may also be passed as ?token=
+router.use(authenticateToken);
+
+router.get('/stream', streamEvents);
+
+// Admin routes
+router.get('/stats', requireAdmin, getRealtimeStats);
+
+export default router;
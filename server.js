@@ -11,14 +11,22 @@ import passport from './config/passport.js';
 
 import connectDB from './config/db.js';
 import { connectRedis } from './config/redis.js'; 
+import { RealtimeService } from './services/realtimeService.js';
+import SlotLockService from './services/slotLockService.js';
+import VoucherService from './services/voucherService.js';
 import logger from './config/logger.js';
 import { initAdmin } from './config/initAdmin.js';
+import { startBookingExpiryJob, runBookingExpirySweep } from './jobs/bookingExpiryJob.js';
+import { startNotificationJob } from './jobs/notificationJob.js';
 
 import authRoutes from './routes/authRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
 import bookingRoutes from './routes/bookingRoutes.js';
 import fieldRoutes from './routes/fieldRoutes.js';
 import paymentRoutes from './routes/paymentRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import realtimeRoutes from './routes/realtimeRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
 import analyticsRoutes from './routes/analyticsRoutes.js';
 
 dotenv.config();
@@ -122,7 +130,14 @@ app.use(passport.initialize());
 app.use(passport.session());
 
 // ✅ Body parsing middleware
-app.use(express.json({ limit: '50mb', strict: false }));
+// Raw body is kept for payment gateway webhook signatures
+app.use(express.json({
+  limit: '50mb',
+  strict: false,
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb', parameterLimit: 50000 }));
 
 // ✅ Error handling for JSON parsing
@@ -165,7 +180,9 @@ app.get('/', (req, res) => {
       bookings: '/bookings',
       fields: '/fields',
       payments: '/payments',
-      analytics: '/analytics'
+      analytics: '/analytics',
+      notifications: '/notifications',
+      realtime: '/realtime'
     }
   });
 });
@@ -179,6 +196,9 @@ app.use('/bookings', bookingRoutes);
 app.use('/fields', fieldRoutes);
 app.use('/payments', paymentRoutes); 
 app.use('/analytics', analyticsRoutes);  
+app.use('/notifications', notificationRoutes);
+app.use('/realtime', realtimeRoutes);
+app.use('/jobs', jobRoutes);
 
 // ✅ 404 handler
 app.use((req, res) => {
@@ -223,12 +243,36 @@ const initializeApp = async () => {
       logger.warn('Redis connection failed, continuing without cache');
     }
 
+    await RealtimeService.start();
+
     try {
       await initAdmin();
     } catch (adminError) {
       logger.warn('Admin initialization warning:', adminError.message);
     }
 
+    // ✅ Scheduled jobs (set DISABLE_SCHEDULED_JOBS=true on instances that should not run them)
+    if (process.env.DISABLE_SCHEDULED_JOBS !== 'true') {
+      // A failing backfill or sweep must not keep the server from booting; the next run retries
+      try {
+        await SlotLockService.backfillLocks();
+        await VoucherService.backfillUsage();
+        await runBookingExpirySweep();
+      } catch (startupJobError) {
+        logger.error('Startup maintenance failed:', {
+          error: startupJobError.message,
+          stack: startupJobError.stack
+        });
+      }
+
+      // Serverless functions are frozen between requests, so node-cron never fires there;
+      // Vercel Cron calls /jobs/* instead (see vercel.json)
+      if (!process.env.VERCEL) {
+        startBookingExpiryJob();
+        startNotificationJob();
+      }
+    }
+
     logger.info('DSC Backend Started Successfully!', {
       environment: process.env.NODE_ENV,
       backend_url: process.env.BACKEND_URL,
@@ -2,6 +2,7 @@ import User from '../models/User.js';
 import Booking from '../models/Booking.js';
 import Payment from '../models/Payment.js';
 import Field from '../models/Field.js';
+import RefundService from './refundService.js';
 import moment from 'moment-timezone';
 
 export class AdminService {
@@ -305,6 +306,12 @@ export class AdminService {
       };
     }
 
+    const dailyGroup = {
+      year: { $year: '$verified_at' },
+      month: { $month: '$verified_at' },
+      day: { $dayOfMonth: '$verified_at' }
+    };
+
     const revenueData = await Payment.aggregate([
       {
         $match: {
@@ -332,11 +339,7 @@ export class AdminService {
       { $unwind: '$fieldInfo' },
       {
         $group: {
-          _id: {
-            year: { $year: '$verified_at' },
-            month: { $month: '$verified_at' },
-            day: { $dayOfMonth: '$verified_at' }
-          },
+          _id: dailyGroup,
           dailyRevenue: { $sum: '$amount' },
           transactionCount: { $sum: 1 },
           fieldTypes: { $addToSet: '$fieldInfo.jenis_lapangan' }
@@ -345,7 +348,9 @@ export class AdminService {
       { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
     ]);
 
-    return revenueData;
+    // dailyRevenue is net of refunds transferred that day
+    const refundData = await RefundService.getRefundTotalsByPeriod(dailyGroup, dateFilter.verified_at);
+    return RefundService.netRevenueByPeriod(revenueData, refundData, 'dailyRevenue');
   }
 
   static async generateBookingReport(startDate, endDate) {
@@ -3,6 +3,7 @@ import Payment from '../models/Payment.js';
 import Booking from '../models/Booking.js';
 import Field from '../models/Field.js';
 import User from '../models/User.js';
+import RefundService from './refundService.js';
 import { client } from '../config/redis.js';
 import logger from '../config/logger.js';
 
@@ -74,7 +75,7 @@ class AnalyticsService {
           break;
       }
 
-      const revenueData = await Payment.aggregate([
+      const grossRevenueData = await Payment.aggregate([
         {
           $match: {
             status: 'verified',
@@ -107,8 +108,14 @@ class AnalyticsService {
         { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1, '_id.week': 1 } }
       ]);
 
+      // Revenue is reported net of refunds transferred in the same period
+      const refundData = await RefundService.getRefundTotalsByPeriod(groupBy, matchFilter.verified_at);
+      const revenueData = RefundService.netRevenueByPeriod(grossRevenueData, refundData, 'totalRevenue');
+
       // ✅ FIXED: Konsistensi perhitungan summary
       const summary = {
+        grossRevenue: revenueData.reduce((sum, d) => sum + d.grossRevenue, 0),
+        totalRefunds: revenueData.reduce((sum, d) => sum + d.totalRefunds, 0),
         totalRevenue: revenueData.reduce((sum, d) => sum + d.totalRevenue, 0),
         totalTransactions: revenueData.reduce((sum, d) => sum + d.transactionCount, 0),
         avgRevenuePerPeriod: revenueData.length > 0 ? 
@@ -124,7 +131,7 @@ class AnalyticsService {
           weekLabel: `Minggu ke-${item._id.week}`,
           yearWeek: `${item._id.year}-W${item._id.week}`
         }),
-        avgTransaction: Math.round(item.avgTransaction * 100) / 100
+        avgTransaction: Math.round((item.avgTransaction || 0) * 100) / 100
       }));
 
       const result = {
@@ -533,6 +540,116 @@ class AnalyticsService {
       throw new Error(`Failed to generate dashboard analytics: ${error.message}`);
     }
   }
+
+  // ✅ Voucher redemptions and discount totals per code
+  static async getVoucherReport({ tanggalMulai, tanggalSelesai } = {}) {
+    const cacheKey = `analytics:vouchers:${tanggalMulai || 'all'}:${tanggalSelesai || 'all'}`;
+
+    try {
+      let cached = null;
+      try {
+        if (client && client.isOpen) {
+          cached = await client.get(cacheKey);
+        }
+      } catch (redisError) {
+        // Silent cache error
+      }
+
+      if (cached) {
+        return JSON.parse(cached);
+      }
+
+      const matchFilter = { 'voucher.voucher': { $exists: true } };
+      if (tanggalMulai || tanggalSelesai) {
+        matchFilter.createdAt = {};
+        if (tanggalMulai) {
+          matchFilter.createdAt.$gte = moment.tz(tanggalMulai, 'Asia/Jakarta').startOf('day').toDate();
+        }
+        if (tanggalSelesai) {
+          matchFilter.createdAt.$lte = moment.tz(tanggalSelesai, 'Asia/Jakarta').endOf('day').toDate();
+        }
+      }
+
+      // Cancelled / expired / rejected bookings gave their redemption back
+      const isRedeemed = { $not: [{ $in: ['$status_pemesanan', ['cancelled', 'expired', 'rejected']] }] };
+
+      const voucherStats = await Booking.aggregate([
+        { $match: matchFilter },
+        {
+          $group: {
+            _id: '$voucher.voucher',
+            kode: { $first: '$voucher.kode' },
+            totalBookings: { $sum: 1 },
+            redemptions: { $sum: { $cond: [isRedeemed, 1, 0] } },
+            totalDiscount: { $sum: { $cond: [isRedeemed, '$voucher.diskon', 0] } },
+            grossAmount: { $sum: { $cond: [isRedeemed, '$voucher.harga_sebelum_diskon', 0] } },
+            netAmount: { $sum: { $cond: [isRedeemed, '$harga', 0] } },
+            paidRedemptions: {
+              $sum: { $cond: [{ $in: ['$payment_status', ['dp_confirmed', 'fully_paid', 'verified']] }, 1, 0] }
+            },
+            uniqueCustomers: { $addToSet: '$pelanggan' }
+          }
+        },
+        {
+          $lookup: {
+            from: 'vouchers',
+            localField: '_id',
+            foreignField: '_id',
+            as: 'voucherInfo'
+          }
+        },
+        { $unwind: { path: '$voucherInfo', preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            _id: 0,
+            voucherId: '$_id',
+            kode: 1,
+            nama: '$voucherInfo.nama',
+            aktif: '$voucherInfo.aktif',
+            kuota: '$voucherInfo.kuota',
+            totalBookings: 1,
+            redemptions: 1,
+            cancelledRedemptions: { $subtract: ['$totalBookings', '$redemptions'] },
+            paidRedemptions: 1,
+            totalDiscount: 1,
+            grossAmount: 1,
+            netAmount: 1,
+            uniqueCustomers: { $size: '$uniqueCustomers' }
+          }
+        },
+        { $sort: { redemptions: -1, totalDiscount: -1 } }
+      ]);
+
+      const result = {
+        range: {
+          start: tanggalMulai || null,
+          end: tanggalSelesai || null
+        },
+        data: voucherStats,
+        summary: {
+          totalVouchersUsed: voucherStats.length,
+          totalRedemptions: voucherStats.reduce((sum, v) => sum + v.redemptions, 0),
+          totalDiscount: voucherStats.reduce((sum, v) => sum + v.totalDiscount, 0),
+          totalNetAmount: voucherStats.reduce((sum, v) => sum + v.netAmount, 0)
+        },
+        generatedAt: moment().tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm:ss')
+      };
+
+      try {
+        if (client && client.isOpen) {
+          await client.setEx(cacheKey, 300, JSON.stringify(result));
+        }
+      } catch (redisError) {
+        // Silent cache error
+      }
+
+      return result;
+
+    } catch (error) {
+      logger.error('Voucher report failed:', error.message);
+      throw new Error(`Failed to generate voucher report: ${error.message}`);
+    }
+  }
 }
 
 export default AnalyticsService;
\ No newline at end of file
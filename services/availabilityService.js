@@ -0,0 +1,230 @@
+import Booking from '../models/Booking.js';
+import Field from '../models/Field.js';
+import FieldBlackout from '../models/FieldBlackout.js';
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import logger from '../config/logger.js';
+import PricingService from './pricingService.js';
+
+export class AvailabilityService {
+
+  // ============= CONSTANTS =============
+  static TIMEZONE = 'Asia/Jakarta';
+
+  static SLOT_STATUSES = {
+    FREE: 'free',
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    BLOCKED: 'blocked',
+    PAST: 'past'
+  };
+
+  static MAX_RANGE_DAYS = 14;
+
+  static DAY_NAMES = ['Minggu', 'Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu'];
+
+  // ============= VALIDATION METHODS =============
+  static parseDate(dateString, label = 'Tanggal') {
+    const date = moment.tz(dateString, 'YYYY-MM-DD', true, this.TIMEZONE);
+    if (!date.isValid()) {
+      throw new Error(`${label} tidak valid. Gunakan format YYYY-MM-DD`);
+    }
+    return date;
+  }
+
+  static async getFieldForGrid(fieldId) {
+    if (!mongoose.Types.ObjectId.isValid(fieldId)) {
+      throw new Error('ID lapangan tidak valid');
+    }
+
+    const field = await Field.findById(fieldId).lean();
+    if (!field) {
+      throw new Error('Lapangan tidak ditemukan');
+    }
+
+    return field;
+  }
+
+  // ============= GRID BUILDING =============
+  // Accepts a field or the hours resolved for one date (same jam_buka/jam_tutup keys)
+  static getOperatingHourRange(field) {
+    if (field.closed) {
+      return { openHour: 0, closeHour: 0 };
+    }
+    const openHour = parseInt((field.jam_buka || '08:00').split(':')[0]);
+    const closeHour = parseInt((field.jam_tutup || '22:00').split(':')[0]);
+    return { openHour, closeHour };
+  }
+
+  // ✅ Find the active booking occupying a given hour
+  static findBookingForHour(bookedSlots, hour) {
+    return bookedSlots.find(booking => {
+      const startHour = parseInt(booking.jam_booking.split(':')[0]);
+      return hour >= startHour && hour < startHour + booking.durasi;
+    });
+  }
+
+  static resolveSlotStatus({ field, booking, blackout, slotStart, now }) {
+    if (slotStart.isBefore(now)) {
+      return this.SLOT_STATUSES.PAST;
+    }
+
+    if (field.status !== 'tersedia' || blackout) {
+      return this.SLOT_STATUSES.BLOCKED;
+    }
+
+    if (booking) {
+      return booking.status_pemesanan === 'confirmed'
+        ? this.SLOT_STATUSES.CONFIRMED
+        : this.SLOT_STATUSES.PENDING;
+    }
+
+    return this.SLOT_STATUSES.FREE;
+  }
+
+  static summarizeSlots(slots) {
+    const summary = { total_slots: slots.length };
+    Object.values(this.SLOT_STATUSES).forEach(status => {
+      summary[status] = slots.filter(slot => slot.status === status).length;
+    });
+    return summary;
+  }
+
+  // ✅ Build hourly slot grid for one field on one day
+  static async buildFieldDayGrid(field, date) {
+    const dateString = date.format('YYYY-MM-DD');
+    const hours = await Field.getOperatingHours(field, dateString);
+    const { openHour, closeHour } = this.getOperatingHourRange(hours);
+    const bookedSlots = await Booking.getBookedSlots(field._id, dateString);
+    const blackouts = await FieldBlackout.findForDate(field._id, dateString);
+    const pricingContext = await PricingService.loadPricingContext(field, dateString);
+    const now = moment.tz(this.TIMEZONE);
+
+    const slots = [];
+    for (let hour = openHour; hour < closeHour; hour++) {
+      const time = `${String(hour).padStart(2, '0')}:00`;
+      const slotStart = moment.tz(`${dateString} ${time}`, 'YYYY-MM-DD HH:mm', this.TIMEZONE);
+      const booking = this.findBookingForHour(bookedSlots, hour);
+      const blackout = blackouts.find(item => item.overlapsTime(time, 1));
+      const status = this.resolveSlotStatus({ field, booking, blackout, slotStart, now });
+
+      slots.push({
+        time,
+        end_time: slotStart.clone().add(1, 'hour').format('HH:mm'),
+        status,
+        available: status === this.SLOT_STATUSES.FREE,
+        price: PricingService.priceHour(field, pricingContext, hour * 60).harga,
+        ...(blackout && status === this.SLOT_STATUSES.BLOCKED && { reason: blackout.alasan })
+      });
+    }
+
+    return {
+      date: dateString,
+      day: this.DAY_NAMES[date.day()],
+      operating_hours: {
+        closed: hours.closed,
+        jam_buka: hours.jam_buka,
+        jam_tutup: hours.jam_tutup,
+        source: hours.source,
+        ...(hours.holiday && { holiday: hours.holiday })
+      },
+      blackouts: blackouts.map(blackout => ({
+        jenis: blackout.jenis,
+        alasan: blackout.alasan,
+        waktu: blackout.waktu_text
+      })),
+      slots,
+      summary: this.summarizeSlots(slots)
+    };
+  }
+
+  static formatField(field) {
+    return {
+      id: field._id,
+      name: field.nama,
+      type: field.jenis_lapangan,
+      price: field.harga,
+      jam_buka: field.jam_buka,
+      jam_tutup: field.jam_tutup,
+      jadwal_mingguan: field.jadwal_mingguan || [],
+      status: field.status
+    };
+  }
+
+  // ============= PUBLIC QUERIES =============
+  static async getFieldDayGrid(fieldId, tanggal) {
+    const date = this.parseDate(tanggal);
+    const field = await this.getFieldForGrid(fieldId);
+    const grid = await this.buildFieldDayGrid(field, date);
+
+    return {
+      field: this.formatField(field),
+      ...grid
+    };
+  }
+
+  static async getFieldRangeGrid(fieldId, tanggalMulai, tanggalSelesai) {
+    const startDate = this.parseDate(tanggalMulai, 'Tanggal mulai');
+    const endDate = this.parseDate(tanggalSelesai, 'Tanggal selesai');
+
+    if (endDate.isBefore(startDate)) {
+      throw new Error('Tanggal selesai tidak boleh sebelum tanggal mulai');
+    }
+
+    const totalDays = endDate.diff(startDate, 'days') + 1;
+    if (totalDays > this.MAX_RANGE_DAYS) {
+      throw new Error(`Rentang tanggal maksimal ${this.MAX_RANGE_DAYS} hari`);
+    }
+
+    const field = await this.getFieldForGrid(fieldId);
+
+    const days = [];
+    for (let i = 0; i < totalDays; i++) {
+      days.push(await this.buildFieldDayGrid(field, startDate.clone().add(i, 'days')));
+    }
+
+    return {
+      field: this.formatField(field),
+      range: {
+        start: startDate.format('YYYY-MM-DD'),
+        end: endDate.format('YYYY-MM-DD'),
+        total_days: totalDays
+      },
+      days
+    };
+  }
+
+  // ✅ Multi-field view: all fields of one type on one day
+  static async getFieldTypeDayGrid(jenisLapangan, tanggal) {
+    const date = this.parseDate(tanggal);
+    const fields = await Field.find({ jenis_lapangan: jenisLapangan })
+      .sort({ nama: 1 })
+      .lean();
+
+    const grids = [];
+    for (const field of fields) {
+      const grid = await this.buildFieldDayGrid(field, date);
+      grids.push({
+        field: this.formatField(field),
+        operating_hours: grid.operating_hours,
+        slots: grid.slots,
+        summary: grid.summary
+      });
+    }
+
+    logger.info('Multi-field availability grid built', {
+      jenis_lapangan: jenisLapangan,
+      date: date.format('YYYY-MM-DD'),
+      fields: grids.length
+    });
+
+    return {
+      jenis_lapangan: jenisLapangan,
+      date: date.format('YYYY-MM-DD'),
+      day: this.DAY_NAMES[date.day()],
+      fields: grids
+    };
+  }
+}
+
+export default AvailabilityService;
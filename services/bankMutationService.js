@@ -0,0 +1,521 @@
+import BankMutation from '../models/BankMutation.js';
+import BankAccount from '../models/BankAccount.js';
+import Payment from '../models/Payment.js';
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import crypto from 'crypto';
+import logger from '../config/logger.js';
+import { parseCsv } from '../utils/csvParser.js';
+import {
+  getExpectedTransferAmount,
+  ONSITE_PAYMENT_METHODS,
+  GATEWAY_PAYMENT_METHOD
+} from '../validators/paymentValidators.js';
+import { PaymentService } from './paymentService.js';
+
+export class BankMutationService {
+
+  // ============= CONSTANTS =============
+  // Header names seen in BSI, BCA, Mandiri and BRI exports (lowercased)
+  static COLUMN_SYNONYMS = {
+    date: ['tanggal', 'tgl', 'tanggal transaksi', 'tgl transaksi', 'date', 'transaction date', 'posting date'],
+    description: ['keterangan', 'deskripsi', 'uraian', 'uraian transaksi', 'description', 'remark', 'remarks'],
+    credit: ['kredit', 'credit', 'cr', 'mutasi kredit'],
+    amount: ['nominal', 'jumlah', 'mutasi', 'amount', 'nilai'],
+    type: ['d/k', 'db/cr', 'd/c', 'dk', 'type', 'jenis', 'tipe'],
+    sender: ['nama pengirim', 'pengirim', 'sender', 'sender name', 'dari']
+  };
+
+  static DATE_FORMATS = [
+    'DD/MM/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'YYYY-MM-DD', 'DD/MM/YY', 'D/M/YYYY',
+    'DD MMM YYYY', 'DD-MMM-YYYY', 'DD/MM/YYYY HH:mm:ss', 'DD/MM/YYYY HH:mm', 'YYYY-MM-DD HH:mm:ss'
+  ];
+
+  static HEADER_SEARCH_ROWS = 15;
+
+  // Exact amount (50) + unique code (20) + same-day (20) already clears the bar;
+  // without a unique code the sender name has to back it up.
+  static MATCH_SCORES = {
+    AMOUNT: 50,
+    UNIQUE_CODE: 20,
+    DECLARED_AMOUNT: 5,
+    SAME_DAY: 20,
+    NEXT_DAY: 10,
+    SENDER_NAME: 30
+  };
+
+  static CONFIDENT_SCORE = 80;
+  static CONFIDENT_MARGIN = 20;
+
+  // ============= HELPERS =============
+  static createMutationError(message) {
+    const error = new Error(message);
+    error.errorCode = 'MUTATION_INVALID';
+    return error;
+  }
+
+  static normalizeHeader(value) {
+    return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  // Column index per field: configured names on the bank account first, then synonyms
+  static resolveColumns(headerRow, format = {}) {
+    const headers = headerRow.map(cell => this.normalizeHeader(cell));
+    const configured = {
+      date: format.date_column,
+      description: format.description_column,
+      credit: format.credit_column,
+      amount: format.amount_column,
+      type: format.type_column,
+      sender: format.sender_column
+    };
+
+    const columns = {};
+    for (const [field, synonyms] of Object.entries(this.COLUMN_SYNONYMS)) {
+      const names = configured[field] ? [this.normalizeHeader(configured[field])] : synonyms;
+      const index = headers.findIndex(header => names.includes(header));
+      if (index !== -1) columns[field] = index;
+    }
+
+    return columns;
+  }
+
+  static findHeader(rows, format = {}) {
+    const limit = Math.min(rows.length, this.HEADER_SEARCH_ROWS);
+    for (let i = 0; i < limit; i++) {
+      const columns = this.resolveColumns(rows[i], format);
+      if (columns.date !== undefined && (columns.credit !== undefined || columns.amount !== undefined)) {
+        return { headerIndex: i, columns };
+      }
+    }
+    return null;
+  }
+
+  // "150.037,00" / "150,037.00" / "Rp 150.037 CR" / "-25.000" -> { value, direction }
+  static parseAmount(raw) {
+    let text = String(raw || '').toUpperCase().replace(/IDR|RP/g, '').replace(/\s+/g, '');
+    if (!text) return null;
+
+    let direction = null;
+    if (/(CR|K)$/.test(text)) direction = 'credit';
+    if (/(DB|DR|D)$/.test(text)) direction = 'debit';
+    text = text.replace(/(CR|DB|DR|K|D)$/, '');
+
+    if (/^\(.*\)$/.test(text) || text.startsWith('-')) direction = 'debit';
+    text = text.replace(/[()+-]/g, '');
+
+    const lastDot = text.lastIndexOf('.');
+    const lastComma = text.lastIndexOf(',');
+    let normalized;
+
+    if (lastDot !== -1 && lastComma !== -1) {
+      // Whichever separator comes last is the decimal one
+      const decimal = lastDot > lastComma ? '.' : ',';
+      const thousands = decimal === '.' ? ',' : '.';
+      normalized = text.split(thousands).join('').replace(decimal, '.');
+    } else if (lastDot !== -1 || lastComma !== -1) {
+      const separator = lastDot !== -1 ? '.' : ',';
+      const parts = text.split(separator);
+      const isThousands = parts.length > 2 || parts[parts.length - 1].length === 3;
+      normalized = isThousands ? parts.join('') : parts.join('.');
+    } else {
+      normalized = text;
+    }
+
+    const value = Number(normalized);
+    if (!Number.isFinite(value)) return null;
+
+    return { value: Math.round(value), direction };
+  }
+
+  // Transaction date as UTC midnight, same convention as transfer_details.transfer_date
+  static parseDate(raw, dateFormat = null) {
+    const text = String(raw || '').trim();
+    if (!text) return null;
+
+    const formats = dateFormat ? [dateFormat, ...this.DATE_FORMATS] : this.DATE_FORMATS;
+    let parsed = moment.utc(text, formats, true);
+    if (!parsed.isValid()) parsed = moment.utc(text.split(' ')[0], formats, true);
+    if (!parsed.isValid()) return null;
+
+    return moment.utc(parsed.format('YYYY-MM-DD'), 'YYYY-MM-DD').toDate();
+  }
+
+  static getDirection(row, columns) {
+    if (columns.type === undefined) return null;
+    const type = String(row[columns.type] || '').toUpperCase().trim();
+    if (/^(K|CR|C|KREDIT|CREDIT)$/.test(type)) return 'credit';
+    if (/^(D|DB|DR|DEBIT|DEBET)$/.test(type)) return 'debit';
+    return null;
+  }
+
+  // Credit lines only: debits and zero amounts are reported as skipped
+  static parseStatement(csvText, format = {}) {
+    const rows = parseCsv(csvText, format.delimiter || null);
+    const header = this.findHeader(rows, format);
+
+    if (!header) {
+      throw this.createMutationError(
+        'Header mutasi tidak dikenali. Pastikan file memiliki kolom Tanggal dan Kredit/Nominal, ' +
+        'atau atur format mutasi pada rekening bank'
+      );
+    }
+
+    const { headerIndex, columns } = header;
+    const lines = [];
+    const errors = [];
+    let skipped = 0;
+
+    rows.slice(headerIndex + 1).forEach((row, index) => {
+      const lineNumber = headerIndex + index + 2;
+      const rawAmount = columns.credit !== undefined ? row[columns.credit] : row[columns.amount];
+      const amount = this.parseAmount(rawAmount);
+      const transactionDate = this.parseDate(row[columns.date], format.date_format);
+
+      // Footer rows (saldo awal/akhir, totals) carry no date
+      if (!transactionDate) {
+        if (amount && /\d/.test(row[columns.date] || '')) {
+          errors.push({ line: lineNumber, message: `Tanggal tidak dikenali: ${row[columns.date]}` });
+        } else {
+          skipped++;
+        }
+        return;
+      }
+
+      if (!amount) {
+        if (rawAmount) {
+          errors.push({ line: lineNumber, message: `Nominal tidak dikenali: ${rawAmount}` });
+        } else {
+          skipped++;
+        }
+        return;
+      }
+
+      const direction = columns.credit !== undefined
+        ? 'credit'
+        : (this.getDirection(row, columns) || amount.direction || 'credit');
+
+      if (direction !== 'credit' || amount.value <= 0) {
+        skipped++;
+        return;
+      }
+
+      lines.push({
+        line: lineNumber,
+        transaction_date: transactionDate,
+        description: columns.description !== undefined ? row[columns.description] : '',
+        sender_name: columns.sender !== undefined ? row[columns.sender] : '',
+        amount: amount.value
+      });
+    });
+
+    return { lines, errors, skipped };
+  }
+
+  // Stable per line so overlapping statements don't import twice; the occurrence
+  // counter keeps two identical transfers on the same day apart.
+  static assignLineHashes(lines) {
+    const seen = {};
+    return lines.map(line => {
+      const key = [
+        moment.utc(line.transaction_date).format('YYYY-MM-DD'),
+        line.amount,
+        this.normalizeHeader(line.description),
+        this.normalizeHeader(line.sender_name)
+      ].join('|');
+      seen[key] = (seen[key] || 0) + 1;
+
+      return {
+        ...line,
+        line_hash: crypto.createHash('sha1').update(`${key}|${seen[key]}`).digest('hex')
+      };
+    });
+  }
+
+  static getNameTokens(name) {
+    return String(name || '')
+      .toUpperCase()
+      .replace(/[^A-Z0-9 ]/g, ' ')
+      .split(' ')
+      .filter(token => token.length >= 3);
+  }
+
+  // ============= MATCHING =============
+  static scoreCandidate(line, payment) {
+    const reasons = [];
+    let score = this.MATCH_SCORES.AMOUNT;
+    reasons.push('Nominal sama dengan tagihan');
+
+    if (payment.unique_code) {
+      score += this.MATCH_SCORES.UNIQUE_CODE;
+      reasons.push(`Nominal memuat kode unik ${payment.unique_code}`);
+    }
+
+    // What the customer typed only supports the match; a typo there must not block it
+    if (payment.transfer_details?.transfer_amount === line.amount) {
+      score += this.MATCH_SCORES.DECLARED_AMOUNT;
+      reasons.push('Nominal sama dengan yang diisi pelanggan');
+    }
+
+    const transferDate = payment.transfer_details?.transfer_date_string;
+    if (transferDate) {
+      const dayDiff = Math.abs(moment.utc(line.transaction_date).diff(moment.utc(transferDate, 'YYYY-MM-DD'), 'days'));
+      if (dayDiff === 0) {
+        score += this.MATCH_SCORES.SAME_DAY;
+        reasons.push('Tanggal transfer sama');
+      } else if (dayDiff === 1) {
+        score += this.MATCH_SCORES.NEXT_DAY;
+        reasons.push('Tanggal transfer selisih 1 hari');
+      }
+    }
+
+    const senderTokens = this.getNameTokens(payment.transfer_details?.sender_name);
+    if (senderTokens.length > 0) {
+      const haystack = ` ${this.getNameTokens(`${line.sender_name} ${line.description}`).join(' ')} `;
+      const found = senderTokens.filter(token => haystack.includes(` ${token} `)).length;
+      if (found > 0) {
+        score += Math.round(this.MATCH_SCORES.SENDER_NAME * found / senderTokens.length);
+        reasons.push(`Nama pengirim cocok (${found}/${senderTokens.length} kata)`);
+      }
+    }
+
+    return { payment: payment._id, score, reasons };
+  }
+
+  // Pending bank transfers whose expected amount (amount + unique code) equals the credit
+  static async findCandidates(line, excludedPaymentIds = []) {
+    const payments = await Payment.find({
+      status: PaymentService.PAYMENT_STATUS.PENDING,
+      payment_method: { $nin: [...ONSITE_PAYMENT_METHODS, GATEWAY_PAYMENT_METHOD] },
+      _id: { $nin: excludedPaymentIds },
+      $expr: { $eq: [{ $add: ['$amount', { $ifNull: ['$unique_code', 0] }] }, line.amount] }
+    }).select('amount unique_code transfer_details booking user');
+
+    return payments
+      .map(payment => this.scoreCandidate(line, payment))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  static classifyMatch(candidates) {
+    if (candidates.length === 0) {
+      return { status: 'unmatched', payment: undefined, score: 0 };
+    }
+
+    const [best, runnerUp] = candidates;
+    const isConfident = best.score >= this.CONFIDENT_SCORE &&
+      (!runnerUp || best.score - runnerUp.score >= this.CONFIDENT_MARGIN);
+
+    return {
+      status: isConfident ? 'matched' : 'ambiguous',
+      payment: isConfident ? best.payment : undefined,
+      score: best.score
+    };
+  }
+
+  // Payments already tied to a credit line can't be claimed by another one
+  static async getClaimedPaymentIds() {
+    return await BankMutation.distinct('payment', {
+      status: { $in: ['matched', 'approved'] },
+      payment: { $exists: true }
+    });
+  }
+
+  // ============= IMPORT =============
+  static async importStatement({ bankAccountId, csvText, kasirId, fileName = null }) {
+    if (!csvText || !String(csvText).trim()) {
+      throw this.createMutationError('File mutasi kosong');
+    }
+
+    const bankAccount = await BankAccount.findById(bankAccountId);
+    if (!bankAccount) {
+      throw new Error('Rekening bank tidak ditemukan');
+    }
+
+    const format = bankAccount.mutation_format?.toObject?.() || bankAccount.mutation_format || {};
+    const { lines, errors, skipped } = this.parseStatement(String(csvText), format);
+    const hashedLines = this.assignLineHashes(lines);
+
+    const existingHashes = new Set(await BankMutation.distinct('line_hash', {
+      bank_account: bankAccount._id,
+      line_hash: { $in: hashedLines.map(line => line.line_hash) }
+    }));
+    const newLines = hashedLines.filter(line => !existingHashes.has(line.line_hash));
+
+    const batchId = new mongoose.Types.ObjectId();
+    const claimed = (await this.getClaimedPaymentIds()).map(id => id.toString());
+    const documents = [];
+
+    for (const line of newLines) {
+      const candidates = await this.findCandidates(line, claimed);
+      const match = this.classifyMatch(candidates);
+      if (match.payment) claimed.push(match.payment.toString());
+
+      documents.push({
+        bank_account: bankAccount._id,
+        import_batch: batchId,
+        line_hash: line.line_hash,
+        transaction_date: line.transaction_date,
+        description: line.description,
+        sender_name: line.sender_name,
+        amount: line.amount,
+        status: match.status,
+        payment: match.payment,
+        score: match.score,
+        candidates: candidates.slice(0, 5),
+        imported_by: kasirId
+      });
+    }
+
+    const mutations = documents.length > 0 ? await BankMutation.insertMany(documents) : [];
+    const countStatus = (status) => mutations.filter(mutation => mutation.status === status).length;
+
+    const summary = {
+      batch_id: batchId,
+      file_name: fileName,
+      bank_account: bankAccount._id,
+      credit_lines: hashedLines.length,
+      imported: mutations.length,
+      duplicates: hashedLines.length - newLines.length,
+      skipped,
+      errors,
+      matched: countStatus('matched'),
+      ambiguous: countStatus('ambiguous'),
+      unmatched: countStatus('unmatched')
+    };
+
+    logger.info(`Bank mutation statement imported: ${batchId}`, {
+      kasir: kasirId,
+      bankAccount: bankAccount._id,
+      fileName,
+      imported: summary.imported,
+      matched: summary.matched,
+      ambiguous: summary.ambiguous
+    });
+
+    return { summary, mutations };
+  }
+
+  // ============= REVIEW =============
+  static async approveMutation(mutationId, kasirId, paymentId = null) {
+    const mutation = await BankMutation.findById(mutationId);
+    if (!mutation) {
+      throw new Error('Mutasi tidak ditemukan');
+    }
+
+    if (['approved', 'ignored'].includes(mutation.status)) {
+      throw this.createMutationError(`Mutasi sudah diproses (status: ${mutation.status_text})`);
+    }
+
+    const targetPaymentId = paymentId || mutation.payment;
+    if (!targetPaymentId) {
+      throw this.createMutationError('Pilih pembayaran yang sesuai dengan mutasi ini');
+    }
+
+    const payment = await Payment.findById(targetPaymentId);
+    if (!payment) {
+      throw new Error('Payment tidak ditemukan');
+    }
+
+    const expectedAmount = getExpectedTransferAmount(payment.amount, payment.unique_code || 0);
+    if (expectedAmount !== mutation.amount) {
+      throw this.createMutationError(
+        `Nominal mutasi Rp ${mutation.amount.toLocaleString('id-ID')} tidak sama dengan ` +
+        `nominal transfer Rp ${expectedAmount.toLocaleString('id-ID')}`
+      );
+    }
+
+    const linked = await BankMutation.findOne({
+      _id: { $ne: mutation._id },
+      payment: payment._id,
+      status: 'approved'
+    });
+    if (linked) {
+      throw this.createMutationError('Pembayaran ini sudah dicocokkan dengan mutasi lain');
+    }
+
+    const transactionDate = moment.utc(mutation.transaction_date).format('DD/MM/YYYY');
+    await PaymentService.approvePayment(
+      payment._id,
+      kasirId,
+      `Dicocokkan dengan mutasi bank ${transactionDate} sebesar Rp ${mutation.amount.toLocaleString('id-ID')}`
+    );
+
+    mutation.status = 'approved';
+    mutation.payment = payment._id;
+    mutation.reviewed_by = kasirId;
+    mutation.reviewed_at = new Date();
+    await mutation.save();
+
+    logger.info(`Bank mutation approved: ${mutation._id}`, {
+      kasir: kasirId,
+      payment: payment._id,
+      amount: mutation.amount,
+      manual: !!paymentId
+    });
+
+    return mutation;
+  }
+
+  // One-click approval of every confident match, optionally within one import
+  static async approveConfidentMatches(kasirId, batchId = null) {
+    const query = { status: 'matched' };
+    if (batchId) query.import_batch = batchId;
+
+    const mutations = await BankMutation.find(query).sort({ transaction_date: 1 });
+    const approved = [];
+    const failed = [];
+
+    for (const mutation of mutations) {
+      try {
+        approved.push(await this.approveMutation(mutation._id, kasirId));
+      } catch (error) {
+        logger.warn(`Bank mutation auto-approve failed: ${mutation._id}`, { error: error.message });
+        failed.push({ mutation_id: mutation._id, message: error.message });
+      }
+    }
+
+    return { approved, failed };
+  }
+
+  static async ignoreMutation(mutationId, kasirId, notes = '') {
+    const mutation = await BankMutation.findById(mutationId);
+    if (!mutation) {
+      throw new Error('Mutasi tidak ditemukan');
+    }
+
+    if (mutation.status === 'approved') {
+      throw this.createMutationError('Mutasi yang sudah disetujui tidak bisa diabaikan');
+    }
+
+    mutation.status = 'ignored';
+    mutation.payment = undefined;
+    mutation.reviewed_by = kasirId;
+    mutation.reviewed_at = new Date();
+    mutation.notes = notes;
+    await mutation.save();
+
+    return mutation;
+  }
+
+  // ============= QUERY METHODS =============
+  static async getMutations({ status, batchId, bankAccountId } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (batchId) query.import_batch = batchId;
+    if (bankAccountId) query.bank_account = bankAccountId;
+
+    return await BankMutation.find(query)
+      .populate('bank_account', 'bank_name account_number account_name')
+      .populate({
+        path: 'payment candidates.payment',
+        select: 'amount unique_code payment_type transfer_details booking user',
+        populate: [
+          { path: 'booking', select: 'bookingId tanggal_booking jam_booking harga kode_unik' },
+          { path: 'user', select: 'name email' }
+        ]
+      })
+      .sort({ transaction_date: -1, createdAt: -1 });
+  }
+}
+
+export default BankMutationService;
@@ -41,7 +41,8 @@ export class BookingAnalyticsService {
         pending: statusCounts.find(s => s._id === 'pending')?.count || 0,
         confirmed: statusCounts.find(s => s._id === 'confirmed')?.count || 0,
         completed: statusCounts.find(s => s._id === 'completed')?.count || 0,
-        cancelled: statusCounts.find(s => s._id === 'cancelled')?.count || 0
+        cancelled: statusCounts.find(s => s._id === 'cancelled')?.count || 0,
+        no_show: statusCounts.find(s => s._id === 'no_show')?.count || 0
       };
 
       const paymentSummary = {
@@ -0,0 +1,484 @@
+import Booking from '../models/Booking.js';
+import BookingSeries from '../models/BookingSeries.js';
+import FieldBlackout from '../models/FieldBlackout.js';
+import Field from '../models/Field.js';
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import logger from '../config/logger.js';
+import BookingService from './bookingService.js';
+import SlotLockService from './slotLockService.js';
+import PricingService from './pricingService.js';
+import RefundService from './refundService.js';
+import { RealtimeService } from './realtimeService.js';
+import {
+  validateBookingDate,
+  validateBookingTime,
+  validateBookingWithinOperationalHours,
+  validateBookingDuration,
+  validateSeriesFrequency,
+  validateSeriesDateNotTooFar,
+  SERIES_FREQUENCIES,
+  SERIES_LIMITS
+} from '../validators/bookingValidators.js';
+import { resolveOperatingHours } from '../validators/fieldValidators.js';
+
+export class BookingSeriesService {
+
+  // ============= CONSTANTS =============
+  static CANCEL_SCOPES = {
+    OCCURRENCE: 'occurrence',
+    FUTURE: 'future',
+    ALL: 'all'
+  };
+
+  static ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed'];
+
+  static CONFIRMED_PAYMENT_STATUSES = ['dp_confirmed', 'fully_paid', 'verified'];
+
+  // ============= VALIDATION METHODS =============
+  static validateSeriesInput(seriesData) {
+    const { lapanganId, tanggalMulai, jamBooking, durasi, frequency, tanggalSelesai, jumlahPertemuan } = seriesData;
+
+    if (!lapanganId || !tanggalMulai || !jamBooking || !durasi || !frequency) {
+      throw new Error('Field lapangan_id, tanggal_mulai, jam_booking, durasi, dan frequency harus diisi');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(lapanganId)) {
+      throw new Error('Format ID lapangan tidak valid');
+    }
+
+    if (!moment(tanggalMulai, 'YYYY-MM-DD', true).isValid()) {
+      throw new Error('Tanggal mulai tidak valid. Gunakan format YYYY-MM-DD');
+    }
+
+    if (!validateBookingDate(tanggalMulai)) {
+      throw new Error('Tanggal mulai tidak boleh di masa lalu');
+    }
+
+    if (!validateBookingTime(jamBooking)) {
+      throw new Error('Format jam booking tidak valid. Gunakan format HH:MM');
+    }
+
+    const durasiInt = parseInt(durasi);
+    if (isNaN(durasiInt) || durasiInt <= 0 || durasiInt > 8) {
+      throw new Error('Durasi harus berupa angka positif antara 1-8 jam');
+    }
+
+    if (!validateSeriesFrequency(frequency)) {
+      throw new Error(`Frekuensi tidak valid. Pilih: ${Object.keys(SERIES_FREQUENCIES).join(', ')}`);
+    }
+
+    if (!tanggalSelesai && !jumlahPertemuan) {
+      throw new Error('Tanggal selesai atau jumlah pertemuan harus diisi');
+    }
+
+    if (tanggalSelesai && !moment(tanggalSelesai, 'YYYY-MM-DD', true).isValid()) {
+      throw new Error('Tanggal selesai tidak valid. Gunakan format YYYY-MM-DD');
+    }
+
+    if (jumlahPertemuan) {
+      const count = parseInt(jumlahPertemuan);
+      if (isNaN(count) || count < SERIES_LIMITS.MIN_OCCURRENCES || count > SERIES_LIMITS.MAX_OCCURRENCES) {
+        throw new Error(`Jumlah pertemuan harus antara ${SERIES_LIMITS.MIN_OCCURRENCES}-${SERIES_LIMITS.MAX_OCCURRENCES}`);
+      }
+    }
+
+    return durasiInt;
+  }
+
+  // ============= OCCURRENCE GENERATION =============
+  static generateOccurrenceDates({ tanggalMulai, frequency, tanggalSelesai, jumlahPertemuan }) {
+    const stepDays = SERIES_FREQUENCIES[frequency];
+    const start = moment(tanggalMulai, 'YYYY-MM-DD');
+    const end = tanggalSelesai ? moment(tanggalSelesai, 'YYYY-MM-DD') : null;
+    const maxCount = jumlahPertemuan ? parseInt(jumlahPertemuan) : SERIES_LIMITS.MAX_OCCURRENCES;
+
+    if (end && end.isBefore(start)) {
+      throw new Error('Tanggal selesai tidak boleh sebelum tanggal mulai');
+    }
+
+    const dates = [];
+    const current = start.clone();
+    while (dates.length < maxCount && (!end || !current.isAfter(end))) {
+      dates.push(current.format('YYYY-MM-DD'));
+      current.add(stepDays, 'days');
+    }
+
+    if (end && !jumlahPertemuan && !current.isAfter(end)) {
+      throw new Error(`Booking berulang maksimal ${SERIES_LIMITS.MAX_OCCURRENCES} pertemuan`);
+    }
+
+    if (dates.length < SERIES_LIMITS.MIN_OCCURRENCES) {
+      throw new Error(`Booking berulang minimal ${SERIES_LIMITS.MIN_OCCURRENCES} pertemuan`);
+    }
+
+    const lastDate = dates[dates.length - 1];
+    if (!validateSeriesDateNotTooFar(lastDate)) {
+      throw new Error(`Booking berulang maksimal ${SERIES_LIMITS.MAX_DAYS_AHEAD} hari ke depan`);
+    }
+
+    return dates;
+  }
+
+  // ✅ Split occurrence dates into free ones and conflicting ones
+  static async checkOccurrences(lapanganId, dates, jamBooking, durasi, field = null) {
+    const available = [];
+    const conflicts = [];
+
+    for (const date of dates) {
+      // Holidays can close or shorten a single occurrence
+      if (field) {
+        const hours = await Field.getOperatingHours(field, date);
+        const withinHours = !hours.closed &&
+          validateBookingWithinOperationalHours(jamBooking, hours.jam_buka, hours.jam_tutup) &&
+          validateBookingDuration(jamBooking, durasi, hours.jam_tutup);
+
+        if (!withinHours) {
+          conflicts.push({
+            date,
+            operating_hours: {
+              closed: hours.closed,
+              jam_buka: hours.jam_buka,
+              jam_tutup: hours.jam_tutup,
+              holiday: hours.holiday || null
+            }
+          });
+          continue;
+        }
+      }
+
+      const blackout = await FieldBlackout.findOverlapping(lapanganId, date, jamBooking, durasi);
+      if (blackout) {
+        conflicts.push({
+          date,
+          blackout: {
+            jenis: blackout.jenis,
+            alasan: blackout.alasan,
+            waktu: blackout.waktu_text
+          }
+        });
+        continue;
+      }
+
+      const result = await BookingService.checkManualOverlap(lapanganId, date, jamBooking, durasi);
+      if (result.available) {
+        available.push(date);
+      } else {
+        conflicts.push({
+          date,
+          conflicting_booking: result.conflictDetails.conflicting_booking
+        });
+      }
+    }
+
+    return { available, conflicts };
+  }
+
+  // ✅ Validate input, expand the recurrence rule and report conflicts
+  static async previewSeries(seriesData) {
+    const durasi = this.validateSeriesInput(seriesData);
+    const { lapanganId, jamBooking } = seriesData;
+
+    const field = await BookingService.validateFieldForBooking(lapanganId);
+    const dates = this.generateOccurrenceDates(seriesData);
+
+    // Every occurrence falls on the same weekday, so the weekly schedule is checked once
+    BookingService.validateOperatingHours(field, jamBooking, durasi, resolveOperatingHours(field, dates[0]));
+
+    const { available, conflicts } = await this.checkOccurrences(lapanganId, dates, jamBooking, durasi, field);
+
+    // Each occurrence is priced on its own date (holidays, promo periods), so there is no
+    // single per-session price; the occurrences carry their own harga and breakdown
+    const pricing = {};
+    for (const date of available) {
+      pricing[date] = await BookingService.calculateBookingPricing(field, date, jamBooking, durasi);
+    }
+
+    return {
+      field,
+      durasi,
+      dates,
+      available,
+      conflicts,
+      pricing,
+      total_harga: available.reduce((sum, date) => sum + pricing[date].total, 0)
+    };
+  }
+
+  // ============= CRUD OPERATIONS =============
+  static async createSeries(seriesData) {
+    const { userId, lapanganId, tanggalMulai, jamBooking, frequency, tanggalSelesai, jumlahPertemuan, catatan, skipConflicts } = seriesData;
+
+    const preview = await this.previewSeries(seriesData);
+
+    if (preview.conflicts.length > 0 && !skipConflicts) {
+      const error = new Error('Sebagian jadwal bertabrakan dengan booking lain');
+      error.errorCode = 'SLOT_CONFLICT';
+      error.conflictDetails = preview.conflicts;
+      throw error;
+    }
+
+    if (preview.available.length === 0) {
+      const error = new Error('Tidak ada jadwal yang tersedia untuk booking berulang ini');
+      error.errorCode = 'SLOT_CONFLICT';
+      error.conflictDetails = preview.conflicts;
+      throw error;
+    }
+
+    const series = await BookingSeries.create({
+      pelanggan: userId,
+      lapangan: lapanganId,
+      jenis_lapangan: preview.field.jenis_lapangan,
+      jam_booking: jamBooking,
+      durasi: preview.durasi,
+      frequency,
+      tanggal_mulai: new Date(tanggalMulai),
+      tanggal_selesai: tanggalSelesai ? new Date(tanggalSelesai) : undefined,
+      jumlah_pertemuan: jumlahPertemuan ? parseInt(jumlahPertemuan) : undefined,
+      total_harga: preview.total_harga,
+      skipped_dates: preview.conflicts.map(conflict => ({
+        tanggal: new Date(conflict.date),
+        reason: conflict.blackout
+          ? `Lapangan ditutup: ${conflict.blackout.alasan}`
+          : conflict.operating_hours
+            ? `Di luar jam operasional${conflict.operating_hours.holiday ? ` (${conflict.operating_hours.holiday})` : ''}`
+            : 'Bertabrakan dengan booking lain'
+      })),
+      catatan
+    });
+
+    const bookings = [];
+    const lateConflicts = [];
+
+    for (const [index, date] of preview.dates.entries()) {
+      if (!preview.available.includes(date)) continue;
+
+      try {
+        const bookingObjectId = new mongoose.Types.ObjectId();
+        const booking = await SlotLockService.withSlotLock({
+          lapanganId,
+          tanggal: date,
+          jamBooking,
+          durasi: preview.durasi,
+          bookingId: bookingObjectId
+        }, () => Booking.create({
+          _id: bookingObjectId,
+          pelanggan: userId,
+          lapangan: lapanganId,
+          jenis_lapangan: preview.field.jenis_lapangan,
+          tanggal_booking: new Date(date),
+          jam_booking: jamBooking,
+          durasi: preview.durasi,
+          harga: preview.pricing[date].total,
+          rincian_harga: PricingService.toBookingBreakdown(preview.pricing[date]),
+          status_pemesanan: 'pending',
+          payment_status: 'no_payment',
+          series: series._id,
+          series_index: index + 1
+        }));
+        bookings.push(booking);
+      } catch (createError) {
+        // Slot taken between the availability check and the write
+        logger.warn('Series occurrence skipped:', {
+          series: series._id,
+          date,
+          error: createError.message
+        });
+        lateConflicts.push({ date, reason: createError.message });
+      }
+    }
+
+    if (lateConflicts.length > 0) {
+      series.skipped_dates.push(...lateConflicts.map(conflict => ({
+        tanggal: new Date(conflict.date),
+        reason: conflict.reason
+      })));
+    }
+
+    if (bookings.length === 0) {
+      series.status = 'cancelled';
+      series.cancel_reason = 'Tidak ada jadwal yang berhasil dibuat';
+      series.cancelled_at = new Date();
+      await series.save();
+      throw new Error('Tidak ada jadwal yang berhasil dibuat untuk booking berulang ini');
+    }
+
+    series.total_harga = bookings.reduce((sum, booking) => sum + booking.harga, 0);
+    await series.save();
+
+    for (const booking of bookings) {
+      await RealtimeService.publishBookingEvent('created', booking);
+    }
+
+    logger.info(`Booking series created: ${series._id}`, {
+      user: userId,
+      field: lapanganId,
+      frequency,
+      occurrences: bookings.length,
+      skipped: series.skipped_dates.length
+    });
+
+    return { series, bookings, conflicts: [...preview.conflicts, ...lateConflicts] };
+  }
+
+  static async getSeriesForUser(seriesId, user) {
+    if (!mongoose.Types.ObjectId.isValid(seriesId)) {
+      throw new Error('ID series tidak valid');
+    }
+
+    const series = await BookingSeries.findById(seriesId)
+      .populate('lapangan', 'nama jenis_lapangan harga')
+      .populate('pelanggan', 'name email phoneNumber');
+
+    if (!series) {
+      throw new Error('Booking berulang tidak ditemukan');
+    }
+
+    const isOwner = series.pelanggan._id.toString() === user._id.toString();
+    const isCashierOrAdmin = ['kasir', 'cashier', 'admin'].includes(user.role);
+
+    if (!isOwner && !isCashierOrAdmin) {
+      throw new Error('Anda tidak memiliki akses ke booking berulang ini');
+    }
+
+    return series;
+  }
+
+  static async getSeriesOccurrences(seriesId) {
+    return await Booking.find({ series: seriesId })
+      .select('bookingId tanggal_booking jam_booking durasi harga status_pemesanan payment_status series_index cancel_reason')
+      .sort({ tanggal_booking: 1 });
+  }
+
+  static async getUserSeries(userId) {
+    return await BookingSeries.find({ pelanggan: userId })
+      .populate('lapangan', 'nama jenis_lapangan')
+      .sort({ createdAt: -1 });
+  }
+
+  // ✅ Recalculate series total from occurrences that are still active
+  static async refreshSeriesTotals(series) {
+    const activeBookings = await Booking.find({
+      series: series._id,
+      status_pemesanan: { $in: this.ACTIVE_BOOKING_STATUSES }
+    }).select('harga').lean();
+    const activeCount = activeBookings.length;
+
+    series.total_harga = activeBookings.reduce((sum, booking) => sum + booking.harga, 0);
+    if (activeCount === 0 && series.status === 'active') {
+      series.status = 'cancelled';
+      series.cancelled_at = new Date();
+    }
+
+    return activeCount;
+  }
+
+  // ============= CANCELLATION =============
+  static async cancelSeries(seriesId, user, { scope, bookingId, reason }) {
+    if (!Object.values(this.CANCEL_SCOPES).includes(scope)) {
+      throw new Error(`Scope pembatalan tidak valid. Pilih: ${Object.values(this.CANCEL_SCOPES).join(', ')}`);
+    }
+
+    const series = await this.getSeriesForUser(seriesId, user);
+
+    if (series.status !== 'active') {
+      throw new Error(`Booking berulang sudah ${series.status}`);
+    }
+
+    const today = moment().tz('Asia/Jakarta').format('YYYY-MM-DD');
+    const query = {
+      series: series._id,
+      status_pemesanan: { $in: this.ACTIVE_BOOKING_STATUSES },
+      tanggal_booking: { $gte: new Date(today) }
+    };
+
+    if (scope !== this.CANCEL_SCOPES.ALL) {
+      if (!bookingId || !mongoose.Types.ObjectId.isValid(bookingId)) {
+        throw new Error('booking_id harus diisi untuk pembatalan satu atau beberapa jadwal');
+      }
+
+      const anchor = await Booking.findOne({ _id: bookingId, series: series._id });
+      if (!anchor) {
+        throw new Error('Jadwal tidak ditemukan dalam booking berulang ini');
+      }
+
+      if (scope === this.CANCEL_SCOPES.OCCURRENCE) {
+        query._id = anchor._id;
+      } else {
+        query.tanggal_booking = { $gte: anchor.tanggal_booking };
+      }
+    }
+
+    const bookings = await Booking.find(query);
+    if (bookings.length === 0) {
+      throw new Error('Tidak ada jadwal aktif yang dapat dibatalkan');
+    }
+
+    const isCustomer = !['kasir', 'cashier', 'admin'].includes(user.role);
+    if (isCustomer && bookings.some(booking => this.CONFIRMED_PAYMENT_STATUSES.includes(booking.payment_status))) {
+      throw new Error('Jadwal yang sudah dibayar hanya dapat dibatalkan oleh kasir/admin');
+    }
+
+    const cancelReason = reason || (isCustomer ? 'Dibatalkan oleh customer' : `Dibatalkan oleh ${user.role}`);
+    const now = new Date();
+
+    // Cancellation and the policy refunds of paid occurrences commit together
+    let refunds = [];
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const result = await Booking.updateMany(
+          {
+            _id: { $in: bookings.map(booking => booking._id) },
+            status_pemesanan: { $in: this.ACTIVE_BOOKING_STATUSES }
+          },
+          {
+            status_pemesanan: 'cancelled',
+            cancel_reason: cancelReason,
+            cancelled_at: now,
+            cancelled_by: user._id
+          },
+          { session }
+        );
+        if (result.modifiedCount !== bookings.length) {
+          throw new Error('Sebagian jadwal sudah berubah status, silakan coba lagi');
+        }
+
+        refunds = await RefundService.createRefundsForCancelledBookings(bookings, user, cancelReason, session);
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    // updateMany skips the post-save hook, so release the slot locks and vouchers here
+    for (const booking of bookings) {
+      await SlotLockService.release(booking._id);
+      await Booking.releaseVoucher(booking);
+      await RealtimeService.publishBookingEvent('cancelled', { ...booking.toObject(), status_pemesanan: 'cancelled' });
+    }
+
+    const remaining = await this.refreshSeriesTotals(series);
+
+    if (scope === this.CANCEL_SCOPES.ALL || remaining === 0) {
+      series.status = 'cancelled';
+      series.cancel_reason = cancelReason;
+      series.cancelled_at = now;
+      series.cancelled_by = user._id;
+    }
+
+    await series.save();
+
+    logger.info(`Booking series cancellation: ${series._id}`, {
+      scope,
+      cancelled: bookings.length,
+      refunds: refunds.length,
+      remaining,
+      by: user._id,
+      role: user.role
+    });
+
+    return { series, cancelled: bookings, refunds, remaining };
+  }
+}
+
+export default BookingSeriesService;
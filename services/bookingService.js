@@ -3,6 +3,11 @@ import Field from '../models/Field.js';
 import mongoose from 'mongoose';
 import moment from 'moment-timezone';
 import logger from '../config/logger.js';
+import SlotLockService from './slotLockService.js';
+import PricingService from './pricingService.js';
+import VoucherService from './voucherService.js';
+import { PaymentService } from './paymentService.js';
+import { NotificationService } from './notificationService.js';
 
 export class BookingService {
   
@@ -11,14 +16,17 @@ export class BookingService {
     PENDING: 'pending',
     CONFIRMED: 'confirmed', 
     CANCELLED: 'cancelled',
-    COMPLETED: 'completed'
+    COMPLETED: 'completed',
+    EXPIRED: 'expired',
+    NO_SHOW: 'no_show'
   };
 
   static PAYMENT_STATUSES = {
     NO_PAYMENT: 'no_payment',
     PENDING_PAYMENT: 'pending_payment',
     DP_CONFIRMED: 'dp_confirmed',
-    FULLY_PAID: 'fully_paid'
+    FULLY_PAID: 'fully_paid',
+    EXPIRED: 'expired'
   };
 
   // ✅ Field validation logic
@@ -40,13 +48,17 @@ export class BookingService {
     return field;
   }
   
-  // ✅ Operating hours validation
-  static validateOperatingHours(field, jamBooking, durasi) {
+  // ✅ Operating hours validation (pass `hours` resolved for the booking date when known)
+  static validateOperatingHours(field, jamBooking, durasi, hours = null) {
     const bookingHour = parseInt(jamBooking.split(':')[0]);
+
+    if (hours?.closed) {
+      throw new Error(`Lapangan tutup pada hari ${hours.hari}${hours.holiday ? ` (${hours.holiday})` : ''}`);
+    }
     
     // Default operating hours if not set
-    const jamBuka = field.jam_buka || '08:00';
-    const jamTutup = field.jam_tutup || '22:00';
+    const jamBuka = hours?.jam_buka || field.jam_buka || '08:00';
+    const jamTutup = hours?.jam_tutup || field.jam_tutup || '22:00';
     
     const closeHour = parseInt(jamTutup.split(':')[0]);
     const openHour = parseInt(jamBuka.split(':')[0]);
@@ -60,6 +72,12 @@ export class BookingService {
     }
   }
   
+  static async validateOperatingHoursForDate(field, tanggal, jamBooking, durasi) {
+    const hours = await Field.getOperatingHours(field, tanggal);
+    this.validateOperatingHours(field, jamBooking, durasi, hours);
+    return hours;
+  }
+  
   // ✅ Availability check
   static async checkSlotAvailability(lapanganId, tanggalBooking, jamBooking, durasi = 1, excludeBookingId = null) {
     try {
@@ -102,14 +120,19 @@ export class BookingService {
     }
   }
   
-  // ✅ Price calculation
+  // ✅ Price calculation (flat base rate)
   static calculateBookingPrice(field, durasi) {
     return field.harga * durasi;
   }
+
+  // ✅ Price with pricing rules applied, itemized per hour
+  static async calculateBookingPricing(field, tanggalBooking, jamBooking, durasi) {
+    return PricingService.calculatePrice(field, tanggalBooking, jamBooking, durasi);
+  }
   
   // ✅ Complete booking creation logic
   static async createBooking(bookingData) {
-    const { userId, lapanganId, tanggalBooking, jamBooking, durasi } = bookingData;
+    const { userId, lapanganId, tanggalBooking, jamBooking, durasi, kodeVoucher, channel = 'online', createdBy, catatan } = bookingData;
     
     // Validate field exists and available
     const field = await this.validateFieldForBooking(lapanganId);
@@ -127,26 +150,58 @@ export class BookingService {
     }
     
     // Calculate price
-    const totalHarga = this.calculateBookingPrice(field, durasi);
+    const pricing = await this.calculateBookingPricing(field, tanggalBooking, jamBooking, durasi);
+    const voucherResult = kodeVoucher
+      ? await VoucherService.redeemVoucher({
+        kode: kodeVoucher,
+        userId,
+        jenisLapangan: field.jenis_lapangan,
+        harga: pricing.total
+      })
+      : null;
     
     // ✅ NORMALIZE: Date untuk consistency
     const normalizedDate = new Date(tanggalBooking);
     normalizedDate.setUTCHours(0, 0, 0, 0);
     
-    // Create booking with normalized date
-    const booking = await Booking.create({
+    // Create booking with normalized date under a slot lock
+    const kodeUnik = await PaymentService.generateUniqueCode();
+    const bookingObjectId = new mongoose.Types.ObjectId();
+    const createBooking = () => SlotLockService.withSlotLock({
+      lapanganId,
+      tanggal: normalizedDate,
+      jamBooking,
+      durasi,
+      bookingId: bookingObjectId
+    }, () => Booking.create({
+      _id: bookingObjectId,
       pelanggan: userId,
       lapangan: lapanganId,
       jenis_lapangan: field.jenis_lapangan,
       tanggal_booking: normalizedDate, // ✅ Use normalized date
       jam_booking: jamBooking,
       durasi: parseInt(durasi), // ✅ Ensure integer
-      harga: totalHarga,
+      harga: voucherResult ? voucherResult.harga_setelah_diskon : pricing.total,
+      rincian_harga: PricingService.toBookingBreakdown(pricing),
+      ...(voucherResult && { voucher: VoucherService.toBookingVoucher(voucherResult) }),
       status_pemesanan: 'pending',
-      payment_status: 'no_payment'
-    });
+      payment_status: 'no_payment',
+      channel,
+      kode_unik: kodeUnik || undefined,
+      ...(createdBy && { created_by: createdBy }),
+      ...(catatan && { catatan })
+    }));
+
+    let booking;
+    try {
+      booking = await createBooking();
+    } catch (error) {
+      if (voucherResult) await VoucherService.releaseUnusedRedemption(voucherResult, userId, bookingObjectId);
+      throw error;
+    }
+    await PaymentService.ensureUniqueCode(booking);
     
-    return { booking, field };
+    return { booking, field, pricing };
   }
   
   // ✅ Booking update validation
@@ -225,7 +280,7 @@ export class BookingService {
 
   // ✅ NEW: Complete booking creation dengan full validation dan overlap check
   static async createBookingWithFullValidation(bookingData) {
-    const { userId, lapanganId, tanggalBooking, jamBooking, durasi } = bookingData;
+    const { userId, lapanganId, tanggalBooking, jamBooking, durasi, kodeVoucher } = bookingData;
     
     // 1. Validate ObjectId format
     if (!mongoose.Types.ObjectId.isValid(lapanganId)) {
@@ -254,7 +309,8 @@ export class BookingService {
       lapanganId,
       tanggalBooking,
       jamBooking,
-      durasi: durasiInt
+      durasi: durasiInt,
+      kodeVoucher
     });
 
     return result.booking;
@@ -393,13 +449,37 @@ export class BookingService {
       
       if (tanggal_booking) booking.tanggal_booking = new Date(tanggal_booking);
       if (jam_booking) booking.jam_booking = jam_booking;
-      if (durasi) {
-        booking.durasi = durasi;
-        booking.harga = this.calculateBookingPrice(booking.lapangan, durasi);
-      }
+      if (durasi) booking.durasi = durasi;
       if (catatan !== undefined) booking.catatan = catatan;
 
-      await booking.save();
+      // Peak / weekend / holiday rates depend on the slot, so any schedule change is repriced
+      if (tanggal_booking || jam_booking || durasi) {
+        const pricing = await this.calculateBookingPricing(
+          booking.lapangan,
+          booking.tanggal_booking,
+          booking.jam_booking,
+          booking.durasi
+        );
+        booking.harga = pricing.total;
+        booking.rincian_harga = PricingService.toBookingBreakdown(pricing);
+
+        if (booking.voucher?.voucher) {
+          booking.voucher = await VoucherService.recalculateBookingVoucher(booking.voucher, pricing.total);
+          booking.harga = pricing.total - booking.voucher.diskon;
+        }
+      }
+
+      if (tanggal_booking || jam_booking || durasi) {
+        await SlotLockService.withSlotLock({
+          lapanganId: booking.lapangan._id,
+          tanggal: booking.tanggal_booking,
+          jamBooking: booking.jam_booking,
+          durasi: booking.durasi,
+          bookingId: booking._id
+        }, () => booking.save());
+      } else {
+        await booking.save();
+      }
       
       return booking;
 
@@ -409,27 +489,55 @@ export class BookingService {
     }
   }
 
-  // ✅ ADD: Clean up expired bookings
-  static async cleanupExpiredBookings() {
+  // ✅ Expire unpaid bookings whose payment hold has run out and free their slots
+  static async cleanupExpiredBookings(now = new Date()) {
     try {
-      const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000);
-      
-      const expiredBookings = await Booking.updateMany(
-        {
-          status: 'pending',
-          createdAt: { $lt: tenMinutesAgo }
-        },
+      const expiryQuery = {
+        status_pemesanan: this.BOOKING_STATUSES.PENDING,
+        payment_status: this.PAYMENT_STATUSES.NO_PAYMENT,
+        approved_by_admin: { $ne: true },
+        payment_deadline: { $lt: now }
+      };
+
+      const candidates = await Booking.find(expiryQuery)
+        .select('_id bookingId lapangan tanggal_booking jam_booking durasi pelanggan series')
+        .lean();
+
+      if (candidates.length === 0) {
+        return [];
+      }
+
+      // Re-apply the query so a payment uploaded in the meantime keeps its booking
+      const result = await Booking.updateMany(
+        { ...expiryQuery, _id: { $in: candidates.map(booking => booking._id) } },
         {
-          status: 'expired',
-          expiredAt: new Date()
+          status_pemesanan: this.BOOKING_STATUSES.EXPIRED,
+          payment_status: this.PAYMENT_STATUSES.EXPIRED,
+          expired_at: now
         }
       );
 
-      if (expiredBookings.modifiedCount > 0) {
-        logger.info(`Cleaned up ${expiredBookings.modifiedCount} expired bookings`);
+      const expiredBookings = await Booking.find({
+        _id: { $in: candidates.map(booking => booking._id) },
+        status_pemesanan: this.BOOKING_STATUSES.EXPIRED
+      })
+        .select('_id bookingId lapangan tanggal_booking jam_booking durasi pelanggan series voucher')
+        .lean();
+
+      // updateMany skips the post-save hook, so release the slot locks and vouchers here
+      for (const booking of expiredBookings) {
+        await SlotLockService.release(booking._id);
+        await Booking.releaseVoucher(booking);
+        await NotificationService.notifyBookingExpired(booking);
       }
 
-      return expiredBookings.modifiedCount;
+      if (result.modifiedCount > 0) {
+        logger.info(`Expired ${result.modifiedCount} unpaid bookings`, {
+          bookings: expiredBookings.map(booking => booking.bookingId)
+        });
+      }
+
+      return expiredBookings;
 
     } catch (error) {
       logger.error('Error cleaning up expired bookings:', error);
@@ -437,6 +545,32 @@ export class BookingService {
     }
   }
 
+  // ✅ Remaining payment hold for a booking (countdown for the client)
+  static getPaymentHoldInfo(booking, now = new Date()) {
+    const isHeld = booking.status_pemesanan === this.BOOKING_STATUSES.PENDING &&
+      booking.payment_status === this.PAYMENT_STATUSES.NO_PAYMENT &&
+      !booking.approved_by_admin &&
+      !!booking.payment_deadline;
+
+    if (!isHeld) {
+      return {
+        active: false,
+        deadline: booking.payment_deadline || null,
+        expired: booking.status_pemesanan === this.BOOKING_STATUSES.EXPIRED
+      };
+    }
+
+    const remainingSeconds = Math.max(0, Math.floor((new Date(booking.payment_deadline) - now) / 1000));
+
+    return {
+      active: remainingSeconds > 0,
+      deadline: booking.payment_deadline,
+      deadline_wib: moment(booking.payment_deadline).tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm:ss'),
+      remaining_seconds: remainingSeconds,
+      expired: remainingSeconds === 0
+    };
+  }
+
   // ✅ NEW: Check booking conflict
   static async checkBookingConflict(fieldId, date, startTime, endTime, excludeBookingId = null) {
     try {
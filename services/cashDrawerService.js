@@ -0,0 +1,194 @@
+import CashDrawer from '../models/CashDrawer.js';
+import Payment from '../models/Payment.js';
+import User from '../models/User.js';
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import logger from '../config/logger.js';
+import { ONSITE_PAYMENT_METHODS } from '../validators/paymentValidators.js';
+
+export class CashDrawerService {
+
+  // ============= HELPERS =============
+  static parseDate(tanggal) {
+    const dateString = tanggal || moment().tz('Asia/Jakarta').format('YYYY-MM-DD');
+    if (!moment(dateString, 'YYYY-MM-DD', true).isValid()) {
+      throw new Error('Tanggal tidak valid. Gunakan format YYYY-MM-DD');
+    }
+
+    return {
+      dateString,
+      start: moment.tz(dateString, 'Asia/Jakarta').startOf('day').toDate(),
+      end: moment.tz(dateString, 'Asia/Jakarta').endOf('day').toDate()
+    };
+  }
+
+  static parseAmount(value, label) {
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw new Error(`${label} harus berupa angka dan tidak boleh negatif`);
+    }
+    return amount;
+  }
+
+  static getDifferenceStatus(difference) {
+    if (difference === 0) return 'balanced';
+    return difference < 0 ? 'short' : 'over';
+  }
+
+  // ✅ Verified on-site payments per cashier for one WIB day, split by method
+  static async getRecordedTotals(dateString, kasirId = null) {
+    const { start, end } = this.parseDate(dateString);
+
+    const rows = await Payment.aggregate([
+      {
+        $match: {
+          status: 'verified',
+          payment_method: { $in: ONSITE_PAYMENT_METHODS },
+          received_at: { $gte: start, $lte: end },
+          ...(kasirId && { received_by: new mongoose.Types.ObjectId(kasirId) })
+        }
+      },
+      {
+        $group: {
+          _id: { cashier: '$received_by', method: '$payment_method' },
+          total: { $sum: '$amount' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const totals = new Map();
+    for (const row of rows) {
+      const key = row._id.cashier.toString();
+      const entry = totals.get(key) || { cash: 0, qris: 0, edc: 0, transaction_count: 0 };
+      entry[row._id.method] = row.total;
+      entry.transaction_count += row.count;
+      totals.set(key, entry);
+    }
+
+    return totals;
+  }
+
+  // ============= REPORT =============
+  static async getDrawerReport({ tanggal, kasirId = null }) {
+    const { dateString, start, end } = this.parseDate(tanggal);
+    const recorded = await this.getRecordedTotals(dateString, kasirId);
+
+    const closings = await CashDrawer.find({
+      date: new Date(dateString),
+      ...(kasirId && { cashier: kasirId })
+    });
+    const closingMap = new Map(closings.map(closing => [closing.cashier.toString(), closing]));
+
+    const cashierIds = [...new Set([...recorded.keys(), ...closingMap.keys()])];
+    const cashiers = await User.find({ _id: { $in: cashierIds } }).select('name email role');
+    const cashierMap = new Map(cashiers.map(cashier => [cashier._id.toString(), cashier]));
+
+    const drawers = cashierIds.map(id => {
+      const totals = recorded.get(id) || { cash: 0, qris: 0, edc: 0, transaction_count: 0 };
+      const closing = closingMap.get(id);
+      const cashier = cashierMap.get(id);
+      const openingFloat = closing?.opening_float || 0;
+      const expectedCash = openingFloat + totals.cash;
+      // Payments recorded after closing show up as a change against the closed figures
+      const difference = closing ? closing.counted_cash - expectedCash : null;
+
+      return {
+        cashier: {
+          id,
+          name: cashier?.name || null,
+          role: cashier?.role || null
+        },
+        totals: {
+          cash: totals.cash,
+          qris: totals.qris,
+          edc: totals.edc,
+          all: totals.cash + totals.qris + totals.edc
+        },
+        transaction_count: totals.transaction_count,
+        opening_float: openingFloat,
+        expected_cash: expectedCash,
+        closed: !!closing,
+        counted_cash: closing ? closing.counted_cash : null,
+        difference,
+        status: closing ? this.getDifferenceStatus(difference) : 'open',
+        closed_at: closing?.closed_at || null,
+        notes: closing?.notes || null
+      };
+    });
+
+    const transactions = kasirId
+      ? await Payment.find({
+        status: 'verified',
+        payment_method: { $in: ONSITE_PAYMENT_METHODS },
+        received_by: kasirId,
+        received_at: { $gte: start, $lte: end }
+      })
+        .populate('booking', 'bookingId tanggal_booking jam_booking')
+        .sort({ received_at: 1 })
+      : null;
+
+    return {
+      tanggal: dateString,
+      drawers,
+      summary: {
+        cashiers: drawers.length,
+        total_cash: drawers.reduce((sum, drawer) => sum + drawer.totals.cash, 0),
+        total_qris: drawers.reduce((sum, drawer) => sum + drawer.totals.qris, 0),
+        total_edc: drawers.reduce((sum, drawer) => sum + drawer.totals.edc, 0),
+        total_difference: drawers.reduce((sum, drawer) => sum + (drawer.difference || 0), 0),
+        unclosed: drawers.filter(drawer => !drawer.closed).length
+      },
+      ...(transactions && { transactions })
+    };
+  }
+
+  // ============= CLOSING =============
+  static async closeDrawer(kasirId, { tanggal, openingFloat, countedCash, notes }) {
+    const { dateString } = this.parseDate(tanggal);
+
+    if (countedCash === undefined || countedCash === null || countedCash === '') {
+      throw new Error('Jumlah uang yang dihitung harus diisi');
+    }
+
+    const opening = openingFloat === undefined || openingFloat === '' ? 0 : this.parseAmount(openingFloat, 'Modal awal');
+    const counted = this.parseAmount(countedCash, 'Jumlah uang yang dihitung');
+
+    const existing = await CashDrawer.exists({ cashier: kasirId, date: new Date(dateString) });
+    if (existing) {
+      throw new Error(`Laci kas tanggal ${dateString} sudah ditutup`);
+    }
+
+    const totals = (await this.getRecordedTotals(dateString, kasirId)).get(kasirId.toString())
+      || { cash: 0, qris: 0, edc: 0, transaction_count: 0 };
+    const expectedCash = opening + totals.cash;
+
+    const drawer = await CashDrawer.create({
+      cashier: kasirId,
+      date: new Date(dateString),
+      opening_float: opening,
+      totals: {
+        cash: totals.cash,
+        qris: totals.qris,
+        edc: totals.edc
+      },
+      transaction_count: totals.transaction_count,
+      expected_cash: expectedCash,
+      counted_cash: counted,
+      difference: counted - expectedCash,
+      notes
+    });
+
+    logger.info(`Cash drawer closed: ${drawer._id}`, {
+      kasir: kasirId,
+      tanggal: dateString,
+      expected: expectedCash,
+      counted,
+      difference: drawer.difference
+    });
+
+    return drawer;
+  }
+}
+
+export default CashDrawerService;
@@ -0,0 +1,240 @@
+import Booking from '../models/Booking.js';
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import logger from '../config/logger.js';
+import { CHECK_IN_WINDOW } from '../validators/bookingValidators.js';
+import CacheService from './cacheService.js';
+import SlotLockService from './slotLockService.js';
+import { RealtimeService } from './realtimeService.js';
+
+export class CheckInService {
+
+  // ============= CONSTANTS =============
+  static TOKEN_PREFIX = 'DSC1';
+  static STAFF_ROLES = ['kasir', 'cashier', 'admin'];
+
+  // ============= HELPERS =============
+  static createCheckInError(message, errorCode = 'CHECK_IN_INVALID') {
+    const error = new Error(message);
+    error.errorCode = errorCode;
+    return error;
+  }
+
+  static getSecret() {
+    return process.env.CHECK_IN_SECRET || process.env.JWT_SECRET;
+  }
+
+  static sign(bookingId) {
+    return crypto
+      .createHmac('sha256', this.getSecret())
+      .update(`${this.TOKEN_PREFIX}.${bookingId}`)
+      .digest('base64url')
+      .slice(0, 22);
+  }
+
+  // Slot start/end in WIB; tanggal_booking is stored at UTC midnight
+  static getSlotWindow(booking) {
+    const date = moment.utc(booking.tanggal_booking).format('YYYY-MM-DD');
+    const start = moment.tz(`${date} ${booking.jam_booking}`, 'YYYY-MM-DD HH:mm', 'Asia/Jakarta');
+    const end = start.clone().add(booking.durasi, 'hours');
+
+    return {
+      start: start.toDate(),
+      end: end.toDate(),
+      opensAt: start.clone().subtract(CHECK_IN_WINDOW.EARLY_MINUTES, 'minutes').toDate()
+    };
+  }
+
+  static formatWIB(date) {
+    return moment(date).tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm');
+  }
+
+  // ============= TOKEN =============
+  // Compact so the QR stays scannable from a phone screen: DSC1.<bookingId>.<hmac>
+  static generateToken(booking) {
+    const bookingId = booking._id.toString();
+    return `${this.TOKEN_PREFIX}.${bookingId}.${this.sign(bookingId)}`;
+  }
+
+  static verifyToken(token) {
+    const [prefix, bookingId, signature] = String(token || '').trim().split('.');
+
+    if (prefix !== this.TOKEN_PREFIX || !mongoose.Types.ObjectId.isValid(bookingId) || !signature) {
+      throw this.createCheckInError('Kode QR tidak dikenali', 'INVALID_CHECK_IN_TOKEN');
+    }
+
+    const expected = this.sign(bookingId);
+    const valid = signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+    if (!valid) {
+      throw this.createCheckInError('Kode QR tidak valid', 'INVALID_CHECK_IN_TOKEN');
+    }
+
+    return bookingId;
+  }
+
+  // ============= CUSTOMER QR =============
+  static async getCheckInPass(bookingId, user) {
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      throw this.createCheckInError('Format ID booking tidak valid');
+    }
+
+    const booking = await Booking.findById(bookingId).populate('lapangan', 'nama jenis_lapangan');
+    if (!booking) {
+      throw new Error('Booking tidak ditemukan');
+    }
+
+    if (!this.STAFF_ROLES.includes(user.role) && booking.pelanggan.toString() !== user._id.toString()) {
+      throw this.createCheckInError('Anda tidak memiliki akses ke booking ini', 'CHECK_IN_FORBIDDEN');
+    }
+
+    if (booking.status_pemesanan !== 'confirmed') {
+      throw this.createCheckInError(`QR check-in hanya tersedia untuk booking terkonfirmasi (status: ${booking.status_pemesanan})`);
+    }
+
+    const token = this.generateToken(booking);
+    const window = this.getSlotWindow(booking);
+
+    return {
+      booking_id: booking._id,
+      bookingId: booking.bookingId,
+      lapangan: booking.lapangan?.nama,
+      token,
+      qr_code: await QRCode.toDataURL(token, { errorCorrectionLevel: 'M', margin: 2, width: 320 }),
+      valid_from: this.formatWIB(window.opensAt),
+      valid_until: this.formatWIB(window.end),
+      checked_in_at: booking.checked_in_at ? this.formatWIB(booking.checked_in_at) : null
+    };
+  }
+
+  // ============= SCAN =============
+  static async checkIn({ token = null, bookingId = null, fieldId = null, kasirId, now = new Date() }) {
+    const method = token ? 'qr' : 'manual';
+    const targetId = token ? this.verifyToken(token) : bookingId;
+
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      throw this.createCheckInError('Format ID booking tidak valid');
+    }
+
+    const booking = await Booking.findById(targetId)
+      .populate('pelanggan', 'name phoneNumber')
+      .populate('lapangan', 'nama jenis_lapangan');
+
+    if (!booking) {
+      throw new Error('Booking tidak ditemukan');
+    }
+
+    if (booking.checked_in_at) {
+      throw this.createCheckInError(
+        `Booking sudah check-in pada ${this.formatWIB(booking.checked_in_at)}`,
+        'ALREADY_CHECKED_IN'
+      );
+    }
+
+    if (booking.status_pemesanan !== 'confirmed') {
+      throw this.createCheckInError(`Booking tidak bisa check-in (status: ${booking.status_pemesanan})`);
+    }
+
+    // The scanner at one court must not admit a booking for another court
+    if (fieldId && booking.lapangan?._id.toString() !== fieldId.toString()) {
+      throw this.createCheckInError(
+        `Booking ini untuk lapangan ${booking.lapangan?.nama || '-'}, bukan lapangan ini`,
+        'WRONG_FIELD'
+      );
+    }
+
+    const window = this.getSlotWindow(booking);
+    if (now < window.opensAt) {
+      throw this.createCheckInError(
+        `Check-in baru dibuka pukul ${this.formatWIB(window.opensAt)} WIB`,
+        'CHECK_IN_TOO_EARLY'
+      );
+    }
+    if (now >= window.end) {
+      throw this.createCheckInError(
+        `Jadwal booking sudah berakhir pukul ${this.formatWIB(window.end)} WIB`,
+        'CHECK_IN_CLOSED'
+      );
+    }
+
+    // Conditional update so a double scan can't record two check-ins
+    const result = await Booking.updateOne(
+      { _id: booking._id, status_pemesanan: 'confirmed', checked_in_at: { $exists: false } },
+      { $set: { checked_in_at: now, checked_in_by: kasirId, check_in_method: method } }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw this.createCheckInError('Booking sudah check-in', 'ALREADY_CHECKED_IN');
+    }
+
+    booking.checked_in_at = now;
+    booking.checked_in_by = kasirId;
+    booking.check_in_method = method;
+    await RealtimeService.publishBookingEvent('checked_in', booking);
+
+    logger.info(`Booking checked in: ${booking.bookingId}`, {
+      booking: booking._id,
+      kasir: kasirId,
+      method,
+      minutesFromStart: Math.round((now - window.start) / 60000)
+    });
+
+    return {
+      booking,
+      outstanding_warning: booking.payment_status === 'dp_confirmed'
+        ? 'Booking baru dibayar DP. Tagih pelunasan sebelum bermain.'
+        : null
+    };
+  }
+
+  // ============= SWEEP =============
+  // Ended slots: checked-in bookings become completed, the rest no_show
+  static async settleEndedBookings(now = new Date()) {
+    const today = moment(now).tz('Asia/Jakarta').format('YYYY-MM-DD');
+    const from = moment.utc(today).subtract(CHECK_IN_WINDOW.SWEEP_LOOKBACK_DAYS, 'days').toDate();
+
+    const candidates = await Booking.find({
+      status_pemesanan: 'confirmed',
+      tanggal_booking: { $gte: from, $lte: moment.utc(today).toDate() }
+    }).select('_id bookingId pelanggan lapangan tanggal_booking jam_booking durasi checked_in_at');
+
+    const ended = candidates.filter(booking => this.getSlotWindow(booking).end <= now);
+    const completed = [];
+    const noShows = [];
+
+    for (const booking of ended) {
+      const checkedIn = !!booking.checked_in_at;
+      const result = await Booking.updateOne(
+        { _id: booking._id, status_pemesanan: 'confirmed' },
+        {
+          $set: checkedIn
+            ? { status_pemesanan: 'completed' }
+            : { status_pemesanan: 'no_show', no_show_at: now }
+        }
+      );
+
+      if (result.modifiedCount === 0) continue;
+
+      await SlotLockService.release(booking._id);
+      await CacheService.invalidateBookingCache(
+        booking.pelanggan,
+        booking.lapangan,
+        moment.utc(booking.tanggal_booking).format('YYYY-MM-DD')
+      );
+      (checkedIn ? completed : noShows).push(booking);
+    }
+
+    if (ended.length > 0) {
+      logger.info(`Settled ended bookings: ${completed.length} completed, ${noShows.length} no-show`, {
+        noShows: noShows.map(booking => booking.bookingId)
+      });
+    }
+
+    return { completed, noShows };
+  }
+}
+
+export default CheckInService;
@@ -0,0 +1,322 @@
+import Booking from '../models/Booking.js';
+import Payment from '../models/Payment.js';
+import DocumentCounter from '../models/DocumentCounter.js';
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import logger from '../config/logger.js';
+import { generateReceiptNumber } from '../validators/paymentValidators.js';
+import {
+  renderPdf,
+  formatRupiah,
+  drawHeader,
+  drawDetails,
+  drawSectionTitle,
+  drawTable,
+  drawTotals,
+  drawStamp,
+  drawFooter
+} from '../utils/pdfDocument.js';
+
+export class DocumentService {
+
+  // ============= CONSTANTS =============
+  static STAFF_ROLES = ['kasir', 'cashier', 'admin'];
+
+  static getVenue() {
+    return {
+      name: process.env.VENUE_NAME || 'PT Lapangan Olahraga Indonesia',
+      address: process.env.VENUE_ADDRESS || null,
+      phone: process.env.VENUE_PHONE || null,
+      email: process.env.VENUE_EMAIL || null
+    };
+  }
+
+  // ============= HELPERS =============
+  static createDocumentError(message, errorCode = 'DOCUMENT_INVALID') {
+    const error = new Error(message);
+    error.errorCode = errorCode;
+    return error;
+  }
+
+  static formatDateTime(date) {
+    return date ? moment(date).tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm') + ' WIB' : '-';
+  }
+
+  static formatPlayDate(booking) {
+    return moment.utc(booking.tanggal_booking).format('DD/MM/YYYY');
+  }
+
+  static formatTimeRange(booking) {
+    const start = moment(booking.jam_booking, 'HH:mm');
+    return `${start.format('HH:mm')} - ${start.clone().add(booking.durasi, 'hours').format('HH:mm')}`;
+  }
+
+  // Customers only get their own documents, same rule as getPaymentById
+  static assertAccess(ownerId, user, message) {
+    if (this.STAFF_ROLES.includes(user.role)) return;
+    if (ownerId?.toString() !== user._id.toString()) {
+      throw this.createDocumentError(message, 'DOCUMENT_FORBIDDEN');
+    }
+  }
+
+  static getVerifierName(payment) {
+    if (payment.verified_by?.name) return payment.verified_by.name;
+    if (payment.received_by?.name) return payment.received_by.name;
+    if (payment.gateway?.provider) return `Sistem (${payment.gateway.provider})`;
+    return '-';
+  }
+
+  static getPaymentReference(payment) {
+    return payment.transfer_details?.transfer_reference ||
+      payment.method_reference ||
+      payment.gateway?.order_id ||
+      '-';
+  }
+
+  // Per-hour lines from the pricing engine, or one line for older bookings
+  static getPriceLines(booking) {
+    const fieldName = booking.lapangan?.nama || booking.jenis_lapangan;
+
+    if (booking.rincian_harga?.length) {
+      return booking.rincian_harga.map(line => [
+        `Sewa ${fieldName} jam ${line.jam}` +
+          (line.penyesuaian?.length ? `\n${line.penyesuaian.map(item => item.nama).join(', ')}` : ''),
+        '1 jam',
+        formatRupiah(line.harga)
+      ]);
+    }
+
+    const subtotal = booking.voucher?.harga_sebelum_diskon || booking.harga;
+    return [[`Sewa ${fieldName} (${this.formatTimeRange(booking)})`, `${booking.durasi} jam`, formatRupiah(subtotal)]];
+  }
+
+  static async getVerifiedPayments(bookingId) {
+    return await Payment.find({ booking: bookingId, status: 'verified' })
+      .populate('verified_by', 'name')
+      .populate('received_by', 'name')
+      .sort({ verified_at: 1, createdAt: 1 });
+  }
+
+  // ============= NUMBERING =============
+  // INV/2025/07/0001, sequence restarts every month (WIB)
+  static async assignInvoiceNumber(booking) {
+    if (booking.invoice_number) return booking.invoice_number;
+
+    const now = moment().tz('Asia/Jakarta');
+    const seq = await DocumentCounter.next(`INV-${now.format('YYYYMM')}`);
+    const invoiceNumber = `INV/${now.format('YYYY/MM')}/${String(seq).padStart(4, '0')}`;
+
+    // Another request may have issued it first; keep whichever number was stored
+    await Booking.updateOne(
+      { _id: booking._id, invoice_number: { $exists: false } },
+      { $set: { invoice_number: invoiceNumber, invoice_issued_at: now.toDate() } }
+    );
+    const stored = await Booking.findById(booking._id).select('invoice_number invoice_issued_at');
+
+    booking.invoice_number = stored.invoice_number;
+    booking.invoice_issued_at = stored.invoice_issued_at;
+
+    logger.info(`Invoice number issued: ${stored.invoice_number}`, { booking: booking._id });
+    return stored.invoice_number;
+  }
+
+  // Transfer and gateway payments get their receipt number on first print
+  static async assignReceiptNumber(payment) {
+    if (payment.receipt_number) return payment.receipt_number;
+
+    await Payment.updateOne(
+      { _id: payment._id, receipt_number: { $exists: false } },
+      { $set: { receipt_number: generateReceiptNumber(payment.verified_at || new Date()) } }
+    );
+    const stored = await Payment.findById(payment._id).select('receipt_number');
+
+    payment.receipt_number = stored.receipt_number;
+    return stored.receipt_number;
+  }
+
+  // ============= INVOICE =============
+  static async generateBookingInvoice(bookingId, user) {
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      throw this.createDocumentError('Format ID booking tidak valid');
+    }
+
+    const booking = await Booking.findById(bookingId)
+      .populate('pelanggan', 'name email phoneNumber')
+      .populate('lapangan', 'nama jenis_lapangan');
+
+    if (!booking) {
+      throw new Error('Booking tidak ditemukan');
+    }
+
+    this.assertAccess(booking.pelanggan?._id, user, 'Anda tidak memiliki akses ke booking ini');
+
+    if (booking.status_pemesanan === 'cancelled' && booking.payment_status === 'no_payment') {
+      throw this.createDocumentError('Invoice tidak tersedia untuk booking yang dibatalkan tanpa pembayaran');
+    }
+
+    const invoiceNumber = await this.assignInvoiceNumber(booking);
+    const payments = await this.getVerifiedPayments(booking._id);
+    const paid = payments.reduce((sum, payment) => sum + payment.amount, 0);
+    const outstanding = Math.max(0, booking.harga - paid);
+    const dpPayment = payments.find(payment => payment.payment_type === 'dp_payment');
+    const venue = this.getVenue();
+
+    const buffer = await renderPdf(doc => {
+      drawHeader(doc, venue, 'INVOICE', invoiceNumber);
+
+      drawDetails(doc, [
+        ['Ditagihkan kepada', booking.pelanggan?.name],
+        ['Email', booking.pelanggan?.email],
+        ['Telepon', booking.pelanggan?.phoneNumber]
+      ], [
+        ['No. Booking', booking.bookingId],
+        ['Tanggal invoice', this.formatDateTime(booking.invoice_issued_at)],
+        ['Status', booking.payment_status_text],
+        ...(outstanding > 0 && booking.payment_deadline
+          ? [['Batas pembayaran', this.formatDateTime(booking.payment_deadline)]]
+          : [])
+      ]);
+
+      drawSectionTitle(doc, 'Detail Booking');
+      drawDetails(doc, [
+        ['Lapangan', `${booking.lapangan?.nama || '-'} (${booking.jenis_lapangan})`],
+        ['Tanggal main', this.formatPlayDate(booking)]
+      ], [
+        ['Jam', this.formatTimeRange(booking)],
+        ['Durasi', `${booking.durasi} jam`]
+      ]);
+
+      drawSectionTitle(doc, 'Rincian Harga');
+      drawTable(doc, [
+        { label: 'Deskripsi', width: 0.6 },
+        { label: 'Qty', width: 0.15, align: 'center' },
+        { label: 'Jumlah', width: 0.25, align: 'right' }
+      ], this.getPriceLines(booking));
+
+      drawTotals(doc, [
+        ...(booking.voucher?.diskon
+          ? [
+            ['Subtotal', formatRupiah(booking.voucher.harga_sebelum_diskon)],
+            [`Voucher ${booking.voucher.kode}`, `- ${formatRupiah(booking.voucher.diskon)}`]
+          ]
+          : []),
+        ['Total', formatRupiah(booking.harga), { bold: true }],
+        ...(dpPayment ? [['DP dibayar', formatRupiah(dpPayment.amount)]] : []),
+        ['Total dibayar', formatRupiah(paid)],
+        ['Sisa tagihan', formatRupiah(outstanding), { bold: true }]
+      ]);
+
+      if (payments.length > 0) {
+        drawSectionTitle(doc, 'Riwayat Pembayaran');
+        drawTable(doc, [
+          { label: 'Tanggal', width: 0.2 },
+          { label: 'Jenis', width: 0.18 },
+          { label: 'Metode', width: 0.2 },
+          { label: 'Diverifikasi oleh', width: 0.22 },
+          { label: 'Jumlah', width: 0.2, align: 'right' }
+        ], payments.map(payment => [
+          this.formatDateTime(payment.verified_at || payment.createdAt),
+          payment.payment_type_text,
+          payment.payment_method_text,
+          this.getVerifierName(payment),
+          formatRupiah(payment.amount)
+        ]));
+      }
+
+      drawStamp(doc, outstanding === 0 && paid > 0 ? 'LUNAS' : 'BELUM LUNAS', outstanding === 0 && paid > 0 ? '#1f6f43' : '#b45309');
+
+      drawFooter(doc, [
+        `Dicetak ${this.formatDateTime(new Date())}. Dokumen ini dibuat secara elektronik dan sah tanpa tanda tangan.`,
+        booking.kode_unik && outstanding > 0
+          ? `Transfer tepat ${formatRupiah(outstanding + booking.kode_unik)} (termasuk kode unik ${booking.kode_unik}) agar pembayaran terverifikasi otomatis.`
+          : null
+      ]);
+    }, { Title: `Invoice ${invoiceNumber}`, Author: venue.name });
+
+    return {
+      fileName: `invoice-${invoiceNumber.replace(/\//g, '-')}.pdf`,
+      buffer
+    };
+  }
+
+  // ============= RECEIPT =============
+  static async generatePaymentReceipt(paymentId, user) {
+    if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+      throw this.createDocumentError('Format ID pembayaran tidak valid');
+    }
+
+    const payment = await Payment.findById(paymentId)
+      .populate('user', 'name email phoneNumber')
+      .populate('verified_by', 'name')
+      .populate('received_by', 'name')
+      .populate({
+        path: 'booking',
+        populate: { path: 'lapangan', select: 'nama jenis_lapangan' }
+      });
+
+    if (!payment) {
+      throw new Error('Pembayaran tidak ditemukan');
+    }
+
+    this.assertAccess(payment.user?._id, user, 'Anda tidak memiliki akses ke pembayaran ini');
+
+    if (payment.status !== 'verified') {
+      throw this.createDocumentError(`Kwitansi hanya tersedia untuk pembayaran terverifikasi (status: ${payment.status_text || payment.status})`);
+    }
+
+    const receiptNumber = await this.assignReceiptNumber(payment);
+    const booking = payment.booking;
+    const payments = await this.getVerifiedPayments(booking._id);
+
+    // Balance as of this payment, so older receipts keep showing what was true then
+    const upToThis = payments.slice(0, payments.findIndex(item => item._id.equals(payment._id)) + 1);
+    const paidToDate = upToThis.reduce((sum, item) => sum + item.amount, 0);
+    const remaining = Math.max(0, payment.total_booking_amount - paidToDate);
+    const venue = this.getVenue();
+
+    const buffer = await renderPdf(doc => {
+      drawHeader(doc, venue, 'KWITANSI', receiptNumber);
+
+      drawDetails(doc, [
+        ['Diterima dari', payment.user?.name],
+        ['Email', payment.user?.email],
+        ['Untuk', `${payment.payment_type_text} booking ${booking.bookingId}`]
+      ], [
+        ['Tanggal diterima', this.formatDateTime(payment.received_at || payment.verified_at)],
+        ['Metode', payment.payment_method_text],
+        ['Referensi', this.getPaymentReference(payment)],
+        ['Diverifikasi oleh', this.getVerifierName(payment)]
+      ]);
+
+      drawSectionTitle(doc, 'Detail Booking');
+      drawDetails(doc, [
+        ['Lapangan', `${booking.lapangan?.nama || '-'} (${booking.jenis_lapangan})`],
+        ['Tanggal main', this.formatPlayDate(booking)]
+      ], [
+        ['Jam', this.formatTimeRange(booking)],
+        ['Invoice', booking.invoice_number || '-']
+      ]);
+
+      drawTotals(doc, [
+        ['Jumlah diterima', formatRupiah(payment.amount), { bold: true }],
+        ['Total booking', formatRupiah(payment.total_booking_amount)],
+        ['Total dibayar', formatRupiah(paidToDate)],
+        ['Sisa tagihan', formatRupiah(remaining)]
+      ]);
+
+      drawStamp(doc, remaining === 0 ? 'LUNAS' : 'DITERIMA');
+
+      drawFooter(doc, [
+        `Dicetak ${this.formatDateTime(new Date())}. Dokumen ini dibuat secara elektronik dan sah tanpa tanda tangan.`,
+        payment.notes ? `Catatan: ${payment.notes}` : null
+      ]);
+    }, { Title: `Kwitansi ${receiptNumber}`, Author: venue.name });
+
+    return {
+      fileName: `kwitansi-${receiptNumber}.pdf`,
+      buffer
+    };
+  }
+}
+
+export default DocumentService;
@@ -0,0 +1,169 @@
+import User from '../models/User.js';
+import jwt from 'jsonwebtoken';
+import logger from '../config/logger.js';
+import {
+  EMAIL_VERIFICATION_TOKEN_HOURS,
+  EMAIL_VERIFICATION_RESEND_SECONDS,
+  getEmailVerificationPolicy
+} from '../validators/userValidators.js';
+import { NotificationService } from './notificationService.js';
+import { UserService } from './userService.js';
+
+export class EmailVerificationService {
+
+  // ============= CONSTANTS =============
+  static TOKEN_PURPOSE = 'email_verification';
+
+  // ============= HELPERS =============
+  static createVerificationError(message, errorCode = 'EMAIL_VERIFICATION_INVALID') {
+    const error = new Error(message);
+    error.errorCode = errorCode;
+    return error;
+  }
+
+  // Separate key from login tokens, so a verification link can never be used as a session
+  static getSecret() {
+    return `${process.env.JWT_SECRET}:${this.TOKEN_PURPOSE}`;
+  }
+
+  static isRequiredFor(action) {
+    return getEmailVerificationPolicy().includes(action);
+  }
+
+  // Staff accounts are created verified by an admin; only customers are held back
+  static isBlocked(user, action) {
+    return this.isRequiredFor(action) && user?.role === 'customer' && !user.isEmailVerified;
+  }
+
+  // ============= TOKENS =============
+  // Bound to the address it was sent to: changing the email invalidates older links
+  static generateToken(user) {
+    return jwt.sign(
+      { sub: user._id.toString(), email: user.email, purpose: this.TOKEN_PURPOSE },
+      this.getSecret(),
+      { expiresIn: `${EMAIL_VERIFICATION_TOKEN_HOURS}h` }
+    );
+  }
+
+  static verifyToken(token) {
+    try {
+      const payload = jwt.verify(token, this.getSecret());
+      if (payload.purpose !== this.TOKEN_PURPOSE) throw new Error('Wrong token purpose');
+      return payload;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw this.createVerificationError(
+          'Tautan verifikasi sudah kedaluwarsa, silakan minta tautan baru',
+          'VERIFICATION_TOKEN_EXPIRED'
+        );
+      }
+      throw this.createVerificationError('Tautan verifikasi tidak valid', 'INVALID_VERIFICATION_TOKEN');
+    }
+  }
+
+  // ============= SEND =============
+  static async sendVerification(user) {
+    if (user.isEmailVerified) {
+      throw this.createVerificationError('Email sudah terverifikasi', 'EMAIL_ALREADY_VERIFIED');
+    }
+
+    if (user.email?.endsWith(`@${UserService.GUEST_EMAIL_DOMAIN}`)) {
+      throw this.createVerificationError('Akun tamu tidak memiliki email untuk diverifikasi');
+    }
+
+    const lastSent = user.emailVerificationSentAt?.getTime() || 0;
+    const waitSeconds = Math.ceil((lastSent + EMAIL_VERIFICATION_RESEND_SECONDS * 1000 - Date.now()) / 1000);
+    if (waitSeconds > 0) {
+      const error = this.createVerificationError(
+        `Tunggu ${waitSeconds} detik sebelum meminta email verifikasi lagi`,
+        'VERIFICATION_RESEND_TOO_SOON'
+      );
+      error.retryAfter = waitSeconds;
+      throw error;
+    }
+
+    // Claimed atomically so two concurrent resends cannot both send
+    const claimed = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { emailVerificationSentAt: { $exists: false } },
+          { emailVerificationSentAt: user.emailVerificationSentAt || null }
+        ]
+      },
+      { $set: { emailVerificationSentAt: new Date() } }
+    );
+    if (claimed.modifiedCount === 0) {
+      throw this.createVerificationError(
+        'Email verifikasi baru saja dikirim, silakan cek kotak masuk Anda',
+        'VERIFICATION_RESEND_TOO_SOON'
+      );
+    }
+
+    const token = this.generateToken(user);
+    await NotificationService.sendEmailVerification(user, token, EMAIL_VERIFICATION_TOKEN_HOURS);
+
+    logger.info(`Email verification sent: ${user._id}`, {
+      action: 'EMAIL_VERIFICATION_SENT'
+    });
+
+    return { token, expiresInHours: EMAIL_VERIFICATION_TOKEN_HOURS };
+  }
+
+  // Registration and email changes must still succeed when the email cannot be queued
+  static async trySendVerification(user) {
+    try {
+      await this.sendVerification(user);
+      return true;
+    } catch (error) {
+      logger.warn(`Email verification not sent for ${user._id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Public resend by address. Unknown, verified or throttled accounts are ignored
+  // silently so the endpoint does not reveal which emails are registered.
+  static async resendForEmail(email) {
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user || user.isEmailVerified) return false;
+
+    return await this.trySendVerification(user);
+  }
+
+  // ============= VERIFY =============
+  static async verifyEmail(token) {
+    if (!token) {
+      throw this.createVerificationError('Token verifikasi harus diisi');
+    }
+
+    const payload = this.verifyToken(token);
+
+    const user = await User.findById(payload.sub);
+    if (!user) {
+      throw new Error('User tidak ditemukan');
+    }
+
+    if (user.email !== payload.email) {
+      throw this.createVerificationError(
+        'Tautan verifikasi untuk alamat email lama, silakan minta tautan baru',
+        'INVALID_VERIFICATION_TOKEN'
+      );
+    }
+
+    if (user.isEmailVerified) {
+      return { user, alreadyVerified: true };
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    logger.info(`Email verified: ${user.email}`, {
+      action: 'EMAIL_VERIFIED'
+    });
+
+    return { user, alreadyVerified: false };
+  }
+}
+
+export default EmailVerificationService;
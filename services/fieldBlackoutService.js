@@ -0,0 +1,229 @@
+import FieldBlackout from '../models/FieldBlackout.js';
+import Field from '../models/Field.js';
+import Booking from '../models/Booking.js';
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import logger from '../config/logger.js';
+import {
+  validateTimeFormat,
+  validateBlackoutType,
+  BLACKOUT_TYPES
+} from '../validators/fieldValidators.js';
+
+export class FieldBlackoutService {
+
+  // ============= CONSTANTS =============
+  static ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed'];
+
+  static MAX_RANGE_DAYS = 366;
+
+  // ============= VALIDATION METHODS =============
+  static async getField(fieldId) {
+    if (!mongoose.Types.ObjectId.isValid(fieldId)) {
+      throw new Error('ID lapangan tidak valid');
+    }
+
+    const field = await Field.findById(fieldId).lean();
+    if (!field) {
+      throw new Error('Lapangan tidak ditemukan');
+    }
+
+    return field;
+  }
+
+  static parseDate(dateString, label) {
+    if (!moment(dateString, 'YYYY-MM-DD', true).isValid()) {
+      throw new Error(`${label} tidak valid. Gunakan format YYYY-MM-DD`);
+    }
+    return new Date(dateString);
+  }
+
+  // Normalizes request body into schema fields; partial when updating
+  static validateBlackoutInput(data, { partial = false } = {}) {
+    const { tanggal_mulai, tanggal_selesai, jam_mulai, jam_selesai, jenis, alasan } = data;
+    const result = {};
+
+    if (!partial && (!tanggal_mulai || !alasan)) {
+      throw new Error('Field tanggal_mulai dan alasan harus diisi');
+    }
+
+    if (tanggal_mulai) {
+      result.tanggal_mulai = this.parseDate(tanggal_mulai, 'Tanggal mulai');
+    }
+
+    if (tanggal_selesai) {
+      result.tanggal_selesai = this.parseDate(tanggal_selesai, 'Tanggal selesai');
+    } else if (!partial) {
+      result.tanggal_selesai = result.tanggal_mulai;
+    }
+
+    if (jam_mulai !== undefined || jam_selesai !== undefined) {
+      if (jam_mulai && !validateTimeFormat(jam_mulai)) {
+        throw new Error('Format jam mulai tidak valid. Gunakan format HH:MM');
+      }
+      if (jam_selesai && !validateTimeFormat(jam_selesai)) {
+        throw new Error('Format jam selesai tidak valid. Gunakan format HH:MM');
+      }
+      // Empty strings clear the window (whole-day closure)
+      if (jam_mulai !== undefined) result.jam_mulai = jam_mulai || undefined;
+      if (jam_selesai !== undefined) result.jam_selesai = jam_selesai || undefined;
+    }
+
+    if (jenis !== undefined) {
+      if (!validateBlackoutType(jenis)) {
+        throw new Error(`Jenis penutupan harus salah satu dari: ${BLACKOUT_TYPES.join(', ')}`);
+      }
+      result.jenis = jenis;
+    }
+
+    if (alasan !== undefined) {
+      if (!alasan || alasan.trim().length < 3) {
+        throw new Error('Alasan penutupan minimal 3 karakter');
+      }
+      result.alasan = alasan.trim();
+    }
+
+    return result;
+  }
+
+  static validateRange(blackout) {
+    const today = new Date(moment().tz('Asia/Jakarta').format('YYYY-MM-DD'));
+
+    if (blackout.tanggal_selesai < today) {
+      throw new Error('Periode penutupan sudah lewat');
+    }
+
+    const totalDays = moment(blackout.tanggal_selesai).diff(moment(blackout.tanggal_mulai), 'days') + 1;
+    if (totalDays > this.MAX_RANGE_DAYS) {
+      throw new Error(`Periode penutupan maksimal ${this.MAX_RANGE_DAYS} hari`);
+    }
+  }
+
+  // ============= AFFECTED BOOKINGS =============
+  static async getAffectedBookings(blackout) {
+    const bookings = await Booking.find({
+      lapangan: blackout.lapangan,
+      tanggal_booking: {
+        $gte: blackout.tanggal_mulai,
+        $lte: blackout.tanggal_selesai
+      },
+      status_pemesanan: { $in: this.ACTIVE_BOOKING_STATUSES }
+    })
+      .populate('pelanggan', 'name email phoneNumber')
+      .sort({ tanggal_booking: 1, jam_booking: 1 });
+
+    return bookings
+      .filter(booking => blackout.overlapsTime(booking.jam_booking, booking.durasi))
+      .map(booking => ({
+        id: booking._id,
+        bookingId: booking.bookingId,
+        tanggal_booking: moment.utc(booking.tanggal_booking).format('YYYY-MM-DD'),
+        jam_booking: booking.jam_booking,
+        durasi: booking.durasi,
+        status_pemesanan: booking.status_pemesanan,
+        payment_status: booking.payment_status,
+        customer: booking.pelanggan ? {
+          name: booking.pelanggan.name,
+          email: booking.pelanggan.email,
+          phone: booking.pelanggan.phoneNumber
+        } : null
+      }));
+  }
+
+  // ============= CRUD OPERATIONS =============
+  static async createBlackout(fieldId, data, userId) {
+    const field = await this.getField(fieldId);
+    const input = this.validateBlackoutInput(data);
+
+    const blackout = new FieldBlackout({
+      ...input,
+      lapangan: field._id,
+      createdBy: userId
+    });
+
+    this.validateRange(blackout);
+    await blackout.save();
+
+    const affectedBookings = await this.getAffectedBookings(blackout);
+
+    logger.info(`Field blackout created: ${blackout._id}`, {
+      field: field._id,
+      from: data.tanggal_mulai,
+      to: data.tanggal_selesai || data.tanggal_mulai,
+      window: blackout.waktu_text,
+      affected: affectedBookings.length,
+      by: userId
+    });
+
+    return { field, blackout, affectedBookings };
+  }
+
+  static async getFieldBlackouts(fieldId, { includePast = false } = {}) {
+    const field = await this.getField(fieldId);
+    const query = { lapangan: field._id };
+
+    if (!includePast) {
+      query.tanggal_selesai = { $gte: new Date(moment().tz('Asia/Jakarta').format('YYYY-MM-DD')) };
+    }
+
+    const blackouts = await FieldBlackout.find(query)
+      .populate('createdBy', 'name')
+      .sort({ tanggal_mulai: 1, jam_mulai: 1 });
+
+    return { field, blackouts };
+  }
+
+  static async getBlackout(fieldId, blackoutId) {
+    if (!mongoose.Types.ObjectId.isValid(blackoutId)) {
+      throw new Error('ID penutupan tidak valid');
+    }
+
+    const blackout = await FieldBlackout.findOne({ _id: blackoutId, lapangan: fieldId });
+    if (!blackout) {
+      throw new Error('Jadwal penutupan tidak ditemukan');
+    }
+
+    return blackout;
+  }
+
+  static async updateBlackout(fieldId, blackoutId, data, userId) {
+    const field = await this.getField(fieldId);
+    const blackout = await this.getBlackout(field._id, blackoutId);
+    const input = this.validateBlackoutInput(data, { partial: true });
+
+    if (Object.keys(input).length === 0) {
+      throw new Error('Tidak ada data yang diubah');
+    }
+
+    Object.assign(blackout, input);
+    this.validateRange(blackout);
+    await blackout.save();
+
+    const affectedBookings = await this.getAffectedBookings(blackout);
+
+    logger.info(`Field blackout updated: ${blackout._id}`, {
+      field: field._id,
+      changes: Object.keys(input),
+      affected: affectedBookings.length,
+      by: userId
+    });
+
+    return { field, blackout, affectedBookings };
+  }
+
+  static async deleteBlackout(fieldId, blackoutId, userId) {
+    const field = await this.getField(fieldId);
+    const blackout = await this.getBlackout(field._id, blackoutId);
+
+    await FieldBlackout.deleteOne({ _id: blackout._id });
+
+    logger.info(`Field blackout deleted: ${blackout._id}`, {
+      field: field._id,
+      by: userId
+    });
+
+    return blackout;
+  }
+}
+
+export default FieldBlackoutService;
@@ -1,6 +1,15 @@
 import Field from '../models/Field.js';
+import moment from 'moment-timezone';
 import { client } from '../config/redis.js';
 import logger from '../config/logger.js';
+import PricingService from './pricingService.js';
+import {
+  validateTimeFormat,
+  validateWeeklySchedule,
+  validateOpeningWindow,
+  WEEKDAY_NAMES
+} from '../validators/fieldValidators.js';
+import { DURATION_LIMITS } from '../validators/bookingValidators.js';
 
 export class FieldService {
   
@@ -178,7 +187,13 @@ export class FieldService {
   }
 
   // ============= PRICING METHODS =============
-  static async getFieldPricing() {
+  // Without a field: price ranges per jenis_lapangan. With a field: itemized
+  // per-hour prices for a booking, or for the whole operating day when jam is omitted
+  static async getFieldPricing({ fieldId, tanggal, jamBooking, durasi } = {}) {
+    if (fieldId) {
+      return this.getFieldPriceBreakdown(fieldId, { tanggal, jamBooking, durasi });
+    }
+
     const pricing = await Field.aggregate([
       {
         $group: {
@@ -195,6 +210,44 @@ export class FieldService {
     return pricing;
   }
 
+  static async getFieldPriceBreakdown(fieldId, { tanggal, jamBooking, durasi } = {}) {
+    const field = await this.getFieldById(fieldId);
+    const date = tanggal || moment().tz('Asia/Jakarta').format('YYYY-MM-DD');
+
+    if (!moment(date, 'YYYY-MM-DD', true).isValid()) {
+      throw new Error('Tanggal tidak valid. Gunakan format YYYY-MM-DD');
+    }
+
+    const hours = await Field.getOperatingHours(field, date);
+
+    if (jamBooking) {
+      const hoursBooked = parseInt(durasi) || 1;
+      if (!validateTimeFormat(jamBooking)) {
+        throw new Error('Format jam tidak valid. Gunakan format HH:MM');
+      }
+      if (hoursBooked < DURATION_LIMITS.MIN || hoursBooked > DURATION_LIMITS.MAX) {
+        throw new Error(`Durasi harus antara ${DURATION_LIMITS.MIN} sampai ${DURATION_LIMITS.MAX} jam`);
+      }
+      const breakdown = await PricingService.calculatePrice(field, date, jamBooking, hoursBooked);
+      return { field, operating_hours: hours, breakdown };
+    }
+
+    if (hours.closed) {
+      return { field, operating_hours: hours, breakdown: null };
+    }
+
+    const openHour = parseInt(hours.jam_buka.split(':')[0]);
+    const closeHour = parseInt(hours.jam_tutup.split(':')[0]);
+    const breakdown = await PricingService.calculatePrice(
+      field,
+      date,
+      `${String(openHour).padStart(2, '0')}:00`,
+      closeHour - openHour
+    );
+
+    return { field, operating_hours: hours, breakdown };
+  }
+
   // ============= STATISTICS METHODS =============
   static async getFieldStatistics() {
     const stats = await Field.aggregate([
@@ -213,6 +266,87 @@ export class FieldService {
     return stats;
   }
 
+  // ============= SCHEDULE METHODS =============
+  static SCHEDULE_MAX_RANGE_DAYS = 31;
+
+  // Accepts hari as 0-6 or an Indonesian day name ("Minggu", "senin", ...)
+  static normalizeWeeklySchedule(jadwal) {
+    if (!Array.isArray(jadwal)) {
+      throw new Error('jadwal_mingguan harus berupa array');
+    }
+
+    const schedule = jadwal.map(day => {
+      const hari = typeof day.hari === 'string' && isNaN(parseInt(day.hari))
+        ? WEEKDAY_NAMES.findIndex(name => name.toLowerCase() === day.hari.trim().toLowerCase())
+        : parseInt(day.hari);
+      const tutup = day.tutup === true || day.tutup === 'true';
+
+      if (!Number.isInteger(hari) || hari < 0 || hari > 6) {
+        throw new Error(`Hari tidak valid: ${day.hari}. Gunakan 0-6 atau ${WEEKDAY_NAMES.join(', ')}`);
+      }
+
+      if (!tutup && !validateOpeningWindow(day.jam_buka, day.jam_tutup)) {
+        throw new Error(`Jam operasional hari ${WEEKDAY_NAMES[hari]} tidak valid (format HH:MM, minimal 1 jam)`);
+      }
+
+      return tutup
+        ? { hari, tutup: true }
+        : { hari, tutup: false, jam_buka: day.jam_buka, jam_tutup: day.jam_tutup };
+    });
+
+    if (!validateWeeklySchedule(schedule)) {
+      throw new Error('Setiap hari hanya boleh muncul sekali dalam jadwal mingguan');
+    }
+
+    return schedule.sort((a, b) => a.hari - b.hari);
+  }
+
+  static async updateWeeklySchedule(fieldId, jadwal) {
+    const field = await this.getFieldById(fieldId);
+
+    field.jadwal_mingguan = this.normalizeWeeklySchedule(jadwal);
+    await field.save();
+    await this.clearFieldCache();
+
+    logger.info(`Field weekly schedule updated: ${field._id}`, {
+      days: field.jadwal_mingguan.map(day => WEEKDAY_NAMES[day.hari])
+    });
+
+    return field;
+  }
+
+  // ✅ Resolved hours per date, including holidays
+  static async getScheduleForRange(fieldId, tanggalMulai, tanggalSelesai) {
+    const field = await this.getFieldById(fieldId);
+    const start = tanggalMulai
+      ? moment(tanggalMulai, 'YYYY-MM-DD', true)
+      : moment.tz('Asia/Jakarta').startOf('day');
+    const end = tanggalSelesai
+      ? moment(tanggalSelesai, 'YYYY-MM-DD', true)
+      : start.clone().add(6, 'days');
+
+    if (!start.isValid() || !end.isValid()) {
+      throw new Error('Tanggal tidak valid. Gunakan format YYYY-MM-DD');
+    }
+
+    if (end.isBefore(start)) {
+      throw new Error('Tanggal selesai tidak boleh sebelum tanggal mulai');
+    }
+
+    const totalDays = end.diff(start, 'days') + 1;
+    if (totalDays > this.SCHEDULE_MAX_RANGE_DAYS) {
+      throw new Error(`Rentang tanggal maksimal ${this.SCHEDULE_MAX_RANGE_DAYS} hari`);
+    }
+
+    const days = [];
+    for (let i = 0; i < totalDays; i++) {
+      const date = start.clone().add(i, 'days').format('YYYY-MM-DD');
+      days.push({ date, ...await Field.getOperatingHours(field, date) });
+    }
+
+    return { field, days };
+  }
+
   // ============= CACHE METHODS =============
   static async clearFieldCache() {
     try {
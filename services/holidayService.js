@@ -0,0 +1,161 @@
+import Holiday from '../models/Holiday.js';
+import Field from '../models/Field.js';
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import logger from '../config/logger.js';
+
+export class HolidayService {
+
+  // ============= VALIDATION METHODS =============
+  static async validateHolidayInput(data, { partial = false } = {}) {
+    const { tanggal, nama, lapangan_id, tutup, jam_buka, jam_tutup } = data;
+    const result = {};
+
+    if (!partial && (!tanggal || !nama)) {
+      throw new Error('Field tanggal dan nama harus diisi');
+    }
+
+    if (tanggal !== undefined) {
+      if (!moment(tanggal, 'YYYY-MM-DD', true).isValid()) {
+        throw new Error('Tanggal tidak valid. Gunakan format YYYY-MM-DD');
+      }
+      result.tanggal = new Date(tanggal);
+    }
+
+    if (nama !== undefined) {
+      if (!nama || nama.trim().length < 3) {
+        throw new Error('Nama hari libur minimal 3 karakter');
+      }
+      result.nama = nama.trim();
+    }
+
+    if (lapangan_id !== undefined) {
+      if (lapangan_id) {
+        if (!mongoose.Types.ObjectId.isValid(lapangan_id)) {
+          throw new Error('ID lapangan tidak valid');
+        }
+        const field = await Field.exists({ _id: lapangan_id });
+        if (!field) {
+          throw new Error('Lapangan tidak ditemukan');
+        }
+      }
+      result.lapangan = lapangan_id || null;
+    }
+
+    if (tutup !== undefined) {
+      result.tutup = tutup === true || tutup === 'true';
+    }
+
+    // Special hours are checked against `tutup` by the model's pre-validate hook
+    if (jam_buka !== undefined) result.jam_buka = jam_buka;
+    if (jam_tutup !== undefined) result.jam_tutup = jam_tutup;
+
+    return result;
+  }
+
+  // ============= CRUD OPERATIONS =============
+  static async createHoliday(data, userId) {
+    const input = await this.validateHolidayInput(data);
+
+    try {
+      const holiday = await Holiday.create({ ...input, createdBy: userId });
+
+      logger.info(`Holiday created: ${holiday._id}`, {
+        tanggal: data.tanggal,
+        nama: holiday.nama,
+        lapangan: holiday.lapangan,
+        tutup: holiday.tutup,
+        by: userId
+      });
+
+      return holiday;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Hari libur untuk tanggal dan lapangan ini sudah ada');
+      }
+      throw error;
+    }
+  }
+
+  static async getHolidays({ tanggalMulai, tanggalSelesai, lapanganId } = {}) {
+    const query = {};
+
+    const start = tanggalMulai || moment().tz('Asia/Jakarta').format('YYYY-MM-DD');
+    if (!moment(start, 'YYYY-MM-DD', true).isValid()) {
+      throw new Error('Tanggal mulai tidak valid. Gunakan format YYYY-MM-DD');
+    }
+    query.tanggal = { $gte: new Date(start) };
+
+    if (tanggalSelesai) {
+      if (!moment(tanggalSelesai, 'YYYY-MM-DD', true).isValid()) {
+        throw new Error('Tanggal selesai tidak valid. Gunakan format YYYY-MM-DD');
+      }
+      query.tanggal.$lte = new Date(tanggalSelesai);
+    }
+
+    if (lapanganId) {
+      if (!mongoose.Types.ObjectId.isValid(lapanganId)) {
+        throw new Error('ID lapangan tidak valid');
+      }
+      query.$or = [{ lapangan: lapanganId }, { lapangan: null }];
+    }
+
+    return Holiday.find(query)
+      .populate('lapangan', 'nama')
+      .sort({ tanggal: 1 });
+  }
+
+  static async getHolidayById(holidayId) {
+    if (!mongoose.Types.ObjectId.isValid(holidayId)) {
+      throw new Error('ID hari libur tidak valid');
+    }
+
+    const holiday = await Holiday.findById(holidayId);
+    if (!holiday) {
+      throw new Error('Hari libur tidak ditemukan');
+    }
+
+    return holiday;
+  }
+
+  static async updateHoliday(holidayId, data, userId) {
+    const holiday = await this.getHolidayById(holidayId);
+    const input = await this.validateHolidayInput(data, { partial: true });
+
+    if (Object.keys(input).length === 0) {
+      throw new Error('Tidak ada data yang diubah');
+    }
+
+    Object.assign(holiday, input);
+
+    try {
+      await holiday.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Hari libur untuk tanggal dan lapangan ini sudah ada');
+      }
+      throw error;
+    }
+
+    logger.info(`Holiday updated: ${holiday._id}`, {
+      changes: Object.keys(input),
+      by: userId
+    });
+
+    return holiday;
+  }
+
+  static async deleteHoliday(holidayId, userId) {
+    const holiday = await this.getHolidayById(holidayId);
+    await Holiday.deleteOne({ _id: holiday._id });
+
+    logger.info(`Holiday deleted: ${holiday._id}`, {
+      nama: holiday.nama,
+      by: userId
+    });
+
+    return holiday;
+  }
+}
+
+export default HolidayService;
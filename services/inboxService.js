@@ -0,0 +1,158 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import mongoose from 'mongoose';
+import logger from '../config/logger.js';
+import { renderInbox } from '../utils/inboxTemplates.js';
+import { RealtimeService } from './realtimeService.js';
+
+// Per-user in-app notification list. Entries are written by NotificationService hooks;
+// users only read, mark and delete their own.
+export class InboxService {
+
+  // ============= CONSTANTS =============
+  static STAFF_ROLES = ['kasir', 'cashier', 'admin'];
+
+  // ============= HELPERS =============
+  static createInboxError(message, errorCode = 'INBOX_INVALID') {
+    const error = new Error(message);
+    error.errorCode = errorCode;
+    return error;
+  }
+
+  static validateNotificationId(notificationId) {
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      throw this.createInboxError('Format ID notifikasi tidak valid');
+    }
+  }
+
+  // ============= CREATE =============
+  // Never throws: a notification problem must not fail the request that triggered it
+  static async notifyUsers(userIds, { type, data, booking = null, payment = null, link = null }) {
+    try {
+      const recipients = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+      if (recipients.length === 0) return [];
+
+      const { title, message } = renderInbox(type, data);
+
+      const notifications = await Notification.insertMany(recipients.map(recipient => ({
+        recipient,
+        type,
+        title,
+        message,
+        booking: booking?._id || booking,
+        payment: payment?._id || payment,
+        link
+      })));
+
+      for (const notification of notifications) {
+        await RealtimeService.publish('notification.created', {
+          notification_id: notification._id.toString(),
+          type,
+          title,
+          message,
+          link
+        }, { userId: notification.recipient.toString() });
+      }
+
+      return notifications;
+    } catch (error) {
+      logger.error(`Failed to create ${type} inbox notification: ${error.message}`, {
+        recipients: userIds.length,
+        booking: booking?._id || booking,
+        payment: payment?._id || payment
+      });
+      return [];
+    }
+  }
+
+  static async notifyUser(userOrId, options) {
+    const [notification] = await this.notifyUsers([userOrId?._id || userOrId], options);
+    return notification || null;
+  }
+
+  // Every cashier and admin gets their own copy (and read state)
+  static async notifyStaff(options) {
+    try {
+      const staff = await User.find({ role: { $in: this.STAFF_ROLES } }).select('_id').lean();
+      return await this.notifyUsers(staff.map(user => user._id), options);
+    } catch (error) {
+      logger.error(`Failed to notify staff (${options.type}): ${error.message}`);
+      return [];
+    }
+  }
+
+  // ============= QUERY METHODS =============
+  static async getNotifications(userId, { unread, type, page = 1, limit = 20 } = {}) {
+    const filter = {
+      recipient: userId,
+      ...((unread === true || unread === 'true') && { read_at: null }),
+      ...(type && { type })
+    };
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Notification.countDocuments(filter),
+      this.getUnreadCount(userId)
+    ]);
+
+    return {
+      notifications,
+      unread_count: unreadCount,
+      pagination: {
+        current_page: pageNumber,
+        total_pages: Math.ceil(total / pageSize),
+        total_items: total,
+        items_per_page: pageSize
+      }
+    };
+  }
+
+  static async getUnreadCount(userId) {
+    return await Notification.countDocuments({ recipient: userId, read_at: null });
+  }
+
+  // ============= UPDATE METHODS =============
+  static async markRead(userId, notificationId) {
+    this.validateNotificationId(notificationId);
+
+    const notification = await Notification.findOne({ _id: notificationId, recipient: userId });
+    if (!notification) {
+      throw new Error('Notifikasi tidak ditemukan');
+    }
+
+    if (!notification.read_at) {
+      notification.read_at = new Date();
+      await notification.save();
+    }
+
+    return notification;
+  }
+
+  static async markAllRead(userId) {
+    const result = await Notification.updateMany(
+      { recipient: userId, read_at: null },
+      { $set: { read_at: new Date() } }
+    );
+
+    return { updated: result.modifiedCount };
+  }
+
+  static async deleteNotification(userId, notificationId) {
+    this.validateNotificationId(notificationId);
+
+    const notification = await Notification.findOneAndDelete({ _id: notificationId, recipient: userId });
+    if (!notification) {
+      throw new Error('Notifikasi tidak ditemukan');
+    }
+
+    return notification;
+  }
+}
+
+export default InboxService;
@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import logger from '../../config/logger.js';
+
+// Offline stand-in for WhatsApp/SMS providers: messages are written to the log and
+// status callbacks are signed with HMAC-SHA256 over the raw body (X-Mock-Signature).
+// Only enabled when MOCK_MESSAGING_SECRET is set, never in production.
+export class MockMessagingProvider {
+
+  // ============= CONSTANTS =============
+  static NAME = 'mock';
+
+  static CHANNELS = ['whatsapp', 'sms'];
+
+  static STATUSES = ['queued', 'sent', 'delivered', 'read', 'failed'];
+
+  static SIGNATURE_HEADER = 'x-mock-signature';
+
+  // ============= CONFIG =============
+  static getSecret() {
+    return process.env.MOCK_MESSAGING_SECRET;
+  }
+
+  static isConfigured() {
+    return !!this.getSecret() && process.env.NODE_ENV !== 'production';
+  }
+
+  static sign(rawBody) {
+    return crypto.createHmac('sha256', this.getSecret()).update(rawBody).digest('hex');
+  }
+
+  // ============= SEND =============
+  static async send({ channel, to, text }) {
+    const messageId = `MOCK-${crypto.randomBytes(8).toString('hex')}`;
+
+    logger.info(`[mock ${channel}] to ${to}: ${text}`, { messageId });
+
+    return { messageId, status: 'sent' };
+  }
+
+  // ============= WEBHOOK =============
+  static verifyWebhook({ headers, rawBody }) {
+    const received = headers?.[this.SIGNATURE_HEADER];
+    if (!received || !rawBody) return false;
+
+    const expected = this.sign(rawBody);
+    return received.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+  }
+
+  static parseStatusUpdates(body) {
+    return [{
+      messageId: body.message_id,
+      status: this.STATUSES.includes(body.status) ? body.status : 'sent',
+      error: body.error || null,
+      timestamp: body.timestamp ? new Date(body.timestamp) : new Date()
+    }];
+  }
+
+  // Signed status callback exactly as the webhook endpoint would receive it
+  static buildStatusCallback({ messageId, status, error = null }) {
+    const body = {
+      message_id: messageId,
+      status,
+      ...(error && { error }),
+      timestamp: new Date().toISOString()
+    };
+    const rawBody = Buffer.from(JSON.stringify(body));
+
+    return {
+      body,
+      rawBody,
+      headers: { [this.SIGNATURE_HEADER]: this.sign(rawBody) }
+    };
+  }
+}
+
+export default MockMessagingProvider;
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+
+// Twilio Programmable SMS.
+// Configure with TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_SMS_FROM (sender number or
+// Messaging Service SID). Status callbacks go to BACKEND_URL/notifications/messaging/webhook/twilio.
+export class TwilioSmsProvider {
+
+  // ============= CONSTANTS =============
+  static NAME = 'twilio';
+
+  static CHANNELS = ['sms'];
+
+  static BASE_URL = 'https://api.twilio.com/2010-04-01';
+
+  static SIGNATURE_HEADER = 'x-twilio-signature';
+
+  // MessageStatus -> our normalized delivery status
+  static STATUS_MAP = {
+    accepted: 'queued',
+    scheduled: 'queued',
+    queued: 'queued',
+    sending: 'queued',
+    sent: 'sent',
+    delivered: 'delivered',
+    read: 'read',
+    undelivered: 'failed',
+    failed: 'failed',
+    canceled: 'failed'
+  };
+
+  // ============= CONFIG =============
+  static isConfigured() {
+    return !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_SMS_FROM);
+  }
+
+  static getStatusCallbackUrl() {
+    return process.env.BACKEND_URL
+      ? `${process.env.BACKEND_URL}/notifications/messaging/webhook/${this.NAME}`
+      : null;
+  }
+
+  // ============= SEND =============
+  static async send({ to, text }) {
+    if (!this.isConfigured()) {
+      throw new Error('TWILIO_ACCOUNT_SID/TWILIO_AUTH_TOKEN/TWILIO_SMS_FROM belum dikonfigurasi');
+    }
+
+    const from = process.env.TWILIO_SMS_FROM;
+    const statusCallback = this.getStatusCallbackUrl();
+    const form = new URLSearchParams({
+      To: `+${to}`,
+      Body: text,
+      ...(from.startsWith('MG') ? { MessagingServiceSid: from } : { From: from }),
+      ...(statusCallback && { StatusCallback: statusCallback })
+    });
+
+    const credentials = Buffer.from(`${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
+    const response = await fetch(`${this.BASE_URL}/Accounts/${process.env.TWILIO_ACCOUNT_SID}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': `Basic ${credentials}`
+      },
+      body: form.toString()
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || `Twilio HTTP ${response.status}`);
+    }
+
+    return { messageId: data.sid, status: this.STATUS_MAP[data.status] || 'queued' };
+  }
+
+  // ============= WEBHOOK =============
+  // X-Twilio-Signature = base64(HMAC-SHA1(auth token, callback URL + sorted form key/values))
+  static verifyWebhook({ headers, body }) {
+    const url = this.getStatusCallbackUrl();
+    const received = headers?.[this.SIGNATURE_HEADER];
+    if (!this.isConfigured() || !url || !received) return false;
+
+    const payload = Object.keys(body || {})
+      .sort()
+      .reduce((result, key) => result + key + body[key], url);
+    const expected = crypto
+      .createHmac('sha1', process.env.TWILIO_AUTH_TOKEN)
+      .update(payload)
+      .digest('base64');
+
+    return received.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+  }
+
+  static parseStatusUpdates(body) {
+    return [{
+      messageId: body.MessageSid,
+      status: this.STATUS_MAP[body.MessageStatus] || 'queued',
+      error: body.ErrorCode ? `Twilio error ${body.ErrorCode}` : null,
+      timestamp: new Date()
+    }];
+  }
+}
+
+export default TwilioSmsProvider;
@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+
+// WhatsApp Business Cloud API (Meta Graph API).
+// Configure with WHATSAPP_PHONE_NUMBER_ID, WHATSAPP_ACCESS_TOKEN, WHATSAPP_APP_SECRET (webhook
+// signatures) and WHATSAPP_VERIFY_TOKEN (webhook subscription). Business-initiated messages need
+// an approved template per event: WHATSAPP_TEMPLATE_BOOKING_CONFIRMED, WHATSAPP_TEMPLATE_BOOKING_REMINDER.
+export class WhatsAppCloudProvider {
+
+  // ============= CONSTANTS =============
+  static NAME = 'whatsapp_cloud';
+
+  static CHANNELS = ['whatsapp'];
+
+  static BASE_URL = 'https://graph.facebook.com';
+  static DEFAULT_API_VERSION = 'v20.0';
+
+  static SIGNATURE_HEADER = 'x-hub-signature-256';
+
+  // ============= CONFIG =============
+  static isConfigured() {
+    return !!(process.env.WHATSAPP_PHONE_NUMBER_ID && process.env.WHATSAPP_ACCESS_TOKEN);
+  }
+
+  static getMessagesUrl() {
+    const version = process.env.WHATSAPP_API_VERSION || this.DEFAULT_API_VERSION;
+    return `${this.BASE_URL}/${version}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
+  }
+
+  static getTemplateName(event) {
+    return process.env[`WHATSAPP_TEMPLATE_${event.toUpperCase()}`] || null;
+  }
+
+  // ============= SEND =============
+  // Without a configured template the plain text only arrives inside a 24h customer session
+  static buildMessageBody({ event, to, text, params }) {
+    const templateName = this.getTemplateName(event);
+
+    if (!templateName) {
+      return {
+        messaging_product: 'whatsapp',
+        to,
+        type: 'text',
+        text: { body: text }
+      };
+    }
+
+    return {
+      messaging_product: 'whatsapp',
+      to,
+      type: 'template',
+      template: {
+        name: templateName,
+        language: { code: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'id' },
+        components: [{
+          type: 'body',
+          parameters: (params || []).map(value => ({ type: 'text', text: value }))
+        }]
+      }
+    };
+  }
+
+  static async send(message) {
+    if (!this.isConfigured()) {
+      throw new Error('WHATSAPP_PHONE_NUMBER_ID/WHATSAPP_ACCESS_TOKEN belum dikonfigurasi');
+    }
+
+    const response = await fetch(this.getMessagesUrl(), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`
+      },
+      body: JSON.stringify(this.buildMessageBody(message))
+    });
+    const data = await response.json();
+
+    if (!response.ok || data.error) {
+      throw new Error(data.error?.message || `WhatsApp HTTP ${response.status}`);
+    }
+
+    return { messageId: data.messages?.[0]?.id, status: 'queued' };
+  }
+
+  // ============= WEBHOOK =============
+  // Subscription handshake: Meta echoes hub.challenge back when the verify token matches
+  static verifySubscription(query) {
+    if (query['hub.mode'] !== 'subscribe' || !process.env.WHATSAPP_VERIFY_TOKEN) return null;
+    return query['hub.verify_token'] === process.env.WHATSAPP_VERIFY_TOKEN ? query['hub.challenge'] : null;
+  }
+
+  // X-Hub-Signature-256 = "sha256=" + HMAC-SHA256(app secret, raw body)
+  static verifyWebhook({ headers, rawBody }) {
+    const secret = process.env.WHATSAPP_APP_SECRET;
+    const received = headers?.[this.SIGNATURE_HEADER];
+    if (!secret || !received || !rawBody) return false;
+
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+    return received.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+  }
+
+  static parseStatusUpdates(body) {
+    return (body?.entry || [])
+      .flatMap(entry => entry.changes || [])
+      .flatMap(change => change.value?.statuses || [])
+      .map(status => ({
+        messageId: status.id,
+        status: status.status,
+        error: status.errors?.[0]?.title || null,
+        timestamp: status.timestamp ? new Date(Number(status.timestamp) * 1000) : new Date()
+      }));
+  }
+}
+
+export default WhatsAppCloudProvider;
@@ -0,0 +1,284 @@
+import User from '../models/User.js';
+import NotificationOutbox from '../models/NotificationOutbox.js';
+import mongoose from 'mongoose';
+import logger from '../config/logger.js';
+import {
+  MESSAGING_CHANNELS,
+  MESSAGING_REMINDER_HOURS_BEFORE,
+  normalizePhoneNumber,
+  validateMessagingChannel
+} from '../validators/notificationValidators.js';
+import WhatsAppCloudProvider from './messagingProviders/whatsappCloudProvider.js';
+import TwilioSmsProvider from './messagingProviders/twilioSmsProvider.js';
+import MockMessagingProvider from './messagingProviders/mockMessagingProvider.js';
+
+export class MessagingService {
+
+  // ============= CONSTANTS =============
+  // Providers share one interface: send, verifyWebhook, parseStatusUpdates
+  static PROVIDERS = {
+    [WhatsAppCloudProvider.NAME]: WhatsAppCloudProvider,
+    [TwilioSmsProvider.NAME]: TwilioSmsProvider,
+    [MockMessagingProvider.NAME]: MockMessagingProvider
+  };
+
+  static PROVIDER_ENV = {
+    whatsapp: 'WHATSAPP_PROVIDER',
+    sms: 'SMS_PROVIDER'
+  };
+
+  // Callbacks can arrive out of order; a status never moves back down this ladder
+  static DELIVERY_RANK = {
+    queued: 1,
+    sent: 2,
+    failed: 3,
+    delivered: 4,
+    read: 5
+  };
+
+  // ============= HELPERS =============
+  static createMessagingError(message, errorCode = 'MESSAGING_INVALID') {
+    const error = new Error(message);
+    error.errorCode = errorCode;
+    return error;
+  }
+
+  // WHATSAPP_PROVIDER / SMS_PROVIDER select the provider; mock is only the default outside production
+  static getProvider(channel) {
+    const providerName = process.env[this.PROVIDER_ENV[channel]] ||
+      (process.env.NODE_ENV === 'production' ? null : MockMessagingProvider.NAME);
+    const provider = this.PROVIDERS[providerName];
+
+    if (!provider || !provider.CHANNELS.includes(channel) || !provider.isConfigured()) {
+      return null;
+    }
+
+    return provider;
+  }
+
+  static getProviderByName(name) {
+    const provider = this.PROVIDERS[name];
+    const mockInProduction = name === MockMessagingProvider.NAME && process.env.NODE_ENV === 'production';
+    if (!provider || mockInProduction || !provider.isConfigured()) {
+      throw this.createMessagingError(`Provider pesan ${name} tidak tersedia`, 'MESSAGING_UNAVAILABLE');
+    }
+    return provider;
+  }
+
+  static isChannelEnabled(channel) {
+    return !!this.getProvider(channel);
+  }
+
+  static getEnabledChannels() {
+    return MESSAGING_CHANNELS.filter(channel => this.isChannelEnabled(channel));
+  }
+
+  static getReminderHours() {
+    return parseFloat(process.env.MESSAGING_REMINDER_HOURS) || MESSAGING_REMINDER_HOURS_BEFORE;
+  }
+
+  // Channel and number to message this user on, or null when they haven't opted in
+  static getRecipient(user) {
+    if (!user?.messaging?.opt_in) return null;
+
+    const channel = user.messaging.channel || 'whatsapp';
+    const to = normalizePhoneNumber(user.phoneNumber);
+    if (!to || !this.isChannelEnabled(channel)) return null;
+
+    return { channel, to };
+  }
+
+  // ============= PREFERENCES =============
+  static formatPreferences(user) {
+    return {
+      opt_in: !!user.messaging?.opt_in,
+      channel: user.messaging?.channel || 'whatsapp',
+      phone_number: user.phoneNumber || null,
+      opted_in_at: user.messaging?.opted_in_at || null,
+      opted_out_at: user.messaging?.opted_out_at || null,
+      available_channels: this.getEnabledChannels()
+    };
+  }
+
+  static async updatePreferences(userId, { opt_in, channel, phone_number }) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User tidak ditemukan');
+    }
+
+    if (channel !== undefined && !validateMessagingChannel(channel)) {
+      throw this.createMessagingError(`Channel harus salah satu dari: ${MESSAGING_CHANNELS.join(', ')}`);
+    }
+
+    if (phone_number !== undefined) {
+      user.phoneNumber = phone_number;
+    }
+    if (channel !== undefined) {
+      user.messaging.channel = channel;
+    }
+
+    if (opt_in !== undefined) {
+      const optIn = opt_in === true || opt_in === 'true';
+
+      if (optIn && !normalizePhoneNumber(user.phoneNumber)) {
+        throw this.createMessagingError('Nomor telepon yang valid diperlukan untuk menerima pesan WhatsApp/SMS');
+      }
+
+      if (optIn !== !!user.messaging.opt_in) {
+        user.messaging.opt_in = optIn;
+        user.messaging[optIn ? 'opted_in_at' : 'opted_out_at'] = new Date();
+      }
+    }
+
+    await user.save();
+
+    logger.info(`Messaging preferences updated: ${user._id}`, {
+      opt_in: user.messaging.opt_in,
+      channel: user.messaging.channel
+    });
+
+    return user;
+  }
+
+  // ============= SEND =============
+  static async send(message) {
+    const provider = this.getProvider(message.channel);
+    if (!provider) {
+      throw this.createMessagingError(`Channel ${message.channel} belum dikonfigurasi`, 'MESSAGING_UNAVAILABLE');
+    }
+
+    const result = await provider.send({
+      channel: message.channel,
+      event: message.event,
+      to: message.to,
+      text: message.text,
+      params: message.params
+    });
+
+    return { provider: provider.NAME, messageId: result.messageId, status: result.status };
+  }
+
+  // ============= DELIVERY STATUS =============
+  static async applyStatusUpdate(providerName, update) {
+    if (!update.messageId) return null;
+
+    const message = await NotificationOutbox.findOne({
+      provider: providerName,
+      provider_message_id: update.messageId
+    });
+    if (!message) {
+      logger.warn(`Status update for unknown ${providerName} message ${update.messageId}`);
+      return null;
+    }
+
+    const currentRank = this.DELIVERY_RANK[message.delivery_status] || 0;
+    const nextRank = this.DELIVERY_RANK[update.status] || 0;
+    if (nextRank <= currentRank) {
+      return message;
+    }
+
+    message.delivery_status = update.status;
+    if (update.status === 'delivered') message.delivered_at = update.timestamp;
+    if (update.status === 'read') {
+      message.read_at = update.timestamp;
+      message.delivered_at = message.delivered_at || update.timestamp;
+    }
+    if (update.status === 'failed') message.last_error = update.error || 'Pesan gagal terkirim';
+
+    await message.save();
+
+    if (update.status === 'failed') {
+      logger.warn(`Message ${message._id} (${message.event}) not delivered by ${providerName}: ${message.last_error}`);
+    }
+
+    return message;
+  }
+
+  // Called by the provider, trust comes from the signature only
+  static async handleStatusWebhook(providerName, { headers, body, rawBody }) {
+    const provider = this.getProviderByName(providerName);
+
+    if (!provider.verifyWebhook({ headers, body, rawBody })) {
+      throw this.createMessagingError('Signature webhook tidak valid', 'INVALID_SIGNATURE');
+    }
+
+    const updates = provider.parseStatusUpdates(body);
+    const applied = [];
+
+    for (const update of updates) {
+      const message = await this.applyStatusUpdate(provider.NAME, update);
+      if (message) applied.push(message);
+    }
+
+    return { received: updates.length, applied: applied.length };
+  }
+
+  static verifySubscription(providerName, query) {
+    const provider = this.getProviderByName(providerName);
+    return provider.verifySubscription ? provider.verifySubscription(query) : null;
+  }
+
+  static async simulateMockStatus(messageId, status) {
+    if (process.env.NODE_ENV === 'production') {
+      throw this.createMessagingError('Simulasi status pesan tidak tersedia di production', 'MESSAGING_UNAVAILABLE');
+    }
+
+    if (!MockMessagingProvider.STATUSES.includes(status)) {
+      throw this.createMessagingError(`Status simulasi harus salah satu dari: ${MockMessagingProvider.STATUSES.join(', ')}`);
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      throw this.createMessagingError('Format ID pesan tidak valid');
+    }
+
+    const message = await NotificationOutbox.findOne({ _id: messageId, provider: MockMessagingProvider.NAME });
+    if (!message?.provider_message_id) {
+      throw new Error('Pesan mock tidak ditemukan atau belum terkirim');
+    }
+
+    const callback = MockMessagingProvider.buildStatusCallback({
+      messageId: message.provider_message_id,
+      status,
+      ...(status === 'failed' && { error: 'Simulasi gagal kirim' })
+    });
+
+    await this.handleStatusWebhook(MockMessagingProvider.NAME, callback);
+    return await NotificationOutbox.findById(message._id);
+  }
+
+  // ============= QUERY METHODS =============
+  static async getOutboxMessages({ channel, status, delivery_status, event, page = 1, limit = 20 } = {}) {
+    const filter = {
+      ...(channel && { channel }),
+      ...(status && { status }),
+      ...(delivery_status && { delivery_status }),
+      ...(event && { event })
+    };
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [messages, total] = await Promise.all([
+      NotificationOutbox.find(filter)
+        .select('-html')
+        .populate('recipient', 'name email phoneNumber')
+        .populate('booking', 'bookingId tanggal_booking jam_booking')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      NotificationOutbox.countDocuments(filter)
+    ]);
+
+    return {
+      messages,
+      pagination: {
+        current_page: pageNumber,
+        total_pages: Math.ceil(total / pageSize),
+        total_items: total,
+        items_per_page: pageSize
+      }
+    };
+  }
+}
+
+export default MessagingService;
@@ -0,0 +1,669 @@
+import Booking from '../models/Booking.js';
+import Payment from '../models/Payment.js';
+import NotificationOutbox from '../models/NotificationOutbox.js';
+import moment from 'moment-timezone';
+import logger from '../config/logger.js';
+import { sendMail, isMailerConfigured } from '../config/mailer.js';
+import { renderEmail } from '../utils/emailTemplates.js';
+import { renderMessage } from '../utils/messageTemplates.js';
+import { formatRupiah } from '../utils/pdfDocument.js';
+import {
+  OUTBOX_STALE_SENDING_MINUTES,
+  REMINDER_HOURS_BEFORE,
+  getRetryDelayMinutes
+} from '../validators/notificationValidators.js';
+import { UserService } from './userService.js';
+import { DocumentService } from './documentService.js';
+import { CheckInService } from './checkInService.js';
+import { MessagingService } from './messagingService.js';
+import { RealtimeService } from './realtimeService.js';
+import { InboxService } from './inboxService.js';
+
+// Booking and payment lifecycle hooks. Services and controllers call these once per state
+// change; each fans out to email, WhatsApp/SMS, the in-app inbox and live dashboard (SSE) subscribers.
+export class NotificationService {
+
+  // ============= CONSTANTS =============
+  static DEFAULT_BATCH_SIZE = 20;
+
+  // Enough of the customer to address both email and WhatsApp/SMS
+  static RECIPIENT_FIELDS = 'name email phoneNumber messaging';
+
+  // ============= HELPERS =============
+  static getClientUrl() {
+    return process.env.CLIENT_URL || 'http://localhost:3000';
+  }
+
+  static getBookingUrl(booking) {
+    return `${this.getClientUrl()}/bookings/${booking._id}`;
+  }
+
+  static formatDateTime(date) {
+    return date ? moment(date).tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm') + ' WIB' : null;
+  }
+
+  // Walk-in guests get a placeholder address that must never be mailed
+  static isGuest(user) {
+    return !!user?.email?.endsWith(`@${UserService.GUEST_EMAIL_DOMAIN}`);
+  }
+
+  static canEmail(user) {
+    return !!user?.email && !this.isGuest(user);
+  }
+
+  static async loadBooking(bookingOrId) {
+    const id = bookingOrId?._id || bookingOrId;
+    return await Booking.findById(id)
+      .populate('pelanggan', this.RECIPIENT_FIELDS)
+      .populate('lapangan', 'nama');
+  }
+
+  static async loadPayment(paymentOrId) {
+    const id = paymentOrId?._id || paymentOrId;
+    return await Payment.findById(id)
+      .populate('user', 'name email')
+      .populate({
+        path: 'booking',
+        populate: [
+          { path: 'pelanggan', select: this.RECIPIENT_FIELDS },
+          { path: 'lapangan', select: 'nama' }
+        ]
+      });
+  }
+
+  static async getOutstanding(booking) {
+    const payments = await Payment.find({ booking: booking._id, status: 'verified' }).select('amount');
+    const paid = payments.reduce((sum, payment) => sum + payment.amount, 0);
+    return Math.max(0, (booking.harga || 0) - paid);
+  }
+
+  static getBookingData(booking) {
+    return {
+      customer_name: booking.pelanggan?.name || 'Pelanggan',
+      booking_code: booking.bookingId || booking._id.toString(),
+      field_name: booking.lapangan?.nama || '-',
+      date: DocumentService.formatPlayDate(booking),
+      time_range: `${DocumentService.formatTimeRange(booking)} WIB`,
+      booking_url: this.getBookingUrl(booking)
+    };
+  }
+
+  // ============= OUTBOX =============
+  // Renders and queues a message. Never throws: a notification problem must not fail
+  // the booking or payment request that triggered it.
+  static async enqueue({ event, user, data, booking = null, payment = null, dedupeKey = null }) {
+    try {
+      if (!this.canEmail(user)) {
+        return null;
+      }
+
+      if (dedupeKey && await NotificationOutbox.exists({ dedupe_key: dedupeKey })) {
+        return null;
+      }
+
+      const { subject, text, html } = renderEmail(event, data, DocumentService.getVenue().name);
+
+      return await NotificationOutbox.create({
+        event,
+        recipient: user._id,
+        to: user.email,
+        subject,
+        text,
+        html,
+        booking: booking?._id || booking,
+        payment: payment?._id || payment,
+        ...(dedupeKey && { dedupe_key: dedupeKey })
+      });
+    } catch (error) {
+      // Another worker queued the same key first
+      if (error.code === 11000) return null;
+
+      logger.error(`Failed to enqueue ${event} notification: ${error.message}`, {
+        recipient: user?._id,
+        booking: booking?._id || booking,
+        payment: payment?._id || payment
+      });
+      return null;
+    }
+  }
+
+  // WhatsApp/SMS counterpart of enqueue: only for opted-in customers, one per booking per event
+  static async enqueueMessage({ event, user, data, booking }) {
+    try {
+      const recipient = MessagingService.getRecipient(user);
+      if (!recipient) {
+        return null;
+      }
+
+      const dedupeKey = `${event}:${recipient.channel}:${booking._id}`;
+      if (await NotificationOutbox.exists({ dedupe_key: dedupeKey })) {
+        return null;
+      }
+
+      const { text, params } = renderMessage(event, data, DocumentService.getVenue().name);
+
+      return await NotificationOutbox.create({
+        event,
+        channel: recipient.channel,
+        recipient: user._id,
+        to: recipient.to,
+        text,
+        params,
+        booking: booking._id,
+        dedupe_key: dedupeKey
+      });
+    } catch (error) {
+      if (error.code === 11000) return null;
+
+      logger.error(`Failed to enqueue ${event} message: ${error.message}`, {
+        recipient: user?._id,
+        booking: booking?._id
+      });
+      return null;
+    }
+  }
+
+  // ============= INBOX =============
+  // Guests never log in, so they get no inbox entries
+  static async addToInbox(type, user, data, { booking = null, payment = null } = {}) {
+    if (!user || this.isGuest(user)) return null;
+
+    return await InboxService.notifyUser(user, {
+      type,
+      data,
+      booking,
+      payment,
+      link: payment ? `/payments/${payment._id}` : `/bookings/${booking?._id || booking}`
+    });
+  }
+
+  // ============= BOOKING EVENTS =============
+  static async notifyBookingCreated(bookingOrId) {
+    try {
+      const booking = await this.loadBooking(bookingOrId);
+      if (!booking) return null;
+
+      await RealtimeService.publishBookingEvent('created', booking);
+
+      const data = {
+        ...this.getBookingData(booking),
+        total: formatRupiah(booking.harga),
+        transfer_amount: booking.kode_unik ? formatRupiah(booking.harga + booking.kode_unik) : null,
+        payment_deadline: this.formatDateTime(booking.payment_deadline)
+      };
+
+      await this.addToInbox('booking_created', booking.pelanggan, data, { booking });
+
+      return await this.enqueue({
+        event: 'booking_created',
+        user: booking.pelanggan,
+        booking,
+        dedupeKey: `booking_created:${booking._id}`,
+        data
+      });
+    } catch (error) {
+      logger.error(`Booking created notification error: ${error.message}`);
+      return null;
+    }
+  }
+
+  static async notifyBookingApproved(bookingOrId) {
+    try {
+      const booking = await this.loadBooking(bookingOrId);
+      if (!booking) return null;
+
+      await RealtimeService.publishBookingEvent('approved', booking);
+      await this.notifyBookingConfirmed(booking);
+
+      const data = { ...this.getBookingData(booking), notes: booking.catatan };
+      await this.addToInbox('booking_approved', booking.pelanggan, data, { booking });
+
+      return await this.enqueue({
+        event: 'booking_approved',
+        user: booking.pelanggan,
+        booking,
+        data
+      });
+    } catch (error) {
+      logger.error(`Booking approved notification error: ${error.message}`);
+      return null;
+    }
+  }
+
+  static async notifyBookingRejected(bookingOrId, reason) {
+    try {
+      const booking = await this.loadBooking(bookingOrId);
+      if (!booking) return null;
+
+      await RealtimeService.publishBookingEvent('rejected', booking);
+
+      const data = { ...this.getBookingData(booking), reason: reason || booking.rejection_reason || '-' };
+      await this.addToInbox('booking_rejected', booking.pelanggan, data, { booking });
+
+      return await this.enqueue({
+        event: 'booking_rejected',
+        user: booking.pelanggan,
+        booking,
+        data
+      });
+    } catch (error) {
+      logger.error(`Booking rejected notification error: ${error.message}`);
+      return null;
+    }
+  }
+
+  // WhatsApp/SMS confirmation once a booking is confirmed (admin approval or verified payment)
+  static async notifyBookingConfirmed(booking) {
+    return await this.enqueueMessage({
+      event: 'booking_confirmed',
+      user: booking.pelanggan,
+      booking,
+      data: this.getBookingData(booking)
+    });
+  }
+
+  // Takes the booking document itself because unpaid bookings are deleted on cancel
+  static async notifyBookingCancelled(booking, { reason = null, refund = null } = {}) {
+    try {
+      await RealtimeService.publishBookingEvent('cancelled', booking);
+
+      const populated = booking.populated?.('pelanggan') && booking.populated?.('lapangan')
+        ? booking
+        : await Booking.populate(booking, [
+          { path: 'pelanggan', select: this.RECIPIENT_FIELDS },
+          { path: 'lapangan', select: 'nama' }
+        ]);
+
+      const data = {
+        ...this.getBookingData(populated),
+        reason: reason || populated.cancel_reason,
+        refund_amount: refund?.amount ? formatRupiah(refund.amount) : null,
+        refund_status: refund?.status_text || refund?.status || null
+      };
+
+      await this.addToInbox('booking_cancelled', populated.pelanggan, data, { booking: populated._id });
+
+      return await this.enqueue({
+        event: 'booking_cancelled',
+        user: populated.pelanggan,
+        booking: populated._id,
+        data
+      });
+    } catch (error) {
+      logger.error(`Booking cancelled notification error: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Unpaid booking released by the expiry sweep; inbox and dashboards only, no email
+  static async notifyBookingExpired(bookingOrId) {
+    try {
+      const booking = await this.loadBooking(bookingOrId);
+      if (!booking) return null;
+
+      await RealtimeService.publishBookingEvent('expired', booking);
+
+      return await this.addToInbox('booking_expired', booking.pelanggan, this.getBookingData(booking), { booking });
+    } catch (error) {
+      logger.error(`Booking expired notification error: ${error.message}`);
+      return null;
+    }
+  }
+
+  // ============= PAYMENT EVENTS =============
+  static async notifyPaymentSubmitted(paymentOrId) {
+    try {
+      const payment = await this.loadPayment(paymentOrId);
+      if (!payment?.booking) return null;
+
+      await RealtimeService.publishPaymentEvent('submitted', payment);
+
+      const data = {
+        ...this.getBookingData(payment.booking),
+        payment_type: payment.payment_type_text,
+        amount: formatRupiah(payment.amount),
+        transfer_date: payment.transfer_details?.transfer_date_string || null
+      };
+
+      // Cashiers only need to act on transfers still waiting for verification
+      if (payment.status === 'pending') {
+        await InboxService.notifyStaff({
+          type: 'payment_to_verify',
+          data: { ...data, risk_note: payment.risk_reason },
+          booking: payment.booking,
+          payment,
+          link: `/payments/${payment._id}`
+        });
+      }
+
+      return await this.enqueue({
+        event: 'payment_submitted',
+        user: payment.user,
+        booking: payment.booking,
+        payment,
+        dedupeKey: `payment_submitted:${payment._id}`,
+        data
+      });
+    } catch (error) {
+      logger.error(`Payment submitted notification error: ${error.message}`);
+      return null;
+    }
+  }
+
+  static async notifyPaymentApproved(paymentOrId) {
+    try {
+      const payment = await this.loadPayment(paymentOrId);
+      if (!payment?.booking) return null;
+
+      await RealtimeService.publishPaymentEvent('approved', payment);
+
+      const outstanding = await this.getOutstanding(payment.booking);
+
+      // A pelunasan only settles a booking that was already confirmed by its DP
+      if (payment.payment_type !== 'pelunasan') {
+        await this.notifyBookingConfirmed(payment.booking);
+      }
+
+      const data = {
+        ...this.getBookingData(payment.booking),
+        payment_type: payment.payment_type_text,
+        amount: formatRupiah(payment.amount),
+        outstanding: outstanding > 0 ? formatRupiah(outstanding) : null,
+        receipt_url: `${this.getClientUrl()}/payments/${payment._id}`
+      };
+
+      await this.addToInbox('payment_approved', payment.user, data, { booking: payment.booking, payment });
+
+      return await this.enqueue({
+        event: 'payment_approved',
+        user: payment.user,
+        booking: payment.booking,
+        payment,
+        data
+      });
+    } catch (error) {
+      logger.error(`Payment approved notification error: ${error.message}`);
+      return null;
+    }
+  }
+
+  static async notifyPaymentRejected(paymentOrId, reason) {
+    try {
+      const payment = await this.loadPayment(paymentOrId);
+      if (!payment?.booking) return null;
+
+      await RealtimeService.publishPaymentEvent('rejected', payment);
+
+      const data = {
+        ...this.getBookingData(payment.booking),
+        amount: formatRupiah(payment.amount),
+        reason: reason || payment.rejection_reason || '-',
+        payment_deadline: this.formatDateTime(payment.booking.payment_deadline)
+      };
+
+      await this.addToInbox('payment_rejected', payment.user, data, { booking: payment.booking, payment });
+
+      return await this.enqueue({
+        event: 'payment_rejected',
+        user: payment.user,
+        booking: payment.booking,
+        payment,
+        data
+      });
+    } catch (error) {
+      logger.error(`Payment rejected notification error: ${error.message}`);
+      return null;
+    }
+  }
+
+  // ============= ACCOUNT EVENTS =============
+  static async sendEmailVerification(user, verificationToken, expiresInHours) {
+    return await this.enqueue({
+      event: 'email_verification',
+      user,
+      data: {
+        customer_name: user.name,
+        verify_url: `${this.getClientUrl()}/verify-email?token=${verificationToken}`,
+        expires_in: `${expiresInHours} jam`
+      }
+    });
+  }
+
+  static async sendPasswordReset(user, resetToken) {
+    return await this.enqueue({
+      event: 'password_reset',
+      user,
+      data: {
+        customer_name: user.name,
+        reset_url: `${this.getClientUrl()}/reset-password?token=${resetToken}`,
+        expires_in: '1 jam'
+      }
+    });
+  }
+
+  // ============= REMINDERS =============
+  static formatTimeLeft(start, now) {
+    const minutesLeft = Math.round((start - now) / 60000);
+    return minutesLeft >= 60
+      ? `${Math.floor(minutesLeft / 60)} jam${minutesLeft % 60 ? ` ${minutesLeft % 60} menit` : ''} lagi`
+      : `${minutesLeft} menit lagi`;
+  }
+
+  // Confirmed bookings whose slot starts within the next `hours`
+  static async findUpcomingBookings(now, hours) {
+    const current = moment(now).tz('Asia/Jakarta');
+    const horizon = current.clone().add(hours, 'hours');
+
+    const bookings = await Booking.find({
+      status_pemesanan: 'confirmed',
+      tanggal_booking: {
+        $gte: moment.utc(current.format('YYYY-MM-DD')).toDate(),
+        $lte: moment.utc(horizon.format('YYYY-MM-DD')).toDate()
+      }
+    })
+      .populate('pelanggan', this.RECIPIENT_FIELDS)
+      .populate('lapangan', 'nama');
+
+    return bookings
+      .map(booking => ({ booking, start: CheckInService.getSlotWindow(booking).start }))
+      .filter(({ start }) => start > now && start <= horizon.toDate());
+  }
+
+  static async getReminderData(booking, start, now) {
+    const outstanding = booking.payment_status === 'dp_confirmed'
+      ? await this.getOutstanding(booking)
+      : 0;
+
+    return {
+      ...this.getBookingData(booking),
+      time_label: this.formatTimeLeft(start, now),
+      outstanding: outstanding > 0 ? formatRupiah(outstanding) : null
+    };
+  }
+
+  // Confirmed bookings starting within REMINDER_HOURS_BEFORE get one reminder email each
+  static async sendUpcomingReminders(now = new Date()) {
+    const upcoming = await this.findUpcomingBookings(now, REMINDER_HOURS_BEFORE);
+    let queued = 0;
+
+    for (const { booking, start } of upcoming) {
+      const message = await this.enqueue({
+        event: 'booking_reminder',
+        user: booking.pelanggan,
+        booking,
+        dedupeKey: `booking_reminder:${booking._id}`,
+        data: await this.getReminderData(booking, start, now)
+      });
+
+      if (message) queued++;
+    }
+
+    if (queued > 0) {
+      logger.info(`Queued ${queued} booking reminder(s)`);
+    }
+
+    return queued;
+  }
+
+  // Same for opted-in customers over WhatsApp/SMS, MessagingService.getReminderHours() ahead
+  static async sendUpcomingMessageReminders(now = new Date()) {
+    if (MessagingService.getEnabledChannels().length === 0) {
+      return 0;
+    }
+
+    const upcoming = await this.findUpcomingBookings(now, MessagingService.getReminderHours());
+    let queued = 0;
+
+    for (const { booking, start } of upcoming) {
+      if (!MessagingService.getRecipient(booking.pelanggan)) continue;
+
+      const message = await this.enqueueMessage({
+        event: 'booking_reminder',
+        user: booking.pelanggan,
+        booking,
+        data: await this.getReminderData(booking, start, now)
+      });
+
+      if (message) queued++;
+    }
+
+    if (queued > 0) {
+      logger.info(`Queued ${queued} WhatsApp/SMS reminder(s)`);
+    }
+
+    return queued;
+  }
+
+  // ============= DELIVERY =============
+  // Hands a message back to the queue after a worker died mid-send
+  static async recoverStaleMessages(now = new Date()) {
+    const staleBefore = moment(now).subtract(OUTBOX_STALE_SENDING_MINUTES, 'minutes').toDate();
+    const stale = { status: 'sending', locked_at: { $lt: staleBefore } };
+
+    await NotificationOutbox.updateMany(
+      { ...stale, $expr: { $gte: ['$attempts', '$max_attempts'] } },
+      { $set: { status: 'failed', last_error: 'Pengiriman terputus' }, $unset: { locked_at: 1 } }
+    );
+
+    await NotificationOutbox.updateMany(
+      stale,
+      { $set: { status: 'pending', next_attempt_at: now }, $unset: { locked_at: 1 } }
+    );
+  }
+
+  // Claim is atomic so two instances never send the same message
+  static async claimNext(now, channels) {
+    return await NotificationOutbox.findOneAndUpdate(
+      { status: 'pending', channel: { $in: channels }, next_attempt_at: { $lte: now } },
+      { $set: { status: 'sending', locked_at: now }, $inc: { attempts: 1 } },
+      { sort: { next_attempt_at: 1 }, new: true }
+    );
+  }
+
+  // A reminder for a booking that was cancelled after it was queued is dropped
+  static async isStillRelevant(message) {
+    if (message.event !== 'booking_reminder') return true;
+    return !!await Booking.exists({ _id: message.booking, status_pemesanan: 'confirmed' });
+  }
+
+  // Only channels with a working transport are drained; the rest wait in the outbox
+  static getDeliverableChannels() {
+    return [
+      ...(isMailerConfigured() ? ['email'] : []),
+      ...MessagingService.getEnabledChannels()
+    ];
+  }
+
+  static async dispatch(message) {
+    if (message.channel !== 'email') {
+      return await MessagingService.send(message);
+    }
+
+    const info = await sendMail({
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+
+    return { provider: 'smtp', messageId: info?.messageId, status: 'sent' };
+  }
+
+  static async deliver(message, now) {
+    try {
+      if (!await this.isStillRelevant(message)) {
+        await NotificationOutbox.updateOne(
+          { _id: message._id },
+          { $set: { status: 'skipped' }, $unset: { locked_at: 1 } }
+        );
+        return 'skipped';
+      }
+
+      const result = await this.dispatch(message);
+
+      await NotificationOutbox.updateOne(
+        { _id: message._id },
+        {
+          $set: {
+            status: 'sent',
+            sent_at: new Date(),
+            provider: result.provider,
+            provider_message_id: result.messageId,
+            delivery_status: result.status,
+            last_error: null
+          },
+          $unset: { locked_at: 1 }
+        }
+      );
+      return 'sent';
+    } catch (error) {
+      const exhausted = message.attempts >= message.max_attempts;
+      const nextAttemptAt = moment(now).add(getRetryDelayMinutes(message.attempts), 'minutes').toDate();
+
+      await NotificationOutbox.updateOne(
+        { _id: message._id },
+        {
+          $set: {
+            status: exhausted ? 'failed' : 'pending',
+            last_error: error.message,
+            ...(!exhausted && { next_attempt_at: nextAttemptAt })
+          },
+          $unset: { locked_at: 1 }
+        }
+      );
+
+      logger.warn(`Notification ${message._id} (${message.event}) ${exhausted ? 'failed permanently' : 'will be retried'}: ${error.message}`, {
+        attempts: message.attempts,
+        ...(!exhausted && { next_attempt_at: nextAttemptAt })
+      });
+      return exhausted ? 'failed' : 'retry';
+    }
+  }
+
+  static async processOutbox({ limit = this.DEFAULT_BATCH_SIZE, now = new Date() } = {}) {
+    const result = { sent: 0, retry: 0, failed: 0, skipped: 0 };
+
+    const channels = this.getDeliverableChannels();
+    if (channels.length === 0) {
+      return result;
+    }
+
+    await this.recoverStaleMessages(now);
+
+    for (let i = 0; i < limit; i++) {
+      const message = await this.claimNext(now, channels);
+      if (!message) break;
+
+      const outcome = await this.deliver(message, now);
+      result[outcome]++;
+    }
+
+    if (result.sent + result.retry + result.failed > 0) {
+      logger.info('Notification outbox processed', result);
+    }
+
+    return result;
+  }
+}
+
+export default NotificationService;
@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import moment from 'moment-timezone';
+
+// Midtrans Core API: bank transfer virtual accounts and QRIS.
+// Configure with MIDTRANS_SERVER_KEY and MIDTRANS_IS_PRODUCTION=true for live keys.
+export class MidtransGateway {
+
+  // ============= CONSTANTS =============
+  static NAME = 'midtrans';
+
+  static CHANNELS = ['qris', 'va_bca', 'va_bni', 'va_bri'];
+
+  static SANDBOX_URL = 'https://api.sandbox.midtrans.com';
+  static PRODUCTION_URL = 'https://api.midtrans.com';
+
+  // transaction_status -> our normalized status
+  static STATUS_MAP = {
+    capture: 'paid',
+    settlement: 'paid',
+    pending: 'pending',
+    deny: 'failed',
+    cancel: 'failed',
+    failure: 'failed',
+    expire: 'expired'
+  };
+
+  // ============= CONFIG =============
+  static getServerKey() {
+    return process.env.MIDTRANS_SERVER_KEY;
+  }
+
+  static isConfigured() {
+    return !!this.getServerKey();
+  }
+
+  static getBaseUrl() {
+    return process.env.MIDTRANS_IS_PRODUCTION === 'true' ? this.PRODUCTION_URL : this.SANDBOX_URL;
+  }
+
+  // ============= CHARGE =============
+  static buildChargeBody({ orderId, amount, channel, customer, expiresAt }) {
+    const body = {
+      transaction_details: {
+        order_id: orderId,
+        gross_amount: amount
+      },
+      customer_details: {
+        first_name: customer.name,
+        email: customer.email,
+        phone: customer.phone
+      },
+      custom_expiry: {
+        expiry_duration: Math.max(1, Math.ceil(moment(expiresAt).diff(moment(), 'minutes', true))),
+        unit: 'minute'
+      }
+    };
+
+    if (channel === 'qris') {
+      return { ...body, payment_type: 'qris', qris: { acquirer: 'gopay' } };
+    }
+
+    return {
+      ...body,
+      payment_type: 'bank_transfer',
+      bank_transfer: { bank: channel.replace('va_', '') }
+    };
+  }
+
+  static async createCharge(charge) {
+    if (!this.isConfigured()) {
+      throw new Error('MIDTRANS_SERVER_KEY belum dikonfigurasi');
+    }
+
+    const response = await fetch(`${this.getBaseUrl()}/v2/charge`, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        'Authorization': `Basic ${Buffer.from(`${this.getServerKey()}:`).toString('base64')}`
+      },
+      body: JSON.stringify(this.buildChargeBody(charge))
+    });
+    const data = await response.json();
+
+    // Midtrans reports errors in status_code even on HTTP 200
+    if (!response.ok || !['200', '201'].includes(String(data.status_code))) {
+      throw new Error(data.status_message || `Midtrans HTTP ${response.status}`);
+    }
+
+    return {
+      transactionId: data.transaction_id,
+      channel: charge.channel,
+      vaNumber: data.va_numbers?.[0]?.va_number || null,
+      bank: data.va_numbers?.[0]?.bank || null,
+      qrString: data.qr_string || null,
+      paymentUrl: data.actions?.find(action => action.name === 'generate-qr-code')?.url || null,
+      expiresAt: charge.expiresAt,
+      status: data.transaction_status
+    };
+  }
+
+  // ============= WEBHOOK =============
+  // signature_key = SHA512(order_id + status_code + gross_amount + server key)
+  static verifyWebhook({ body }) {
+    if (!this.isConfigured() || !body?.signature_key) return false;
+
+    const expected = crypto
+      .createHash('sha512')
+      .update(`${body.order_id}${body.status_code}${body.gross_amount}${this.getServerKey()}`)
+      .digest('hex');
+
+    const received = String(body.signature_key);
+    return received.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+  }
+
+  static parseNotification(body) {
+    let status = this.STATUS_MAP[body.transaction_status] || 'pending';
+
+    // Card captures flagged for review are not paid yet
+    if (body.transaction_status === 'capture' && body.fraud_status && body.fraud_status !== 'accept') {
+      status = 'pending';
+    }
+
+    return {
+      orderId: body.order_id,
+      transactionId: body.transaction_id,
+      status,
+      providerStatus: body.transaction_status,
+      amount: Math.round(parseFloat(body.gross_amount)),
+      eventKey: `${body.transaction_id}:${body.transaction_status}`
+    };
+  }
+}
+
+export default MidtransGateway;
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+
+// Offline stand-in for a real gateway: charges are generated locally and
+// notifications are signed with HMAC-SHA256 over the raw body (X-Mock-Signature).
+// Only enabled when MOCK_GATEWAY_SECRET is set, never in production.
+export class MockGateway {
+
+  // ============= CONSTANTS =============
+  static NAME = 'mock';
+
+  static CHANNELS = ['qris', 'va_bca', 'va_bni', 'va_bri'];
+
+  static STATUSES = ['paid', 'pending', 'failed', 'expired'];
+
+  static SIGNATURE_HEADER = 'x-mock-signature';
+
+  // ============= CONFIG =============
+  static getSecret() {
+    return process.env.MOCK_GATEWAY_SECRET;
+  }
+
+  static isConfigured() {
+    return !!this.getSecret() && process.env.NODE_ENV !== 'production';
+  }
+
+  static sign(rawBody) {
+    return crypto.createHmac('sha256', this.getSecret()).update(rawBody).digest('hex');
+  }
+
+  // ============= CHARGE =============
+  static async createCharge({ orderId, amount, channel, expiresAt }) {
+    const transactionId = `MOCK-${crypto.randomBytes(8).toString('hex')}`;
+    const isQris = channel === 'qris';
+
+    return {
+      transactionId,
+      channel,
+      vaNumber: isQris ? null : `8808${String(Date.now()).slice(-8)}`,
+      bank: isQris ? null : channel.replace('va_', ''),
+      qrString: isQris ? `00020101021226MOCK${orderId}5303360540${amount}6304MOCK` : null,
+      paymentUrl: null,
+      expiresAt,
+      status: 'pending'
+    };
+  }
+
+  // ============= WEBHOOK =============
+  static verifyWebhook({ headers, rawBody }) {
+    const received = headers?.[this.SIGNATURE_HEADER];
+    if (!received || !rawBody) return false;
+
+    const expected = this.sign(rawBody);
+    return received.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+  }
+
+  static parseNotification(body) {
+    return {
+      orderId: body.order_id,
+      transactionId: body.transaction_id,
+      status: this.STATUSES.includes(body.status) ? body.status : 'pending',
+      providerStatus: body.status,
+      amount: Number(body.amount),
+      eventKey: body.event_id || `${body.transaction_id}:${body.status}`
+    };
+  }
+
+  // Signed notification exactly as the webhook endpoint would receive it
+  static buildNotification({ orderId, transactionId, amount, status }) {
+    const body = {
+      event_id: `${transactionId}:${status}`,
+      order_id: orderId,
+      transaction_id: transactionId,
+      status,
+      amount
+    };
+    const rawBody = Buffer.from(JSON.stringify(body));
+
+    return {
+      body,
+      rawBody,
+      headers: { [this.SIGNATURE_HEADER]: this.sign(rawBody) }
+    };
+  }
+}
+
+export default MockGateway;
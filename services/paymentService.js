@@ -1,21 +1,40 @@
 import Payment from '../models/Payment.js';
 import Booking from '../models/Booking.js';
+import Refund from '../models/Refund.js';
 import mongoose from 'mongoose';
+import moment from 'moment-timezone';
 import logger from '../config/logger.js';
 import {
   validatePaymentAmountLogic,
   validateTransferMatchesPayment,
   validateTransferNotFuture,
-  validateTransferNotTooOld
+  validateTransferNotTooOld,
+  validateOnsitePaymentMethod,
+  getPaidStatusForPaymentType,
+  getExpectedTransferAmount,
+  ONSITE_PAYMENT_METHODS,
+  GATEWAY_PAYMENT_METHOD,
+  UNIQUE_CODE_RANGE,
+  UNIQUE_CODE_OPEN_PAYMENT_STATUSES,
+  PROOF_PHASH_MAX_DISTANCE,
+  PROOF_LOOKBACK_DAYS
 } from '../validators/paymentValidators.js';
+import { calculatePaymentDeadline } from '../validators/bookingValidators.js';
 import BankAccount from '../models/BankAccount.js';
+import BookingSeries from '../models/BookingSeries.js';
+import User from '../models/User.js';
+import MidtransGateway from './paymentGateways/midtransGateway.js';
+import { NotificationService } from './notificationService.js';
+import { RealtimeService } from './realtimeService.js';
+import MockGateway from './paymentGateways/mockGateway.js';
 
 export class PaymentService {
   
   // ============= CONSTANTS =============
   static PAYMENT_TYPES = {
     FULL: 'full_payment',
-    DP: 'dp_payment'
+    DP: 'dp_payment',
+    SETTLEMENT: 'pelunasan'
   };
 
   static DP_AMOUNT = 50000; // Hardcode value instead of import
@@ -27,14 +46,42 @@ export class PaymentService {
     REPLACED: 'replaced'  // ← ADD THIS
   };
 
+  // Bookings that still hold their slot; expired or cancelled ones released it and may have been resold
+  static PAYABLE_BOOKING_STATUSES = ['pending', 'confirmed'];
+
   // ============= VALIDATION METHODS =============
+  static isBookingPayable(booking) {
+    return this.PAYABLE_BOOKING_STATUSES.includes(booking.status_pemesanan);
+  }
+
+  static assertBookingPayable(booking) {
+    if (!this.isBookingPayable(booking)) {
+      const error = new Error(`Booking dengan status ${booking.status_pemesanan} tidak dapat dibayar`);
+      error.errorCode = 'BOOKING_NOT_PAYABLE';
+      throw error;
+    }
+  }
+
+  // A rejected transfer puts an active booking back on a fresh payment hold for re-upload.
+  // Cancelled or expired bookings are left as they are: they no longer hold their slot.
+  static resetBookingAfterRejection(booking) {
+    if (!this.isBookingPayable(booking)) return false;
+
+    booking.status_pemesanan = 'pending';
+    booking.payment_status = 'no_payment';
+    booking.kasir = undefined;
+    booking.konfirmasi_at = undefined;
+    booking.payment_deadline = calculatePaymentDeadline(booking.jenis_lapangan, booking.tanggal_booking, booking.jam_booking);
+    return true;
+  }
+
   static validatePaymentData(paymentData) {
-    const { paymentType, amount, transferDetails } = paymentData;
+    const { paymentType, amount, transferDetails, uniqueCode = 0 } = paymentData;
 
     // Validate transfer details
     validateTransferNotFuture(transferDetails.transfer_date);
     validateTransferNotTooOld(transferDetails.transfer_date);
-    validateTransferMatchesPayment(transferDetails.transfer_amount, amount);
+    validateTransferMatchesPayment(transferDetails.transfer_amount, amount, uniqueCode);
   }
 
   static validatePaymentAmount(paymentType, amount, totalBookingAmount) {
@@ -87,6 +134,86 @@ export class PaymentService {
     }
   }
 
+  static UNIQUE_CODE_MAX_RETRIES = 5;
+
+  static getOpenCodeFilter() {
+    return {
+      status_pemesanan: { $in: ['pending', 'confirmed'] },
+      payment_status: { $in: UNIQUE_CODE_OPEN_PAYMENT_STATUSES }
+    };
+  }
+
+  // ✅ Free code among bookings that may still receive a transfer (null when all are taken)
+  static async generateUniqueCode() {
+    const used = new Set(await Booking.distinct('kode_unik', {
+      ...this.getOpenCodeFilter(),
+      kode_unik: { $exists: true }
+    }));
+
+    const free = [];
+    for (let code = UNIQUE_CODE_RANGE.MIN; code <= UNIQUE_CODE_RANGE.MAX; code++) {
+      if (!used.has(code)) free.push(code);
+    }
+
+    if (free.length === 0) {
+      logger.warn('All transfer unique codes are in use; booking created without one');
+      return null;
+    }
+
+    return free[Math.floor(Math.random() * free.length)];
+  }
+
+  // Codes are picked without a reservation, so two bookings created at the same moment can
+  // draw the same one. Run after the booking is saved: whoever sees another open booking
+  // holding its code draws again. The later check always sees the earlier booking, so at
+  // least one side moves.
+  static async ensureUniqueCode(booking) {
+    for (let attempt = 0; attempt < this.UNIQUE_CODE_MAX_RETRIES && booking.kode_unik; attempt++) {
+      const taken = await Booking.exists({
+        ...this.getOpenCodeFilter(),
+        _id: { $ne: booking._id },
+        kode_unik: booking.kode_unik
+      });
+      if (!taken) return booking;
+
+      const code = await this.generateUniqueCode();
+      await Booking.updateOne(
+        { _id: booking._id },
+        code ? { $set: { kode_unik: code } } : { $unset: { kode_unik: 1 } }
+      );
+      booking.kode_unik = code || undefined;
+    }
+
+    if (booking.kode_unik) {
+      logger.warn(`Unique code ${booking.kode_unik} still shared after retries: ${booking._id}`);
+    }
+    return booking;
+  }
+
+  // Bank details plus the exact amounts to transfer for this booking
+  static async getTransferInstructions(booking) {
+    const uniqueCode = booking.kode_unik || 0;
+    const balance = await this.getOutstandingBalance(booking);
+    const amounts = {
+      full_payment: getExpectedTransferAmount(booking.harga, uniqueCode),
+      ...(booking.harga >= this.DP_AMOUNT && {
+        dp_payment: getExpectedTransferAmount(this.DP_AMOUNT, uniqueCode)
+      }),
+      ...(booking.payment_status === 'dp_confirmed' && balance.outstanding > 0 && {
+        pelunasan: getExpectedTransferAmount(balance.outstanding, uniqueCode)
+      })
+    };
+
+    return {
+      bank_details: await this.getBankDetails(),
+      unique_code: uniqueCode,
+      transfer_amounts: amounts,
+      note: uniqueCode
+        ? `Transfer tepat sesuai nominal, termasuk kode unik ${uniqueCode}, agar pembayaran dapat dicocokkan otomatis`
+        : null
+    };
+  }
+
   // ✅ NEW: Get all active bank accounts for customer choice
   static async getAllActiveBanks() {
     try {
@@ -128,6 +255,127 @@ export class PaymentService {
     }
   }
 
+  // ============= RISK DETECTION =============
+  // Number of differing bits between two hex perceptual hashes
+  static getHashDistance(hashA, hashB) {
+    if (!hashA || !hashB || hashA.length !== hashB.length) return Infinity;
+
+    let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+    let distance = 0;
+    while (diff > 0n) {
+      distance += Number(diff & 1n);
+      diff >>= 1n;
+    }
+    return distance;
+  }
+
+  static formatRelatedPayment(payment) {
+    const date = moment(payment.createdAt).tz('Asia/Jakarta').format('DD/MM/YYYY');
+    return `pembayaran ${payment._id} (${date}, ${payment.status})`;
+  }
+
+  // ✅ Flags for a transfer about to be recorded. Nothing is rejected here: the
+  // cashier sees the reasons in the pending queue and decides.
+  static async detectPaymentRisks({ booking, amount, uniqueCode = 0, transferDetails, proofFingerprint, excludeBookingIds = [] }) {
+    const flags = [];
+    // Resubmitting after a rejection may reuse the same proof; reusing a DP proof for the pelunasan may not
+    const otherPayments = {
+      $or: [
+        { booking: { $nin: [booking._id, ...excludeBookingIds] } },
+        { status: { $in: [this.PAYMENT_STATUS.PENDING, this.PAYMENT_STATUS.VERIFIED] } }
+      ]
+    };
+    const since = moment().subtract(PROOF_LOOKBACK_DAYS, 'days').toDate();
+
+    if (proofFingerprint?.content_hash) {
+      const duplicate = await Payment.findOne({
+        ...otherPayments,
+        'proof_fingerprint.content_hash': proofFingerprint.content_hash
+      }).sort({ createdAt: -1 });
+
+      if (duplicate) {
+        flags.push({
+          code: 'duplicate_proof',
+          severity: 'high',
+          reason: `Bukti transfer identik dengan ${this.formatRelatedPayment(duplicate)}`,
+          related_payment: duplicate._id
+        });
+      }
+    }
+
+    // dhash is computed for every image upload; Cloudinary's phash is compared too when both have one
+    const hashKeys = ['dhash', 'phash'].filter(key => proofFingerprint?.[key]);
+    if (hashKeys.length > 0 && !flags.some(flag => flag.code === 'duplicate_proof')) {
+      const candidates = await Payment.find({
+        $and: [otherPayments, { $or: hashKeys.map(key => ({ [`proof_fingerprint.${key}`]: { $exists: true } })) }],
+        createdAt: { $gte: since }
+      }).select('proof_fingerprint status createdAt');
+
+      const similar = candidates
+        .map(payment => ({
+          payment,
+          distance: Math.min(...hashKeys.map(key => this.getHashDistance(proofFingerprint[key], payment.proof_fingerprint[key])))
+        }))
+        .filter(({ distance }) => distance <= PROOF_PHASH_MAX_DISTANCE)
+        .sort((a, b) => a.distance - b.distance)[0];
+
+      if (similar) {
+        flags.push({
+          code: 'similar_proof',
+          severity: 'high',
+          reason: `Bukti transfer sangat mirip dengan ${this.formatRelatedPayment(similar.payment)}`,
+          related_payment: similar.payment._id
+        });
+      }
+    }
+
+    const reference = transferDetails?.transfer_reference?.trim();
+    if (reference) {
+      const escaped = reference.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const reused = await Payment.findOne({
+        ...otherPayments,
+        'transfer_details.transfer_reference': { $regex: `^${escaped}$`, $options: 'i' }
+      }).sort({ createdAt: -1 });
+
+      if (reused) {
+        flags.push({
+          code: 'reused_reference',
+          severity: 'high',
+          reason: `Nomor referensi ${reference} sudah dipakai di ${this.formatRelatedPayment(reused)}`,
+          related_payment: reused._id
+        });
+      }
+    }
+
+    const expectedTransfer = getExpectedTransferAmount(amount, uniqueCode);
+    if (transferDetails?.transfer_amount && transferDetails.transfer_amount !== expectedTransfer) {
+      flags.push({
+        code: 'amount_mismatch',
+        severity: 'medium',
+        reason: `Nominal transfer Rp ${transferDetails.transfer_amount.toLocaleString('id-ID')} tidak sama dengan tagihan Rp ${expectedTransfer.toLocaleString('id-ID')}`
+      });
+    }
+
+    // A transfer dated before the booking existed is usually an old screenshot
+    const bookingCreated = moment(booking.createdAt).tz('Asia/Jakarta').format('YYYY-MM-DD');
+    if (transferDetails?.transfer_date_string && transferDetails.transfer_date_string < bookingCreated) {
+      flags.push({
+        code: 'transfer_before_booking',
+        severity: 'medium',
+        reason: `Tanggal transfer ${transferDetails.transfer_date_string} lebih awal dari tanggal booking dibuat (${bookingCreated})`
+      });
+    }
+
+    if (flags.length > 0) {
+      logger.warn(`Payment risk flagged for booking ${booking._id}`, {
+        codes: flags.map(flag => flag.code),
+        related: flags.map(flag => flag.related_payment).filter(Boolean)
+      });
+    }
+
+    return flags;
+  }
+
   // ============= CRUD OPERATIONS =============
   static async createPayment(paymentData) {
     const {
@@ -137,7 +385,8 @@ export class PaymentService {
       amount,
       transferProof,
       transferProofBuffer, // ✅ ADD: For production memory storage
-      transferDetails
+      transferDetails,
+      proofFingerprint
     } = paymentData;
 
     // Get and validate booking
@@ -150,6 +399,8 @@ export class PaymentService {
       throw new Error('Booking tidak ditemukan untuk user ini');
     }
 
+    this.assertBookingPayable(booking);
+
     // Check existing payment
     const existingPayment = await Payment.findOne({ 
       booking: bookingId,
@@ -180,7 +431,7 @@ export class PaymentService {
 
     // Validate payment data
     this.validatePaymentAmount(paymentType, amount, booking.harga);
-    this.validatePaymentData({ paymentType, amount, transferDetails });
+    this.validatePaymentData({ paymentType, amount, transferDetails, uniqueCode: booking.kode_unik });
 
     // ✅ PRODUCTION: Handle file storage appropriately
     let finalTransferProof = transferProof;
@@ -194,6 +445,14 @@ export class PaymentService {
       logger.info('Production: File stored in memory buffer');
     }
 
+    const riskFlags = await this.detectPaymentRisks({
+      booking,
+      amount,
+      uniqueCode: booking.kode_unik || 0,
+      transferDetails,
+      proofFingerprint
+    });
+
     // Create payment with production-safe file reference
     const payment = await Payment.create({
       booking: bookingId,
@@ -201,14 +460,18 @@ export class PaymentService {
       payment_type: paymentType,
       amount: amount,
       total_booking_amount: booking.harga,
+      unique_code: booking.kode_unik || 0,
       transfer_proof: finalTransferProof, // ✅ Production-safe reference
       transfer_details: transferDetails,
+      proof_fingerprint: proofFingerprint || undefined,
+      risk_flags: riskFlags,
       bank_details: await this.getBankDetails()
     });
 
     // Update booking payment status
     booking.payment_status = 'pending_payment';
     await booking.save();
+    await NotificationService.notifyPaymentSubmitted(payment);
 
     logger.info(`Payment created: ${payment._id}`, {
       user: userId,
@@ -232,6 +495,9 @@ export class PaymentService {
       throw new Error(`Payment tidak bisa diapprove (status: ${payment.status})`);
     }
 
+    // Confirming an expired/cancelled booking would double-book a slot it no longer holds
+    this.assertBookingPayable(payment.booking);
+
     // Update payment
     payment.status = this.PAYMENT_STATUS.VERIFIED;
     payment.verified_by = kasirId;
@@ -247,15 +513,20 @@ export class PaymentService {
     // Update booking - auto confirmation
     const booking = payment.booking;
     booking.status_pemesanan = 'confirmed';
-    booking.payment_status = payment.payment_type === this.PAYMENT_TYPES.FULL 
-      ? 'fully_paid' 
-      : 'dp_confirmed';
-    booking.kasir = kasirId;
-    booking.konfirmasi_at = new Date();
+    booking.payment_status = getPaidStatusForPaymentType(payment.payment_type);
+    if (payment.payment_type === this.PAYMENT_TYPES.SETTLEMENT) {
+      if (booking.penyesuaian_harga?.tagihan) booking.penyesuaian_harga.tagihan = 0;
+    } else {
+      booking.kasir = kasirId;
+      booking.konfirmasi_at = new Date();
+    }
 
     // Save changes
     await payment.save();
     await booking.save();
+    if (payment.payment_type === this.PAYMENT_TYPES.SETTLEMENT) await this.syncBookingTotals(booking);
+    await this.syncSeriesPayment(payment, this.PAYMENT_STATUS.VERIFIED, kasirId);
+    await NotificationService.notifyPaymentApproved(payment);
 
     logger.info(`Payment APPROVED & Booking CONFIRMED: ${payment._id}`, {
       kasir: kasirId,
@@ -263,7 +534,8 @@ export class PaymentService {
       booking: booking._id,
       amount: payment.amount,
       type: payment.payment_type,
-      was_previously_rejected: !!payment.previous_rejection_reason
+      was_previously_rejected: !!payment.previous_rejection_reason,
+      risk_flags: payment.risk_flags?.map(flag => flag.code)
     });
 
     return payment;
@@ -290,12 +562,23 @@ export class PaymentService {
     payment.verified_at = new Date();
     payment.rejection_reason = reason.trim();
 
-    // ✅ COMPLETE BOOKING RESET
+    // A rejected pelunasan leaves the booking on its verified DP
     const booking = payment.booking;
-    booking.status_pemesanan = 'pending';        // Reset to initial state
-    booking.payment_status = 'no_payment';       // Reset payment status
-    booking.kasir = undefined;                   // Remove kasir assignment
-    booking.konfirmasi_at = undefined;           // Remove confirmation timestamp
+    if (payment.payment_type === this.PAYMENT_TYPES.SETTLEMENT) {
+      await payment.save();
+      await NotificationService.notifyPaymentRejected(payment, payment.rejection_reason);
+
+      logger.info(`Settlement payment REJECTED: ${payment._id}`, {
+        kasir: kasirId,
+        booking: booking._id,
+        reason: reason.trim()
+      });
+
+      return payment;
+    }
+
+    // ✅ COMPLETE BOOKING RESET (only while the booking is still active)
+    const bookingReset = this.resetBookingAfterRejection(booking);
 
     // Save both documents in transaction
     const session = await mongoose.startSession();
@@ -308,12 +591,16 @@ export class PaymentService {
       await session.endSession();
     }
 
-    logger.info(`Payment REJECTED & Booking COMPLETELY RESET: ${payment._id}`, {
+    await this.syncSeriesPayment(payment, this.PAYMENT_STATUS.REJECTED, kasirId);
+    await NotificationService.notifyPaymentRejected(payment, payment.rejection_reason);
+
+    logger.info(`Payment REJECTED${bookingReset ? ' & Booking COMPLETELY RESET' : ''}: ${payment._id}`, {
       kasir: kasirId,
       customer: payment.user,
       booking: booking._id,
       reason: reason.trim(),
       booking_reset: {
+        reset: bookingReset,
         status: booking.status_pemesanan,
         payment_status: booking.payment_status,
         kasir_removed: booking.kasir === undefined
@@ -323,12 +610,844 @@ export class PaymentService {
     return payment;
   }
 
+  // ============= SERIES PAYMENT =============
+  // ✅ One transfer covering every active occurrence of a booking series
+  static async createSeriesPayment(paymentData) {
+    const { seriesId, userId, amount, transferProof, transferDetails, proofFingerprint } = paymentData;
+
+    if (!mongoose.Types.ObjectId.isValid(seriesId)) {
+      throw new Error('Format ID booking berulang tidak valid');
+    }
+
+    const series = await BookingSeries.findOne({ _id: seriesId, pelanggan: userId });
+    if (!series) {
+      throw new Error('Booking berulang tidak ditemukan atau bukan milik Anda');
+    }
+
+    if (series.status !== 'active') {
+      throw new Error(`Booking berulang sudah ${series.status}`);
+    }
+
+    const existingPayment = await Payment.findOne({
+      series: seriesId,
+      status: { $in: [this.PAYMENT_STATUS.PENDING, this.PAYMENT_STATUS.VERIFIED] }
+    });
+
+    if (existingPayment) {
+      throw new Error('Booking berulang ini sudah memiliki pembayaran aktif');
+    }
+
+    const occurrences = await Booking.find({
+      series: seriesId,
+      status_pemesanan: { $in: ['pending', 'confirmed'] }
+    }).sort({ tanggal_booking: 1 });
+
+    if (occurrences.length === 0) {
+      throw new Error('Tidak ada jadwal aktif untuk dibayar');
+    }
+
+    if (occurrences.some(booking => booking.payment_status !== 'no_payment')) {
+      throw new Error('Sebagian jadwal sudah memiliki pembayaran. Hubungi kasir.');
+    }
+
+    const totalAmount = occurrences.reduce((sum, booking) => sum + booking.harga, 0);
+    this.validatePaymentAmount(this.PAYMENT_TYPES.FULL, amount, totalAmount);
+    this.validatePaymentData({ paymentType: this.PAYMENT_TYPES.FULL, amount, transferDetails });
+
+    const riskFlags = await this.detectPaymentRisks({
+      booking: occurrences[0],
+      amount,
+      transferDetails,
+      proofFingerprint,
+      excludeBookingIds: occurrences.map(booking => booking._id)
+    });
+
+    await Payment.updateMany(
+      { series: seriesId, status: this.PAYMENT_STATUS.REJECTED },
+      {
+        status: this.PAYMENT_STATUS.REPLACED,
+        replaced_at: new Date(),
+        replaced_by: userId
+      }
+    );
+
+    const payment = await Payment.create({
+      booking: occurrences[0]._id,
+      series: seriesId,
+      user: userId,
+      payment_type: this.PAYMENT_TYPES.FULL,
+      amount,
+      total_booking_amount: totalAmount,
+      transfer_proof: transferProof,
+      transfer_details: transferDetails,
+      proof_fingerprint: proofFingerprint || undefined,
+      risk_flags: riskFlags,
+      bank_details: await this.getBankDetails(),
+      notes: `Pembayaran ${occurrences.length} jadwal booking berulang`
+    });
+
+    await Booking.updateMany(
+      { _id: { $in: occurrences.map(booking => booking._id) } },
+      { payment_status: 'pending_verification' }
+    );
+
+    series.payment_status = 'pending_verification';
+    await series.save();
+    await NotificationService.notifyPaymentSubmitted(payment);
+
+    logger.info(`Series payment created: ${payment._id}`, {
+      user: userId,
+      series: seriesId,
+      occurrences: occurrences.length,
+      amount
+    });
+
+    return { payment, occurrences };
+  }
+
+  // ✅ Propagate a verified/rejected series payment to every active occurrence
+  static async syncSeriesPayment(payment, status, kasirId) {
+    if (!payment.series) return;
+
+    const activeFilter = {
+      series: payment.series,
+      status_pemesanan: { $in: ['pending', 'confirmed'] }
+    };
+
+    if (status === this.PAYMENT_STATUS.VERIFIED) {
+      await Booking.updateMany(activeFilter, {
+        status_pemesanan: 'confirmed',
+        payment_status: 'fully_paid',
+        kasir: kasirId,
+        konfirmasi_at: new Date()
+      });
+      await BookingSeries.findByIdAndUpdate(payment.series, { payment_status: 'fully_paid' });
+    } else if (status === this.PAYMENT_STATUS.REJECTED) {
+      // The fresh hold is capped at the first remaining occurrence, like a single booking's
+      const firstOccurrence = await Booking.findOne(activeFilter)
+        .sort({ tanggal_booking: 1, jam_booking: 1 })
+        .select('jenis_lapangan tanggal_booking jam_booking');
+      await Booking.updateMany(activeFilter, {
+        status_pemesanan: 'pending',
+        payment_status: 'no_payment',
+        payment_deadline: calculatePaymentDeadline(
+          firstOccurrence?.jenis_lapangan,
+          firstOccurrence?.tanggal_booking,
+          firstOccurrence?.jam_booking
+        ),
+        $unset: { kasir: 1, konfirmasi_at: 1 }
+      });
+      await BookingSeries.findByIdAndUpdate(payment.series, { payment_status: 'no_payment' });
+    }
+
+    logger.info(`Series payment synced: ${payment.series}`, {
+      payment: payment._id,
+      status
+    });
+  }
+
+  // ============= SETTLEMENT (PELUNASAN) =============
+  static createSettlementError(message) {
+    const error = new Error(message);
+    error.errorCode = 'SETTLEMENT_INVALID';
+    return error;
+  }
+
+  // ✅ What is still owed on a booking: harga (after any reschedule) minus every verified payment.
+  // Overpayment refunded after a cheaper reschedule no longer counts as paid, so moving back to
+  // a dearer slot is owed again; credit is what has been overpaid and not refunded yet.
+  static async getOutstandingBalance(booking) {
+    const [payments, refunds] = await Promise.all([
+      Payment.find({ booking: booking._id, status: this.PAYMENT_STATUS.VERIFIED }).sort({ verified_at: 1 }),
+      Refund.find({ booking: booking._id, source: 'reschedule', status: { $ne: 'rejected' } }).select('amount')
+    ]);
+    const paid = payments.reduce((sum, payment) => sum + payment.amount, 0);
+    const refunded = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+    const netPaid = paid - refunded;
+
+    return {
+      total: booking.harga,
+      paid,
+      refunded,
+      outstanding: Math.max(0, booking.harga - netPaid),
+      credit: Math.max(0, netPaid - booking.harga),
+      tagihan: booking.penyesuaian_harga?.tagihan || 0,
+      kredit: booking.penyesuaian_harga?.kredit || 0,
+      dpPayment: payments.find(payment => payment.payment_type === this.PAYMENT_TYPES.DP) || null
+    };
+  }
+
+  // Keep the booking's open and verified payments on its current price (after a reschedule
+  // or pelunasan); updateMany on purpose, the pre-save hook only knows the DP remainder
+  static async syncBookingTotals(booking) {
+    const balance = await this.getOutstandingBalance(booking);
+
+    await Payment.updateMany(
+      { booking: booking._id, status: { $in: [this.PAYMENT_STATUS.PENDING, this.PAYMENT_STATUS.VERIFIED] } },
+      { $set: { total_booking_amount: booking.harga, remaining_amount: balance.outstanding } }
+    );
+
+    return balance;
+  }
+
+  static async validateSettlementTarget(booking) {
+    if (booking.series) {
+      throw this.createSettlementError('Booking berulang dibayar penuh per seri dan tidak memerlukan pelunasan');
+    }
+
+    if (!['pending', 'confirmed'].includes(booking.status_pemesanan)) {
+      throw this.createSettlementError(`Booking dengan status ${booking.status_pemesanan} tidak dapat dilunasi`);
+    }
+
+    if (!['dp_confirmed', 'fully_paid'].includes(booking.payment_status)) {
+      throw this.createSettlementError('Pelunasan hanya untuk booking dengan DP yang sudah terverifikasi');
+    }
+
+    const balance = await this.getOutstandingBalance(booking);
+    if (balance.outstanding <= 0) {
+      throw this.createSettlementError('Booking ini sudah lunas');
+    }
+
+    const pendingSettlement = await Payment.exists({
+      booking: booking._id,
+      payment_type: this.PAYMENT_TYPES.SETTLEMENT,
+      status: this.PAYMENT_STATUS.PENDING
+    });
+    if (pendingSettlement) {
+      throw this.createSettlementError('Pelunasan booking ini sedang menunggu verifikasi');
+    }
+
+    return balance;
+  }
+
+  static validateSettlementAmount(amount, booking, balance) {
+    try {
+      validatePaymentAmountLogic(this.PAYMENT_TYPES.SETTLEMENT, amount, booking.harga, balance.outstanding);
+    } catch (error) {
+      throw this.createSettlementError(error.message);
+    }
+  }
+
+  // Online pelunasan by transfer; verified by the cashier like any other payment.
+  // transferAmount includes the booking's unique code, the payment amount does not.
+  static async createSettlementPayment({ bookingId, userId, transferAmount, transferProof, transferDetails, proofFingerprint }) {
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      throw this.createSettlementError('Format ID booking tidak valid');
+    }
+
+    const booking = await Booking.findOne({ _id: bookingId, pelanggan: userId });
+    if (!booking) {
+      throw new Error('Booking tidak ditemukan atau bukan milik Anda');
+    }
+
+    const balance = await this.validateSettlementTarget(booking);
+    const uniqueCode = booking.kode_unik || 0;
+    const amount = transferAmount - uniqueCode;
+    if (uniqueCode && amount !== balance.outstanding) {
+      throw this.createSettlementError(
+        `Transfer pelunasan harus tepat Rp ${getExpectedTransferAmount(balance.outstanding, uniqueCode).toLocaleString('id-ID')} (termasuk kode unik ${uniqueCode})`
+      );
+    }
+    this.validateSettlementAmount(amount, booking, balance);
+
+    try {
+      this.validatePaymentData({ paymentType: this.PAYMENT_TYPES.SETTLEMENT, amount, transferDetails, uniqueCode });
+    } catch (error) {
+      throw this.createSettlementError(error.message);
+    }
+
+    const riskFlags = await this.detectPaymentRisks({
+      booking,
+      amount,
+      uniqueCode,
+      transferDetails,
+      proofFingerprint
+    });
+
+    await Payment.updateMany(
+      { booking: bookingId, payment_type: this.PAYMENT_TYPES.SETTLEMENT, status: this.PAYMENT_STATUS.REJECTED },
+      {
+        status: this.PAYMENT_STATUS.REPLACED,
+        replaced_at: new Date(),
+        replaced_by: userId
+      }
+    );
+
+    const payment = await Payment.create({
+      booking: bookingId,
+      user: userId,
+      payment_type: this.PAYMENT_TYPES.SETTLEMENT,
+      amount,
+      total_booking_amount: booking.harga,
+      unique_code: uniqueCode,
+      settles_payment: balance.dpPayment?._id,
+      transfer_proof: transferProof,
+      transfer_details: transferDetails,
+      proof_fingerprint: proofFingerprint || undefined,
+      risk_flags: riskFlags,
+      bank_details: await this.getBankDetails()
+    });
+    await NotificationService.notifyPaymentSubmitted(payment);
+
+    logger.info(`Settlement payment created: ${payment._id}`, {
+      user: userId,
+      booking: bookingId,
+      amount,
+      outstanding: balance.outstanding
+    });
+
+    return { payment, booking, balance };
+  }
+
+  // ✅ Remaining balance paid in cash at the venue; verified immediately by the receiving cashier
+  static async recordCashSettlement({ bookingId, kasirId, amount, notes }) {
+    return this.recordOnsitePayment({
+      bookingId,
+      kasirId,
+      paymentType: this.PAYMENT_TYPES.SETTLEMENT,
+      paymentMethod: 'cash',
+      amount,
+      notes: notes || 'Pelunasan tunai di kasir'
+    });
+  }
+
+  // ============= ON-SITE PAYMENT =============
+  static createOnsitePaymentError(message) {
+    const error = new Error(message);
+    error.errorCode = 'ONSITE_PAYMENT_INVALID';
+    return error;
+  }
+
+  // Amount to charge when the cashier leaves it empty
+  static getDefaultOnsiteAmount(paymentType, booking, balance) {
+    if (paymentType === this.PAYMENT_TYPES.DP) return this.DP_AMOUNT;
+    if (paymentType === this.PAYMENT_TYPES.SETTLEMENT) return balance.outstanding;
+    return booking.harga;
+  }
+
+  static async validateOnsiteTarget(booking) {
+    if (booking.series) {
+      throw this.createOnsitePaymentError('Booking berulang dibayar melalui pembayaran seri');
+    }
+
+    if (!['pending', 'confirmed'].includes(booking.status_pemesanan)) {
+      throw this.createOnsitePaymentError(`Booking dengan status ${booking.status_pemesanan} tidak dapat dibayar`);
+    }
+
+    const activePayment = await Payment.findOne({
+      booking: booking._id,
+      status: { $in: [this.PAYMENT_STATUS.PENDING, this.PAYMENT_STATUS.VERIFIED] }
+    });
+    if (activePayment) {
+      throw this.createOnsitePaymentError(
+        activePayment.status === this.PAYMENT_STATUS.PENDING
+          ? 'Booking ini memiliki transfer yang menunggu verifikasi. Verifikasi atau tolak terlebih dahulu'
+          : 'Booking ini sudah memiliki pembayaran aktif. Gunakan pelunasan untuk sisa pembayaran'
+      );
+    }
+  }
+
+  // ✅ Cash, QRIS or EDC payment taken at the counter: no proof upload, verified by the receiving cashier
+  static async recordOnsitePayment({ bookingId, kasirId, paymentType, paymentMethod, amount, methodReference, notes }) {
+    if (!validateOnsitePaymentMethod(paymentMethod)) {
+      throw this.createOnsitePaymentError(`Metode pembayaran harus salah satu dari: ${ONSITE_PAYMENT_METHODS.join(', ')}`);
+    }
+
+    if (!Object.values(this.PAYMENT_TYPES).includes(paymentType)) {
+      throw this.createOnsitePaymentError(`Tipe pembayaran harus salah satu dari: ${Object.values(this.PAYMENT_TYPES).join(', ')}`);
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      throw this.createOnsitePaymentError('Format ID booking tidak valid');
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      throw new Error('Booking tidak ditemukan');
+    }
+
+    const isSettlement = paymentType === this.PAYMENT_TYPES.SETTLEMENT;
+    const balance = isSettlement
+      ? await this.validateSettlementTarget(booking)
+      : await this.validateOnsiteTarget(booking);
+
+    const paidAmount = amount === undefined || amount === null || amount === ''
+      ? this.getDefaultOnsiteAmount(paymentType, booking, balance)
+      : Number(amount);
+
+    if (isSettlement) {
+      this.validateSettlementAmount(paidAmount, booking, balance);
+    } else {
+      try {
+        this.validatePaymentAmount(paymentType, paidAmount, booking.harga);
+      } catch (error) {
+        throw this.createOnsitePaymentError(error.message);
+      }
+
+      await Payment.updateMany(
+        { booking: booking._id, status: this.PAYMENT_STATUS.REJECTED },
+        {
+          status: this.PAYMENT_STATUS.REPLACED,
+          replaced_at: new Date(),
+          replaced_by: kasirId
+        }
+      );
+    }
+
+    const now = new Date();
+    const payment = await Payment.create({
+      booking: booking._id,
+      user: booking.pelanggan,
+      payment_type: paymentType,
+      payment_method: paymentMethod,
+      amount: paidAmount,
+      total_booking_amount: booking.harga,
+      ...(isSettlement && { settles_payment: balance.dpPayment?._id }),
+      received_by: kasirId,
+      received_at: now,
+      method_reference: methodReference,
+      status: this.PAYMENT_STATUS.VERIFIED,
+      verified_by: kasirId,
+      verified_at: now,
+      notes
+    });
+
+    const bookingUpdate = isSettlement
+      ? { payment_status: 'fully_paid', 'penyesuaian_harga.tagihan': 0 }
+      : {
+        status_pemesanan: 'confirmed',
+        payment_status: getPaidStatusForPaymentType(paymentType),
+        kasir: kasirId,
+        konfirmasi_at: now
+      };
+    await Booking.updateOne({ _id: booking._id }, bookingUpdate);
+    booking.set(bookingUpdate);
+    if (isSettlement) await this.syncBookingTotals(booking);
+    await RealtimeService.publishPaymentEvent('approved', payment);
+
+    logger.info(`On-site payment recorded: ${payment._id}`, {
+      kasir: kasirId,
+      booking: booking._id,
+      receipt: payment.receipt_number,
+      method: paymentMethod,
+      type: paymentType,
+      amount: paidAmount
+    });
+
+    return { payment, booking, balance };
+  }
+
+  // ============= PAYMENT GATEWAY =============
+  // Providers share one interface: createCharge, verifyWebhook, parseNotification
+  static GATEWAYS = {
+    [MidtransGateway.NAME]: MidtransGateway,
+    [MockGateway.NAME]: MockGateway
+  };
+
+  static GATEWAY_EXPIRY_GRACE_MINUTES = 5;
+
+  static createGatewayError(message, errorCode = 'GATEWAY_PAYMENT_INVALID') {
+    const error = new Error(message);
+    error.errorCode = errorCode;
+    return error;
+  }
+
+  // PAYMENT_GATEWAY selects the provider; mock is only the default outside production
+  static getConfiguredGatewayName() {
+    return process.env.PAYMENT_GATEWAY ||
+      (process.env.NODE_ENV === 'production' ? null : MockGateway.NAME);
+  }
+
+  // Only the configured provider is accepted, for charges and webhooks alike: a webhook URL
+  // naming any other provider must not be able to confirm payments
+  static getGateway(name = null) {
+    const configuredName = this.getConfiguredGatewayName();
+    const providerName = name || configuredName;
+    const gateway = this.GATEWAYS[providerName];
+    const mockInProduction = providerName === MockGateway.NAME && process.env.NODE_ENV === 'production';
+
+    if (!gateway || mockInProduction || providerName !== configuredName) {
+      throw this.createGatewayError(
+        providerName ? `Payment gateway ${providerName} tidak tersedia` : 'Payment gateway tidak tersedia',
+        'GATEWAY_UNAVAILABLE'
+      );
+    }
+    if (!gateway.isConfigured()) {
+      throw this.createGatewayError(`Payment gateway ${providerName} belum dikonfigurasi`, 'GATEWAY_UNAVAILABLE');
+    }
+
+    return gateway;
+  }
+
+  static async validateGatewayTarget(booking, paymentType) {
+    if (booking.series) {
+      throw this.createGatewayError('Booking berulang dibayar melalui pembayaran seri');
+    }
+
+    if (paymentType === this.PAYMENT_TYPES.SETTLEMENT) {
+      return await this.validateSettlementTarget(booking);
+    }
+
+    if (!['pending', 'confirmed'].includes(booking.status_pemesanan)) {
+      throw this.createGatewayError(`Booking dengan status ${booking.status_pemesanan} tidak dapat dibayar`);
+    }
+
+    const activePayment = await Payment.findOne({
+      booking: booking._id,
+      status: { $in: [this.PAYMENT_STATUS.PENDING, this.PAYMENT_STATUS.VERIFIED] }
+    });
+    if (activePayment) {
+      throw this.createGatewayError('Booking ini sudah memiliki pembayaran aktif');
+    }
+
+    return null;
+  }
+
+  // Unpaid bookings keep their current hold; a pelunasan gets a fresh one
+  static getGatewayExpiry(booking, paymentType) {
+    const expiresAt = paymentType !== this.PAYMENT_TYPES.SETTLEMENT && booking.payment_deadline
+      ? booking.payment_deadline
+      : calculatePaymentDeadline(booking.jenis_lapangan, booking.tanggal_booking, booking.jam_booking);
+
+    if (moment(expiresAt).isBefore(moment().add(1, 'minute'))) {
+      throw this.createGatewayError('Batas waktu pembayaran booking ini sudah lewat');
+    }
+
+    return expiresAt;
+  }
+
+  // ✅ Virtual account / QRIS charge; the webhook verifies it, no cashier involved
+  static async createGatewayCharge({ bookingId, userId, paymentType = this.PAYMENT_TYPES.FULL, channel, provider = null }) {
+    const gateway = this.getGateway(provider);
+
+    if (!gateway.CHANNELS.includes(channel)) {
+      throw this.createGatewayError(`Channel pembayaran harus salah satu dari: ${gateway.CHANNELS.join(', ')}`);
+    }
+
+    if (!Object.values(this.PAYMENT_TYPES).includes(paymentType)) {
+      throw this.createGatewayError(`Tipe pembayaran harus salah satu dari: ${Object.values(this.PAYMENT_TYPES).join(', ')}`);
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      throw this.createGatewayError('Format ID booking tidak valid');
+    }
+
+    const booking = await Booking.findOne({ _id: bookingId, pelanggan: userId });
+    if (!booking) {
+      throw new Error('Booking tidak ditemukan');
+    }
+
+    // Asking again while a charge is still open returns the same instructions
+    const openCharge = await Payment.findOne({
+      booking: booking._id,
+      payment_method: GATEWAY_PAYMENT_METHOD,
+      payment_type: paymentType,
+      status: this.PAYMENT_STATUS.PENDING,
+      'gateway.channel': channel,
+      'gateway.expires_at': { $gt: new Date() }
+    });
+    if (openCharge) {
+      return { payment: openCharge, booking, reused: true };
+    }
+
+    const balance = await this.validateGatewayTarget(booking, paymentType);
+    const amount = this.getDefaultOnsiteAmount(paymentType, booking, balance);
+
+    if (paymentType === this.PAYMENT_TYPES.SETTLEMENT) {
+      this.validateSettlementAmount(amount, booking, balance);
+    } else {
+      try {
+        this.validatePaymentAmount(paymentType, amount, booking.harga);
+      } catch (error) {
+        throw this.createGatewayError(error.message);
+      }
+    }
+
+    const expiresAt = this.getGatewayExpiry(booking, paymentType);
+    const orderId = `${booking.bookingId}-${Date.now().toString(36)}`.toUpperCase();
+    const customer = await User.findById(userId).select('name email phoneNumber');
+
+    let charge;
+    try {
+      charge = await gateway.createCharge({
+        orderId,
+        amount,
+        channel,
+        customer: {
+          name: customer?.name,
+          email: customer?.email,
+          phone: customer?.phoneNumber
+        },
+        expiresAt
+      });
+    } catch (error) {
+      logger.error(`Gateway charge failed: ${error.message}`, {
+        provider: gateway.NAME,
+        booking: booking._id,
+        orderId
+      });
+      throw this.createGatewayError(`Gagal membuat tagihan pembayaran: ${error.message}`, 'GATEWAY_ERROR');
+    }
+
+    if (paymentType !== this.PAYMENT_TYPES.SETTLEMENT) {
+      await Payment.updateMany(
+        { booking: booking._id, status: this.PAYMENT_STATUS.REJECTED },
+        {
+          status: this.PAYMENT_STATUS.REPLACED,
+          replaced_at: new Date(),
+          replaced_by: userId
+        }
+      );
+    }
+
+    const payment = await Payment.create({
+      booking: booking._id,
+      user: userId,
+      payment_type: paymentType,
+      payment_method: GATEWAY_PAYMENT_METHOD,
+      amount,
+      total_booking_amount: booking.harga,
+      ...(paymentType === this.PAYMENT_TYPES.SETTLEMENT && { settles_payment: balance.dpPayment?._id }),
+      gateway: {
+        provider: gateway.NAME,
+        order_id: orderId,
+        transaction_id: charge.transactionId,
+        channel: charge.channel,
+        va_number: charge.vaNumber,
+        bank: charge.bank,
+        qr_string: charge.qrString,
+        payment_url: charge.paymentUrl,
+        expires_at: charge.expiresAt,
+        status: charge.status
+      }
+    });
+
+    if (paymentType !== this.PAYMENT_TYPES.SETTLEMENT) {
+      await Booking.updateOne({ _id: booking._id }, { payment_status: 'pending_verification' });
+      booking.payment_status = 'pending_verification';
+    }
+
+    logger.info(`Gateway charge created: ${payment._id}`, {
+      provider: gateway.NAME,
+      orderId,
+      booking: booking._id,
+      channel,
+      amount
+    });
+
+    return { payment, booking, reused: false };
+  }
+
+  // ✅ Signed notification from the provider. Replays of an applied event are no-ops.
+  static async handleGatewayWebhook(providerName, { headers, body, rawBody }) {
+    const gateway = this.getGateway(providerName);
+
+    if (!gateway.verifyWebhook({ headers, body, rawBody })) {
+      throw this.createGatewayError('Signature webhook tidak valid', 'INVALID_SIGNATURE');
+    }
+
+    const notification = gateway.parseNotification(body);
+    const payment = await Payment.findOne({
+      'gateway.provider': gateway.NAME,
+      'gateway.order_id': notification.orderId
+    });
+    if (!payment) {
+      throw new Error(`Payment untuk order ${notification.orderId} tidak ditemukan`);
+    }
+
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, 'gateway.events.key': { $ne: notification.eventKey } },
+      {
+        $push: {
+          'gateway.events': {
+            key: notification.eventKey,
+            status: notification.providerStatus,
+            received_at: new Date()
+          }
+        },
+        $set: {
+          'gateway.status': notification.providerStatus,
+          ...(notification.transactionId && { 'gateway.transaction_id': notification.transactionId })
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      logger.info(`Duplicate gateway notification ignored: ${notification.eventKey}`, {
+        provider: gateway.NAME,
+        orderId: notification.orderId
+      });
+      return { payment, result: 'duplicate' };
+    }
+
+    if (notification.status === 'paid') {
+      if (notification.amount !== claimed.amount) {
+        logger.error(`Gateway amount mismatch for ${notification.orderId}`, {
+          expected: claimed.amount,
+          received: notification.amount
+        });
+        return { payment: claimed, result: 'amount_mismatch' };
+      }
+      return await this.applyGatewayPaid(claimed);
+    }
+
+    if (['failed', 'expired'].includes(notification.status)) {
+      return await this.applyGatewayFailed(claimed, notification);
+    }
+
+    return { payment: claimed, result: 'pending' };
+  }
+
+  static async applyGatewayPaid(payment) {
+    const now = new Date();
+    const verified = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: this.PAYMENT_STATUS.PENDING },
+      {
+        status: this.PAYMENT_STATUS.VERIFIED,
+        verified_at: now,
+        'gateway.paid_at': now
+      },
+      { new: true }
+    );
+
+    // Paid after we already gave up on it: leave it for a cashier to sort out
+    if (!verified) {
+      logger.warn(`Gateway payment settled but payment is ${payment.status}: ${payment._id}`, {
+        orderId: payment.gateway.order_id
+      });
+      return { payment, result: 'needs_review' };
+    }
+
+    const bookingUpdate = payment.payment_type === this.PAYMENT_TYPES.SETTLEMENT
+      ? { payment_status: 'fully_paid', 'penyesuaian_harga.tagihan': 0 }
+      : {
+        status_pemesanan: 'confirmed',
+        payment_status: getPaidStatusForPaymentType(payment.payment_type),
+        konfirmasi_at: now
+      };
+    await Booking.updateOne({ _id: payment.booking }, bookingUpdate);
+    if (payment.payment_type === this.PAYMENT_TYPES.SETTLEMENT) {
+      await this.syncBookingTotals(await Booking.findById(payment.booking));
+    }
+    await NotificationService.notifyPaymentApproved(verified);
+
+    logger.info(`Gateway payment VERIFIED & Booking CONFIRMED: ${payment._id}`, {
+      provider: payment.gateway.provider,
+      orderId: payment.gateway.order_id,
+      booking: payment.booking,
+      amount: payment.amount,
+      type: payment.payment_type
+    });
+
+    return { payment: verified, result: 'verified' };
+  }
+
+  static async applyGatewayFailed(payment, notification) {
+    const rejected = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: this.PAYMENT_STATUS.PENDING },
+      {
+        status: this.PAYMENT_STATUS.REJECTED,
+        verified_at: new Date(),
+        rejection_reason: notification.status === 'expired'
+          ? 'Tagihan pembayaran online kedaluwarsa'
+          : `Pembayaran online gagal (${notification.providerStatus})`
+      },
+      { new: true }
+    );
+
+    if (!rejected) {
+      return { payment, result: 'ignored' };
+    }
+
+    // Booking goes back on its original hold; the expiry sweep handles it from there
+    if (payment.payment_type !== this.PAYMENT_TYPES.SETTLEMENT) {
+      await Booking.updateOne(
+        { _id: payment.booking, payment_status: 'pending_verification' },
+        { payment_status: 'no_payment' }
+      );
+    }
+
+    logger.info(`Gateway payment ${notification.status}: ${payment._id}`, {
+      orderId: payment.gateway.order_id,
+      booking: payment.booking
+    });
+
+    return { payment: rejected, result: notification.status };
+  }
+
+  // Payment instructions shown to the customer (VA number or QRIS)
+  static getGatewayInstructions(payment) {
+    return {
+      payment_id: payment._id,
+      order_id: payment.gateway.order_id,
+      provider: payment.gateway.provider,
+      channel: payment.gateway.channel,
+      payment_type: payment.payment_type,
+      amount: payment.amount,
+      va_number: payment.gateway.va_number || null,
+      bank: payment.gateway.bank || null,
+      qr_string: payment.gateway.qr_string || null,
+      payment_url: payment.gateway.payment_url || null,
+      expires_at: payment.gateway.expires_at,
+      expires_at_wib: moment(payment.gateway.expires_at).tz('Asia/Jakarta').format('DD/MM/YYYY HH:mm'),
+      status: payment.status
+    };
+  }
+
+  // Charges whose expiry notification never arrived; the grace period leaves room for a late webhook
+  static async expireStaleGatewayCharges(now = new Date()) {
+    const cutoff = moment(now).subtract(this.GATEWAY_EXPIRY_GRACE_MINUTES, 'minutes').toDate();
+    const stale = await Payment.find({
+      payment_method: GATEWAY_PAYMENT_METHOD,
+      status: this.PAYMENT_STATUS.PENDING,
+      'gateway.expires_at': { $lt: cutoff }
+    });
+
+    for (const payment of stale) {
+      await this.applyGatewayFailed(payment, { status: 'expired', providerStatus: 'expire' });
+    }
+
+    return stale.length;
+  }
+
+  // Local testing: push a signed notification through the real webhook path.
+  // Customers may only simulate their own charges; cashiers and admins any.
+  static async simulateMockNotification(orderId, status, user) {
+    if (process.env.NODE_ENV === 'production') {
+      throw this.createGatewayError('Simulasi pembayaran tidak tersedia di production', 'GATEWAY_UNAVAILABLE');
+    }
+
+    if (!MockGateway.STATUSES.includes(status)) {
+      throw this.createGatewayError(`Status simulasi harus salah satu dari: ${MockGateway.STATUSES.join(', ')}`);
+    }
+
+    const isStaff = ['kasir', 'cashier', 'admin'].includes(user.role);
+    const payment = await Payment.findOne({
+      'gateway.provider': MockGateway.NAME,
+      'gateway.order_id': orderId,
+      ...(!isStaff && { user: user._id })
+    });
+    if (!payment) {
+      throw new Error(`Payment untuk order ${orderId} tidak ditemukan`);
+    }
+
+    const notification = MockGateway.buildNotification({
+      orderId,
+      transactionId: payment.gateway.transaction_id,
+      amount: payment.amount,
+      status
+    });
+
+    return await this.handleGatewayWebhook(MockGateway.NAME, notification);
+  }
+
   // ============= QUERY METHODS =============
   static async getPendingPayments() {
-    return await Payment.find({ status: this.PAYMENT_STATUS.PENDING })
+    return await Payment.find({ status: this.PAYMENT_STATUS.PENDING, payment_method: { $ne: GATEWAY_PAYMENT_METHOD } })
       .populate('booking', 'tanggal_booking jam_booking durasi harga jenis_lapangan')
       .populate('booking.lapangan', 'nama')
       .populate('user', 'name email')
+      .populate('risk_flags.related_payment', 'booking user amount status createdAt')
       .sort({ createdAt: -1 });
   }
 
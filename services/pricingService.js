@@ -0,0 +1,335 @@
+import PricingRule from '../models/PricingRule.js';
+import Holiday from '../models/Holiday.js';
+import Field from '../models/Field.js';
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import logger from '../config/logger.js';
+import {
+  validateTimeFormat,
+  validatePricingRuleType,
+  validatePricingAdjustment,
+  timeToMinutes,
+  FIELD_TYPES,
+  PRICING_RULE_TYPES,
+  PRICING_ADJUSTMENTS
+} from '../validators/fieldValidators.js';
+
+export class PricingService {
+
+  // ============= PRICE EVALUATION =============
+  static normalizeDate(tanggal) {
+    if (typeof tanggal === 'string' && moment(tanggal, 'YYYY-MM-DD', true).isValid()) {
+      return tanggal;
+    }
+    return moment.utc(tanggal).format('YYYY-MM-DD');
+  }
+
+  // Rules and holiday status only depend on the date, so they are loaded once per day
+  static async loadPricingContext(field, tanggal) {
+    const dateString = this.normalizeDate(tanggal);
+    const date = new Date(dateString);
+
+    const [rules, holiday] = await Promise.all([
+      PricingRule.findForFieldDate(field, date),
+      Holiday.findForFieldDate(field._id, dateString)
+    ]);
+
+    return {
+      dateString,
+      weekday: moment.utc(date).day(),
+      isHoliday: !!holiday,
+      holiday: holiday?.nama || null,
+      rules
+    };
+  }
+
+  // Field-specific rules replace jenis_lapangan-wide rules of the same type
+  static selectRules(context, hourMinutes) {
+    const matching = context.rules.filter(rule => rule.matchesHour(context, hourMinutes));
+    const fieldTypes = new Set(matching.filter(rule => rule.lapangan).map(rule => rule.tipe));
+
+    return matching.filter(rule => rule.lapangan || !fieldTypes.has(rule.tipe));
+  }
+
+  static formatAdjustment(rule, jumlah) {
+    return {
+      aturan: rule._id,
+      nama: rule.nama,
+      tipe: rule.tipe,
+      penyesuaian: rule.penyesuaian,
+      nilai: rule.nilai,
+      jumlah
+    };
+  }
+
+  // ✅ Price one hour: the highest-priority override sets the hourly rate,
+  // then percentage / fixed adjustments are added on top of that rate
+  static priceHour(field, context, hourMinutes) {
+    const hargaDasar = field.harga;
+    const rules = this.selectRules(context, hourMinutes);
+    const override = rules.filter(rule => rule.penyesuaian === 'override').pop();
+
+    const rate = override ? override.nilai : hargaDasar;
+    const penyesuaian = override ? [this.formatAdjustment(override, override.nilai - hargaDasar)] : [];
+
+    rules
+      .filter(rule => rule.penyesuaian !== 'override')
+      .forEach(rule => {
+        const jumlah = rule.penyesuaian === 'percentage'
+          ? Math.round(rate * rule.nilai / 100)
+          : rule.nilai;
+        penyesuaian.push(this.formatAdjustment(rule, jumlah));
+      });
+
+    const harga = Math.max(0, hargaDasar + penyesuaian.reduce((sum, item) => sum + item.jumlah, 0));
+    const start = moment.utc(0).add(hourMinutes, 'minutes');
+
+    return {
+      jam: start.format('HH:mm'),
+      jam_selesai: start.clone().add(1, 'hour').format('HH:mm'),
+      harga_dasar: hargaDasar,
+      penyesuaian,
+      harga
+    };
+  }
+
+  static buildBreakdown(field, context, jamBooking, durasi) {
+    const startMinutes = timeToMinutes(jamBooking);
+    const hours = parseInt(durasi);
+
+    const items = [];
+    for (let i = 0; i < hours; i++) {
+      items.push(this.priceHour(field, context, startMinutes + i * 60));
+    }
+
+    const subtotal = field.harga * hours;
+    const total = items.reduce((sum, item) => sum + item.harga, 0);
+
+    return {
+      tanggal: context.dateString,
+      hari_libur: context.holiday,
+      harga_dasar_per_jam: field.harga,
+      durasi: hours,
+      subtotal,
+      total_penyesuaian: total - subtotal,
+      total,
+      items
+    };
+  }
+
+  // ✅ Itemized price for a booking, evaluated per hour so boundaries are priced correctly
+  static async calculatePrice(field, tanggal, jamBooking, durasi) {
+    const context = await this.loadPricingContext(field, tanggal);
+    return this.buildBreakdown(field, context, jamBooking, durasi);
+  }
+
+  // Compact form stored on the booking
+  static toBookingBreakdown(breakdown) {
+    return breakdown.items.map(item => ({
+      jam: item.jam,
+      harga_dasar: item.harga_dasar,
+      harga: item.harga,
+      penyesuaian: item.penyesuaian.map(({ aturan, nama, tipe, jumlah }) => ({ aturan, nama, tipe, jumlah }))
+    }));
+  }
+
+  // ============= VALIDATION METHODS =============
+  static parseDate(dateString, label) {
+    if (!moment(dateString, 'YYYY-MM-DD', true).isValid()) {
+      throw new Error(`${label} tidak valid. Gunakan format YYYY-MM-DD`);
+    }
+    return new Date(dateString);
+  }
+
+  static parseDays(hari) {
+    const days = Array.isArray(hari) ? hari : String(hari).split(',');
+    return days
+      .filter(day => day !== '' && day !== null)
+      .map(day => parseInt(day));
+  }
+
+  // Normalizes request body into schema fields; partial when updating
+  static async validateRuleInput(data, { partial = false } = {}) {
+    const {
+      nama, lapangan_id, jenis_lapangan, tipe, penyesuaian, nilai,
+      hari, jam_mulai, jam_selesai, tanggal_mulai, tanggal_selesai, prioritas, aktif
+    } = data;
+    const result = {};
+
+    if (!partial && (!nama || !tipe || nilai === undefined)) {
+      throw new Error('Field nama, tipe, dan nilai harus diisi');
+    }
+
+    if (!partial && !lapangan_id && !jenis_lapangan) {
+      throw new Error('Pilih lapangan_id atau jenis_lapangan untuk aturan harga');
+    }
+
+    if (nama !== undefined) {
+      if (!nama || nama.trim().length < 3) {
+        throw new Error('Nama aturan harga minimal 3 karakter');
+      }
+      result.nama = nama.trim();
+    }
+
+    if (lapangan_id !== undefined) {
+      if (lapangan_id) {
+        if (!mongoose.Types.ObjectId.isValid(lapangan_id)) {
+          throw new Error('ID lapangan tidak valid');
+        }
+        const field = await Field.exists({ _id: lapangan_id });
+        if (!field) {
+          throw new Error('Lapangan tidak ditemukan');
+        }
+      }
+      result.lapangan = lapangan_id || null;
+    }
+
+    if (jenis_lapangan !== undefined) {
+      if (jenis_lapangan && !FIELD_TYPES.includes(jenis_lapangan)) {
+        throw new Error(`Jenis lapangan harus salah satu dari: ${FIELD_TYPES.join(', ')}`);
+      }
+      result.jenis_lapangan = jenis_lapangan || null;
+    }
+
+    if (tipe !== undefined) {
+      if (!validatePricingRuleType(tipe)) {
+        throw new Error(`Tipe aturan harga harus salah satu dari: ${PRICING_RULE_TYPES.join(', ')}`);
+      }
+      result.tipe = tipe;
+    }
+
+    if (penyesuaian !== undefined) {
+      if (!validatePricingAdjustment(penyesuaian)) {
+        throw new Error(`Penyesuaian harus salah satu dari: ${PRICING_ADJUSTMENTS.join(', ')}`);
+      }
+      result.penyesuaian = penyesuaian;
+    }
+
+    if (nilai !== undefined) {
+      const nilaiNum = Number(nilai);
+      if (!Number.isFinite(nilaiNum)) {
+        throw new Error('Nilai penyesuaian harus berupa angka');
+      }
+      result.nilai = nilaiNum;
+    }
+
+    if (hari !== undefined) {
+      result.hari = hari ? this.parseDays(hari) : undefined;
+    }
+
+    if (jam_mulai !== undefined || jam_selesai !== undefined) {
+      if (jam_mulai && !validateTimeFormat(jam_mulai)) {
+        throw new Error('Format jam mulai tidak valid. Gunakan format HH:MM');
+      }
+      if (jam_selesai && !validateTimeFormat(jam_selesai)) {
+        throw new Error('Format jam selesai tidak valid. Gunakan format HH:MM');
+      }
+      // Empty strings clear the band (whole day)
+      if (jam_mulai !== undefined) result.jam_mulai = jam_mulai || undefined;
+      if (jam_selesai !== undefined) result.jam_selesai = jam_selesai || undefined;
+    }
+
+    if (tanggal_mulai !== undefined) {
+      result.tanggal_mulai = tanggal_mulai ? this.parseDate(tanggal_mulai, 'Tanggal mulai') : undefined;
+    }
+
+    if (tanggal_selesai !== undefined) {
+      result.tanggal_selesai = tanggal_selesai ? this.parseDate(tanggal_selesai, 'Tanggal selesai') : undefined;
+    }
+
+    if (prioritas !== undefined) {
+      const prioritasNum = parseInt(prioritas);
+      if (isNaN(prioritasNum)) {
+        throw new Error('Prioritas harus berupa angka');
+      }
+      result.prioritas = prioritasNum;
+    }
+
+    if (aktif !== undefined) {
+      result.aktif = aktif === true || aktif === 'true';
+    }
+
+    return result;
+  }
+
+  // ============= CRUD OPERATIONS =============
+  static async createRule(data, userId) {
+    const input = await this.validateRuleInput(data);
+    const rule = await PricingRule.create({ ...input, createdBy: userId });
+
+    logger.info(`Pricing rule created: ${rule._id}`, {
+      nama: rule.nama,
+      tipe: rule.tipe,
+      lapangan: rule.lapangan,
+      jenis_lapangan: rule.jenis_lapangan,
+      by: userId
+    });
+
+    return rule;
+  }
+
+  static async getRules({ lapanganId, jenisLapangan, tipe, aktif } = {}) {
+    const query = {};
+
+    if (lapanganId) {
+      if (!mongoose.Types.ObjectId.isValid(lapanganId)) {
+        throw new Error('ID lapangan tidak valid');
+      }
+      query.lapangan = lapanganId;
+    }
+
+    if (jenisLapangan) query.jenis_lapangan = jenisLapangan;
+    if (tipe) query.tipe = tipe;
+    if (aktif !== undefined) query.aktif = aktif === 'true' || aktif === true;
+
+    return PricingRule.find(query)
+      .populate('lapangan', 'nama jenis_lapangan harga')
+      .sort({ tipe: 1, prioritas: 1, createdAt: 1 });
+  }
+
+  static async getRuleById(ruleId) {
+    if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+      throw new Error('ID aturan harga tidak valid');
+    }
+
+    const rule = await PricingRule.findById(ruleId);
+    if (!rule) {
+      throw new Error('Aturan harga tidak ditemukan');
+    }
+
+    return rule;
+  }
+
+  static async updateRule(ruleId, data, userId) {
+    const rule = await this.getRuleById(ruleId);
+    const input = await this.validateRuleInput(data, { partial: true });
+
+    if (Object.keys(input).length === 0) {
+      throw new Error('Tidak ada data yang diubah');
+    }
+
+    Object.assign(rule, input);
+    await rule.save();
+
+    logger.info(`Pricing rule updated: ${rule._id}`, {
+      changes: Object.keys(input),
+      by: userId
+    });
+
+    return rule;
+  }
+
+  static async deleteRule(ruleId, userId) {
+    const rule = await this.getRuleById(ruleId);
+    await PricingRule.deleteOne({ _id: rule._id });
+
+    logger.info(`Pricing rule deleted: ${rule._id}`, {
+      nama: rule.nama,
+      by: userId
+    });
+
+    return rule;
+  }
+}
+
+export default PricingService;
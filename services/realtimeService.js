@@ -0,0 +1,235 @@
+import crypto from 'crypto';
+import moment from 'moment-timezone';
+import logger from '../config/logger.js';
+import { client } from '../config/redis.js';
+
+// Server-Sent Events hub. Services publish booking, payment and availability events here;
+// with Redis every instance relays them to its own connected dashboards.
+export class RealtimeService {
+
+  // ============= CONSTANTS =============
+  static STAFF_ROLES = ['kasir', 'cashier', 'admin'];
+
+  static REDIS_CHANNEL = 'realtime:events';
+
+  static HEARTBEAT_SECONDS = 25;
+
+  static RETRY_MS = 5000;
+
+  static INSTANCE_ID = crypto.randomBytes(4).toString('hex');
+
+  static clients = new Map();
+
+  static sequence = 0;
+
+  static heartbeat = null;
+
+  static subscriber = null;
+
+  // ============= HELPERS =============
+  static toId(value) {
+    return (value?._id || value)?.toString() || null;
+  }
+
+  static formatDate(tanggal) {
+    return tanggal ? moment.utc(tanggal).format('YYYY-MM-DD') : null;
+  }
+
+  static isStaff(user) {
+    return this.STAFF_ROLES.includes(user?.role);
+  }
+
+  // Staff see every booking/payment event, customers only their own; availability
+  // events go to anyone watching that field and date
+  static canReceive(connection, event) {
+    const { audience } = event;
+
+    if (audience.availability) {
+      const { fieldIds, date } = connection.filters;
+      const fieldMatch = fieldIds.length === 0 || fieldIds.includes(audience.availability.field_id);
+      const dateMatch = !date || date === audience.availability.date;
+      return fieldMatch && dateMatch;
+    }
+
+    return (audience.staff && connection.staff) ||
+      (!!audience.userId && audience.userId === connection.userId);
+  }
+
+  static write(connection, event) {
+    connection.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+
+  // ============= CONNECTIONS =============
+  static subscribe(req, res, { fieldIds = [], date = null } = {}) {
+    const connectionId = crypto.randomBytes(8).toString('hex');
+    const connection = {
+      id: connectionId,
+      res,
+      userId: req.user._id.toString(),
+      staff: this.isStaff(req.user),
+      filters: { fieldIds, date }
+    };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // Keeps nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${this.RETRY_MS}\n\n`);
+
+    // Sent on every (re)connect: clients refetch their lists, events missed while offline are not replayed
+    this.write(connection, {
+      id: `${this.INSTANCE_ID}-0`,
+      type: 'connected',
+      data: { connection_id: connectionId, staff: connection.staff, filters: connection.filters }
+    });
+
+    this.clients.set(connectionId, connection);
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(connectionId);
+      if (this.clients.size === 0) this.stopHeartbeat();
+    });
+
+    return connection;
+  }
+
+  static startHeartbeat() {
+    if (this.heartbeat) return;
+
+    this.heartbeat = setInterval(() => {
+      for (const connection of this.clients.values()) {
+        connection.res.write(': ping\n\n');
+      }
+    }, this.HEARTBEAT_SECONDS * 1000);
+    this.heartbeat.unref();
+  }
+
+  static stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  static getStats() {
+    const connections = [...this.clients.values()];
+    return {
+      instance: this.INSTANCE_ID,
+      connections: connections.length,
+      staff: connections.filter(connection => connection.staff).length,
+      relay: this.subscriber ? 'redis' : 'local'
+    };
+  }
+
+  // ============= DELIVERY =============
+  static deliver(event) {
+    for (const connection of this.clients.values()) {
+      if (!this.canReceive(connection, event)) continue;
+
+      try {
+        this.write(connection, event);
+      } catch (error) {
+        this.clients.delete(connection.id);
+      }
+    }
+  }
+
+  // Redis relay so events published on one instance reach dashboards connected to another
+  static async start() {
+    if (this.subscriber || !client?.isOpen) return;
+
+    try {
+      const subscriber = client.duplicate();
+      subscriber.on('error', (error) => logger.warn(`Realtime subscriber error: ${error.message}`));
+      await subscriber.connect();
+      await subscriber.subscribe(this.REDIS_CHANNEL, (message) => {
+        try {
+          this.deliver(JSON.parse(message));
+        } catch (error) {
+          logger.warn(`Invalid realtime message: ${error.message}`);
+        }
+      });
+
+      this.subscriber = subscriber;
+      logger.info('Realtime events relayed through Redis');
+    } catch (error) {
+      logger.warn(`Realtime Redis relay unavailable, delivering locally: ${error.message}`);
+    }
+  }
+
+  // Never throws: a dashboard update must not fail the request that caused it
+  static async publish(type, data, audience) {
+    const event = {
+      id: `${this.INSTANCE_ID}-${++this.sequence}`,
+      type,
+      data: { ...data, at: new Date().toISOString() },
+      audience
+    };
+
+    try {
+      if (this.subscriber && client?.isOpen) {
+        await client.publish(this.REDIS_CHANNEL, JSON.stringify(event));
+        return event;
+      }
+
+      this.deliver(event);
+    } catch (error) {
+      logger.warn(`Realtime publish failed (${type}): ${error.message}`);
+    }
+
+    return event;
+  }
+
+  // ============= DOMAIN EVENTS =============
+  static async publishBookingEvent(action, booking) {
+    const userId = this.toId(booking.pelanggan);
+
+    return await this.publish(`booking.${action}`, {
+      booking_id: booking._id.toString(),
+      bookingId: booking.bookingId,
+      user_id: userId,
+      field_id: this.toId(booking.lapangan),
+      date: this.formatDate(booking.tanggal_booking),
+      jam_booking: booking.jam_booking,
+      durasi: booking.durasi,
+      status_pemesanan: booking.status_pemesanan,
+      payment_status: booking.payment_status
+    }, { staff: true, userId });
+  }
+
+  static async publishPaymentEvent(action, payment) {
+    const userId = this.toId(payment.user);
+
+    return await this.publish(`payment.${action}`, {
+      payment_id: payment._id.toString(),
+      booking_id: this.toId(payment.booking),
+      user_id: userId,
+      payment_type: payment.payment_type,
+      payment_method: payment.payment_method,
+      amount: payment.amount,
+      status: payment.status,
+      ...(payment.risk_flags?.length > 0 && { risk_level: payment.risk_level })
+    }, { staff: true, userId });
+  }
+
+  // One event per field and date, however many bookings changed there
+  static async publishAvailabilityChanged(bookings) {
+    const slots = new Map();
+
+    for (const booking of bookings) {
+      const fieldId = this.toId(booking.lapangan || booking.lapanganId);
+      const date = this.formatDate(booking.tanggal_booking || booking.tanggal);
+      if (fieldId && date) slots.set(`${fieldId}:${date}`, { field_id: fieldId, date });
+    }
+
+    for (const slot of slots.values()) {
+      await this.publish('availability.changed', slot, { availability: slot });
+    }
+  }
+}
+
+export default RealtimeService;
@@ -0,0 +1,652 @@
+import Refund from '../models/Refund.js';
+import Payment from '../models/Payment.js';
+import Booking from '../models/Booking.js';
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import logger from '../config/logger.js';
+import {
+  calculateCancellationRefund,
+  getCancellationPolicy
+} from '../validators/bookingValidators.js';
+import {
+  validateRefundBankDetails,
+  OPEN_REFUND_STATUSES
+} from '../validators/paymentValidators.js';
+
+export class RefundService {
+
+  // ============= CONSTANTS =============
+  static PAID_STATUSES = ['dp_confirmed', 'fully_paid', 'verified'];
+  static CANCELLABLE_STATUSES = ['pending', 'confirmed'];
+
+  // ============= HELPERS =============
+  static createRefundError(message) {
+    const error = new Error(message);
+    error.errorCode = 'REFUND_INVALID';
+    return error;
+  }
+
+  static isStaff(user) {
+    return ['kasir', 'cashier', 'admin'].includes(user.role);
+  }
+
+  static isPaid(booking) {
+    return this.PAID_STATUSES.includes(booking.payment_status);
+  }
+
+  static getHoursBeforeStart(booking, now = moment()) {
+    const start = moment.tz(
+      `${moment.utc(booking.tanggal_booking).format('YYYY-MM-DD')} ${booking.jam_booking}`,
+      'YYYY-MM-DD HH:mm',
+      'Asia/Jakarta'
+    );
+    return Math.round(start.diff(now, 'hours', true) * 10) / 10;
+  }
+
+  static normalizeBankDetails(bankDetails) {
+    if (!bankDetails) return null;
+
+    const details = {
+      bank_name: bankDetails.bank_name?.trim(),
+      account_number: String(bankDetails.account_number || '').replace(/[\s-]/g, ''),
+      account_name: bankDetails.account_name?.trim()
+    };
+
+    try {
+      validateRefundBankDetails(details);
+    } catch (error) {
+      throw this.createRefundError(error.message);
+    }
+
+    return details;
+  }
+
+  // Verified payment covering this booking; series payments are stored on the first occurrence
+  static async findVerifiedPayment(booking) {
+    const payment = await Payment.findOne({ booking: booking._id, status: 'verified' })
+      .sort({ verified_at: -1 });
+    if (payment || !booking.series) return payment;
+
+    return Payment.findOne({ series: booking.series, status: 'verified' });
+  }
+
+  // A series payment is split per occurrence, each paid in full at its own harga.
+  // Single bookings may have a DP and a pelunasan, so every verified payment counts.
+  static async getPaidAmount(booking, payment) {
+    if (payment.series) return booking.harga;
+
+    const payments = await Payment.find({ booking: booking._id, status: 'verified' }).select('amount');
+    return payments.reduce((sum, item) => sum + item.amount, 0);
+  }
+
+  // Refunds still open or already transferred count against what was paid for the booking
+  static async getRefundBalance(bookingId, paidAmount, session = null) {
+    const [totals] = await Refund.aggregate([
+      {
+        $match: {
+          booking: bookingId,
+          status: { $ne: 'rejected' }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          transferred: { $sum: { $cond: [{ $eq: ['$status', 'transferred'] }, '$amount', 0] } },
+          open: { $sum: { $cond: [{ $in: ['$status', OPEN_REFUND_STATUSES] }, '$amount', 0] } }
+        }
+      }
+    ]).session(session);
+
+    const transferred = totals?.transferred || 0;
+    const open = totals?.open || 0;
+
+    return {
+      paid_amount: paidAmount,
+      transferred,
+      open,
+      refundable: Math.max(0, paidAmount - transferred - open)
+    };
+  }
+
+  // ============= CANCELLATION =============
+  static async getBookingForUser(bookingId, user) {
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      throw new Error('ID booking tidak valid');
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      throw new Error('Booking tidak ditemukan');
+    }
+
+    if (booking.pelanggan.toString() !== user._id.toString() && !this.isStaff(user)) {
+      throw new Error('Anda hanya dapat melihat booking sendiri');
+    }
+
+    return booking;
+  }
+
+  static async getCancellationQuote(booking, { now = moment(), fullRefund = false } = {}) {
+    const hoursBefore = this.getHoursBeforeStart(booking, now);
+    const payment = this.isPaid(booking) ? await this.findVerifiedPayment(booking) : null;
+
+    if (!payment) {
+      return {
+        payment: null,
+        quote: {
+          paid_amount: 0,
+          refund_percentage: 0,
+          refund_amount: 0,
+          forfeited_amount: 0,
+          rule: 'Belum ada pembayaran terverifikasi',
+          hours_before_start: hoursBefore
+        }
+      };
+    }
+
+    const paidAmount = await this.getPaidAmount(booking, payment);
+    const quote = fullRefund
+      ? {
+        paid_amount: paidAmount,
+        refund_percentage: 100,
+        refund_amount: paidAmount,
+        forfeited_amount: 0,
+        rule: 'Refund penuh (dibatalkan oleh pengelola)'
+      }
+      : calculateCancellationRefund({
+        paidAmount,
+        // Once the balance is settled the booking follows the full-payment tiers
+        paymentType: booking.payment_status === 'dp_confirmed' ? 'dp_payment' : 'full_payment',
+        hoursBefore
+      });
+
+    return {
+      payment,
+      quote: {
+        ...quote,
+        payment_type: booking.payment_status === 'dp_confirmed' ? 'dp_payment' : 'full_payment',
+        hours_before_start: hoursBefore
+      }
+    };
+  }
+
+  // Policy refunds need no admin approval; earlier partial refunds are deducted
+  static async createCancellationRefund(booking, payment, quote, { userId, reason, bankDetails = null, session = null }) {
+    if (!payment || quote.refund_amount <= 0) return null;
+
+    const { refundable } = await this.getRefundBalance(booking._id, quote.paid_amount, session);
+    const amount = Math.min(quote.refund_amount, refundable);
+    if (amount <= 0) return null;
+
+    const [refund] = await Refund.create([{
+      booking: booking._id,
+      payment: payment._id,
+      user: booking.pelanggan,
+      source: 'cancellation',
+      status: 'approved',
+      reviewed_at: new Date(),
+      amount,
+      paid_amount: quote.paid_amount,
+      refund_percentage: quote.refund_percentage,
+      policy_rule: quote.rule,
+      hours_before_start: quote.hours_before_start,
+      reason,
+      ...(bankDetails && { bank_details: bankDetails }),
+      createdBy: userId
+    }], { session });
+
+    logger.info(`Refund created: ${refund._id}`, {
+      booking: booking._id,
+      payment: payment._id,
+      amount: refund.amount,
+      rule: quote.rule
+    });
+
+    return refund;
+  }
+
+  // Overpayment left after a paid booking was moved to a cheaper slot; approved right away
+  // like a policy refund, the cashier transfers it
+  static async createRescheduleRefund(booking, payment, { amount, paidAmount, userId, reason }) {
+    const { refundable } = await this.getRefundBalance(booking._id, paidAmount);
+    const refundAmount = Math.min(amount, refundable);
+    if (refundAmount <= 0) return null;
+
+    const refund = await Refund.create({
+      booking: booking._id,
+      payment: payment._id,
+      user: booking.pelanggan,
+      source: 'reschedule',
+      status: 'approved',
+      reviewed_at: new Date(),
+      amount: refundAmount,
+      paid_amount: paidAmount,
+      refund_percentage: Math.round(refundAmount / paidAmount * 10000) / 100,
+      policy_rule: 'Selisih harga reschedule',
+      reason,
+      createdBy: userId
+    });
+
+    logger.info(`Reschedule refund created: ${refund._id}`, {
+      booking: booking._id,
+      payment: payment._id,
+      amount: refund.amount
+    });
+
+    return refund;
+  }
+
+  // ✅ Paid bookings are kept as cancelled (not deleted) so the refund stays tied to its payment
+  static async cancelPaidBooking(booking, user, { reason, bankDetails, fullRefund = false }) {
+    if (!this.CANCELLABLE_STATUSES.includes(booking.status_pemesanan)) {
+      throw this.createRefundError(`Booking dengan status ${booking.status_pemesanan} tidak dapat dibatalkan`);
+    }
+
+    if (fullRefund && !this.isStaff(user)) {
+      throw this.createRefundError('Refund penuh hanya dapat diberikan oleh kasir/admin');
+    }
+
+    const details = this.normalizeBankDetails(bankDetails);
+    const { payment, quote } = await this.getCancellationQuote(booking, { fullRefund });
+    const cancelReason = reason || (this.isStaff(user) ? `Dibatalkan oleh ${user.role}` : 'Dibatalkan oleh customer');
+
+    const cancellation = {
+      status_pemesanan: 'cancelled',
+      cancel_reason: cancelReason,
+      cancelled_at: new Date(),
+      cancelled_by: user._id
+    };
+
+    // Cancellation and refund commit together: a failed refund leaves the booking active
+    let refund = null;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const result = await Booking.updateOne(
+          { _id: booking._id, status_pemesanan: { $in: this.CANCELLABLE_STATUSES } },
+          cancellation,
+          { session }
+        );
+        if (result.modifiedCount === 0) {
+          throw this.createRefundError('Booking sudah dibatalkan atau statusnya berubah');
+        }
+
+        refund = await this.createCancellationRefund(booking, payment, quote, {
+          userId: user._id,
+          reason: cancelReason,
+          bankDetails: details,
+          session
+        });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    Object.assign(booking, cancellation);
+    await Booking.releaseVoucher(booking);
+
+    logger.info(`Paid booking cancelled: ${booking._id}`, {
+      bookingId: booking.bookingId,
+      refund: refund?._id,
+      refund_amount: quote.refund_amount,
+      forfeited_amount: quote.forfeited_amount,
+      by: user._id,
+      role: user.role
+    });
+
+    return { booking, refund, quote };
+  }
+
+  // Refunds for paid occurrences cancelled together (booking series)
+  static async createRefundsForCancelledBookings(bookings, user, reason, session = null) {
+    const refunds = [];
+
+    for (const booking of bookings.filter(item => this.isPaid(item))) {
+      const { payment, quote } = await this.getCancellationQuote(booking);
+      const refund = await this.createCancellationRefund(booking, payment, quote, {
+        userId: user._id,
+        reason,
+        session
+      });
+      if (refund) refunds.push(refund);
+    }
+
+    return refunds;
+  }
+
+  // ============= REFUND WORKFLOW =============
+  static async getRefundById(refundId) {
+    if (!mongoose.Types.ObjectId.isValid(refundId)) {
+      throw new Error('ID refund tidak valid');
+    }
+
+    const refund = await Refund.findById(refundId);
+    if (!refund) {
+      throw new Error('Refund tidak ditemukan');
+    }
+
+    return refund;
+  }
+
+  static async getPaymentForUser(paymentId, user) {
+    if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+      throw new Error('ID payment tidak valid');
+    }
+
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      throw new Error('Payment tidak ditemukan');
+    }
+
+    if (payment.user.toString() !== user._id.toString() && !this.isStaff(user)) {
+      throw new Error('Anda hanya dapat melihat refund pembayaran sendiri');
+    }
+
+    return payment;
+  }
+
+  // Series payments cover several bookings; the refund must name which one
+  static async getRefundTarget(payment, bookingId) {
+    if (!payment.series) {
+      const booking = await Booking.findById(payment.booking);
+      if (!booking) {
+        throw new Error('Booking tidak ditemukan');
+      }
+      return { booking, paidAmount: await this.getPaidAmount(booking, payment) };
+    }
+
+    if (!bookingId || !mongoose.Types.ObjectId.isValid(bookingId)) {
+      throw this.createRefundError('booking_id harus diisi untuk refund booking berulang');
+    }
+
+    const booking = await Booking.findOne({ _id: bookingId, series: payment.series });
+    if (!booking) {
+      throw new Error('Jadwal tidak ditemukan dalam pembayaran ini');
+    }
+
+    return { booking, paidAmount: booking.harga };
+  }
+
+  // ✅ Manual (partial) refund request by the customer or staff, approved later by admin
+  static async requestRefund(paymentId, user, { amount, reason, bookingId, bankDetails }) {
+    const payment = await this.getPaymentForUser(paymentId, user);
+
+    if (payment.status !== 'verified') {
+      throw this.createRefundError('Refund hanya dapat diajukan untuk pembayaran yang sudah terverifikasi');
+    }
+
+    const refundAmount = Number(amount);
+    if (!Number.isInteger(refundAmount) || refundAmount <= 0) {
+      throw this.createRefundError('Jumlah refund harus berupa angka bulat lebih dari 0');
+    }
+
+    if (!reason || reason.trim().length < 5) {
+      throw this.createRefundError('Alasan refund harus diisi minimal 5 karakter');
+    }
+
+    const { booking, paidAmount } = await this.getRefundTarget(payment, bookingId);
+    const balance = await this.getRefundBalance(booking._id, paidAmount);
+
+    if (refundAmount > balance.refundable) {
+      throw this.createRefundError(
+        `Jumlah refund melebihi sisa yang dapat direfund (Rp ${balance.refundable.toLocaleString('id-ID')})`
+      );
+    }
+
+    const refund = await Refund.create({
+      booking: booking._id,
+      payment: payment._id,
+      user: payment.user,
+      source: 'manual',
+      amount: refundAmount,
+      paid_amount: paidAmount,
+      refund_percentage: Math.round(refundAmount / paidAmount * 10000) / 100,
+      reason: reason.trim(),
+      ...(bankDetails && { bank_details: this.normalizeBankDetails(bankDetails) }),
+      createdBy: user._id
+    });
+
+    logger.info(`Refund requested: ${refund._id}`, {
+      payment: payment._id,
+      booking: booking._id,
+      amount: refundAmount,
+      by: user._id,
+      role: user.role
+    });
+
+    return refund;
+  }
+
+  static async approveRefund(refundId, adminId, { amount, notes } = {}) {
+    const refund = await this.getRefundById(refundId);
+
+    if (refund.status !== 'requested') {
+      throw this.createRefundError(`Refund sudah diproses sebelumnya (status: ${refund.status})`);
+    }
+
+    // Admin may approve less than requested (partial refund)
+    if (amount !== undefined && amount !== null && amount !== '') {
+      const approvedAmount = Number(amount);
+      if (!Number.isInteger(approvedAmount) || approvedAmount <= 0 || approvedAmount > refund.amount) {
+        throw this.createRefundError(`Jumlah disetujui harus antara Rp 1 - Rp ${refund.amount.toLocaleString('id-ID')}`);
+      }
+      refund.amount = approvedAmount;
+      refund.refund_percentage = Math.round(approvedAmount / refund.paid_amount * 10000) / 100;
+    }
+
+    refund.status = 'approved';
+    refund.reviewed_by = adminId;
+    refund.reviewed_at = new Date();
+    if (notes) refund.notes = notes;
+    await refund.save();
+
+    logger.info(`Refund APPROVED: ${refund._id}`, {
+      admin: adminId,
+      amount: refund.amount
+    });
+
+    return refund;
+  }
+
+  static async rejectRefund(refundId, adminId, reason) {
+    const refund = await this.getRefundById(refundId);
+
+    if (refund.status !== 'requested') {
+      throw this.createRefundError(`Refund sudah diproses sebelumnya (status: ${refund.status})`);
+    }
+
+    if (!reason || reason.trim().length < 5) {
+      throw this.createRefundError('Alasan penolakan harus diisi minimal 5 karakter');
+    }
+
+    refund.status = 'rejected';
+    refund.reviewed_by = adminId;
+    refund.reviewed_at = new Date();
+    refund.rejection_reason = reason.trim();
+    await refund.save();
+
+    logger.info(`Refund REJECTED: ${refund._id}`, {
+      admin: adminId,
+      reason: refund.rejection_reason
+    });
+
+    return refund;
+  }
+
+  static async updateBankDetails(refundId, user, bankDetails) {
+    const refund = await this.getRefundById(refundId);
+
+    if (refund.user.toString() !== user._id.toString() && !this.isStaff(user)) {
+      throw new Error('Anda hanya dapat mengubah refund milik sendiri');
+    }
+
+    if (!OPEN_REFUND_STATUSES.includes(refund.status)) {
+      throw this.createRefundError(`Refund sudah ${refund.status_text.toLowerCase()}, rekening tidak dapat diubah`);
+    }
+
+    refund.bank_details = this.normalizeBankDetails(bankDetails || {});
+    await refund.save();
+
+    logger.info(`Refund bank details updated: ${refund._id}`, { by: user._id });
+
+    return refund;
+  }
+
+  static async markTransferred(refundId, kasirId, { transferProof, transferReference, notes }) {
+    const refund = await this.getRefundById(refundId);
+
+    if (refund.status !== 'approved') {
+      throw this.createRefundError(
+        refund.status === 'requested'
+          ? 'Refund belum disetujui admin'
+          : `Refund sudah diproses sebelumnya (status: ${refund.status})`
+      );
+    }
+
+    refund.status = 'transferred';
+    refund.transfer_proof = transferProof;
+    refund.transfer_reference = transferReference;
+    refund.transferred_at = new Date();
+    refund.transferred_by = kasirId;
+    if (notes) refund.notes = notes;
+    await refund.save();
+
+    // Partial refunds leave the booking paid; it becomes refunded once cancelled or fully paid back
+    const booking = await Booking.findById(refund.booking).select('status_pemesanan');
+    const balance = await this.getRefundBalance(refund.booking, refund.paid_amount);
+    if (booking?.status_pemesanan === 'cancelled' || balance.transferred >= refund.paid_amount) {
+      await Booking.findByIdAndUpdate(refund.booking, { payment_status: 'refunded' });
+    }
+
+    logger.info(`Refund TRANSFERRED: ${refund._id}`, {
+      kasir: kasirId,
+      booking: refund.booking,
+      amount: refund.amount
+    });
+
+    return refund;
+  }
+
+  // ============= QUERY METHODS =============
+  static async getRefunds({ status } = {}) {
+    const query = {};
+    if (status) query.status = status;
+
+    return await Refund.find(query)
+      .populate('booking', 'bookingId tanggal_booking jam_booking durasi harga jenis_lapangan')
+      .populate('user', 'name email phoneNumber')
+      .sort({ createdAt: 1 });
+  }
+
+  // Cashier queue: approved refunds waiting to be transferred
+  static async getPendingRefunds() {
+    return this.getRefunds({ status: 'approved' });
+  }
+
+  static async getUserRefunds(userId) {
+    return await Refund.find({ user: userId })
+      .populate('booking', 'bookingId tanggal_booking jam_booking durasi harga jenis_lapangan')
+      .sort({ createdAt: -1 });
+  }
+
+  // A single booking's DP and pelunasan share one refund balance, so its summary matches
+  // what requestRefund allows; a series payment is the sum of its occurrences.
+  static async getPaymentRefunds(paymentId, user) {
+    const payment = await this.getPaymentForUser(paymentId, user);
+    const refunds = await Refund.find(payment.series ? { payment: payment._id } : { booking: payment.booking })
+      .populate('booking', 'bookingId tanggal_booking jam_booking durasi harga jenis_lapangan')
+      .sort({ createdAt: -1 });
+
+    if (!payment.series) {
+      const { booking, paidAmount } = await this.getRefundTarget(payment);
+      return { payment, refunds, summary: await this.getRefundBalance(booking._id, paidAmount) };
+    }
+
+    const active = refunds.filter(refund => refund.status !== 'rejected');
+    const transferred = active
+      .filter(refund => refund.status === 'transferred')
+      .reduce((sum, refund) => sum + refund.amount, 0);
+    const open = active
+      .filter(refund => OPEN_REFUND_STATUSES.includes(refund.status))
+      .reduce((sum, refund) => sum + refund.amount, 0);
+
+    return {
+      payment,
+      refunds,
+      summary: {
+        paid_amount: payment.amount,
+        transferred,
+        open,
+        refundable: Math.max(0, payment.amount - transferred - open)
+      }
+    };
+  }
+
+  // Transferred refunds grouped with the same period expression as a revenue report
+  // (e.g. { month: { $month: '$verified_at' } }), re-pointed at transferred_at
+  static async getRefundTotalsByPeriod(groupBy, dateRange = null) {
+    const refundGroupBy = Object.fromEntries(
+      Object.entries(groupBy).map(([key, expression]) => [key, { [Object.keys(expression)[0]]: '$transferred_at' }])
+    );
+
+    return Refund.aggregate([
+      {
+        $match: {
+          status: 'transferred',
+          ...(dateRange && { transferred_at: dateRange })
+        }
+      },
+      {
+        $group: {
+          _id: refundGroupBy,
+          totalRefunds: { $sum: '$amount' },
+          refundCount: { $sum: 1 }
+        }
+      }
+    ]);
+  }
+
+  // Nets refunds out of period revenue rows; revenueField becomes net, the gross is kept alongside.
+  // Periods with refunds but no payments are added so the totals still balance.
+  static netRevenueByPeriod(revenueData, refundData, revenueField) {
+    const refundMap = new Map(refundData.map(item => [JSON.stringify(item._id), item]));
+
+    const netted = revenueData.map(item => {
+      const key = JSON.stringify(item._id);
+      const refund = refundMap.get(key);
+      refundMap.delete(key);
+
+      return {
+        ...item,
+        grossRevenue: item[revenueField],
+        totalRefunds: refund?.totalRefunds || 0,
+        refundCount: refund?.refundCount || 0,
+        [revenueField]: item[revenueField] - (refund?.totalRefunds || 0)
+      };
+    });
+
+    for (const refund of refundMap.values()) {
+      netted.push({
+        _id: refund._id,
+        grossRevenue: 0,
+        totalRefunds: refund.totalRefunds,
+        refundCount: refund.refundCount,
+        [revenueField]: -refund.totalRefunds,
+        transactionCount: 0
+      });
+    }
+
+    return netted.sort((a, b) =>
+      (a._id.year - b._id.year) ||
+      ((a._id.month || 0) - (b._id.month || 0)) ||
+      ((a._id.week || 0) - (b._id.week || 0)) ||
+      ((a._id.day || 0) - (b._id.day || 0))
+    );
+  }
+
+  static getPolicy() {
+    return getCancellationPolicy();
+  }
+}
+
+export default RefundService;
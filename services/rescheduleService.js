@@ -0,0 +1,356 @@
+import Booking from '../models/Booking.js';
+import Field from '../models/Field.js';
+import FieldBlackout from '../models/FieldBlackout.js';
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import logger from '../config/logger.js';
+import BookingService from './bookingService.js';
+import PricingService from './pricingService.js';
+import VoucherService from './voucherService.js';
+import WaitlistService from './waitlistService.js';
+import SlotLockService from './slotLockService.js';
+import RefundService from './refundService.js';
+import { PaymentService } from './paymentService.js';
+import { RealtimeService } from './realtimeService.js';
+import {
+  validateBookingDate,
+  validateBookingTime,
+  validateBookingNotTooFar,
+  validateBookingNotInPast,
+  getReschedulePolicy,
+  RESCHEDULE_PAID_STATUSES,
+  DURATION_LIMITS
+} from '../validators/bookingValidators.js';
+
+export class RescheduleService {
+
+  // ============= CONSTANTS =============
+  static RESCHEDULABLE_STATUSES = ['pending', 'confirmed'];
+
+  // ============= HELPERS =============
+  static isStaff(user) {
+    return ['kasir', 'cashier', 'admin'].includes(user.role);
+  }
+
+  static getBookingStart(booking) {
+    return moment.tz(
+      `${moment.utc(booking.tanggal_booking).format('YYYY-MM-DD')} ${booking.jam_booking}`,
+      'YYYY-MM-DD HH:mm',
+      'Asia/Jakarta'
+    );
+  }
+
+  static createConflictError(message, errorCode, conflictDetails = null) {
+    const error = new Error(message);
+    error.errorCode = errorCode;
+    if (conflictDetails) error.conflictDetails = conflictDetails;
+    return error;
+  }
+
+  // ============= POLICY =============
+  // Returns the reasons a booking cannot be rescheduled by this user (empty when allowed)
+  static getPolicyViolations(booking, user, now = moment()) {
+    const policy = getReschedulePolicy();
+    const violations = [];
+
+    if (!this.RESCHEDULABLE_STATUSES.includes(booking.status_pemesanan)) {
+      violations.push(`Booking dengan status ${booking.status_pemesanan} tidak dapat dijadwal ulang`);
+    }
+
+    // Cashier/admin may move bookings outside the customer policy (e.g. on request by phone)
+    if (this.isStaff(user)) return violations;
+
+    if (policy.require_payment_verified && !RESCHEDULE_PAID_STATUSES.includes(booking.payment_status)) {
+      violations.push('Reschedule hanya dapat dilakukan setelah pembayaran terverifikasi');
+    }
+
+    const hoursBefore = this.getBookingStart(booking).diff(now, 'hours', true);
+    if (hoursBefore < policy.min_hours_before) {
+      violations.push(`Reschedule hanya dapat dilakukan minimal ${policy.min_hours_before} jam sebelum jadwal`);
+    }
+
+    if (booking.reschedule_count >= policy.max_reschedules) {
+      violations.push(`Booking sudah dijadwal ulang ${booking.reschedule_count} kali (maksimal ${policy.max_reschedules} kali)`);
+    }
+
+    return violations;
+  }
+
+  static getPolicySummary(booking = null, user = null) {
+    const policy = getReschedulePolicy();
+
+    if (!booking) return { policy };
+
+    const violations = this.getPolicyViolations(booking, user);
+    return {
+      policy,
+      reschedule_count: booking.reschedule_count,
+      remaining_reschedules: Math.max(0, policy.max_reschedules - booking.reschedule_count),
+      can_reschedule: violations.length === 0,
+      reasons: violations
+    };
+  }
+
+  // ============= VALIDATION METHODS =============
+  static async getBookingForUser(bookingId, user) {
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      throw new Error('ID booking tidak valid');
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      throw new Error('Booking tidak ditemukan');
+    }
+
+    const isOwner = booking.pelanggan.toString() === user._id.toString();
+    if (!isOwner && !this.isStaff(user)) {
+      throw new Error('Anda hanya dapat menjadwal ulang booking sendiri');
+    }
+
+    return booking;
+  }
+
+  static validateNewSchedule(booking, { tanggal_booking, jam_booking, durasi }) {
+    if (!tanggal_booking && !jam_booking && !durasi) {
+      throw new Error('Isi tanggal_booking, jam_booking, atau durasi yang baru');
+    }
+
+    const schedule = {
+      tanggal: tanggal_booking || moment.utc(booking.tanggal_booking).format('YYYY-MM-DD'),
+      jam: jam_booking || booking.jam_booking,
+      durasi: durasi ? parseInt(durasi) : booking.durasi
+    };
+
+    if (!moment(schedule.tanggal, 'YYYY-MM-DD', true).isValid()) {
+      throw new Error('Tanggal tidak valid. Gunakan format YYYY-MM-DD');
+    }
+    if (!validateBookingDate(schedule.tanggal)) {
+      throw new Error('Tanggal booking tidak boleh di masa lalu');
+    }
+    if (!validateBookingNotTooFar(schedule.tanggal)) {
+      throw new Error('Booking maksimal 30 hari ke depan');
+    }
+    if (!validateBookingTime(schedule.jam)) {
+      throw new Error('Format jam tidak valid. Gunakan format HH:MM');
+    }
+    if (!validateBookingNotInPast(schedule.tanggal, schedule.jam)) {
+      throw new Error('Jadwal baru minimal 1 jam dari sekarang');
+    }
+    if (isNaN(schedule.durasi) || schedule.durasi < DURATION_LIMITS.MIN || schedule.durasi > DURATION_LIMITS.MAX) {
+      throw new Error(`Durasi harus antara ${DURATION_LIMITS.MIN} sampai ${DURATION_LIMITS.MAX} jam`);
+    }
+
+    const unchanged = schedule.tanggal === moment.utc(booking.tanggal_booking).format('YYYY-MM-DD') &&
+      schedule.jam === booking.jam_booking &&
+      schedule.durasi === booking.durasi;
+    if (unchanged) {
+      throw new Error('Jadwal baru sama dengan jadwal saat ini');
+    }
+
+    return schedule;
+  }
+
+  static async assertSlotAvailable(booking, field, schedule, userId) {
+    await BookingService.validateOperatingHoursForDate(field, schedule.tanggal, schedule.jam, schedule.durasi);
+
+    const blackout = await FieldBlackout.findOverlapping(field._id, schedule.tanggal, schedule.jam, schedule.durasi);
+    if (blackout) {
+      throw this.createConflictError(
+        `Lapangan ditutup (${blackout.waktu_text}): ${blackout.alasan}`,
+        'FIELD_BLACKOUT'
+      );
+    }
+
+    const isAvailable = await BookingService.checkSlotAvailability(
+      field._id,
+      schedule.tanggal,
+      schedule.jam,
+      schedule.durasi,
+      booking._id
+    );
+    if (!isAvailable) {
+      throw this.createConflictError('Slot waktu yang dipilih sudah tidak tersedia', 'SLOT_CONFLICT');
+    }
+
+    await WaitlistService.assertNoCompetingOffer({
+      lapanganId: field._id,
+      tanggal: schedule.tanggal,
+      jamBooking: schedule.jam,
+      durasi: schedule.durasi,
+      userId
+    });
+  }
+
+  // ✅ New price for the new slot, keeping any voucher; positive selisih = extra payment due
+  static async calculatePriceChange(booking, field, schedule) {
+    const pricing = await PricingService.calculatePrice(field, schedule.tanggal, schedule.jam, schedule.durasi);
+    const voucher = booking.voucher?.voucher
+      ? await VoucherService.recalculateBookingVoucher(booking.voucher, pricing.total)
+      : null;
+    const hargaBaru = pricing.total - (voucher?.diskon || 0);
+
+    return {
+      pricing,
+      voucher,
+      harga_lama: booking.harga,
+      harga_baru: hargaBaru,
+      selisih_harga: hargaBaru - booking.harga
+    };
+  }
+
+  // Net of every reschedule so far, split into amount due and credit. Unpaid bookings
+  // simply pay the new harga, so only paid bookings accrue an adjustment.
+  static calculateAdjustment(booking, selisihHarga) {
+    if (!RESCHEDULE_PAID_STATUSES.includes(booking.payment_status)) {
+      return {
+        tagihan: booking.penyesuaian_harga?.tagihan || 0,
+        kredit: booking.penyesuaian_harga?.kredit || 0
+      };
+    }
+
+    const net = (booking.penyesuaian_harga?.tagihan || 0) - (booking.penyesuaian_harga?.kredit || 0) + selisihHarga;
+    return {
+      tagihan: Math.max(0, net),
+      kredit: Math.max(0, -net)
+    };
+  }
+
+  // Paid single bookings: payments follow the new price (a surcharge shows up as outstanding
+  // for the pelunasan flow) and an overpayment becomes an approved refund, which is netted out
+  // of revenue once transferred. Series occurrences are paid per series and are left as they are.
+  static async applyPaymentAdjustment(booking, user, reason) {
+    if (booking.series || !RESCHEDULE_PAID_STATUSES.includes(booking.payment_status)) {
+      return { balance: null, refund: null };
+    }
+
+    const balance = await PaymentService.syncBookingTotals(booking);
+    if (balance.credit <= 0) return { balance, refund: null };
+
+    const payment = await RefundService.findVerifiedPayment(booking);
+    const refund = payment
+      ? await RefundService.createRescheduleRefund(booking, payment, {
+        amount: balance.credit,
+        paidAmount: balance.paid,
+        userId: user._id,
+        reason: reason || 'Selisih harga reschedule'
+      })
+      : null;
+
+    if (refund) {
+      // Refunded credit is settled; later reschedules are priced from here
+      booking.penyesuaian_harga.kredit = Math.max(0, booking.penyesuaian_harga.kredit - refund.amount);
+      await Booking.updateOne({ _id: booking._id }, { 'penyesuaian_harga.kredit': booking.penyesuaian_harga.kredit });
+      balance.credit -= refund.amount;
+      balance.refunded += refund.amount;
+    }
+
+    return { balance, refund };
+  }
+
+  // ============= RESCHEDULE =============
+  static async prepareReschedule(bookingId, user, data) {
+    const booking = await this.getBookingForUser(bookingId, user);
+
+    const violations = this.getPolicyViolations(booking, user);
+    if (violations.length > 0) {
+      throw this.createConflictError(violations[0], 'RESCHEDULE_NOT_ALLOWED', violations);
+    }
+
+    const schedule = this.validateNewSchedule(booking, data);
+    const field = await Field.findById(booking.lapangan).lean();
+    if (!field) {
+      throw new Error('Lapangan tidak ditemukan');
+    }
+
+    await this.assertSlotAvailable(booking, field, schedule, booking.pelanggan);
+    const priceChange = await this.calculatePriceChange(booking, field, schedule);
+
+    return { booking, field, schedule, priceChange };
+  }
+
+  static async previewReschedule(bookingId, user, data) {
+    const { booking, schedule, priceChange } = await this.prepareReschedule(bookingId, user, data);
+
+    return {
+      booking,
+      schedule,
+      priceChange,
+      adjustment: this.calculateAdjustment(booking, priceChange.selisih_harga)
+    };
+  }
+
+  static async rescheduleBooking(bookingId, user, data) {
+    const { booking, field, schedule, priceChange } = await this.prepareReschedule(bookingId, user, data);
+    const previous = {
+      lapangan: booking.lapangan,
+      tanggal_booking: booking.tanggal_booking,
+      jam_booking: booking.jam_booking,
+      durasi: booking.durasi
+    };
+    const now = new Date();
+
+    booking.reschedule_history = [
+      ...(booking.reschedule_history || []),
+      {
+        tanggal_booking: booking.tanggal_booking,
+        jam_booking: booking.jam_booking,
+        durasi: booking.durasi,
+        harga: booking.harga,
+        tanggal_baru: new Date(schedule.tanggal),
+        jam_baru: schedule.jam,
+        durasi_baru: schedule.durasi,
+        harga_baru: priceChange.harga_baru,
+        selisih_harga: priceChange.selisih_harga,
+        alasan: data.alasan,
+        rescheduled_at: now,
+        rescheduled_by: user._id
+      }
+    ];
+    booking.penyesuaian_harga = this.calculateAdjustment(booking, priceChange.selisih_harga);
+
+    booking.tanggal_booking = new Date(schedule.tanggal);
+    booking.jam_booking = schedule.jam;
+    booking.durasi = schedule.durasi;
+    booking.harga = priceChange.harga_baru;
+    booking.rincian_harga = PricingService.toBookingBreakdown(priceChange.pricing);
+    if (priceChange.voucher) booking.voucher = priceChange.voucher;
+    booking.rescheduled_at = now;
+    booking.rescheduled_by = user._id;
+
+    // Unpaid bookings (staff reschedule) keep their hold, but never past the new start time
+    if (booking.payment_status === 'no_payment' && booking.payment_deadline) {
+      booking.payment_deadline = moment.min(
+        moment(booking.payment_deadline),
+        this.getBookingStart(booking)
+      ).toDate();
+    }
+
+    await SlotLockService.withSlotLock({
+      lapanganId: field._id,
+      tanggal: booking.tanggal_booking,
+      jamBooking: booking.jam_booking,
+      durasi: booking.durasi,
+      bookingId: booking._id
+    }, () => booking.save());
+
+    const { balance, refund } = await this.applyPaymentAdjustment(booking, user, data.alasan);
+
+    // Old slot is free again for the waitlist
+    await WaitlistService.promoteForBookings([previous]);
+    await RealtimeService.publishBookingEvent('rescheduled', booking);
+
+    logger.info(`Booking rescheduled: ${booking._id}`, {
+      bookingId: booking.bookingId,
+      from: `${moment.utc(previous.tanggal_booking).format('YYYY-MM-DD')} ${previous.jam_booking} (${previous.durasi}j)`,
+      to: `${schedule.tanggal} ${schedule.jam} (${schedule.durasi}j)`,
+      selisih_harga: priceChange.selisih_harga,
+      refund: refund?._id,
+      by: user._id,
+      role: user.role
+    });
+
+    return { booking, previous, schedule, priceChange, balance, refund };
+  }
+}
+
+export default RescheduleService;
@@ -0,0 +1,202 @@
+import SlotLock from '../models/SlotLock.js';
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import logger from '../config/logger.js';
+import { RealtimeService } from './realtimeService.js';
+
+export class SlotLockService {
+
+  // ============= CONSTANTS =============
+  static HOLD_SECONDS = 120;
+
+  static ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed'];
+
+  // ============= HELPERS =============
+  static normalizeDate(tanggal) {
+    if (typeof tanggal === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(tanggal)) {
+      return tanggal;
+    }
+    return moment.utc(tanggal).format('YYYY-MM-DD');
+  }
+
+  static getHours(jamBooking, durasi) {
+    const startHour = parseInt(jamBooking.split(':')[0]);
+    return Array.from({ length: parseInt(durasi) }, (_, i) => startHour + i);
+  }
+
+  static createConflictError(lapanganId, tanggal, hour) {
+    const error = new Error('Slot waktu tidak tersedia atau bertabrakan dengan booking lain');
+    error.errorCode = 'SLOT_CONFLICT';
+    error.conflictDetails = {
+      lapangan: lapanganId,
+      date: tanggal,
+      time_range: `${String(hour).padStart(2, '0')}:00 - ${String(hour + 1).padStart(2, '0')}:00`
+    };
+    return error;
+  }
+
+  // ✅ A lock is stale when its booking no longer occupies that hour
+  static async isStale(lock) {
+    if (lock.expires_at) {
+      return lock.expires_at < new Date();
+    }
+
+    const booking = await mongoose.model('Booking').findById(lock.booking)
+      .select('lapangan tanggal_booking jam_booking durasi status_pemesanan')
+      .lean();
+
+    if (!booking || !this.ACTIVE_BOOKING_STATUSES.includes(booking.status_pemesanan)) {
+      return true;
+    }
+
+    const stillCovers = booking.lapangan.toString() === lock.lapangan.toString() &&
+      this.normalizeDate(booking.tanggal_booking) === lock.tanggal &&
+      this.getHours(booking.jam_booking, booking.durasi).includes(lock.jam);
+
+    return !stillCovers;
+  }
+
+  // ============= LOCKING =============
+  static async claimHour(lapanganId, tanggal, hour, bookingId, retried = false) {
+    try {
+      const lock = await SlotLock.create({
+        lapangan: lapanganId,
+        tanggal,
+        jam: hour,
+        booking: bookingId,
+        expires_at: new Date(Date.now() + this.HOLD_SECONDS * 1000)
+      });
+      return { lock, created: true };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await SlotLock.findOne({ lapangan: lapanganId, tanggal, jam: hour });
+
+      if (existing && existing.booking.toString() === bookingId.toString()) {
+        return { lock: existing, created: false };
+      }
+
+      if (!retried && (!existing || await this.isStale(existing))) {
+        if (existing) {
+          await SlotLock.deleteOne({ _id: existing._id, booking: existing.booking });
+          logger.info('Stale slot lock removed', {
+            lapangan: lapanganId,
+            tanggal,
+            jam: hour,
+            booking: existing.booking
+          });
+        }
+        return this.claimHour(lapanganId, tanggal, hour, bookingId, true);
+      }
+
+      throw this.createConflictError(lapanganId, tanggal, hour);
+    }
+  }
+
+  // ✅ Claim every hour of the slot or none of them
+  static async acquire({ lapanganId, tanggal, jamBooking, durasi, bookingId }) {
+    const date = this.normalizeDate(tanggal);
+    const lockIds = [];
+    const acquired = [];
+
+    try {
+      for (const hour of this.getHours(jamBooking, durasi)) {
+        const { lock, created } = await this.claimHour(lapanganId, date, hour, bookingId);
+        lockIds.push(lock._id);
+        if (created) acquired.push(lock._id);
+      }
+    } catch (error) {
+      if (acquired.length > 0) {
+        await SlotLock.deleteMany({ _id: { $in: acquired } });
+      }
+      throw error;
+    }
+
+    return { lockIds, acquired };
+  }
+
+  static async confirm(lockIds) {
+    await SlotLock.updateMany(
+      { _id: { $in: lockIds } },
+      { $unset: { expires_at: 1 } }
+    );
+  }
+
+  static async release(bookingId, keepLockIds = []) {
+    const result = await SlotLock.deleteMany({
+      booking: bookingId,
+      _id: { $nin: keepLockIds }
+    });
+    return result.deletedCount;
+  }
+
+  // ✅ Hold the slot, run the booking write, then keep or drop the hold
+  static async withSlotLock(slot, write) {
+    const { lockIds, acquired } = await this.acquire(slot);
+
+    try {
+      const result = await write();
+      await this.confirm(lockIds);
+      // Hours from the booking's previous schedule (reschedule) are no longer needed
+      await this.release(slot.bookingId, lockIds);
+      await RealtimeService.publishAvailabilityChanged([slot]);
+      return result;
+    } catch (error) {
+      if (acquired.length > 0) {
+        await SlotLock.deleteMany({ _id: { $in: acquired } });
+      }
+      throw error;
+    }
+  }
+
+  // ============= MAINTENANCE =============
+  // Bookings written before slot locks existed hold no lock rows, so nothing stops a new
+  // booking from taking their hours. Creates the missing permanent locks; idempotent.
+  static async backfillLocks(now = new Date()) {
+    const today = moment(now).tz('Asia/Jakarta').format('YYYY-MM-DD');
+    const bookings = await mongoose.model('Booking').find({
+      status_pemesanan: { $in: this.ACTIVE_BOOKING_STATUSES },
+      tanggal_booking: { $gte: moment.utc(today).toDate() }
+    })
+      .select('_id bookingId lapangan tanggal_booking jam_booking durasi')
+      .lean();
+
+    let created = 0;
+    const conflicts = [];
+
+    for (const booking of bookings) {
+      const tanggal = this.normalizeDate(booking.tanggal_booking);
+
+      for (const hour of this.getHours(booking.jam_booking, booking.durasi)) {
+        try {
+          const result = await SlotLock.updateOne(
+            { lapangan: booking.lapangan, tanggal, jam: hour },
+            { $setOnInsert: { booking: booking._id } },
+            { upsert: true }
+          );
+          created += result.upsertedCount;
+
+          if (result.upsertedCount === 0) {
+            const existing = await SlotLock.findOne({ lapangan: booking.lapangan, tanggal, jam: hour }).lean();
+            if (existing && existing.booking.toString() !== booking._id.toString()) {
+              conflicts.push({ booking: booking._id, held_by: existing.booking, tanggal, jam: hour });
+            }
+          }
+        } catch (error) {
+          // A concurrent booking claimed the hour between the find and the upsert
+          if (error.code !== 11000) throw error;
+        }
+      }
+    }
+
+    if (created > 0 || conflicts.length > 0) {
+      logger[conflicts.length > 0 ? 'warn' : 'info'](`Slot lock backfill: ${created} locks created for ${bookings.length} bookings`, {
+        conflicts
+      });
+    }
+
+    return { bookings: bookings.length, created, conflicts };
+  }
+}
+
+export default SlotLockService;
@@ -188,6 +188,83 @@ export class UserService {
     return stats;
   }
 
+  // ============= WALK-IN CUSTOMER METHODS =============
+  // Guests have no login; the placeholder email keeps the unique email index satisfied
+  static GUEST_EMAIL_DOMAIN = 'walkin.dsc';
+
+  // Returns the number in 08xx form, or null when it is not a valid Indonesian number
+  static normalizePhoneNumber(phone) {
+    const cleaned = String(phone || '').replace(/[\s-]/g, '');
+    if (!/^(\+62|62|0)[0-9]{8,13}$/.test(cleaned)) return null;
+    return `0${cleaned.replace(/^(\+62|62|0)/, '')}`;
+  }
+
+  // Stored numbers may use any of the accepted prefixes
+  static getPhoneVariants(phone) {
+    const local = this.normalizePhoneNumber(phone);
+    if (!local) return [];
+    const subscriber = local.slice(1);
+    return [local, `62${subscriber}`, `+62${subscriber}`];
+  }
+
+  static async findCustomers({ phone, email }) {
+    const conditions = [];
+
+    if (email) {
+      conditions.push({ email: String(email).toLowerCase().trim() });
+    }
+    if (phone) {
+      const variants = this.getPhoneVariants(phone);
+      if (variants.length === 0) {
+        throw new Error('Nomor telepon tidak valid');
+      }
+      conditions.push({ phoneNumber: { $in: variants } });
+    }
+
+    if (conditions.length === 0) {
+      throw new Error('Isi nomor telepon atau email pelanggan');
+    }
+
+    return await User.find({
+      role: this.USER_ROLES.CUSTOMER,
+      $or: conditions
+    }).sort({ createdAt: 1 });
+  }
+
+  // Registered accounts win over guest profiles with the same phone number
+  static async findOrCreateGuest({ name, phone }, createdBy) {
+    const phoneNumber = this.normalizePhoneNumber(phone);
+    if (!phoneNumber) {
+      throw new Error('Nomor telepon tamu tidak valid');
+    }
+
+    const existing = await this.findCustomers({ phone: phoneNumber });
+    const account = existing.find(user => user.authProvider !== 'guest') || existing[0];
+    if (account) {
+      return { user: account, created: false };
+    }
+
+    if (!name || String(name).trim().length < 2) {
+      throw new Error('Nama tamu minimal 2 karakter');
+    }
+
+    const user = await User.create({
+      name: String(name).trim(),
+      email: `guest.${phoneNumber}@${this.GUEST_EMAIL_DOMAIN}`,
+      phoneNumber,
+      role: this.USER_ROLES.CUSTOMER,
+      authProvider: 'guest',
+      createdBy
+    });
+
+    logger.info(`Guest customer created: ${user._id}`, {
+      phone: phoneNumber,
+      createdBy
+    });
+
+    return { user, created: true };
+  }
+
   // ============= OAUTH METHODS =============
   static async findOrCreateGoogleUser(googleProfile) {
     const { id: googleId, emails, name, photos } = googleProfile;
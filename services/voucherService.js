@@ -0,0 +1,368 @@
+import Voucher from '../models/Voucher.js';
+import Booking from '../models/Booking.js';
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import logger from '../config/logger.js';
+import {
+  normalizeVoucherCode,
+  calculateVoucherDiscount,
+  MIN_DISCOUNTED_PRICE,
+  VOUCHER_DISCOUNT_TYPES,
+  FIELD_TYPES_FOR_BOOKING
+} from '../validators/bookingValidators.js';
+
+export class VoucherService {
+
+  // ============= CONSTANTS =============
+  // Bookings in these statuses give their redemption back
+  static RELEASED_BOOKING_STATUSES = ['cancelled', 'expired', 'rejected'];
+
+  // ============= HELPERS =============
+  static createVoucherError(message) {
+    const error = new Error(message);
+    error.errorCode = 'VOUCHER_INVALID';
+    return error;
+  }
+
+  static countRedemptions(voucherId, userId = null) {
+    const query = {
+      'voucher.voucher': voucherId,
+      status_pemesanan: { $nin: this.RELEASED_BOOKING_STATUSES }
+    };
+    if (userId) query.pelanggan = userId;
+
+    return Booking.countDocuments(query);
+  }
+
+  static async isFirstBooking(userId) {
+    const previous = await Booking.exists({
+      pelanggan: userId,
+      status_pemesanan: { $nin: this.RELEASED_BOOKING_STATUSES }
+    });
+    return !previous;
+  }
+
+  static checkUsageLimits(voucher, userId) {
+    if (voucher.kuota && (voucher.terpakai || 0) >= voucher.kuota) {
+      throw this.createVoucherError(`Kuota voucher ${voucher.kode} sudah habis`);
+    }
+
+    if ((voucher.pemakaian_user?.get(userId.toString()) || 0) >= voucher.limit_per_user) {
+      throw this.createVoucherError(`Anda sudah menggunakan voucher ${voucher.kode} sebanyak ${voucher.limit_per_user} kali`);
+    }
+  }
+
+  // ============= REDEMPTION =============
+  // ✅ Check every voucher rule for this user and booking, returns the discount to apply
+  static async applyVoucher({ kode, userId, jenisLapangan, harga, now = new Date() }) {
+    const code = normalizeVoucherCode(kode);
+    const voucher = await Voucher.findOne({ kode: code });
+
+    if (!voucher || !voucher.aktif) {
+      throw this.createVoucherError(`Kode voucher ${code} tidak valid`);
+    }
+
+    if (!voucher.isValidOn(now)) {
+      throw this.createVoucherError(`Kode voucher ${code} tidak berlaku saat ini`);
+    }
+
+    if (voucher.jenis_lapangan.length > 0 && !voucher.jenis_lapangan.includes(jenisLapangan)) {
+      throw this.createVoucherError(`Voucher ${code} hanya berlaku untuk lapangan ${voucher.jenis_lapangan.join(', ')}`);
+    }
+
+    if (harga < voucher.min_transaksi) {
+      throw this.createVoucherError(`Voucher ${code} membutuhkan minimal transaksi Rp ${voucher.min_transaksi.toLocaleString('id-ID')}`);
+    }
+
+    if (voucher.hanya_booking_pertama && !(await this.isFirstBooking(userId))) {
+      throw this.createVoucherError(`Voucher ${code} hanya berlaku untuk booking pertama`);
+    }
+
+    this.checkUsageLimits(voucher, userId);
+
+    const diskon = calculateVoucherDiscount(voucher, harga);
+
+    return {
+      voucher,
+      diskon,
+      harga_sebelum_diskon: harga,
+      harga_setelah_diskon: harga - diskon
+    };
+  }
+
+  // ✅ applyVoucher plus a reserved redemption, for creating a booking. The reservation is
+  // given back by the Booking hooks once the booking is cancelled, expired or rejected.
+  static async redeemVoucher(params) {
+    const result = await this.applyVoucher(params);
+
+    const reserved = await Voucher.reserveRedemption(result.voucher._id, params.userId);
+    if (!reserved) {
+      // Used up between the check and the reservation; report whichever limit it was
+      const latest = await Voucher.findById(result.voucher._id);
+      if (latest) this.checkUsageLimits(latest, params.userId);
+      throw this.createVoucherError(`Kode voucher ${result.voucher.kode} tidak dapat digunakan`);
+    }
+
+    return { ...result, voucher: reserved };
+  }
+
+  // Undo redeemVoucher when the booking was never written; once it exists, the booking owns the reservation
+  static async releaseUnusedRedemption(result, userId, bookingId) {
+    try {
+      if (await Booking.exists({ _id: bookingId })) return;
+      await Voucher.releaseRedemption(result.voucher._id, userId);
+    } catch (error) {
+      logger.error(`Failed to release voucher ${result.voucher.kode} redemption: ${error.message}`);
+    }
+  }
+
+  // Shape stored on Booking.voucher
+  static toBookingVoucher(result) {
+    return {
+      voucher: result.voucher._id,
+      kode: result.voucher.kode,
+      diskon: result.diskon,
+      harga_sebelum_diskon: result.harga_sebelum_diskon,
+      reserved: true
+    };
+  }
+
+  // ✅ Repriced bookings (reschedule) keep their voucher; only the discount amount is recalculated.
+  // The new price must still meet the voucher's minimum transaction.
+  static async recalculateBookingVoucher(bookingVoucher, harga) {
+    const voucher = await Voucher.findById(bookingVoucher.voucher);
+
+    if (voucher && harga < voucher.min_transaksi) {
+      throw this.createVoucherError(
+        `Harga jadwal baru di bawah minimal transaksi voucher ${voucher.kode} (Rp ${voucher.min_transaksi.toLocaleString('id-ID')})`
+      );
+    }
+
+    const diskon = voucher
+      ? calculateVoucherDiscount(voucher, harga)
+      : Math.max(0, Math.min(bookingVoucher.diskon, harga - MIN_DISCOUNTED_PRICE));
+
+    return {
+      voucher: bookingVoucher.voucher,
+      kode: bookingVoucher.kode,
+      diskon,
+      harga_sebelum_diskon: harga,
+      reserved: bookingVoucher.reserved
+    };
+  }
+
+  // ============= MAINTENANCE =============
+  // Vouchers created before redemption counters existed: count their active bookings once
+  // and mark those bookings as holding a reservation. Idempotent.
+  static async backfillUsage() {
+    const vouchers = await Voucher.find({ terpakai: { $exists: false } }).select('_id kode').lean();
+
+    for (const voucher of vouchers) {
+      const query = {
+        'voucher.voucher': voucher._id,
+        status_pemesanan: { $nin: this.RELEASED_BOOKING_STATUSES }
+      };
+      const usage = await Booking.aggregate([
+        { $match: query },
+        { $group: { _id: '$pelanggan', count: { $sum: 1 } } }
+      ]);
+
+      await Booking.updateMany(query, { $set: { 'voucher.reserved': true } });
+      await Voucher.updateOne({ _id: voucher._id, terpakai: { $exists: false } }, {
+        $set: {
+          terpakai: usage.reduce((total, item) => total + item.count, 0),
+          pemakaian_user: Object.fromEntries(usage.map(item => [item._id.toString(), item.count]))
+        }
+      });
+    }
+
+    if (vouchers.length > 0) {
+      logger.info(`Voucher usage backfilled for ${vouchers.length} vouchers`);
+    }
+
+    return { vouchers: vouchers.length };
+  }
+
+  // ============= VALIDATION METHODS =============
+  static parseDate(dateString, label) {
+    if (!moment(dateString, 'YYYY-MM-DD', true).isValid()) {
+      throw new Error(`${label} tidak valid. Gunakan format YYYY-MM-DD`);
+    }
+    return new Date(dateString);
+  }
+
+  static parseOptionalNumber(value, label) {
+    if (value === null || value === '') return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw new Error(`${label} harus berupa angka`);
+    }
+    return number;
+  }
+
+  // Normalizes request body into schema fields; partial when updating
+  static validateVoucherInput(data, { partial = false } = {}) {
+    const {
+      kode, nama, deskripsi, tipe_diskon, nilai, maks_diskon, min_transaksi,
+      tanggal_mulai, tanggal_selesai, jenis_lapangan, kuota, limit_per_user,
+      hanya_booking_pertama, aktif
+    } = data;
+    const result = {};
+
+    if (!partial && (!kode || !nama || !tipe_diskon || nilai === undefined)) {
+      throw new Error('Field kode, nama, tipe_diskon, dan nilai harus diisi');
+    }
+
+    if (kode !== undefined) result.kode = normalizeVoucherCode(kode);
+    if (nama !== undefined) result.nama = nama;
+    if (deskripsi !== undefined) result.deskripsi = deskripsi;
+
+    if (tipe_diskon !== undefined) {
+      if (!VOUCHER_DISCOUNT_TYPES.includes(tipe_diskon)) {
+        throw new Error(`Tipe diskon harus salah satu dari: ${VOUCHER_DISCOUNT_TYPES.join(', ')}`);
+      }
+      result.tipe_diskon = tipe_diskon;
+    }
+
+    if (nilai !== undefined) result.nilai = this.parseOptionalNumber(nilai, 'Nilai diskon');
+    if (maks_diskon !== undefined) result.maks_diskon = this.parseOptionalNumber(maks_diskon, 'Maksimal diskon');
+    if (min_transaksi !== undefined) result.min_transaksi = this.parseOptionalNumber(min_transaksi, 'Minimal transaksi') || 0;
+    if (kuota !== undefined) result.kuota = this.parseOptionalNumber(kuota, 'Kuota');
+    if (limit_per_user !== undefined) result.limit_per_user = this.parseOptionalNumber(limit_per_user, 'Limit per user') || 1;
+
+    if (tanggal_mulai !== undefined) {
+      result.tanggal_mulai = tanggal_mulai ? this.parseDate(tanggal_mulai, 'Tanggal mulai') : undefined;
+    }
+
+    if (tanggal_selesai !== undefined) {
+      result.tanggal_selesai = tanggal_selesai ? this.parseDate(tanggal_selesai, 'Tanggal selesai') : undefined;
+    }
+
+    if (jenis_lapangan !== undefined) {
+      const types = Array.isArray(jenis_lapangan)
+        ? jenis_lapangan
+        : String(jenis_lapangan).split(',').map(type => type.trim());
+      result.jenis_lapangan = types.filter(Boolean);
+
+      const invalid = result.jenis_lapangan.filter(type => !FIELD_TYPES_FOR_BOOKING.includes(type));
+      if (invalid.length > 0) {
+        throw new Error(`Jenis lapangan tidak valid: ${invalid.join(', ')}`);
+      }
+    }
+
+    if (hanya_booking_pertama !== undefined) {
+      result.hanya_booking_pertama = hanya_booking_pertama === true || hanya_booking_pertama === 'true';
+    }
+
+    if (aktif !== undefined) {
+      result.aktif = aktif === true || aktif === 'true';
+    }
+
+    return result;
+  }
+
+  // ============= CRUD OPERATIONS =============
+  static async createVoucher(data, userId) {
+    const input = this.validateVoucherInput(data);
+
+    try {
+      const voucher = await Voucher.create({ ...input, createdBy: userId });
+
+      logger.info(`Voucher created: ${voucher.kode}`, {
+        id: voucher._id,
+        diskon: voucher.diskon_text,
+        by: userId
+      });
+
+      return voucher;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error(`Kode voucher ${input.kode} sudah digunakan`);
+      }
+      throw error;
+    }
+  }
+
+  static async getVouchers({ aktif, search } = {}) {
+    const query = {};
+    if (aktif !== undefined) query.aktif = aktif === 'true' || aktif === true;
+    if (search) query.kode = { $regex: normalizeVoucherCode(search).replace(/[^A-Z0-9_-]/g, '') };
+
+    const vouchers = await Voucher.find(query).sort({ createdAt: -1 });
+
+    const usage = await Booking.aggregate([
+      {
+        $match: {
+          'voucher.voucher': { $in: vouchers.map(voucher => voucher._id) },
+          status_pemesanan: { $nin: this.RELEASED_BOOKING_STATUSES }
+        }
+      },
+      { $group: { _id: '$voucher.voucher', count: { $sum: 1 } } }
+    ]);
+    const usageMap = new Map(usage.map(item => [item._id.toString(), item.count]));
+
+    return vouchers.map(voucher => ({
+      voucher,
+      jumlah_digunakan: usageMap.get(voucher._id.toString()) || 0
+    }));
+  }
+
+  static async getVoucherById(voucherId) {
+    if (!mongoose.Types.ObjectId.isValid(voucherId)) {
+      throw new Error('ID voucher tidak valid');
+    }
+
+    const voucher = await Voucher.findById(voucherId);
+    if (!voucher) {
+      throw new Error('Voucher tidak ditemukan');
+    }
+
+    return voucher;
+  }
+
+  static async updateVoucher(voucherId, data, userId) {
+    const voucher = await this.getVoucherById(voucherId);
+    const input = this.validateVoucherInput(data, { partial: true });
+
+    if (Object.keys(input).length === 0) {
+      throw new Error('Tidak ada data yang diubah');
+    }
+
+    Object.assign(voucher, input);
+
+    try {
+      await voucher.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error(`Kode voucher ${input.kode} sudah digunakan`);
+      }
+      throw error;
+    }
+
+    logger.info(`Voucher updated: ${voucher.kode}`, {
+      changes: Object.keys(input),
+      by: userId
+    });
+
+    return voucher;
+  }
+
+  // Redeemed vouchers are deactivated instead of deleted to keep booking history intact
+  static async deleteVoucher(voucherId, userId) {
+    const voucher = await this.getVoucherById(voucherId);
+    const redeemed = await Booking.exists({ 'voucher.voucher': voucher._id });
+
+    if (redeemed) {
+      voucher.aktif = false;
+      await voucher.save();
+    } else {
+      await Voucher.deleteOne({ _id: voucher._id });
+    }
+
+    logger.info(`Voucher ${redeemed ? 'deactivated' : 'deleted'}: ${voucher.kode}`, { by: userId });
+
+    return { voucher, deactivated: !!redeemed };
+  }
+}
+
+export default VoucherService;
@@ -0,0 +1,494 @@
+import Waitlist from '../models/Waitlist.js';
+import Booking from '../models/Booking.js';
+import FieldBlackout from '../models/FieldBlackout.js';
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import logger from '../config/logger.js';
+import BookingService from './bookingService.js';
+import SlotLockService from './slotLockService.js';
+import PricingService from './pricingService.js';
+import { NotificationService } from './notificationService.js';
+import { RealtimeService } from './realtimeService.js';
+import {
+  validateBookingDate,
+  validateBookingTime,
+  validateBookingNotTooFar
+} from '../validators/bookingValidators.js';
+
+export class WaitlistService {
+
+  // ============= CONSTANTS =============
+  static ACTIVE_STATUSES = ['waiting', 'offered'];
+
+  static get CLAIM_WINDOW_MINUTES() {
+    return parseInt(process.env.WAITLIST_CLAIM_MINUTES) || 30;
+  }
+
+  // ============= HELPERS =============
+  static normalizeDate(tanggal) {
+    return new Date(moment.utc(tanggal).format('YYYY-MM-DD'));
+  }
+
+  static getHourRange(jamBooking, durasi) {
+    const start = parseInt(jamBooking.split(':')[0]);
+    return { start, end: start + parseInt(durasi) };
+  }
+
+  static overlaps(a, b) {
+    const rangeA = this.getHourRange(a.jam_booking, a.durasi);
+    const rangeB = this.getHourRange(b.jam_booking, b.durasi);
+    return rangeA.start < rangeB.end && rangeA.end > rangeB.start;
+  }
+
+  static getSlotStart(entry) {
+    return moment.tz(
+      `${moment.utc(entry.tanggal_booking).format('YYYY-MM-DD')} ${entry.jam_booking}`,
+      'YYYY-MM-DD HH:mm',
+      'Asia/Jakarta'
+    );
+  }
+
+  static isOfferLive(entry, now = new Date()) {
+    return entry.status === 'offered' && entry.offer_expires_at && entry.offer_expires_at > now;
+  }
+
+  // Queue position among active entries that want an overlapping time
+  static getPosition(entry, dayEntries) {
+    const ahead = dayEntries.filter(other =>
+      other._id.toString() !== entry._id.toString() &&
+      this.ACTIVE_STATUSES.includes(other.status) &&
+      other.createdAt < entry.createdAt &&
+      this.overlaps(entry, other)
+    );
+    return ahead.length + 1;
+  }
+
+  static async getDayEntries(lapanganId, tanggal) {
+    return Waitlist.find({
+      lapangan: lapanganId,
+      tanggal_booking: this.normalizeDate(tanggal),
+      status: { $in: this.ACTIVE_STATUSES }
+    }).sort({ createdAt: 1 });
+  }
+
+  // ✅ Another customer's live offer on an overlapping time
+  static async findCompetingOffer({ lapanganId, tanggal, jamBooking, durasi, userId = null, excludeEntryId = null }) {
+    const offers = await Waitlist.find({
+      lapangan: lapanganId,
+      tanggal_booking: this.normalizeDate(tanggal),
+      status: 'offered',
+      offer_expires_at: { $gt: new Date() }
+    }).lean();
+
+    return offers.find(offer =>
+      (!userId || offer.pelanggan.toString() !== userId.toString()) &&
+      (!excludeEntryId || offer._id.toString() !== excludeEntryId.toString()) &&
+      this.overlaps(offer, { jam_booking: jamBooking, durasi })
+    ) || null;
+  }
+
+  static async assertNoCompetingOffer(slot) {
+    const offer = await this.findCompetingOffer(slot);
+
+    if (offer) {
+      const error = new Error('Slot ini sedang ditawarkan ke pelanggan dalam waitlist');
+      error.errorCode = 'SLOT_OFFERED';
+      error.conflictDetails = {
+        time_range: `${offer.jam_booking} - ${moment(offer.jam_booking, 'HH:mm').add(offer.durasi, 'hours').format('HH:mm')}`,
+        offer_expires_at: offer.offer_expires_at
+      };
+      throw error;
+    }
+  }
+
+  // ============= VALIDATION METHODS =============
+  static validateWaitlistInput({ lapanganId, tanggalBooking, jamBooking, durasi }) {
+    if (!lapanganId || !tanggalBooking || !jamBooking || !durasi) {
+      throw new Error('Field lapangan_id, tanggal_booking, jam_booking, dan durasi harus diisi');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(lapanganId)) {
+      throw new Error('Format ID lapangan tidak valid');
+    }
+
+    if (!moment(tanggalBooking, 'YYYY-MM-DD', true).isValid()) {
+      throw new Error('Tanggal booking tidak valid. Gunakan format YYYY-MM-DD');
+    }
+
+    if (!validateBookingDate(tanggalBooking)) {
+      throw new Error('Tanggal booking tidak boleh di masa lalu');
+    }
+
+    if (!validateBookingNotTooFar(tanggalBooking)) {
+      throw new Error('Booking maksimal 30 hari ke depan');
+    }
+
+    if (!validateBookingTime(jamBooking)) {
+      throw new Error('Format jam booking tidak valid. Gunakan format HH:MM');
+    }
+
+    const durasiInt = parseInt(durasi);
+    if (isNaN(durasiInt) || durasiInt <= 0 || durasiInt > 8) {
+      throw new Error('Durasi harus berupa angka positif antara 1-8 jam');
+    }
+
+    return durasiInt;
+  }
+
+  // ============= JOIN / LEAVE =============
+  static async joinWaitlist({ userId, lapanganId, tanggalBooking, jamBooking, durasi, catatan }) {
+    const durasiInt = this.validateWaitlistInput({ lapanganId, tanggalBooking, jamBooking, durasi });
+
+    const field = await BookingService.validateFieldForBooking(lapanganId);
+    await BookingService.validateOperatingHoursForDate(field, tanggalBooking, jamBooking, durasiInt);
+
+    const blackout = await FieldBlackout.findOverlapping(lapanganId, tanggalBooking, jamBooking, durasiInt);
+    if (blackout) {
+      throw new Error(`Lapangan ditutup (${blackout.waktu_text}): ${blackout.alasan}`);
+    }
+
+    const overlap = await BookingService.checkManualOverlap(lapanganId, tanggalBooking, jamBooking, durasiInt);
+    const competingOffer = await this.findCompetingOffer({
+      lapanganId,
+      tanggal: tanggalBooking,
+      jamBooking,
+      durasi: durasiInt,
+      userId
+    });
+
+    if (overlap.available && !competingOffer) {
+      const error = new Error('Slot masih tersedia, silakan langsung melakukan booking');
+      error.errorCode = 'SLOT_AVAILABLE';
+      throw error;
+    }
+
+    const dayEntries = await this.getDayEntries(lapanganId, tanggalBooking);
+    const duplicate = dayEntries.find(entry =>
+      entry.pelanggan.toString() === userId.toString() &&
+      this.overlaps(entry, { jam_booking: jamBooking, durasi: durasiInt })
+    );
+
+    if (duplicate) {
+      throw new Error('Anda sudah terdaftar di waitlist untuk slot ini');
+    }
+
+    const entry = await Waitlist.create({
+      pelanggan: userId,
+      lapangan: lapanganId,
+      jenis_lapangan: field.jenis_lapangan,
+      tanggal_booking: this.normalizeDate(tanggalBooking),
+      jam_booking: jamBooking,
+      durasi: durasiInt,
+      catatan
+    });
+
+    const position = this.getPosition(entry, [...dayEntries, entry]);
+
+    logger.info(`Waitlist joined: ${entry._id}`, {
+      user: userId,
+      field: lapanganId,
+      date: tanggalBooking,
+      time: jamBooking,
+      position
+    });
+
+    return { entry, field, position };
+  }
+
+  static async getEntryForUser(entryId, user) {
+    if (!mongoose.Types.ObjectId.isValid(entryId)) {
+      throw new Error('ID waitlist tidak valid');
+    }
+
+    const entry = await Waitlist.findById(entryId);
+
+    if (!entry) {
+      throw new Error('Waitlist tidak ditemukan');
+    }
+
+    const isOwner = entry.pelanggan.toString() === user._id.toString();
+    const isCashierOrAdmin = ['kasir', 'cashier', 'admin'].includes(user.role);
+
+    if (!isOwner && !isCashierOrAdmin) {
+      throw new Error('Anda tidak memiliki akses ke waitlist ini');
+    }
+
+    return entry;
+  }
+
+  static async leaveWaitlist(entryId, user) {
+    const entry = await this.getEntryForUser(entryId, user);
+
+    if (!this.ACTIVE_STATUSES.includes(entry.status)) {
+      throw new Error(`Waitlist sudah ${entry.status}`);
+    }
+
+    const wasOffered = entry.status === 'offered';
+
+    entry.status = 'cancelled';
+    entry.cancelled_at = new Date();
+    await entry.save();
+
+    // A declined offer goes to the next person in line
+    if (wasOffered) {
+      await this.promoteForSlot(entry.lapangan, entry.tanggal_booking);
+    }
+
+    return entry;
+  }
+
+  // ============= PROMOTION =============
+  static async offer(entry, now = new Date()) {
+    const offered = await Waitlist.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      {
+        status: 'offered',
+        offered_at: now,
+        offer_expires_at: moment(now).add(this.CLAIM_WINDOW_MINUTES, 'minutes').toDate(),
+        $inc: { offer_count: 1 }
+      },
+      { new: true }
+    );
+
+    if (offered) {
+      logger.info(`Waitlist offer made: ${offered._id}`, {
+        user: offered.pelanggan,
+        field: offered.lapangan,
+        date: moment.utc(offered.tanggal_booking).format('YYYY-MM-DD'),
+        time: offered.jam_booking,
+        expires_at: offered.offer_expires_at
+      });
+    }
+
+    return offered;
+  }
+
+  // ✅ Re-evaluate a field's queue for one day and offer every slot that became free
+  static async promoteForSlot(lapanganId, tanggal) {
+    const now = new Date();
+    const entries = await this.getDayEntries(lapanganId, tanggal);
+    const offered = [];
+
+    for (const entry of entries) {
+      if (entry.status !== 'waiting') continue;
+
+      if (this.getSlotStart(entry).isSameOrBefore(moment(now))) {
+        entry.status = 'expired';
+        await entry.save();
+        continue;
+      }
+
+      const overlap = await BookingService.checkManualOverlap(
+        entry.lapangan,
+        entry.tanggal_booking,
+        entry.jam_booking,
+        entry.durasi
+      );
+      if (!overlap.available) continue;
+
+      const blackout = await FieldBlackout.findOverlapping(
+        entry.lapangan,
+        entry.tanggal_booking,
+        entry.jam_booking,
+        entry.durasi
+      );
+      if (blackout) continue;
+
+      const competingOffer = await this.findCompetingOffer({
+        lapanganId: entry.lapangan,
+        tanggal: entry.tanggal_booking,
+        jamBooking: entry.jam_booking,
+        durasi: entry.durasi,
+        excludeEntryId: entry._id
+      });
+      if (competingOffer) continue;
+
+      const result = await this.offer(entry, now);
+      if (result) offered.push(result);
+    }
+
+    return offered;
+  }
+
+  // Promote once per field and date for a set of freed bookings
+  static async promoteForBookings(bookings) {
+    await RealtimeService.publishAvailabilityChanged(bookings);
+
+    const slots = new Map();
+
+    for (const booking of bookings) {
+      const lapanganId = booking.lapangan?._id || booking.lapangan;
+      const key = `${lapanganId}:${moment.utc(booking.tanggal_booking).format('YYYY-MM-DD')}`;
+      slots.set(key, { lapanganId, tanggal: booking.tanggal_booking });
+    }
+
+    const offered = [];
+    for (const { lapanganId, tanggal } of slots.values()) {
+      try {
+        offered.push(...await this.promoteForSlot(lapanganId, tanggal));
+      } catch (error) {
+        logger.error('Waitlist promotion failed:', {
+          field: lapanganId,
+          date: tanggal,
+          error: error.message
+        });
+      }
+    }
+
+    return offered;
+  }
+
+  // ✅ Lapsed offers move on to the next person; past slots leave the queue
+  static async expireOffers(now = new Date()) {
+    const lapsed = await Waitlist.find({
+      status: 'offered',
+      offer_expires_at: { $lte: now }
+    }).lean();
+
+    if (lapsed.length > 0) {
+      await Waitlist.updateMany(
+        { _id: { $in: lapsed.map(entry => entry._id) }, status: 'offered' },
+        { status: 'expired' }
+      );
+
+      logger.info(`Expired ${lapsed.length} waitlist offers`);
+    }
+
+    const today = new Date(moment().tz('Asia/Jakarta').format('YYYY-MM-DD'));
+    await Waitlist.updateMany(
+      { status: 'waiting', tanggal_booking: { $lt: today } },
+      { status: 'expired' }
+    );
+
+    return this.promoteForBookings(lapsed);
+  }
+
+  // ============= CLAIM =============
+  static async claimOffer(entryId, user) {
+    const entry = await this.getEntryForUser(entryId, user);
+
+    if (entry.pelanggan.toString() !== user._id.toString()) {
+      throw new Error('Penawaran waitlist hanya dapat diklaim oleh pelanggan yang bersangkutan');
+    }
+
+    if (entry.status !== 'offered') {
+      throw new Error('Tidak ada penawaran aktif untuk waitlist ini');
+    }
+
+    if (!this.isOfferLive(entry)) {
+      entry.status = 'expired';
+      await entry.save();
+      await this.promoteForSlot(entry.lapangan, entry.tanggal_booking);
+      throw new Error('Waktu klaim penawaran sudah habis');
+    }
+
+    const field = await BookingService.validateFieldForBooking(entry.lapangan);
+    const pricing = await BookingService.calculateBookingPricing(
+      field,
+      entry.tanggal_booking,
+      entry.jam_booking,
+      entry.durasi
+    );
+
+    const bookingObjectId = new mongoose.Types.ObjectId();
+    const booking = await SlotLockService.withSlotLock({
+      lapanganId: entry.lapangan,
+      tanggal: entry.tanggal_booking,
+      jamBooking: entry.jam_booking,
+      durasi: entry.durasi,
+      bookingId: bookingObjectId
+    }, () => Booking.create({
+      _id: bookingObjectId,
+      pelanggan: entry.pelanggan,
+      lapangan: entry.lapangan,
+      jenis_lapangan: field.jenis_lapangan,
+      tanggal_booking: entry.tanggal_booking,
+      jam_booking: entry.jam_booking,
+      durasi: entry.durasi,
+      harga: pricing.total,
+      rincian_harga: PricingService.toBookingBreakdown(pricing),
+      status_pemesanan: 'pending',
+      payment_status: 'no_payment',
+      catatan: entry.catatan
+    }));
+
+    entry.status = 'claimed';
+    entry.claimed_at = new Date();
+    entry.booking = booking._id;
+    await entry.save();
+
+    await NotificationService.notifyBookingCreated(booking);
+
+    logger.info(`Waitlist offer claimed: ${entry._id}`, {
+      user: user._id,
+      booking: booking._id
+    });
+
+    return { entry, booking, field };
+  }
+
+  // ============= QUERIES =============
+  static async getUserWaitlist(userId) {
+    const entries = await Waitlist.find({ pelanggan: userId })
+      .populate('lapangan', 'nama jenis_lapangan')
+      .populate('booking', 'bookingId status_pemesanan payment_status')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    const result = [];
+    for (const entry of entries) {
+      let position = null;
+      if (entry.status === 'waiting') {
+        const dayEntries = await this.getDayEntries(entry.lapangan._id, entry.tanggal_booking);
+        position = this.getPosition(entry, dayEntries);
+      }
+      result.push({ ...entry.toJSON(), position });
+    }
+
+    return result;
+  }
+
+  // ✅ Waitlist per booked slot, for the cashier view
+  static async getWaitlistForBookings(bookings) {
+    const byDay = new Map();
+    const waitlistByBooking = {};
+
+    for (const booking of bookings) {
+      const lapanganId = (booking.lapangan?._id || booking.lapangan).toString();
+      const key = `${lapanganId}:${moment.utc(booking.tanggal_booking).format('YYYY-MM-DD')}`;
+
+      if (!byDay.has(key)) {
+        byDay.set(key, await Waitlist.find({
+          lapangan: lapanganId,
+          tanggal_booking: this.normalizeDate(booking.tanggal_booking),
+          status: { $in: this.ACTIVE_STATUSES }
+        })
+          .populate('pelanggan', 'name email phoneNumber')
+          .sort({ createdAt: 1 })
+          .lean());
+      }
+
+      const dayEntries = byDay.get(key);
+      waitlistByBooking[booking._id.toString()] = dayEntries
+        .filter(entry => this.overlaps(entry, booking))
+        .map(entry => ({
+          id: entry._id,
+          position: this.getPosition(entry, dayEntries),
+          status: entry.status,
+          customer: entry.pelanggan ? {
+            name: entry.pelanggan.name,
+            email: entry.pelanggan.email,
+            phone: entry.pelanggan.phoneNumber
+          } : null,
+          jam_booking: entry.jam_booking,
+          durasi: entry.durasi,
+          offer_expires_at: entry.offer_expires_at || null,
+          joined_at: entry.createdAt
+        }));
+    }
+
+    return waitlistByBooking;
+  }
+}
+
+export default WaitlistService;
@@ -0,0 +1,146 @@
+import Booking from '../models/Booking.js';
+import User from '../models/User.js';
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import logger from '../config/logger.js';
+import BookingService from './bookingService.js';
+import { PaymentService } from './paymentService.js';
+import { UserService } from './userService.js';
+import WaitlistService from './waitlistService.js';
+import { RealtimeService } from './realtimeService.js';
+
+export class WalkInService {
+
+  // ============= HELPERS =============
+  static createWalkInError(message) {
+    const error = new Error(message);
+    error.errorCode = 'WALK_IN_INVALID';
+    return error;
+  }
+
+  // ============= CUSTOMER =============
+  // Existing customer by id, phone or email; otherwise a guest profile from name + phone
+  static async resolveCustomer({ customerId, phone, email, name }, kasirId) {
+    if (customerId) {
+      if (!mongoose.Types.ObjectId.isValid(customerId)) {
+        throw this.createWalkInError('Format ID pelanggan tidak valid');
+      }
+      const user = await User.findOne({ _id: customerId, role: UserService.USER_ROLES.CUSTOMER });
+      if (!user) {
+        throw new Error('Pelanggan tidak ditemukan');
+      }
+      return { user, created: false };
+    }
+
+    if (email) {
+      const [user] = await UserService.findCustomers({ email });
+      if (!user) {
+        throw new Error(`Pelanggan dengan email ${email} tidak ditemukan`);
+      }
+      return { user, created: false };
+    }
+
+    if (!phone) {
+      throw this.createWalkInError('Isi pelanggan_id, email, atau nama dan nomor telepon tamu');
+    }
+
+    try {
+      return await UserService.findOrCreateGuest({ name, phone }, kasirId);
+    } catch (error) {
+      throw error.name === 'ValidationError' ? error : this.createWalkInError(error.message);
+    }
+  }
+
+  // ============= BOOKING =============
+  static validateSchedule({ lapanganId, tanggalBooking, jamBooking, durasi }) {
+    if (!lapanganId || !tanggalBooking || !jamBooking || !durasi) {
+      throw this.createWalkInError('Field lapangan_id, tanggal_booking, jam_booking, dan durasi harus diisi');
+    }
+
+    if (!moment(tanggalBooking, 'YYYY-MM-DD', true).isValid()) {
+      throw this.createWalkInError('Tanggal booking tidak valid. Gunakan format YYYY-MM-DD');
+    }
+
+    // Unlike online bookings the slot may already have started, but not finished
+    const end = moment.tz(`${tanggalBooking} ${jamBooking}`, 'YYYY-MM-DD HH:mm', 'Asia/Jakarta')
+      .add(parseInt(durasi), 'hours');
+    if (!end.isValid() || !end.isAfter(moment())) {
+      throw this.createWalkInError('Jadwal booking sudah lewat');
+    }
+  }
+
+  static async createWalkInBooking({ kasirId, customer, lapanganId, tanggalBooking, jamBooking, durasi: rawDurasi, kodeVoucher, catatan, payment }) {
+    this.validateSchedule({ lapanganId, tanggalBooking, jamBooking, durasi: rawDurasi });
+    const durasi = parseInt(rawDurasi);
+
+    const { user, created: guestCreated } = await this.resolveCustomer(customer, kasirId);
+
+    const isAvailable = await BookingService.checkSlotAvailability(lapanganId, tanggalBooking, jamBooking, durasi);
+    if (!isAvailable) {
+      const error = new Error('Slot waktu tidak tersedia atau bertabrakan dengan booking lain');
+      error.errorCode = 'SLOT_CONFLICT';
+      throw error;
+    }
+
+    await WaitlistService.assertNoCompetingOffer({
+      lapanganId,
+      tanggal: tanggalBooking,
+      jamBooking,
+      durasi,
+      userId: user._id
+    });
+
+    const { booking, pricing } = await BookingService.createBooking({
+      userId: user._id,
+      lapanganId,
+      tanggalBooking,
+      jamBooking,
+      durasi,
+      kodeVoucher,
+      channel: 'walk_in',
+      createdBy: kasirId,
+      catatan
+    });
+
+    let paymentResult = null;
+    if (payment?.payment_method) {
+      try {
+        paymentResult = await PaymentService.recordOnsitePayment({
+          bookingId: booking._id,
+          kasirId,
+          paymentType: payment.payment_type || PaymentService.PAYMENT_TYPES.FULL,
+          paymentMethod: payment.payment_method,
+          amount: payment.amount,
+          methodReference: payment.method_reference,
+          notes: payment.notes
+        });
+      } catch (error) {
+        // Booking and payment are one step at the desk: don't leave an unpaid hold behind
+        await Booking.findByIdAndDelete(booking._id);
+        throw error;
+      }
+    }
+
+    await RealtimeService.publishBookingEvent('created', paymentResult?.booking || booking);
+
+    logger.info(`Walk-in booking created: ${booking._id}`, {
+      bookingId: booking.bookingId,
+      kasir: kasirId,
+      customer: user._id,
+      guest: user.authProvider === 'guest',
+      guestCreated,
+      paid: !!paymentResult,
+      receipt: paymentResult?.payment.receipt_number
+    });
+
+    return {
+      booking: paymentResult?.booking || booking,
+      customer: user,
+      guestCreated,
+      pricing,
+      payment: paymentResult?.payment || null
+    };
+  }
+}
+
+export default WalkInService;
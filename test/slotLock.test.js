@@ -0,0 +1,164 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import Booking from '../models/Booking.js';
+import Field from '../models/Field.js';
+import SlotLock from '../models/SlotLock.js';
+import BookingService from '../services/bookingService.js';
+import SlotLockService from '../services/slotLockService.js';
+
+// Needs a local MongoDB; the whole file is skipped when none is reachable.
+// The database named here is dropped before and after the run.
+const MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://127.0.0.1:27017/dsc_slot_lock_test';
+const PARALLEL_REQUESTS = 10;
+
+let connected = false;
+let field;
+
+const bookingDate = () => moment.tz('Asia/Jakarta').add(3, 'days').format('YYYY-MM-DD');
+
+const createBooking = (overrides = {}) => BookingService.createBooking({
+  userId: new mongoose.Types.ObjectId(),
+  lapanganId: field._id,
+  tanggalBooking: bookingDate(),
+  jamBooking: '10:00',
+  durasi: 1,
+  ...overrides
+});
+
+const settle = async (requests) => {
+  const results = await Promise.allSettled(requests);
+  return {
+    won: results.filter(result => result.status === 'fulfilled'),
+    lost: results.filter(result => result.status === 'rejected')
+  };
+};
+
+before(async () => {
+  try {
+    await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 2000 });
+    connected = true;
+  } catch (error) {
+    return;
+  }
+
+  await mongoose.connection.dropDatabase();
+  // The unique index must exist before the first parallel insert
+  await SlotLock.syncIndexes();
+});
+
+after(async () => {
+  if (!connected) return;
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+});
+
+beforeEach(async () => {
+  if (!connected) return;
+
+  await Promise.all([Booking.deleteMany({}), SlotLock.deleteMany({}), Field.deleteMany({})]);
+  field = await Field.create({
+    nama: 'Lapangan Uji',
+    jenis_lapangan: 'Futsal',
+    jam_buka: '06:00',
+    jam_tutup: '23:00',
+    harga: 100000,
+    createdBy: new mongoose.Types.ObjectId(),
+    gambar: 'https://example.com/lapangan.jpg'
+  });
+});
+
+test('parallel creates for the same slot: exactly one booking wins', async (t) => {
+  if (!connected) return t.skip(`MongoDB not reachable at ${MONGODB_URI}`);
+
+  const { won, lost } = await settle(
+    Array.from({ length: PARALLEL_REQUESTS }, () => createBooking())
+  );
+
+  assert.equal(won.length, 1);
+  assert.equal(lost.length, PARALLEL_REQUESTS - 1);
+  for (const { reason } of lost) {
+    assert.match(reason.message, /tidak tersedia|bertabrakan/);
+  }
+
+  assert.equal(await Booking.countDocuments({ lapangan: field._id }), 1);
+
+  const locks = await SlotLock.find({ lapangan: field._id }).lean();
+  assert.equal(locks.length, 1);
+  assert.equal(locks[0].booking.toString(), won[0].value.booking._id.toString());
+  assert.equal(locks[0].expires_at, undefined);
+});
+
+test('parallel creates for overlapping multi-hour slots: only one wins', async (t) => {
+  if (!connected) return t.skip(`MongoDB not reachable at ${MONGODB_URI}`);
+
+  const slots = [
+    { jamBooking: '10:00', durasi: 2 },
+    { jamBooking: '11:00', durasi: 2 },
+    { jamBooking: '09:00', durasi: 2 },
+    { jamBooking: '11:00', durasi: 1 }
+  ];
+
+  const { won } = await settle(
+    Array.from({ length: PARALLEL_REQUESTS }, (_, i) => createBooking(slots[i % slots.length]))
+  );
+
+  // Every slot overlaps at least one other, and only 09:00-11:00 and 11:00-13:00 are
+  // disjoint, so one or two requests win; whichever win, no hour may be held twice
+  assert.ok(won.length >= 1 && won.length <= 2);
+
+  const bookings = await Booking.find({ lapangan: field._id }).lean();
+  const hours = bookings.flatMap(booking => SlotLockService.getHours(booking.jam_booking, booking.durasi));
+  assert.equal(new Set(hours).size, hours.length);
+  assert.equal(await SlotLock.countDocuments({ lapangan: field._id }), hours.length);
+});
+
+test('different hours on the same field do not block each other', async (t) => {
+  if (!connected) return t.skip(`MongoDB not reachable at ${MONGODB_URI}`);
+
+  const { won, lost } = await settle(
+    ['08:00', '09:00', '10:00', '11:00'].map(jamBooking => createBooking({ jamBooking }))
+  );
+
+  assert.equal(won.length, 4);
+  assert.equal(lost.length, 0);
+});
+
+test('backfilled locks protect bookings created before slot locks existed', async (t) => {
+  if (!connected) return t.skip(`MongoDB not reachable at ${MONGODB_URI}`);
+
+  // Written straight to the collection: no lock row, like a pre-lock booking
+  const { insertedId } = await Booking.collection.insertOne({
+    pelanggan: new mongoose.Types.ObjectId(),
+    lapangan: field._id,
+    jenis_lapangan: field.jenis_lapangan,
+    tanggal_booking: moment.utc(bookingDate()).toDate(),
+    jam_booking: '14:00',
+    durasi: 2,
+    harga: 200000,
+    status_pemesanan: 'confirmed',
+    payment_status: 'fully_paid'
+  });
+
+  const first = await SlotLockService.backfillLocks();
+  assert.equal(first.created, 2);
+  assert.deepEqual(first.conflicts, []);
+
+  const again = await SlotLockService.backfillLocks();
+  assert.equal(again.created, 0);
+
+  const locks = await SlotLock.find({ booking: insertedId }).lean();
+  assert.deepEqual(locks.map(lock => lock.jam).sort(), [14, 15]);
+
+  await assert.rejects(
+    SlotLockService.acquire({
+      lapanganId: field._id,
+      tanggal: bookingDate(),
+      jamBooking: '15:00',
+      durasi: 1,
+      bookingId: new mongoose.Types.ObjectId()
+    }),
+    (error) => error.errorCode === 'SLOT_CONFLICT'
+  );
+});
@@ -0,0 +1,57 @@
+// Minimal RFC 4180 reader for bank statement exports (quoted fields, "" escapes, CRLF)
+export const detectDelimiter = (text) => {
+  const sample = text.split(/\r?\n/).slice(0, 20).join('\n');
+  const counts = [',', ';', '\t', '|'].map(delimiter => ({
+    delimiter,
+    count: sample.split(delimiter).length - 1
+  }));
+  const best = counts.sort((a, b) => b.count - a.count)[0];
+  return best.count > 0 ? best.delimiter : ',';
+};
+
+export const parseCsv = (text, delimiter = null) => {
+  const separator = delimiter || detectDelimiter(text);
+  const source = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field.trim());
+      if (row.some(cell => cell !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field.trim());
+  if (row.some(cell => cell !== '')) rows.push(row);
+
+  return rows;
+};
+
+export default parseCsv;
@@ -0,0 +1,182 @@
+// Indonesian email templates. Each template returns { subject, intro, details, outro, action }
+// and renderEmail() turns that into matching plain-text and HTML bodies.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const bookingDetails = (data) => [
+  ['Kode booking', data.booking_code],
+  ['Lapangan', data.field_name],
+  ['Tanggal', data.date],
+  ['Jam', data.time_range]
+];
+
+const templates = {
+  booking_created: (data) => ({
+    subject: `Booking ${data.booking_code} berhasil dibuat`,
+    intro: [`Halo ${data.customer_name},`, 'Booking Anda sudah kami terima. Slot akan kami tahan sampai batas waktu pembayaran.'],
+    details: [
+      ...bookingDetails(data),
+      ['Total', data.total],
+      ...(data.transfer_amount ? [['Nominal transfer', `${data.transfer_amount} (termasuk kode unik)`]] : []),
+      ['Batas pembayaran', data.payment_deadline]
+    ],
+    outro: ['Booking yang belum dibayar sampai batas waktu akan dibatalkan otomatis.'],
+    action: data.booking_url && { label: 'Lihat booking', url: data.booking_url }
+  }),
+
+  booking_approved: (data) => ({
+    subject: `Booking ${data.booking_code} telah disetujui`,
+    intro: [`Halo ${data.customer_name},`, 'Booking Anda telah disetujui oleh pengelola lapangan.'],
+    details: [...bookingDetails(data), ...(data.notes ? [['Catatan', data.notes]] : [])],
+    outro: ['Sampai jumpa di lapangan!'],
+    action: data.booking_url && { label: 'Lihat booking', url: data.booking_url }
+  }),
+
+  booking_rejected: (data) => ({
+    subject: `Booking ${data.booking_code} ditolak`,
+    intro: [`Halo ${data.customer_name},`, 'Mohon maaf, booking Anda tidak dapat kami proses.'],
+    details: [...bookingDetails(data), ['Alasan', data.reason]],
+    outro: ['Silakan pilih jadwal lain atau hubungi kami untuk informasi lebih lanjut.']
+  }),
+
+  booking_cancelled: (data) => ({
+    subject: `Booking ${data.booking_code} dibatalkan`,
+    intro: [`Halo ${data.customer_name},`, 'Booking berikut telah dibatalkan.'],
+    details: [
+      ...bookingDetails(data),
+      ...(data.reason ? [['Alasan', data.reason]] : []),
+      ...(data.refund_amount ? [['Refund', `${data.refund_amount} (${data.refund_status})`]] : [])
+    ],
+    outro: data.refund_amount
+      ? ['Refund akan ditransfer ke rekening Anda setelah diproses kasir.']
+      : ['Terima kasih telah menggunakan layanan kami.']
+  }),
+
+  booking_reminder: (data) => ({
+    subject: `Pengingat: main ${data.time_label} di ${data.field_name}`,
+    intro: [`Halo ${data.customer_name},`, `Jadwal main Anda tinggal ${data.time_label}.`],
+    details: [
+      ...bookingDetails(data),
+      ...(data.outstanding ? [['Sisa pembayaran', data.outstanding]] : [])
+    ],
+    outro: [
+      'Tunjukkan QR check-in di aplikasi kepada kasir saat tiba.',
+      ...(data.outstanding ? ['Mohon lunasi sisa pembayaran sebelum bermain.'] : [])
+    ],
+    action: data.booking_url && { label: 'Buka QR check-in', url: data.booking_url }
+  }),
+
+  payment_submitted: (data) => ({
+    subject: `Pembayaran untuk booking ${data.booking_code} sedang diverifikasi`,
+    intro: [`Halo ${data.customer_name},`, 'Bukti pembayaran Anda sudah kami terima dan sedang diverifikasi kasir.'],
+    details: [
+      ['Kode booking', data.booking_code],
+      ['Jenis pembayaran', data.payment_type],
+      ['Jumlah', data.amount],
+      ['Tanggal transfer', data.transfer_date]
+    ],
+    outro: ['Anda akan menerima email lagi setelah pembayaran diverifikasi.']
+  }),
+
+  payment_approved: (data) => ({
+    subject: `Pembayaran booking ${data.booking_code} terverifikasi`,
+    intro: [`Halo ${data.customer_name},`, 'Pembayaran Anda telah diverifikasi. Booking Anda terkonfirmasi.'],
+    details: [
+      ...bookingDetails(data),
+      ['Jenis pembayaran', data.payment_type],
+      ['Jumlah', data.amount],
+      ...(data.outstanding ? [['Sisa tagihan', data.outstanding]] : [])
+    ],
+    outro: data.outstanding
+      ? ['Sisa tagihan dapat dilunasi secara online atau di kasir sebelum bermain.']
+      : ['Kwitansi dapat diunduh dari halaman pembayaran.'],
+    action: data.receipt_url && { label: 'Unduh kwitansi', url: data.receipt_url }
+  }),
+
+  payment_rejected: (data) => ({
+    subject: `Pembayaran booking ${data.booking_code} ditolak`,
+    intro: [`Halo ${data.customer_name},`, 'Mohon maaf, pembayaran Anda belum dapat kami verifikasi.'],
+    details: [
+      ['Kode booking', data.booking_code],
+      ['Jumlah', data.amount],
+      ['Alasan', data.reason],
+      ...(data.payment_deadline ? [['Unggah ulang sebelum', data.payment_deadline]] : [])
+    ],
+    outro: ['Silakan unggah ulang bukti transfer yang benar agar booking tidak dibatalkan.'],
+    action: data.booking_url && { label: 'Unggah ulang bukti', url: data.booking_url }
+  }),
+
+  password_reset: (data) => ({
+    subject: 'Reset password akun Anda',
+    intro: [`Halo ${data.customer_name},`, 'Kami menerima permintaan untuk mengatur ulang password akun Anda.'],
+    details: [],
+    outro: [
+      `Tautan berlaku selama ${data.expires_in}.`,
+      'Abaikan email ini jika Anda tidak meminta reset password.'
+    ],
+    action: { label: 'Atur ulang password', url: data.reset_url }
+  }),
+
+  email_verification: (data) => ({
+    subject: 'Verifikasi email akun Anda',
+    intro: [`Halo ${data.customer_name},`, 'Konfirmasi bahwa alamat email ini milik Anda untuk mengaktifkan akun.'],
+    details: [],
+    outro: [
+      `Tautan berlaku selama ${data.expires_in}.`,
+      'Abaikan email ini jika Anda tidak mendaftar.'
+    ],
+    action: { label: 'Verifikasi email', url: data.verify_url }
+  })
+};
+
+export const hasEmailTemplate = (event) => !!templates[event];
+
+export const renderEmail = (event, data, venueName) => {
+  const template = templates[event];
+  if (!template) {
+    throw new Error(`Template email tidak ditemukan: ${event}`);
+  }
+
+  const { subject, intro, details, outro, action } = template(data);
+  const rows = details.filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  const text = [
+    intro,
+    rows.map(([label, value]) => `${label}: ${value}`),
+    outro,
+    action ? [`${action.label}: ${action.url}`] : [],
+    ['Salam,', venueName]
+  ]
+    .filter(section => section.length > 0)
+    .map(section => section.join('\n'))
+    .join('\n\n');
+
+  const html = `<!DOCTYPE html>
+<html lang="id">
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:Helvetica,Arial,sans-serif;color:#111827;">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;overflow:hidden;">
+    <div style="background:#1f6f43;color:#ffffff;padding:16px 24px;font-size:18px;font-weight:bold;">${escapeHtml(venueName)}</div>
+    <div style="padding:24px;font-size:14px;line-height:1.6;">
+      ${intro.map(line => `<p style="margin:0 0 12px;">${escapeHtml(line)}</p>`).join('')}
+      ${rows.length ? `<table style="width:100%;border-collapse:collapse;margin:12px 0;">
+        ${rows.map(([label, value]) => `<tr>
+          <td style="padding:6px 0;color:#6b7280;width:40%;vertical-align:top;">${escapeHtml(label)}</td>
+          <td style="padding:6px 0;font-weight:bold;">${escapeHtml(value)}</td>
+        </tr>`).join('')}
+      </table>` : ''}
+      ${outro.map(line => `<p style="margin:0 0 12px;">${escapeHtml(line)}</p>`).join('')}
+      ${action ? `<p style="margin:20px 0;"><a href="${escapeHtml(action.url)}" style="background:#1f6f43;color:#ffffff;padding:10px 18px;border-radius:6px;text-decoration:none;">${escapeHtml(action.label)}</a></p>` : ''}
+    </div>
+    <div style="padding:12px 24px;font-size:12px;color:#6b7280;border-top:1px solid #e5e7eb;">Email ini dikirim otomatis, mohon tidak membalas.</div>
+  </div>
+</body>
+</html>`;
+
+  return { subject, text, html };
+};
+
+export default renderEmail;
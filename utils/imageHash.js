@@ -0,0 +1,62 @@
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+
+// Difference hash (dHash) of a JPEG/PNG: the image is shrunk to 9x8 grayscale and each bit
+// records whether a pixel is brighter than its right neighbour. Re-saved, recompressed or
+// resized copies of the same screenshot land within a few bits of each other.
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const MAX_RESOLUTION_MP = 50;
+
+const decodeImage = (buffer, mimetype) => {
+  if (mimetype === 'image/png') {
+    const { width, height, data } = PNG.sync.read(buffer);
+    return { width, height, data };
+  }
+  if (mimetype === 'image/jpeg' || mimetype === 'image/jpg') {
+    return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_RESOLUTION_MP });
+  }
+  return null;
+};
+
+// Average luminance of every source pixel that falls in each target cell
+const toGrayscaleGrid = ({ width, height, data }) => {
+  const sums = new Float64Array(HASH_WIDTH * HASH_HEIGHT);
+  const counts = new Uint32Array(HASH_WIDTH * HASH_HEIGHT);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(HASH_HEIGHT - 1, Math.floor(y * HASH_HEIGHT / height));
+    for (let x = 0; x < width; x++) {
+      const col = Math.min(HASH_WIDTH - 1, Math.floor(x * HASH_WIDTH / width));
+      const i = (y * width + x) * 4;
+      // Transparent pixels count as white, the usual screenshot background
+      const alpha = data[i + 3] / 255;
+      const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      sums[row * HASH_WIDTH + col] += luma * alpha + 255 * (1 - alpha);
+      counts[row * HASH_WIDTH + col]++;
+    }
+  }
+
+  return Array.from(sums, (sum, cell) => sum / Math.max(1, counts[cell]));
+};
+
+// 16-char hex hash, or null for PDFs and images that cannot be decoded
+export const computeDHash = (buffer, mimetype) => {
+  const image = decodeImage(buffer, mimetype);
+  if (!image || !image.width || !image.height) return null;
+
+  const grid = toGrayscaleGrid(image);
+  let hash = 0n;
+  for (let row = 0; row < HASH_HEIGHT; row++) {
+    for (let col = 0; col < HASH_WIDTH - 1; col++) {
+      const left = grid[row * HASH_WIDTH + col];
+      const right = grid[row * HASH_WIDTH + col + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+};
+
+export default computeDHash;
@@ -0,0 +1,66 @@
+// Titles and one-paragraph bodies for the in-app inbox. Same data shape as the email
+// templates, kept short enough for a notification dropdown.
+
+const schedule = (data) => `${data.field_name}, ${data.date} jam ${data.time_range}`;
+
+const templates = {
+  booking_created: (data) => ({
+    title: 'Booking berhasil dibuat',
+    message: `Booking ${data.booking_code} (${schedule(data)}) menunggu pembayaran` +
+      (data.payment_deadline ? ` sebelum ${data.payment_deadline}.` : '.')
+  }),
+
+  booking_approved: (data) => ({
+    title: 'Booking disetujui',
+    message: `Booking ${data.booking_code} (${schedule(data)}) telah disetujui.`
+  }),
+
+  booking_rejected: (data) => ({
+    title: 'Booking ditolak',
+    message: `Booking ${data.booking_code} (${schedule(data)}) ditolak. Alasan: ${data.reason || '-'}`
+  }),
+
+  booking_cancelled: (data) => ({
+    title: 'Booking dibatalkan',
+    message: `Booking ${data.booking_code} (${schedule(data)}) dibatalkan.` +
+      (data.reason ? ` Alasan: ${data.reason}.` : '') +
+      (data.refund_amount ? ` Refund ${data.refund_amount} sedang diproses.` : '')
+  }),
+
+  booking_expired: (data) => ({
+    title: 'Booking kedaluwarsa',
+    message: `Booking ${data.booking_code} (${schedule(data)}) dibatalkan otomatis karena ` +
+      'pembayaran tidak diterima sebelum batas waktu.'
+  }),
+
+  payment_approved: (data) => ({
+    title: 'Pembayaran diterima',
+    message: `Pembayaran ${data.payment_type} ${data.amount} untuk booking ${data.booking_code} telah diverifikasi.` +
+      (data.outstanding ? ` Sisa pembayaran: ${data.outstanding}.` : '')
+  }),
+
+  payment_rejected: (data) => ({
+    title: 'Pembayaran ditolak',
+    message: `Pembayaran Anda ditolak: ${data.reason || '-'}. ` +
+      `Silakan unggah ulang bukti pembayaran untuk booking ${data.booking_code}` +
+      (data.payment_deadline ? ` sebelum ${data.payment_deadline}.` : '.')
+  }),
+
+  payment_to_verify: (data) => ({
+    title: 'Pembayaran baru perlu diverifikasi',
+    message: `${data.customer_name} mengirim pembayaran ${data.payment_type} ${data.amount} ` +
+      `untuk booking ${data.booking_code} (${schedule(data)}).` +
+      (data.risk_note ? ` Perhatian: ${data.risk_note}.` : '')
+  })
+};
+
+export const renderInbox = (type, data) => {
+  const template = templates[type];
+  if (!template) {
+    throw new Error(`Template notifikasi tidak ditemukan: ${type}`);
+  }
+
+  return template(data);
+};
+
+export default renderInbox;
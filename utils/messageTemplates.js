@@ -0,0 +1,29 @@
+// Short Indonesian WhatsApp/SMS texts. `params` lists the same values in order for
+// providers that send pre-approved templates ({{1}}, {{2}}, ...) instead of free text.
+
+const templates = {
+  booking_confirmed: (data, venueName) => ({
+    text: `Halo ${data.customer_name}, booking ${data.booking_code} di ${venueName} terkonfirmasi: ` +
+      `${data.field_name}, ${data.date} jam ${data.time_range}. Tunjukkan QR check-in di aplikasi saat tiba.`,
+    params: [data.customer_name, data.booking_code, data.field_name, data.date, data.time_range]
+  }),
+
+  booking_reminder: (data, venueName) => ({
+    text: `Halo ${data.customer_name}, pengingat: jadwal main Anda di ${venueName} ${data.time_label} ` +
+      `(${data.field_name}, ${data.date} jam ${data.time_range}).` +
+      (data.outstanding ? ` Sisa pembayaran ${data.outstanding} mohon dilunasi sebelum bermain.` : ''),
+    params: [data.customer_name, data.field_name, data.date, data.time_range, data.time_label]
+  })
+};
+
+export const renderMessage = (event, data, venueName) => {
+  const template = templates[event];
+  if (!template) {
+    throw new Error(`Template pesan tidak ditemukan: ${event}`);
+  }
+
+  const { text, params } = template(data, venueName);
+  return { text, params: params.map(value => String(value ?? '-')) };
+};
+
+export default renderMessage;
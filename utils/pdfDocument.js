@@ -0,0 +1,135 @@
+import PDFDocument from 'pdfkit';
+
+// Layout helpers for invoices and receipts (A4, built-in Helvetica, no external assets)
+const PAGE_MARGIN = 50;
+const BRAND_COLOR = '#1f6f43';
+const MUTED_COLOR = '#6b7280';
+
+export const formatRupiah = (amount) => `Rp ${Number(amount || 0).toLocaleString('id-ID')}`;
+
+export const renderPdf = (draw, info = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    draw(doc);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+const contentWidth = (doc) => doc.page.width - PAGE_MARGIN * 2;
+
+export const drawHeader = (doc, venue, title, number) => {
+  const top = PAGE_MARGIN;
+
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(18).text(venue.name, PAGE_MARGIN, top);
+  doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(9);
+  [venue.address, venue.phone, venue.email].filter(Boolean).forEach(line => doc.text(line));
+
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(16)
+    .text(title, PAGE_MARGIN, top, { width: contentWidth(doc), align: 'right' });
+  doc.font('Helvetica').fontSize(10)
+    .text(number, PAGE_MARGIN, top + 22, { width: contentWidth(doc), align: 'right' });
+
+  const lineY = Math.max(doc.y, top + 50) + 10;
+  doc.moveTo(PAGE_MARGIN, lineY).lineTo(doc.page.width - PAGE_MARGIN, lineY)
+    .lineWidth(1.5).strokeColor(BRAND_COLOR).stroke();
+  doc.y = lineY + 15;
+};
+
+// Two columns of "label: value" rows side by side
+export const drawDetails = (doc, left, right = []) => {
+  const columnWidth = contentWidth(doc) / 2 - 10;
+  const labelWidth = 95;
+  const startY = doc.y;
+
+  const drawColumn = (rows, x) => {
+    let y = startY;
+    rows.forEach(([label, value]) => {
+      doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR).text(label, x, y, { width: labelWidth });
+      doc.font('Helvetica').fontSize(9).fillColor('#000000')
+        .text(String(value ?? '-'), x + labelWidth, y, { width: columnWidth - labelWidth });
+      y = Math.max(doc.y, y + 13) + 2;
+    });
+    return y;
+  };
+
+  const endY = Math.max(drawColumn(left, PAGE_MARGIN), drawColumn(right, PAGE_MARGIN + columnWidth + 20));
+  doc.y = endY + 10;
+};
+
+export const drawSectionTitle = (doc, title) => {
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(BRAND_COLOR).text(title, PAGE_MARGIN, doc.y);
+  doc.moveDown(0.4);
+};
+
+// columns: [{ label, width (fraction), align }]
+export const drawTable = (doc, columns, rows) => {
+  const width = contentWidth(doc);
+  const drawRow = (cells, { bold = false, fill = null } = {}) => {
+    const y = doc.y;
+    const heights = cells.map((cell, i) => doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+      .heightOfString(String(cell ?? ''), { width: columns[i].width * width - 8 }));
+    const height = Math.max(...heights) + 8;
+
+    if (y + height > doc.page.height - PAGE_MARGIN) {
+      doc.addPage();
+      return drawRow(cells, { bold, fill });
+    }
+
+    if (fill) doc.rect(PAGE_MARGIN, y, width, height).fill(fill);
+
+    let x = PAGE_MARGIN;
+    cells.forEach((cell, i) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#000000')
+        .text(String(cell ?? ''), x + 4, y + 4, { width: columns[i].width * width - 8, align: columns[i].align || 'left' });
+      x += columns[i].width * width;
+    });
+
+    doc.moveTo(PAGE_MARGIN, y + height).lineTo(PAGE_MARGIN + width, y + height)
+      .lineWidth(0.5).strokeColor('#d1d5db').stroke();
+    doc.y = y + height;
+  };
+
+  drawRow(columns.map(column => column.label), { bold: true, fill: '#e8f3ec' });
+  rows.forEach(row => drawRow(row));
+  doc.moveDown(0.8);
+};
+
+// Right-aligned summary block; rows: [label, value, { bold }]
+export const drawTotals = (doc, rows) => {
+  const width = 230;
+  const x = doc.page.width - PAGE_MARGIN - width;
+
+  rows.forEach(([label, value, options = {}]) => {
+    const y = doc.y;
+    const font = options.bold ? 'Helvetica-Bold' : 'Helvetica';
+    doc.font(font).fontSize(options.bold ? 11 : 9).fillColor('#000000')
+      .text(label, x, y, { width: width / 2 })
+      .text(value, x + width / 2, y, { width: width / 2, align: 'right' });
+    doc.y = Math.max(doc.y, y + 14) + 2;
+  });
+  doc.moveDown(0.8);
+};
+
+export const drawStamp = (doc, text, color = BRAND_COLOR) => {
+  const y = doc.y;
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(color);
+  const width = doc.widthOfString(text) + 20;
+  doc.rect(PAGE_MARGIN, y, width, 26).lineWidth(2).strokeColor(color).stroke();
+  doc.text(text, PAGE_MARGIN + 10, y + 6);
+  doc.fillColor('#000000');
+  doc.y = y + 40;
+};
+
+export const drawFooter = (doc, lines) => {
+  doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR);
+  lines.filter(Boolean).forEach(line => doc.text(line, PAGE_MARGIN, doc.y, { width: contentWidth(doc) }));
+  doc.fillColor('#000000');
+};
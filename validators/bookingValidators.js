@@ -21,9 +21,11 @@ export const validateBookingTime = (time) => {
   return hours >= 0 && hours <= 23 && minutes >= 0 && minutes <= 59;
 };
 
-// Validate booking time within field operational hours
+// Validate booking time within field operational hours.
+// Pass the hours resolved for the booking date; a closed day has no open/close time.
 export const validateBookingWithinOperationalHours = (bookingTime, openTime, closeTime) => {
   if (!validateBookingTime(bookingTime)) return false;
+  if (!openTime || !closeTime) return false;
   
   const [bookingHour] = bookingTime.split(':').map(Number);
   const [openHour] = openTime.split(':').map(Number);
@@ -70,9 +72,21 @@ export const BOOKING_STATUSES = [
   'completed',
   'pending_payment',
   'dp_confirmed',
-  'rejected'
+  'rejected',
+  'expired',
+  'no_show'
 ];
 
+// Check-in opens shortly before the slot and closes when it ends; the sweep only
+// settles recent slots so bookings from before check-in existed stay untouched
+export const CHECK_IN_WINDOW = {
+  EARLY_MINUTES: 30,
+  SWEEP_LOOKBACK_DAYS: 2
+};
+
+// Where the booking was entered: by the customer or by a cashier at the desk
+export const BOOKING_CHANNELS = ['online', 'walk_in'];
+
 export const validateBookingStatus = (status) => {
   return BOOKING_STATUSES.includes(status);
 };
@@ -87,13 +101,184 @@ export const validateDurationRange = (duration) => {
   return duration >= DURATION_LIMITS.MIN && duration <= DURATION_LIMITS.MAX;
 };
 
+// Recurring booking series
+export const SERIES_FREQUENCIES = {
+  weekly: 7,
+  biweekly: 14
+};
+
+export const SERIES_LIMITS = {
+  MIN_OCCURRENCES: 2,
+  MAX_OCCURRENCES: 26,
+  MAX_DAYS_AHEAD: 182 // ~6 bulan
+};
+
+export const validateSeriesFrequency = (frequency) => {
+  return Object.keys(SERIES_FREQUENCIES).includes(frequency);
+};
+
+// Series occurrences may go beyond the 30-day window, up to the series horizon
+export const validateSeriesDateNotTooFar = (date) => {
+  const bookingDate = new Date(date);
+  const maxDate = new Date();
+  maxDate.setDate(maxDate.getDate() + SERIES_LIMITS.MAX_DAYS_AHEAD);
+
+  return bookingDate <= maxDate;
+};
+
+// Payment hold: how long an unpaid booking keeps its slot (minutes).
+// Override per field type with PAYMENT_HOLD_MINUTES_<JENIS>, e.g. PAYMENT_HOLD_MINUTES_FUTSAL=45,
+// or for every type with PAYMENT_HOLD_MINUTES.
+export const PAYMENT_HOLD_MINUTES = {
+  DEFAULT: 60,
+  Futsal: 60,
+  Badminton: 30,
+  Tenis: 60,
+  Basket: 60,
+  Voli: 60
+};
+
+export const getPaymentHoldMinutes = (fieldType) => {
+  const envValue = parseInt(
+    process.env[`PAYMENT_HOLD_MINUTES_${String(fieldType || '').toUpperCase()}`] ||
+    process.env.PAYMENT_HOLD_MINUTES
+  );
+
+  if (envValue > 0) return envValue;
+
+  return PAYMENT_HOLD_MINUTES[fieldType] || PAYMENT_HOLD_MINUTES.DEFAULT;
+};
+
+// Hold ends after the hold duration, but never later than the booking start
+export const calculatePaymentDeadline = (fieldType, tanggalBooking, jamBooking, from = new Date()) => {
+  const holdDeadline = moment(from).add(getPaymentHoldMinutes(fieldType), 'minutes');
+
+  if (tanggalBooking && jamBooking) {
+    const bookingStart = moment.tz(
+      `${moment.utc(tanggalBooking).format('YYYY-MM-DD')} ${jamBooking}`,
+      'YYYY-MM-DD HH:mm',
+      'Asia/Jakarta'
+    );
+
+    if (bookingStart.isValid() && bookingStart.isBefore(holdDeadline)) {
+      return bookingStart.toDate();
+    }
+  }
+
+  return holdDeadline.toDate();
+};
+
+// Reschedule policy for customers. Override with RESCHEDULE_MIN_HOURS,
+// RESCHEDULE_MAX_COUNT and RESCHEDULE_REQUIRE_PAYMENT=false.
+export const RESCHEDULE_POLICY = {
+  MIN_HOURS_BEFORE: 24,
+  MAX_RESCHEDULES: 2,
+  REQUIRE_PAYMENT_VERIFIED: true
+};
+
+export const RESCHEDULE_PAID_STATUSES = ['dp_confirmed', 'fully_paid', 'verified', 'admin_approved'];
+
+export const getReschedulePolicy = () => {
+  const minHours = parseInt(process.env.RESCHEDULE_MIN_HOURS);
+  const maxCount = parseInt(process.env.RESCHEDULE_MAX_COUNT);
+
+  return {
+    min_hours_before: minHours >= 0 ? minHours : RESCHEDULE_POLICY.MIN_HOURS_BEFORE,
+    max_reschedules: maxCount >= 0 ? maxCount : RESCHEDULE_POLICY.MAX_RESCHEDULES,
+    require_payment_verified: process.env.RESCHEDULE_REQUIRE_PAYMENT
+      ? process.env.RESCHEDULE_REQUIRE_PAYMENT !== 'false'
+      : RESCHEDULE_POLICY.REQUIRE_PAYMENT_VERIFIED
+  };
+};
+
+// Cancellation refund tiers, checked from the top: the first tier whose
+// min_hours_before is met decides the refund. Override with
+// CANCELLATION_TIERS="48:100,24:50,0:0". A DP is refunded only when cancelled
+// at least DP_REFUND_MIN_HOURS before the start, otherwise it is forfeited.
+export const CANCELLATION_POLICY = {
+  TIERS: [
+    { min_hours_before: 48, refund_percentage: 100 },
+    { min_hours_before: 24, refund_percentage: 50 },
+    { min_hours_before: 0, refund_percentage: 0 }
+  ],
+  DP_REFUND_MIN_HOURS: 72,
+  DP_REFUND_PERCENTAGE: 100
+};
+
+const parseCancellationTiers = (value) => {
+  if (!value) return null;
+
+  const tiers = value.split(',').map(part => {
+    const [hours, percentage] = part.split(':').map(Number);
+    return { min_hours_before: hours, refund_percentage: percentage };
+  });
+
+  const valid = tiers.every(tier =>
+    tier.min_hours_before >= 0 && tier.refund_percentage >= 0 && tier.refund_percentage <= 100
+  );
+  return valid ? tiers.sort((a, b) => b.min_hours_before - a.min_hours_before) : null;
+};
+
+export const getCancellationPolicy = () => {
+  const dpMinHours = parseInt(process.env.DP_REFUND_MIN_HOURS);
+
+  return {
+    tiers: parseCancellationTiers(process.env.CANCELLATION_TIERS) || CANCELLATION_POLICY.TIERS,
+    dp_refund_min_hours: dpMinHours >= 0 ? dpMinHours : CANCELLATION_POLICY.DP_REFUND_MIN_HOURS,
+    dp_refund_percentage: CANCELLATION_POLICY.DP_REFUND_PERCENTAGE
+  };
+};
+
+// ✅ Refund for a cancelled booking; paidAmount is what the customer actually transferred
+export const calculateCancellationRefund = ({ paidAmount, paymentType, hoursBefore, policy = getCancellationPolicy() }) => {
+  let refundPercentage = 0;
+  let rule;
+
+  if (paymentType === 'dp_payment') {
+    if (hoursBefore >= policy.dp_refund_min_hours) {
+      refundPercentage = policy.dp_refund_percentage;
+      rule = `DP dikembalikan ${refundPercentage}% (dibatalkan >= ${policy.dp_refund_min_hours} jam sebelum jadwal)`;
+    } else {
+      rule = `DP hangus (dibatalkan kurang dari ${policy.dp_refund_min_hours} jam sebelum jadwal)`;
+    }
+  } else {
+    const tier = policy.tiers.find(item => hoursBefore >= item.min_hours_before);
+    const refundableHours = policy.tiers
+      .filter(item => item.refund_percentage > 0)
+      .map(item => item.min_hours_before);
+
+    if (tier?.refund_percentage > 0) {
+      refundPercentage = tier.refund_percentage;
+      rule = `Refund ${refundPercentage}% (dibatalkan >= ${tier.min_hours_before} jam sebelum jadwal)`;
+    } else if (refundableHours.length > 0) {
+      rule = `Tidak ada refund (dibatalkan kurang dari ${Math.min(...refundableHours)} jam sebelum jadwal)`;
+    } else {
+      rule = 'Tidak ada refund';
+    }
+  }
+
+  const refundAmount = Math.floor(paidAmount * refundPercentage / 100);
+
+  return {
+    paid_amount: paidAmount,
+    refund_percentage: refundPercentage,
+    refund_amount: refundAmount,
+    forfeited_amount: paidAmount - refundAmount,
+    rule
+  };
+};
+
 // Pre-save validation functions for model
 export const validateBookingDateRange = function(next) {
   if (!validateBookingDate(this.tanggal_booking)) {
     return next(new Error('Tanggal booking tidak boleh di masa lalu'));
   }
   
-  if (!validateBookingNotTooFar(this.tanggal_booking)) {
+  if (this.series) {
+    if (!validateSeriesDateNotTooFar(this.tanggal_booking)) {
+      return next(new Error(`Booking berulang maksimal ${SERIES_LIMITS.MAX_DAYS_AHEAD} hari ke depan`));
+    }
+  } else if (!validateBookingNotTooFar(this.tanggal_booking)) {
     return next(new Error('Booking maksimal 30 hari ke depan'));
   }
   
@@ -129,4 +314,51 @@ export const validateBookingPrice = (price) => {
 // Validate ObjectId format
 export const validateObjectId = (id) => {
   return /^[0-9a-fA-F]{24}$/.test(id);
-};
\ No newline at end of file
+};
+
+// Promo codes / vouchers
+export const VOUCHER_DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+// Discounted bookings never drop below this amount
+export const MIN_DISCOUNTED_PRICE = 1000;
+
+export const normalizeVoucherCode = (code) => {
+  return String(code || '').trim().toUpperCase();
+};
+
+export const validateVoucherCode = (code) => {
+  return /^[A-Z0-9_-]{4,20}$/.test(code);
+};
+
+export const validateVoucherRules = function(next) {
+  if (this.tipe_diskon === 'percentage' && (this.nilai <= 0 || this.nilai > 100)) {
+    return next(new Error('Persentase diskon harus antara 1 dan 100'));
+  }
+
+  if (this.tipe_diskon === 'fixed' && this.nilai <= 0) {
+    return next(new Error('Nilai diskon harus lebih dari 0'));
+  }
+
+  if (this.tanggal_mulai && this.tanggal_selesai && this.tanggal_selesai < this.tanggal_mulai) {
+    return next(new Error('Tanggal selesai tidak boleh sebelum tanggal mulai'));
+  }
+
+  if ((this.jenis_lapangan || []).some(type => !FIELD_TYPES_FOR_BOOKING.includes(type))) {
+    return next(new Error(`Jenis lapangan harus salah satu dari: ${FIELD_TYPES_FOR_BOOKING.join(', ')}`));
+  }
+
+  next();
+};
+
+// Percentage discounts respect maks_diskon; the booking keeps at least MIN_DISCOUNTED_PRICE
+export const calculateVoucherDiscount = (voucher, harga) => {
+  let diskon = voucher.tipe_diskon === 'percentage'
+    ? Math.round(harga * voucher.nilai / 100)
+    : voucher.nilai;
+
+  if (voucher.maks_diskon) {
+    diskon = Math.min(diskon, voucher.maks_diskon);
+  }
+
+  return Math.max(0, Math.min(diskon, harga - MIN_DISCOUNTED_PRICE));
+};
@@ -1,3 +1,5 @@
+import moment from 'moment-timezone';
+
 // Field-specific validation functions
 export const validateTimeFormat = (time) => {
   const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
@@ -40,6 +42,64 @@ export const validateImageUrl = (url) => {
 
 export const FIELD_TYPES = ['Badminton', 'Futsal', 'Tenis', 'Basket', 'Voli'];
 
+// Weekly schedule: 0 = Minggu ... 6 = Sabtu (same as moment().day())
+export const WEEKDAY_NAMES = ['Minggu', 'Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu'];
+
+export const validateOpeningWindow = (jamBuka, jamTutup) => {
+  if (!validateTimeFormat(jamBuka) || !validateTimeFormat(jamTutup)) return false;
+
+  const [openHour, openMin] = jamBuka.split(':').map(Number);
+  const [closeHour, closeMin] = jamTutup.split(':').map(Number);
+
+  return (closeHour * 60 + closeMin) - (openHour * 60 + openMin) >= 60;
+};
+
+export const validateWeeklySchedule = (schedule) => {
+  if (!Array.isArray(schedule)) return false;
+
+  const days = schedule.map(day => day.hari);
+  if (new Set(days).size !== days.length) return false;
+
+  return schedule.every(day =>
+    Number.isInteger(day.hari) && day.hari >= 0 && day.hari <= 6 &&
+    (day.tutup || validateOpeningWindow(day.jam_buka, day.jam_tutup))
+  );
+};
+
+// ✅ Effective hours for one date: holiday override > weekly schedule > default pair
+export const resolveOperatingHours = (field, tanggal, holiday = null) => {
+  const weekday = moment.utc(tanggal).day();
+  let hours = {
+    closed: false,
+    jam_buka: field.jam_buka || '08:00',
+    jam_tutup: field.jam_tutup || '22:00',
+    source: 'default',
+    hari: WEEKDAY_NAMES[weekday]
+  };
+
+  const daySchedule = (field.jadwal_mingguan || []).find(day => day.hari === weekday);
+  if (daySchedule) {
+    hours = daySchedule.tutup
+      ? { ...hours, closed: true, jam_buka: null, jam_tutup: null, source: 'weekly' }
+      : { ...hours, jam_buka: daySchedule.jam_buka, jam_tutup: daySchedule.jam_tutup, source: 'weekly' };
+  }
+
+  if (holiday) {
+    hours = holiday.tutup
+      ? { ...hours, closed: true, jam_buka: null, jam_tutup: null, source: 'holiday', holiday: holiday.nama }
+      : {
+        ...hours,
+        closed: false,
+        jam_buka: holiday.jam_buka,
+        jam_tutup: holiday.jam_tutup,
+        source: 'holiday',
+        holiday: holiday.nama
+      };
+  }
+
+  return hours;
+};
+
 export const PRICE_LIMITS = {
   MIN: 1000,
   MAX: 10000000
@@ -58,4 +118,90 @@ export const validateFieldOperatingHours = function(next) {
     return next(new Error('Jam operasional minimal 1 jam'));
   }
   next();
-};
\ No newline at end of file
+};
+
+// Blackout / maintenance windows
+export const BLACKOUT_TYPES = ['maintenance', 'tournament', 'private_event', 'lainnya'];
+
+export const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+export const validateBlackoutType = (type) => {
+  return BLACKOUT_TYPES.includes(type);
+};
+
+// A blackout covers whole days unless both jam_mulai and jam_selesai are set
+export const validateBlackoutRange = function(next) {
+  if (this.tanggal_mulai && this.tanggal_selesai && this.tanggal_selesai < this.tanggal_mulai) {
+    return next(new Error('Tanggal selesai tidak boleh sebelum tanggal mulai'));
+  }
+
+  if (!!this.jam_mulai !== !!this.jam_selesai) {
+    return next(new Error('Jam mulai dan jam selesai harus diisi bersamaan'));
+  }
+
+  if (this.jam_mulai && timeToMinutes(this.jam_mulai) >= timeToMinutes(this.jam_selesai)) {
+    return next(new Error('Jam mulai harus lebih awal dari jam selesai'));
+  }
+
+  next();
+};
+
+// Dynamic pricing rules
+export const PRICING_RULE_TYPES = ['peak_hour', 'weekend', 'holiday', 'promo'];
+
+// percentage: +/- % of the base hourly price, fixed: +/- rupiah per hour, override: replaces the hourly price
+export const PRICING_ADJUSTMENTS = ['percentage', 'fixed', 'override'];
+
+export const WEEKEND_DAYS = [0, 6];
+
+export const validatePricingRuleType = (type) => {
+  return PRICING_RULE_TYPES.includes(type);
+};
+
+export const validatePricingAdjustment = (adjustment) => {
+  return PRICING_ADJUSTMENTS.includes(adjustment);
+};
+
+// A rule targets either one field or a whole jenis_lapangan
+export const validatePricingRule = function(next) {
+  if (!!this.lapangan === !!this.jenis_lapangan) {
+    return next(new Error('Aturan harga harus berlaku untuk satu lapangan atau satu jenis lapangan'));
+  }
+
+  if (this.tipe === 'promo' && !this.tanggal_mulai) {
+    return next(new Error('Harga promo harus memiliki tanggal mulai'));
+  }
+
+  if (this.tanggal_mulai && this.tanggal_selesai && this.tanggal_selesai < this.tanggal_mulai) {
+    return next(new Error('Tanggal selesai tidak boleh sebelum tanggal mulai'));
+  }
+
+  if (!!this.jam_mulai !== !!this.jam_selesai) {
+    return next(new Error('Jam mulai dan jam selesai harus diisi bersamaan'));
+  }
+
+  if (this.jam_mulai && timeToMinutes(this.jam_mulai) >= timeToMinutes(this.jam_selesai)) {
+    return next(new Error('Jam mulai harus lebih awal dari jam selesai'));
+  }
+
+  if (this.tipe === 'peak_hour' && !this.jam_mulai) {
+    return next(new Error('Jam sibuk harus memiliki jam mulai dan jam selesai'));
+  }
+
+  if ((this.hari || []).some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return next(new Error('Hari harus berupa angka 0 (Minggu) sampai 6 (Sabtu)'));
+  }
+
+  if (this.penyesuaian === 'percentage' && (this.nilai <= -100 || this.nilai > 500)) {
+    return next(new Error('Persentase penyesuaian harus di antara -100 dan 500'));
+  }
+
+  if (this.penyesuaian === 'override' && (this.nilai < PRICE_LIMITS.MIN || this.nilai > PRICE_LIMITS.MAX)) {
+    return next(new Error(`Harga pengganti harus antara ${PRICE_LIMITS.MIN} dan ${PRICE_LIMITS.MAX}`));
+  }
+
+  next();
+};
@@ -0,0 +1,81 @@
+// ============= CONSTANTS =============
+export const NOTIFICATION_EVENTS = [
+  'booking_created',
+  'booking_approved',
+  'booking_rejected',
+  'booking_cancelled',
+  'booking_confirmed',
+  'booking_reminder',
+  'payment_submitted',
+  'payment_approved',
+  'payment_rejected',
+  'password_reset',
+  'email_verification'
+];
+
+export const NOTIFICATION_CHANNELS = ['email', 'whatsapp', 'sms'];
+
+// Phone channels a customer can opt in to; email needs no opt-in
+export const MESSAGING_CHANNELS = ['whatsapp', 'sms'];
+
+// Events sent over WhatsApp/SMS when the customer has opted in
+export const MESSAGING_EVENTS = ['booking_confirmed', 'booking_reminder'];
+
+// Provider-reported delivery state, tracked after the message left the outbox
+export const DELIVERY_STATUSES = ['queued', 'sent', 'delivered', 'read', 'failed'];
+
+// pending -> sending -> sent, or back to pending with a later next_attempt_at until attempts run out
+export const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed', 'skipped'];
+
+// Delay before retry N (minutes); the last entry is reused, attempts stop at MAX_ATTEMPTS
+export const OUTBOX_RETRY_MINUTES = [1, 5, 15, 60, 240];
+export const OUTBOX_MAX_ATTEMPTS = 6;
+
+// A message left in "sending" this long belongs to a worker that died mid-send
+export const OUTBOX_STALE_SENDING_MINUTES = 10;
+
+export const REMINDER_HOURS_BEFORE = 3;
+
+// WhatsApp/SMS reminder lead time; MESSAGING_REMINDER_HOURS overrides it
+export const MESSAGING_REMINDER_HOURS_BEFORE = 2;
+
+// In-app inbox entries. payment_to_verify goes to cashiers/admins, the rest to the customer
+export const INBOX_TYPES = [
+  'booking_created',
+  'booking_approved',
+  'booking_rejected',
+  'booking_cancelled',
+  'booking_expired',
+  'payment_approved',
+  'payment_rejected',
+  'payment_to_verify'
+];
+
+// Inbox entries are removed automatically after this many days
+export const INBOX_RETENTION_DAYS = 90;
+
+// ============= HELPERS =============
+export const validateNotificationEvent = (event) => {
+  return NOTIFICATION_EVENTS.includes(event);
+};
+
+export const validateInboxType = (type) => {
+  return INBOX_TYPES.includes(type);
+};
+
+export const validateMessagingChannel = (channel) => {
+  return MESSAGING_CHANNELS.includes(channel);
+};
+
+// 0812..., 62812... or +62812... -> 62812... (the format WhatsApp and SMS providers expect)
+export const normalizePhoneNumber = (phone) => {
+  const digits = String(phone || '').replace(/[^0-9]/g, '');
+  if (!digits) return null;
+
+  const normalized = digits.startsWith('0') ? `62${digits.slice(1)}` : digits;
+  return /^62[0-9]{8,13}$/.test(normalized) ? normalized : null;
+};
+
+export const getRetryDelayMinutes = (attempts) => {
+  return OUTBOX_RETRY_MINUTES[Math.min(attempts, OUTBOX_RETRY_MINUTES.length) - 1] || OUTBOX_RETRY_MINUTES[0];
+};
@@ -1,12 +1,33 @@
 import moment from 'moment-timezone';
 
 // ============= CONSTANTS =============
-export const PAYMENT_TYPES = ['full_payment', 'dp_payment'];
+export const PAYMENT_TYPES = ['full_payment', 'dp_payment', 'pelunasan'];
+export const PAYMENT_METHODS = ['bank_transfer_bsi', 'cash', 'qris', 'edc', 'payment_gateway'];
+// Recorded by the cashier at the venue: no transfer proof or sender details
+export const ONSITE_PAYMENT_METHODS = ['cash', 'qris', 'edc'];
+// Virtual account / QRIS charge verified by the gateway webhook instead of a cashier
+export const GATEWAY_PAYMENT_METHOD = 'payment_gateway';
 export const PAYMENT_STATUSES = ['pending', 'verified', 'rejected'];
 export const DP_AMOUNT = 50000;
 export const MIN_TRANSFER_AMOUNT = 50000;
 export const MAX_TRANSFER_AMOUNT = 100000000; // 100 juta
 export const MAX_TRANSFER_DAYS_PAST = 7;
+// Added to the transfer amount so each open booking's transfer stands out on the bank statement
+export const UNIQUE_CODE_RANGE = { MIN: 1, MAX: 999 };
+// Bookings that may still receive a bank transfer (DP bookings still owe the pelunasan)
+export const UNIQUE_CODE_OPEN_PAYMENT_STATUSES = ['no_payment', 'pending_verification', 'dp_confirmed'];
+export const MUTATION_STATUSES = ['matched', 'ambiguous', 'unmatched', 'approved', 'ignored'];
+// Raised when a transfer payment is submitted; shown to cashiers before approval
+export const PAYMENT_RISK_CODES = ['duplicate_proof', 'similar_proof', 'reused_reference', 'amount_mismatch', 'transfer_before_booking'];
+export const PAYMENT_RISK_SEVERITIES = ['high', 'medium'];
+// Max differing bits between two 64-bit perceptual hashes to call the images the same
+export const PROOF_PHASH_MAX_DISTANCE = 6;
+export const PROOF_LOOKBACK_DAYS = 180;
+// requested -> approved (admin) -> transferred (cashier); cancellation refunds start approved
+export const REFUND_STATUSES = ['requested', 'approved', 'rejected', 'transferred'];
+// reschedule: overpayment after a paid booking moved to a cheaper slot
+export const REFUND_SOURCES = ['cancellation', 'manual', 'reschedule'];
+export const OPEN_REFUND_STATUSES = ['requested', 'approved'];
 
 // ============= BASIC VALIDATORS =============
 export const validatePaymentType = (paymentType) => {
@@ -17,8 +38,13 @@ export const validatePaymentStatus = (status) => {
   return PAYMENT_STATUSES.includes(status);
 };
 
-export const validateTransferAmount = (amount) => {
-  return amount >= MIN_TRANSFER_AMOUNT && amount <= MAX_TRANSFER_AMOUNT;
+// Discounted bookings can cost less than the usual minimum transfer
+export const getMinTransferAmount = (totalBookingAmount = null) => {
+  return totalBookingAmount ? Math.min(MIN_TRANSFER_AMOUNT, totalBookingAmount) : MIN_TRANSFER_AMOUNT;
+};
+
+export const validateTransferAmount = (amount, totalBookingAmount = null) => {
+  return amount >= getMinTransferAmount(totalBookingAmount) && amount <= MAX_TRANSFER_AMOUNT;
 };
 
 export const validateTransferDate = (date) => {
@@ -42,32 +68,69 @@ export const validateFullPaymentAmount = (amount, totalBookingAmount) => {
   return amount === totalBookingAmount;
 };
 
+export const isTransferPayment = (payment) => {
+  return !ONSITE_PAYMENT_METHODS.includes(payment.payment_method) &&
+    payment.payment_method !== GATEWAY_PAYMENT_METHOD;
+};
+
+export const validateOnsitePaymentMethod = (method) => {
+  return ONSITE_PAYMENT_METHODS.includes(method);
+};
+
+// Receipt number printed for on-site payments, e.g. KWT-20250706-LX3K9A2F
+export const generateReceiptNumber = (date = new Date()) => {
+  const day = moment(date).tz('Asia/Jakarta').format('YYYYMMDD');
+  const random = `${Date.now().toString(36).slice(-4)}${Math.random().toString(36).substr(2, 4)}`;
+  return `KWT-${day}-${random}`.toUpperCase();
+};
+
+// Booking payment_status once a payment of this type is verified
+export const getPaidStatusForPaymentType = (paymentType) => {
+  return paymentType === 'dp_payment' ? 'dp_confirmed' : 'fully_paid';
+};
+
+export const getExpectedTransferAmount = (amount, uniqueCode = 0) => {
+  return amount + (uniqueCode || 0);
+};
+
 export const validateTransferReference = (reference) => {
   if (!reference) return true; // Optional field
   return reference.trim().length >= 3 && reference.trim().length <= 50;
 };
 
 // ============= BUSINESS LOGIC VALIDATORS =============
-export const validatePaymentAmountLogic = (paymentType, amount, totalBookingAmount) => {
+// outstandingAmount is only known to the service (it needs the booking's other payments)
+export const validatePaymentAmountLogic = (paymentType, amount, totalBookingAmount, outstandingAmount = null) => {
   if (paymentType === 'dp_payment') {
     if (!validateDPAmount(amount)) {
       throw new Error(`DP harus tepat Rp ${DP_AMOUNT.toLocaleString('id-ID')}`);
     }
+    // totalBookingAmount is the discounted harga when a voucher was used
     if (totalBookingAmount < DP_AMOUNT) {
-      throw new Error(`Total booking minimal Rp ${DP_AMOUNT.toLocaleString('id-ID')} untuk DP`);
+      throw new Error(`Total booking minimal Rp ${DP_AMOUNT.toLocaleString('id-ID')} untuk DP, silakan bayar penuh`);
     }
   } else if (paymentType === 'full_payment') {
     if (!validateFullPaymentAmount(amount, totalBookingAmount)) {
       throw new Error('Jumlah pembayaran harus sama dengan total booking');
     }
+  } else if (paymentType === 'pelunasan') {
+    if (!(amount > 0) || amount > totalBookingAmount) {
+      throw new Error('Jumlah pelunasan tidak valid');
+    }
+    if (outstandingAmount !== null && amount !== outstandingAmount) {
+      throw new Error(`Pelunasan harus tepat sisa pembayaran Rp ${outstandingAmount.toLocaleString('id-ID')}`);
+    }
   } else {
     throw new Error('Tipe pembayaran tidak valid');
   }
 };
 
-export const validateTransferMatchesPayment = (transferAmount, paymentAmount) => {
-  if (transferAmount !== paymentAmount) {
-    throw new Error('Jumlah transfer harus sama dengan jumlah pembayaran');
+export const validateTransferMatchesPayment = (transferAmount, paymentAmount, uniqueCode = 0) => {
+  const expected = getExpectedTransferAmount(paymentAmount, uniqueCode);
+  if (transferAmount !== expected) {
+    throw new Error(uniqueCode
+      ? `Jumlah transfer harus tepat Rp ${expected.toLocaleString('id-ID')} (termasuk kode unik ${uniqueCode})`
+      : 'Jumlah transfer harus sama dengan jumlah pembayaran');
   }
 };
 
@@ -102,11 +165,15 @@ export const validatePaymentAmountForType = function(next) {
 
 export const validateTransferAmountField = function(next) {
   try {
-    if (!validateTransferAmount(this.transfer_details.transfer_amount)) {
-      throw new Error(`Jumlah transfer harus antara Rp ${MIN_TRANSFER_AMOUNT.toLocaleString('id-ID')} - Rp ${MAX_TRANSFER_AMOUNT.toLocaleString('id-ID')}`);
+    if (!isTransferPayment(this)) return next();
+
+    // A pelunasan is whatever is left after the DP, which may be below the usual minimum
+    const minimumBasis = this.payment_type === 'pelunasan' ? this.amount : this.total_booking_amount;
+    if (!validateTransferAmount(this.transfer_details.transfer_amount, minimumBasis)) {
+      throw new Error(`Jumlah transfer harus antara Rp ${getMinTransferAmount(minimumBasis).toLocaleString('id-ID')} - Rp ${MAX_TRANSFER_AMOUNT.toLocaleString('id-ID')}`);
     }
     
-    validateTransferMatchesPayment(this.transfer_details.transfer_amount, this.amount);
+    validateTransferMatchesPayment(this.transfer_details.transfer_amount, this.amount, this.unique_code);
     next();
   } catch (error) {
     next(error);
@@ -115,6 +182,8 @@ export const validateTransferAmountField = function(next) {
 
 export const validateTransferDateField = function(next) {
   try {
+    if (!isTransferPayment(this)) return next();
+
     if (!validateTransferDate(this.transfer_details.transfer_date)) {
       throw new Error(`Tanggal transfer tidak valid (maksimal ${MAX_TRANSFER_DAYS_PAST} hari yang lalu)`);
     }
@@ -129,6 +198,8 @@ export const validateTransferDateField = function(next) {
 
 export const validateSenderNameField = function(next) {
   try {
+    if (!isTransferPayment(this)) return next();
+
     if (!validateSenderName(this.transfer_details.sender_name)) {
       throw new Error('Nama pengirim harus 2-100 karakter');
     }
@@ -144,6 +215,44 @@ export const validateBSIAccountNumber = (accountNumber) => {
   return bsiAccountRegex.test(accountNumber);
 };
 
+// Customer's own account for refunds, any bank
+export const validateRefundAccountNumber = (accountNumber) => {
+  return /^\d{6,20}$/.test(accountNumber);
+};
+
+export const validateRefundBankDetails = (details) => {
+  if (!details?.bank_name || !details?.account_number || !details?.account_name) {
+    throw new Error('Data rekening refund harus lengkap (bank_name, account_number, account_name)');
+  }
+  if (!validateRefundAccountNumber(details.account_number)) {
+    throw new Error('Nomor rekening refund harus 6-20 digit angka');
+  }
+  if (!validateSenderName(details.account_name)) {
+    throw new Error('Nama pemilik rekening harus 2-100 karakter');
+  }
+};
+
+export const validateRefundRules = function(next) {
+  if (this.amount > this.paid_amount) {
+    return next(new Error('Jumlah refund tidak boleh melebihi jumlah yang dibayar'));
+  }
+
+  if (this.status === 'rejected' && !this.rejection_reason) {
+    return next(new Error('Alasan penolakan refund harus diisi'));
+  }
+
+  if (this.status === 'transferred') {
+    if (!this.bank_details?.account_number) {
+      return next(new Error('Rekening tujuan refund belum diisi'));
+    }
+    if (!this.transfer_proof) {
+      return next(new Error('Bukti transfer refund harus diupload'));
+    }
+  }
+
+  next();
+};
+
 // ============= PAYMENT STATUS VALIDATION =============
 export const validateStatusTransition = (currentStatus, newStatus, userRole) => {
   const allowedTransitions = {
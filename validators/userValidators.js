@@ -168,4 +168,21 @@ export const validateUserDeletion = async function(userId) {
   });
   
   return activeBookings === 0;
-};
\ No newline at end of file
+};
+
+// Email verification
+export const EMAIL_VERIFICATION_ACTIONS = ['booking', 'payment'];
+
+export const EMAIL_VERIFICATION_TOKEN_HOURS = 24;
+
+// Minimum gap between two verification emails to the same account
+export const EMAIL_VERIFICATION_RESEND_SECONDS = 60;
+
+// EMAIL_VERIFICATION_REQUIRED_FOR=booking,payment lists the actions blocked until the
+// email is verified; empty (the default) blocks nothing
+export const getEmailVerificationPolicy = () => {
+  return (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || '')
+    .split(',')
+    .map(action => action.trim().toLowerCase())
+    .filter(action => EMAIL_VERIFICATION_ACTIONS.includes(action));
+};